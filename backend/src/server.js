@@ -13,6 +13,23 @@ const http = require('http');
 
 // Import services
 const redisService = require('./services/RedisService');
+const matchingEngine = require('./services/MatchingEngine');
+const marketRegistry = require('./services/MarketRegistry');
+const orderBookFeed = require('./services/OrderBookFeed');
+const webSocketGateway = require('./services/WebSocketGateway');
+const candleService = require('./services/CandleService');
+const marketStatsService = require('./services/MarketStatsService');
+const authService = require('./services/AuthService');
+const ledgerService = require('./services/LedgerService');
+const feeService = require('./services/FeeService');
+const riskService = require('./services/RiskService');
+const circuitBreaker = require('./services/CircuitBreaker');
+const analyticsService = require('./services/AnalyticsService');
+const liquidationService = require('./services/LiquidationService');
+const priceOracle = require('./services/PriceOracle');
+const batchScheduler = require('./services/BatchScheduler');
+const { validate } = require('./validation/schemas');
+const { INTERVALS } = require('./services/CandleService');
 
 const app = express();
 const server = http.createServer(app);
@@ -20,6 +37,7 @@ const server = http.createServer(app);
 // Configuration
 const PORT = process.env.PORT || 3001;
 const WS_PORT = process.env.WS_PORT || 3002;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
 
 // Middleware
 app.use(helmet());
@@ -66,28 +84,84 @@ const mockOrderbook = {
             [8.50, 2500]
         ],
         lastUpdate: Date.now()
+    },
+    'APT-USDT': {
+        bids: [
+            [8.44, 900],
+            [8.43, 1300],
+            [8.42, 1800]
+        ],
+        asks: [
+            [8.47, 800],
+            [8.48, 1000],
+            [8.49, 1500]
+        ],
+        lastUpdate: Date.now()
     }
 };
 
-const mockMarketStats = {
-    'APT-USDC': {
-        lastPrice: 8.45,
-        volume24h: 125000,
-        change24h: 2.3,
-        high24h: 8.52,
-        low24h: 8.20,
-        trades24h: 1543
+/**
+ * Require the admin API key for management routes
+ */
+function requireAdmin(req, res, next) {
+    if (!ADMIN_API_KEY || req.get('x-admin-key') !== ADMIN_API_KEY) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Valid x-admin-key header required'
+        });
     }
-};
+    next();
+}
 
-const mockUserBalances = {
-    '0x123': {
-        availableBase: 1000,
-        availableQuote: 5000,
-        lockedBase: 100,
-        lockedQuote: 500
+/**
+ * Require a wallet session (Authorization: Bearer <token>) for private routes
+ */
+function requireSession(req, res, next) {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    const session = scheme === 'Bearer' ? authService.getSession(token) : null;
+    
+    if (!session) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            code: 'E_SESSION_REQUIRED',
+            message: 'Valid session token required'
+        });
     }
-};
+    
+    req.session = { ...session, token };
+    next();
+}
+
+/**
+ * Rate limit key of a request: the account of a valid session token when it
+ * sends one, else the client's IP address
+ */
+function getClientKey(req) {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    const session = scheme === 'Bearer' ? authService.getSession(token) : null;
+    return session ? session.address : req.ip;
+}
+
+/**
+ * Only allow the session's own account in :address routes
+ */
+function requireOwnAddress(req, res, next) {
+    let address;
+    try {
+        address = authService.normalizeAddress(req.params.address);
+    } catch (error) {
+        address = null;
+    }
+    
+    if (address !== req.session.address) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            code: 'E_UNAUTHORIZED',
+            message: 'Session does not belong to this address'
+        });
+    }
+    next();
+}
 
 /**
  * API Routes
@@ -116,44 +190,37 @@ app.get('/health', async (req, res) => {
     }
 });
 
-// Get orderbook with Redis caching
-app.get('/api/orderbook/:symbol', async (req, res) => {
+/**
+ * Get the sequenced orderbook snapshot for a symbol, seeding the feed
+ * from the persisted Redis levels the first time a symbol is requested
+ */
+async function getOrderbookSnapshot(symbol, levels) {
+    if (!orderBookFeed.hasSnapshot(symbol)) {
+        const stored = await redisService.getOrderbook(symbol, 50);
+        orderBookFeed.publish(symbol, stored || matchingEngine.getDepth(symbol, 50));
+    }
+    
+    return orderBookFeed.getSnapshot(symbol, levels);
+}
+
+// Get the orderbook snapshot with the sequence number deltas continue from
+app.get('/api/orderbook/:symbol', validate('orderbook'), async (req, res) => {
     try {
         const { symbol } = req.params;
-        const levels = parseInt(req.query.levels) || 10;
+        const { levels } = req.query;
         
         console.log(`📊 Fetching orderbook for ${symbol}`);
         
-        // Try to get from Redis cache first
-        let orderbook = await redisService.getOrderbook(symbol);
-        
-        if (!orderbook) {
-            // Fallback to mock data (in production, this would fetch from blockchain)
-            orderbook = mockOrderbook[symbol];
-            
-            if (orderbook) {
-                // Cache the orderbook for future requests
-                await redisService.cacheOrderbook(symbol, orderbook);
-            }
-        }
-        
-        if (!orderbook) {
+        if (!marketRegistry.getMarket(symbol)) {
             return res.status(404).json({
                 error: 'Orderbook not found',
                 symbol
             });
         }
         
-        // Get depth data from Redis sorted sets for better performance
-        const depthData = await redisService.getOrderbookDepth(symbol, levels);
+        const snapshot = await getOrderbookSnapshot(symbol, levels);
         
-        res.json({
-            symbol,
-            bids: depthData.bids.length > 0 ? depthData.bids : orderbook.bids.slice(0, levels),
-            asks: depthData.asks.length > 0 ? depthData.asks : orderbook.asks.slice(0, levels),
-            lastUpdate: orderbook.lastUpdate || Date.now(),
-            cached: !!depthData.bids.length
-        });
+        res.json(snapshot);
         
     } catch (error) {
         console.error('❌ Error fetching orderbook:', error);
@@ -164,38 +231,21 @@ app.get('/api/orderbook/:symbol', async (req, res) => {
     }
 });
 
-// Get market statistics with Redis caching
-app.get('/api/market/stats/:symbol', async (req, res) => {
+// Get rolling 24h market statistics
+app.get('/api/market/stats/:symbol', validate('marketStats'), async (req, res) => {
     try {
         const { symbol } = req.params;
         
         console.log(`📈 Fetching market stats for ${symbol}`);
         
-        // Try to get from Redis cache first
-        let stats = await redisService.getMarketStats(symbol);
-        
-        if (!stats) {
-            // Fallback to mock data (in production, this would fetch from blockchain)
-            stats = mockMarketStats[symbol];
-            
-            if (stats) {
-                // Cache the stats for future requests
-                await redisService.cacheMarketStats(symbol, stats);
-            }
-        }
-        
-        if (!stats) {
+        if (!marketRegistry.getMarket(symbol)) {
             return res.status(404).json({
                 error: 'Market stats not found',
                 symbol
             });
         }
         
-        res.json({
-            symbol,
-            ...stats,
-            timestamp: Date.now()
-        });
+        res.json(marketStatsService.getStats(symbol));
         
     } catch (error) {
         console.error('❌ Error fetching market stats:', error);
@@ -206,36 +256,24 @@ app.get('/api/market/stats/:symbol', async (req, res) => {
     }
 });
 
-// Get user balance with Redis caching
-app.get('/api/user/balance/:address', async (req, res) => {
+// Get the signed-in user's ledger balances, optionally shaped for one market
+app.get('/api/user/balance/:address', requireSession, validate('userBalance'), requireOwnAddress, (req, res) => {
     try {
-        const { address } = req.params;
-        
-        console.log(`💰 Fetching balance for ${address}`);
+        const { address } = req.session;
+        const { symbol } = req.query;
         
-        // Try to get from Redis cache first
-        let balance = await redisService.getUserBalance(address);
-        
-        if (!balance) {
-            // Fallback to mock data (in production, this would fetch from blockchain)
-            balance = mockUserBalances[address];
-            
-            if (balance) {
-                // Cache the balance for future requests
-                await redisService.cacheUserBalance(address, balance);
-            }
-        }
-        
-        if (!balance) {
+        if (symbol && !marketRegistry.getMarket(symbol)) {
             return res.status(404).json({
-                error: 'User balance not found',
-                address
+                error: 'Market not found',
+                code: 'E_MARKET_NOT_FOUND',
+                message: `Market ${symbol} not found`
             });
         }
         
         res.json({
             address,
-            ...balance,
+            ...(symbol ? ledgerService.getUserBalance(address, symbol) : {}),
+            assets: ledgerService.getUserAssets(address),
             timestamp: Date.now()
         });
         
@@ -248,11 +286,115 @@ app.get('/api/user/balance/:address', async (req, res) => {
     }
 });
 
+// Get the signed-in user's fee tier, rates and 30-day volume, optionally for one market
+app.get('/api/fees/:address', requireSession, validate('userFees'), requireOwnAddress, (req, res) => {
+    const { symbol } = req.query;
+    
+    if (symbol && !marketRegistry.getMarket(symbol)) {
+        return res.status(404).json({
+            error: 'Market not found',
+            code: 'E_MARKET_NOT_FOUND',
+            message: `Market ${symbol} not found`
+        });
+    }
+    
+    res.json({
+        ...feeService.getUserFees(req.session.address, symbol || null),
+        timestamp: Date.now()
+    });
+});
+
+// Get the signed-in user's risk limits and how much of them are in use
+app.get('/api/risk/:address', requireSession, validate('userRisk'), requireOwnAddress, (req, res) => {
+    const { address } = req.session;
+    
+    res.json({
+        ...riskService.getUsage(address, { openOrders: matchingEngine.getOpenOrders(address).length }),
+        timestamp: Date.now()
+    });
+});
+
+// Get the signed-in user's margin positions with their collateral ratio and cooldown
+app.get('/api/positions/:address', requireSession, validate('userPositions'), requireOwnAddress, (req, res) => {
+    res.json({
+        address: req.session.address,
+        positions: liquidationService.getUserPositions(req.session.address),
+        settings: liquidationService.settings,
+        timestamp: Date.now()
+    });
+});
+
+// Open a margin position, borrowing quote against base collateral
+app.post('/api/positions', requireSession, validate('openPosition'), (req, res) => {
+    try {
+        const { symbol, collateral, debt } = req.body;
+        
+        if (!marketRegistry.getMarket(symbol)) {
+            return res.status(404).json({
+                error: 'Market not found',
+                code: 'E_MARKET_NOT_FOUND',
+                symbol
+            });
+        }
+        
+        const position = liquidationService.openPosition({ address: req.session.address, symbol, collateral, debt });
+        
+        res.status(201).json({
+            position,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        if (error.code) {
+            return res.status(ERROR_STATUS[error.code] || 400).json({
+                error: 'Position rejected',
+                code: error.code,
+                message: error.message
+            });
+        }
+        
+        console.error('❌ Error opening position:', error);
+        res.status(500).json({
+            error: 'Failed to open position',
+            message: error.message
+        });
+    }
+});
+
+// Repay a margin position's debt, all of it unless `amount` is given; a position
+// without debt closes and returns its collateral
+app.post('/api/positions/:id/repay', requireSession, validate('repayPosition'), (req, res) => {
+    try {
+        const amount = req.body.amount ?? null;
+        const position = liquidationService.repayPosition(req.params.id, req.session.address, amount);
+        
+        res.json({
+            position,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        if (error.code) {
+            return res.status(ERROR_STATUS[error.code] || 400).json({
+                error: 'Repayment rejected',
+                code: error.code,
+                message: error.message
+            });
+        }
+        
+        console.error('❌ Error repaying position:', error);
+        res.status(500).json({
+            error: 'Failed to repay position',
+            message: error.message
+        });
+    }
+});
+
 // Get trade history with Redis caching
-app.get('/api/trades/:symbol', async (req, res) => {
+app.get('/api/trades/:symbol', validate('trades'), async (req, res) => {
     try {
         const { symbol } = req.params;
-        const limit = parseInt(req.query.limit) || 50;
+        const { limit } = req.query;
         
         console.log(`📋 Fetching trade history for ${symbol}`);
         
@@ -275,165 +417,1207 @@ app.get('/api/trades/:symbol', async (req, res) => {
     }
 });
 
-// Cache management endpoints
-app.post('/api/cache/clear/:pattern', async (req, res) => {
+// Get OHLCV candles for an interval, oldest first
+app.get('/api/candles/:symbol', validate('candles'), async (req, res) => {
     try {
-        const { pattern } = req.params;
+        const { symbol } = req.params;
+        const { interval, limit } = req.query;
         
-        await redisService.clearCache(pattern);
+        if (!marketRegistry.getMarket(symbol)) {
+            return res.status(404).json({
+                error: 'Market not found',
+                symbol
+            });
+        }
+        
+        const to = req.query.to || Date.now();
+        const from = req.query.from || to - limit * INTERVALS[interval];
+        
+        const candles = await redisService.getCandles(symbol, interval, from, to, limit);
         
         res.json({
-            message: `Cache cleared for pattern: ${pattern}`,
+            symbol,
+            interval,
+            candles,
+            count: candles.length,
             timestamp: Date.now()
         });
         
     } catch (error) {
-        console.error('❌ Error clearing cache:', error);
+        console.error('❌ Error fetching candles:', error);
         res.status(500).json({
-            error: 'Failed to clear cache',
+            error: 'Failed to fetch candles',
             message: error.message
         });
     }
 });
 
-app.get('/api/cache/stats', async (req, res) => {
+// HTTP status for engine and registry error codes (anything else is a 400)
+const ERROR_STATUS = {
+    E_ORDER_NOT_FOUND: 404,
+    E_MARKET_NOT_FOUND: 404,
+    E_UNAUTHORIZED: 403,
+    E_ORDER_ALREADY_FILLED: 409,
+    E_MARKET_EXISTS: 409,
+    E_MARKET_CLOSED: 409,
+    E_MARKET_CANCEL_ONLY: 409,
+    E_INSUFFICIENT_BALANCE: 409,
+    E_POST_ONLY: 409,
+    E_MAX_OPEN_ORDERS: 409,
+    E_MAX_POSITION: 409,
+    E_POSITION_EXISTS: 409,
+    E_POSITION_NOT_FOUND: 404,
+    E_INVALID_PRICE_FEED: 409,
+    E_ORDER_RATE_LIMIT: 429,
+    E_ANALYTICS_RATE_LIMIT: 429,
+    E_INVALID_CHALLENGE: 401,
+    E_INVALID_PUBLIC_KEY: 401,
+    E_INVALID_SIGNATURE: 401
+};
+
+// Issue a wallet login challenge
+app.post('/api/auth/challenge', validate('authChallenge'), (req, res) => {
     try {
-        const stats = await redisService.getCacheStats();
+        const challenge = authService.createChallenge(req.body.address);
         
-        res.json({
-            cache: stats,
+        res.status(201).json({
+            ...challenge,
             timestamp: Date.now()
         });
         
     } catch (error) {
-        console.error('❌ Error getting cache stats:', error);
-        res.status(500).json({
-            error: 'Failed to get cache stats',
+        res.status(400).json({
+            error: 'Challenge rejected',
+            code: error.code,
             message: error.message
         });
     }
 });
 
-// WebSocket server for real-time updates
-const wss = new WebSocket.Server({ port: WS_PORT });
+// Exchange a signed challenge for a session token
+app.post('/api/auth/session', validate('authSession'), (req, res) => {
+    try {
+        const { address, publicKey, signature, nonce, fullMessage } = req.body;
+        
+        const session = authService.verifyChallenge({ address, publicKey, signature, nonce, fullMessage });
+        
+        res.status(201).json({
+            ...session,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        if (error.code) {
+            return res.status(ERROR_STATUS[error.code] || 400).json({
+                error: 'Login rejected',
+                code: error.code,
+                message: error.message
+            });
+        }
+        
+        console.error('❌ Error opening session:', error);
+        res.status(500).json({
+            error: 'Failed to open session',
+            message: error.message
+        });
+    }
+});
 
-console.log(`🔗 WebSocket server listening on port ${WS_PORT}`);
+// End the current session
+app.delete('/api/auth/session', requireSession, (req, res) => {
+    authService.revokeSession(req.session.token);
+    
+    res.json({
+        message: 'Session ended',
+        timestamp: Date.now()
+    });
+});
 
-wss.on('connection', (ws) => {
-    console.log('👋 New WebSocket connection');
+// List markets
+app.get('/api/markets', (req, res) => {
+    const markets = marketRegistry.listMarkets();
     
-    // Send initial data
-    ws.send(JSON.stringify({
-        type: 'welcome',
-        message: 'Connected to CLOB Trading Platform WebSocket',
+    res.json({
+        markets,
+        count: markets.length,
         timestamp: Date.now()
-    }));
+    });
+});
+
+// Get a single market
+app.get('/api/markets/:symbol', validate('market'), (req, res) => {
+    const market = marketRegistry.getMarket(req.params.symbol);
     
-    // Handle incoming messages
-    ws.on('message', async (message) => {
-        try {
-            const data = JSON.parse(message);
-            
-            switch (data.type) {
-                case 'subscribe_orderbook':
-                    // Subscribe to orderbook updates
-                    ws.orderbookSymbol = data.symbol;
-                    console.log(`📊 Client subscribed to orderbook: ${data.symbol}`);
-                    
-                    // Send initial orderbook
-                    const orderbook = await redisService.getOrderbook(data.symbol);
-                    if (orderbook) {
-                        ws.send(JSON.stringify({
-                            type: 'orderbook_update',
-                            symbol: data.symbol,
-                            data: orderbook
-                        }));
-                    }
-                    break;
-                    
-                case 'subscribe_trades':
-                    // Subscribe to trade updates
-                    ws.tradesSymbol = data.symbol;
-                    console.log(`📋 Client subscribed to trades: ${data.symbol}`);
-                    break;
-                    
-                case 'ping':
-                    ws.send(JSON.stringify({
-                        type: 'pong',
-                        timestamp: Date.now()
-                    }));
-                    break;
-            }
-        } catch (error) {
-            console.error('❌ WebSocket message error:', error);
-            ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Invalid message format'
-            }));
-        }
+    if (!market) {
+        return res.status(404).json({
+            error: 'Market not found',
+            symbol: req.params.symbol
+        });
+    }
+    
+    res.json({
+        ...market,
+        timestamp: Date.now()
     });
+});
+
+// List the oracle's mark price feeds
+app.get('/api/oracle/prices', (req, res) => {
+    const feeds = marketRegistry.listMarkets().map(({ symbol }) => priceOracle.getFeed(symbol));
     
-    ws.on('close', () => {
-        console.log('👋 WebSocket connection closed');
+    res.json({
+        feeds,
+        count: feeds.length,
+        timestamp: Date.now()
     });
+});
+
+// Get a market's oracle mark price, with whether it is valid and why readings were last rejected
+app.get('/api/oracle/prices/:symbol', validate('oraclePrice'), (req, res) => {
+    if (!marketRegistry.getMarket(req.params.symbol)) {
+        return res.status(404).json({
+            error: 'Market not found',
+            symbol: req.params.symbol
+        });
+    }
     
-    ws.on('error', (error) => {
-        console.error('❌ WebSocket error:', error);
+    res.json({
+        ...priceOracle.getFeed(req.params.symbol),
+        timestamp: Date.now()
     });
 });
 
-// Simulate real-time updates
-setInterval(async () => {
+// Create a market (admin)
+app.post('/api/admin/markets', requireAdmin, validate('createMarket'), async (req, res) => {
     try {
-        // Update mock orderbook
-        const symbol = 'APT-USDC';
-        const orderbook = mockOrderbook[symbol];
-        
-        // Simulate price changes
-        const priceVariation = (Math.random() - 0.5) * 0.02; // ±1%
-        orderbook.bids = orderbook.bids.map(([price, quantity]) => [
-            price * (1 + priceVariation),
-            quantity * (0.8 + Math.random() * 0.4) // ±20% quantity variation
-        ]);
-        orderbook.asks = orderbook.asks.map(([price, quantity]) => [
-            price * (1 + priceVariation),
-            quantity * (0.8 + Math.random() * 0.4)
-        ]);
-        orderbook.lastUpdate = Date.now();
-        
-        // Cache updated orderbook
-        await redisService.cacheOrderbook(symbol, orderbook);
-        
-        // Broadcast to WebSocket clients
-        wss.clients.forEach((client) => {
-            if (client.readyState === WebSocket.OPEN && client.orderbookSymbol === symbol) {
-                client.send(JSON.stringify({
-                    type: 'orderbook_update',
-                    symbol,
-                    data: orderbook
-                }));
-            }
+        const market = marketRegistry.createMarket(req.body);
+        await redisService.saveMarket(market);
+        
+        res.status(201).json({
+            market,
+            timestamp: Date.now()
         });
         
     } catch (error) {
-        console.error('❌ Error in real-time update:', error);
+        if (error.code) {
+            return res.status(ERROR_STATUS[error.code] || 400).json({
+                error: 'Market rejected',
+                code: error.code,
+                message: error.message
+            });
+        }
+        
+        console.error('❌ Error creating market:', error);
+        res.status(500).json({
+            error: 'Failed to create market',
+            message: error.message
+        });
     }
-}, 2000); // Update every 2 seconds
+});
 
-/**
- * Server startup
- */
-async function startServer() {
+// Credit funds to a user's available balance (admin)
+app.post('/api/admin/deposits', requireAdmin, validate('deposit'), (req, res) => {
     try {
-        // Initialize Redis
-        await redisService.initialize();
+        const { asset, amount } = req.body;
+        const address = authService.normalizeAddress(req.body.address);
+        const entry = ledgerService.deposit(address, asset, amount);
+        
+        res.status(201).json({
+            entry,
+            balance: ledgerService.getBalance(address, asset),
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        if (error.code) {
+            return res.status(ERROR_STATUS[error.code] || 400).json({
+                error: 'Deposit rejected',
+                code: error.code,
+                message: error.message
+            });
+        }
+        
+        console.error('❌ Error recording deposit:', error);
+        res.status(500).json({
+            error: 'Failed to record deposit',
+            message: error.message
+        });
+    }
+});
+
+// Get the fee schedule (admin)
+app.get('/api/admin/fees', requireAdmin, (req, res) => {
+    res.json({
+        ...feeService.getSchedule(),
+        timestamp: Date.now()
+    });
+});
+
+// Replace the fee schedule (admin): default tiers plus per-market overrides
+app.put('/api/admin/fees', requireAdmin, validate('feeSchedule'), async (req, res) => {
+    try {
+        const schedule = feeService.configure(req.body);
+        await redisService.saveFeeSchedule(schedule);
+        
+        res.json({
+            ...schedule,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        if (error.code) {
+            return res.status(ERROR_STATUS[error.code] || 400).json({
+                error: 'Fee schedule rejected',
+                code: error.code,
+                message: error.message
+            });
+        }
+        
+        console.error('❌ Error setting fee schedule:', error);
+        res.status(500).json({
+            error: 'Failed to set fee schedule',
+            message: error.message
+        });
+    }
+});
+
+// Get the risk limits (admin): platform defaults and per-account overrides
+app.get('/api/admin/risk', requireAdmin, (req, res) => {
+    res.json({
+        ...riskService.getConfig(),
+        timestamp: Date.now()
+    });
+});
+
+// Change the platform default risk limits (admin); limits left out keep their built-in value
+app.put('/api/admin/risk', requireAdmin, validate('riskLimits'), async (req, res) => {
+    try {
+        const config = riskService.configure(req.body);
+        await redisService.saveRiskLimits(config);
+        
+        res.json({
+            ...config,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        if (error.code) {
+            return res.status(ERROR_STATUS[error.code] || 400).json({
+                error: 'Risk limits rejected',
+                code: error.code,
+                message: error.message
+            });
+        }
+        
+        console.error('❌ Error setting risk limits:', error);
+        res.status(500).json({
+            error: 'Failed to set risk limits',
+            message: error.message
+        });
+    }
+});
+
+// Override risk limits for one account (admin); an empty body goes back to the defaults
+app.put('/api/admin/risk/accounts/:address', requireAdmin, validate('accountRiskLimits'), async (req, res) => {
+    try {
+        const limits = riskService.setAccountLimits(req.params.address, req.body);
+        await redisService.saveRiskLimits(riskService.getConfig());
+        
+        res.json({
+            address: req.params.address,
+            limits,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        if (error.code) {
+            return res.status(ERROR_STATUS[error.code] || 400).json({
+                error: 'Risk limits rejected',
+                code: error.code,
+                message: error.message
+            });
+        }
+        
+        console.error('❌ Error setting account risk limits:', error);
+        res.status(500).json({
+            error: 'Failed to set account risk limits',
+            message: error.message
+        });
+    }
+});
+
+// Prove the ledger conserves every asset and matches the open order locks (admin)
+app.get('/api/admin/ledger/check', requireAdmin, (req, res) => {
+    const report = ledgerService.checkInvariants();
+    
+    res.status(report.ok ? 200 : 500).json({
+        ...report,
+        timestamp: Date.now()
+    });
+});
+
+// Halt, resume or switch a market to cancel-only (admin), like ClobCore::set_market_status
+// A halt or cancel-only period given `durationMs` ends by itself
+const MARKET_STATUS_ACTIONS = {
+    halt: 'closed',
+    resume: 'open',
+    'cancel-only': 'cancel_only'
+};
+
+Object.entries(MARKET_STATUS_ACTIONS).forEach(([action, status]) => {
+    app.post(`/api/admin/markets/:symbol/${action}`, requireAdmin, validate('marketStatus'), async (req, res) => {
+        try {
+            const { durationMs } = req.body;
+            const market = marketRegistry.setMarketStatus(req.params.symbol, status, {
+                until: durationMs && action !== 'resume' ? Date.now() + durationMs : null
+            });
+            
+            res.json({
+                market,
+                timestamp: Date.now()
+            });
+            
+        } catch (error) {
+            if (error.code) {
+                return res.status(ERROR_STATUS[error.code] || 400).json({
+                    error: `Failed to ${action} market`,
+                    code: error.code,
+                    message: error.message
+                });
+            }
+            
+            console.error(`❌ Error on market ${action}:`, error);
+            res.status(500).json({
+                error: `Failed to ${action} market`,
+                message: error.message
+            });
+        }
+    });
+});
+
+// Get the circuit breaker settings (admin)
+app.get('/api/admin/circuit-breakers', requireAdmin, (req, res) => {
+    res.json({
+        ...circuitBreaker.getConfig(),
+        timestamp: Date.now()
+    });
+});
+
+// Replace the circuit breaker settings (admin): defaults plus per-market overrides
+app.put('/api/admin/circuit-breakers', requireAdmin, validate('circuitBreakers'), async (req, res) => {
+    try {
+        const config = circuitBreaker.configure(req.body);
+        await redisService.saveCircuitBreakers(config);
+        
+        res.json({
+            ...config,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        if (error.code) {
+            return res.status(ERROR_STATUS[error.code] || 400).json({
+                error: 'Circuit breaker settings rejected',
+                code: error.code,
+                message: error.message
+            });
+        }
+        
+        console.error('❌ Error setting circuit breakers:', error);
+        res.status(500).json({
+            error: 'Failed to set circuit breakers',
+            message: error.message
+        });
+    }
+});
+
+// Batch scheduler metrics, open batches and recently executed batches (admin)
+app.get('/api/admin/batches', requireAdmin, validate('batchScheduler'), (req, res) => {
+    res.json({
+        settings: batchScheduler.settings,
+        metrics: batchScheduler.getPerformanceMetrics(),
+        active: batchScheduler.getActiveBatches(),
+        recent: batchScheduler.getRecentBatches(req.query.limit),
+        timestamp: Date.now()
+    });
+});
+
+// Place a new order on the matching engine
+app.post('/api/orders', requireSession, validate('placeOrder'), (req, res) => {
+    try {
+        const {
+            symbol, side, type, price, quantity, stopPrice, trailingOffset, triggerBy, timeInForce, postOnly, expiresAt, signed
+        } = req.body;
+        const userAddress = req.session.address;
+
+        // Signed orders must carry the session account's signature over the order hash;
+        // the hash is spent only when the order is accepted, so a rejection keeps its nonce
+        const orderHash = signed
+            ? authService.verifyOrderSignature(
+                { sender: userAddress, side, price, quantity, expiry: signed.expiry, nonce: signed.nonce },
+                signed
+            )
+            : undefined;
+        
+        const result = matchingEngine.placeOrder({
+            symbol, userAddress, side, type, price, quantity, stopPrice, trailingOffset, triggerBy, timeInForce, postOnly, expiresAt, signed
+        });
+        if (orderHash) {
+            authService.recordOrderHash(orderHash, signed.expiry);
+        }
+        
+        res.status(201).json({
+            order: result.order,
+            trades: result.trades,
+            orderHash,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        if (error.code) {
+            return res.status(ERROR_STATUS[error.code] || 400).json({
+                error: 'Order rejected',
+                code: error.code,
+                message: error.message,
+                risk: error.risk,
+                order: error.order
+            });
+        }
+        
+        console.error('❌ Error placing order:', error);
+        res.status(500).json({
+            error: 'Failed to place order',
+            message: error.message
+        });
+    }
+});
+
+// List the signed-in user's orders, newest first
+app.get('/api/user/:address/orders', requireSession, validate('userOrders'), requireOwnAddress, async (req, res) => {
+    try {
+        const { status, symbol, before, limit } = req.query;
+        
+        const page = await redisService.getUserOrders(req.session.address, {
+            statuses: status || null,
+            symbol,
+            before,
+            limit
+        });
+        
+        res.json({
+            ...page,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error fetching user orders:', error);
+        res.status(500).json({
+            error: 'Failed to fetch orders',
+            message: error.message
+        });
+    }
+});
+
+// Get one of your orders with its fills
+app.get('/api/orders/:id', requireSession, validate('getOrder'), async (req, res) => {
+    try {
+        const order = await redisService.getOrder(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                error: 'Order not found',
+                code: 'E_ORDER_NOT_FOUND',
+                message: `Order ${req.params.id} not found`
+            });
+        }
+        if (order.userAddress !== req.session.address) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                code: 'E_UNAUTHORIZED',
+                message: 'Order belongs to another user'
+            });
+        }
+        
+        res.json({
+            order,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error fetching order:', error);
+        res.status(500).json({
+            error: 'Failed to fetch order',
+            message: error.message
+        });
+    }
+});
+
+// Cancel a resting order
+app.delete('/api/orders/:id', requireSession, validate('cancelOrder'), (req, res) => {
+    try {
+        const order = matchingEngine.cancelOrder(req.params.id, req.session.address);
+        
+        res.json({
+            order,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        if (error.code) {
+            return res.status(ERROR_STATUS[error.code] || 400).json({
+                error: 'Cancel rejected',
+                code: error.code,
+                message: error.message
+            });
+        }
+        
+        console.error('❌ Error cancelling order:', error);
+        res.status(500).json({
+            error: 'Failed to cancel order',
+            message: error.message
+        });
+    }
+});
+
+// Amend the price or total quantity of one of your open orders
+app.patch('/api/orders/:id', requireSession, validate('amendOrder'), (req, res) => {
+    try {
+        const result = matchingEngine.amendOrder(req.params.id, req.session.address, req.body);
+        
+        res.json({
+            ...result,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        if (error.code) {
+            return res.status(ERROR_STATUS[error.code] || 400).json({
+                error: 'Amend rejected',
+                code: error.code,
+                message: error.message,
+                risk: error.risk,
+                order: error.order
+            });
+        }
+        
+        console.error('❌ Error amending order:', error);
+        res.status(500).json({
+            error: 'Failed to amend order',
+            message: error.message
+        });
+    }
+});
+
+// Cancel all of your open orders, optionally in one market
+app.delete('/api/orders', requireSession, validate('cancelAll'), (req, res) => {
+    try {
+        const orders = matchingEngine.cancelAll(req.session.address, req.query.symbol || null);
+        
+        res.json({
+            orders,
+            count: orders.length,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error cancelling orders:', error);
+        res.status(500).json({
+            error: 'Failed to cancel orders',
+            message: error.message
+        });
+    }
+});
+
+// Place, cancel and replace up to MAX_BATCH_SIZE orders in one request
+app.post('/api/orders/batch', requireSession, validate('batchOrders'), (req, res) => {
+    try {
+        const results = matchingEngine.executeBatch(req.session.address, req.body.items);
+        
+        res.json({
+            results,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        if (error.code) {
+            return res.status(ERROR_STATUS[error.code] || 400).json({
+                error: 'Batch rejected',
+                code: error.code,
+                message: error.message,
+                items: error.items
+            });
+        }
+        
+        console.error('❌ Error executing order batch:', error);
+        res.status(500).json({
+            error: 'Failed to execute batch',
+            message: error.message
+        });
+    }
+});
+
+// Schema for each analytics stream's ingestion route
+const ANALYTICS_INGEST_SCHEMAS = {
+    events: 'analyticsEvents',
+    errors: 'analyticsErrors'
+};
+
+// Ingest client events and error reports, sent singly or as { events | errors: [...] }
+for (const [stream, schema] of Object.entries(ANALYTICS_INGEST_SCHEMAS)) {
+    app.post(`/api/analytics/${stream}`, validate(schema), async (req, res) => {
+        try {
+            const accepted = await analyticsService.ingest(stream, req.body[stream] || [req.body], getClientKey(req));
+            
+            res.status(202).json({
+                accepted,
+                timestamp: Date.now()
+            });
+            
+        } catch (error) {
+            if (error.code) {
+                return res.status(ERROR_STATUS[error.code] || 400).json({
+                    error: 'Analytics rejected',
+                    code: error.code,
+                    message: error.message
+                });
+            }
+            
+            console.error(`❌ Error storing analytics ${stream}:`, error);
+            res.status(500).json({
+                error: 'Failed to store analytics',
+                message: error.message
+            });
+        }
+    });
+}
+
+// Summaries and raw reads scan up to 50,000 stream entries, so each caller gets a few a minute
+const analyticsReadLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 10,
+    keyGenerator: getClientKey,
+    message: 'Too many analytics queries, please try again later.'
+});
+
+// Read client events, which carry every session's activity, so admin only;
+// oldest first, pass `next` back as `after` for the next page
+app.get('/api/analytics/events', requireAdmin, analyticsReadLimiter, validate('analyticsQuery'), async (req, res) => {
+    try {
+        const { items, next } = await analyticsService.query('events', req.query);
+        
+        res.json({
+            events: items,
+            count: items.length,
+            next,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error reading analytics events:', error);
+        res.status(500).json({
+            error: 'Failed to read analytics events',
+            message: error.message
+        });
+    }
+});
+
+// Summarize client events by time bucket, pair and session, for signed-in accounts
+app.get('/api/analytics/events/summary', requireSession, analyticsReadLimiter, validate('analyticsSummary'), async (req, res) => {
+    try {
+        const { type, interval } = req.query;
+        const to = req.query.to || Date.now();
+        const from = req.query.from || to - 30 * INTERVALS[interval];
+        
+        const summary = await analyticsService.summarize({ type, from, to, interval: INTERVALS[interval] });
+        
+        res.json({
+            ...summary,
+            interval,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error summarizing analytics events:', error);
+        res.status(500).json({
+            error: 'Failed to summarize analytics events',
+            message: error.message
+        });
+    }
+});
+
+// Read error reports, which carry user agents and stacks, so admin only
+app.get('/api/analytics/errors', requireAdmin, analyticsReadLimiter, validate('analyticsQuery'), async (req, res) => {
+    try {
+        const { items, next } = await analyticsService.query('errors', req.query);
+        
+        res.json({
+            errors: items,
+            count: items.length,
+            next,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error reading analytics errors:', error);
+        res.status(500).json({
+            error: 'Failed to read analytics errors',
+            message: error.message
+        });
+    }
+});
+
+// Cache management endpoints
+app.post('/api/cache/clear/:pattern', requireAdmin, validate('clearCache'), async (req, res) => {
+    try {
+        const { pattern } = req.params;
+        
+        await redisService.clearCache(pattern);
+        
+        res.json({
+            message: `Cache cleared for pattern: ${pattern}`,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error clearing cache:', error);
+        res.status(500).json({
+            error: 'Failed to clear cache',
+            message: error.message
+        });
+    }
+});
+
+app.get('/api/cache/stats', async (req, res) => {
+    try {
+        const stats = await redisService.getCacheStats();
+        
+        res.json({
+            cache: stats,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        console.error('❌ Error getting cache stats:', error);
+        res.status(500).json({
+            error: 'Failed to get cache stats',
+            message: error.message
+        });
+    }
+});
+
+// WebSocket server for real-time updates
+const wss = new WebSocket.Server({ port: WS_PORT });
+
+console.log(`🔗 WebSocket server listening on port ${WS_PORT}`);
+
+webSocketGateway.attach(wss);
+
+// Sockets authenticate with the same session tokens as the REST API
+webSocketGateway.setAuthenticator((token) => authService.getSession(token)?.address || null);
+
+// Dead man's switch: pull an account's orders once its last cancel-on-disconnect socket
+// closes; orders in halted markets are pulled when they resume
+webSocketGateway.on('cancelOnDisconnect', (address) => {
+    try {
+        const cancelled = matchingEngine.cancelAll(address);
+        console.log(`🔌 Cancel-on-disconnect pulled ${cancelled.length} orders for ${address}`);
+    } catch (error) {
+        console.error(`❌ Cancel-on-disconnect failed for ${address}:`, error);
+    }
+});
+
+// New orderbook subscribers get the snapshot that subsequent deltas build on
+webSocketGateway.setSnapshotProvider('orderbook', async (symbol) => {
+    if (!marketRegistry.getMarket(symbol)) {
+        return null;
+    }
+    
+    const snapshot = await getOrderbookSnapshot(symbol, 50);
+    return { action: 'snapshot', ...snapshot };
+});
+
+// New trade subscribers get the recent history that live trades are prepended to
+webSocketGateway.setSnapshotProvider('trades', async (symbol) => {
+    if (!marketRegistry.getMarket(symbol)) {
+        return null;
+    }
+    
+    const trades = await redisService.getTradeHistory(symbol, 50);
+    return { action: 'snapshot', symbol, trades };
+});
+
+// New candle subscribers get the forming candle of every interval
+webSocketGateway.setSnapshotProvider('candles', async (symbol) => {
+    if (!marketRegistry.getMarket(symbol)) {
+        return null;
+    }
+    
+    return { action: 'snapshot', symbol, candles: candleService.getForming(symbol) };
+});
+
+// New market stats subscribers start from the current 24h window
+webSocketGateway.setSnapshotProvider('marketStats', async (symbol) => {
+    if (!marketRegistry.getMarket(symbol)) {
+        return null;
+    }
+    
+    return { action: 'snapshot', ...marketStatsService.getStats(symbol) };
+});
+
+// New market status subscribers learn whether the market is open, cancel-only or halted
+webSocketGateway.setSnapshotProvider('marketStatus', async (symbol) => {
+    const market = marketRegistry.getMarket(symbol);
+    return market ? getMarketStatus(market) : null;
+});
+
+// Persist every market status change, manual or from a circuit breaker, and push it to clients.
+// A market taking cancels again first pulls the orders cancelled while it was halted
+marketRegistry.on('status', async (market) => {
+    try {
+        matchingEngine.cancelQueued(market.symbol);
+        webSocketGateway.publish('marketStatus', market.symbol, getMarketStatus(market));
+        await redisService.saveMarket(market);
+    } catch (error) {
+        console.error(`❌ Error handling ${market.symbol} status change:`, error);
+    }
+});
+
+/**
+ * Status fields of a market sent on the marketStatus channel
+ */
+function getMarketStatus({ symbol, status, statusReason, haltedUntil, updatedAt }) {
+    return { symbol, status, reason: statusReason, haltedUntil, updatedAt };
+}
+
+// Persist margin positions as they open, are liquidated or repaid, and drop closed ones
+liquidationService.on('position', (position) => {
+    redisService.savePosition(position);
+});
+
+liquidationService.on('closed', (position) => {
+    redisService.deletePosition(position.id);
+});
+
+// Record every liquidation and tell the position's owner
+liquidationService.on('liquidation', (liquidation) => {
+    redisService.appendLiquidation(liquidation);
+    webSocketGateway.publishToUser('positions', liquidation.liquidatedUser, liquidation);
+});
+
+// Accepted oracle prices are the mark: they revalue margin positions and fire
+// mark-price triggers through the engine, and are cached and shown with the stats
+priceOracle.on('price', (feed) => {
+    matchingEngine.updatePrice(feed.symbol, 'mark', feed.price);
+    redisService.cachePriceFeed(feed);
+    const stats = marketStatsService.setMarkPrice(feed.symbol, feed.price, feed.updatedAt);
+    webSocketGateway.publish('marketStats', feed.symbol, { action: 'update', ...stats });
+});
+
+// Append every ledger entry to the persisted journal
+ledgerService.on('entry', (entry) => {
+    redisService.appendLedgerEntry(entry);
+});
+
+// Persist ledger snapshots in place of the journal they cover, with the fee
+// volumes counted from the compacted trade entries
+ledgerService.on('snapshot', (snapshot) => {
+    redisService.saveLedgerSnapshot({ ...snapshot, feeVolumes: feeService.getVolumeSnapshot() });
+});
+
+// Measure parallel batching on every order the engine matches, however it got
+// there; batching only measures, so a failure here never touches the order
+matchingEngine.on('executed', (order) => {
+    try {
+        batchScheduler.addOrder(order);
+    } catch (error) {
+        console.error(`❌ Failed to batch order ${order.id}:`, error);
+    }
+});
+
+// Feed every matching engine change set's trades to the circuit breaker while
+// the engine is still running the operation, so a halt stops the next order
+// rather than one arriving after the save. Then persist the change set as one
+// Redis transaction, drop the orders it closed from memory and stream its
+// trades so history never lags behind the live feed
+matchingEngine.on('changes', async (changes) => {
+    try {
+        circuitBreaker.recordTrades(changes.symbol, changes.trades);
+        // Orders the store did not take stay in memory as the only copy
+        if (await redisService.saveBookChanges(changes)) {
+            matchingEngine.evictOrders(changes.orders);
+        }
+        publishTrades(changes.symbol, changes.trades);
+        updateMarketStats(changes.symbol, changes.trades);
+        await updateCandles(changes.symbol, changes.trades);
+    } catch (error) {
+        console.error(`❌ Error handling ${changes.symbol} changes:`, error);
+    }
+});
+
+/**
+ * Roll trades into the 24h window and stream the new stats
+ */
+function updateMarketStats(symbol, trades) {
+    if (trades.length === 0) {
+        return;
+    }
+    
+    let stats;
+    for (const trade of trades) {
+        stats = marketStatsService.addTrade(symbol, trade);
+    }
+    
+    webSocketGateway.publish('marketStats', symbol, { action: 'update', ...stats });
+}
+
+/**
+ * Roll trades into candles, persist them and stream the forming candles
+ */
+async function updateCandles(symbol, trades) {
+    if (trades.length === 0) {
+        return;
+    }
+    
+    // Latest state per interval after applying every trade
+    const candles = new Map();
+    for (const trade of trades) {
+        for (const candle of candleService.addTrade(symbol, trade)) {
+            candles.set(candle.interval, candle);
+        }
+    }
+    
+    await redisService.saveCandles(Array.from(candles.values()));
+    webSocketGateway.publish('candles', symbol, {
+        action: 'update',
+        symbol,
+        candles: Array.from(candles.values())
+    });
+}
+
+/**
+ * Broadcast executed trades to trade subscribers (most recent first, like history)
+ */
+function publishTrades(symbol, trades) {
+    if (trades.length === 0) {
+        return;
+    }
+    
+    webSocketGateway.publish('trades', symbol, {
+        action: 'update',
+        symbol,
+        trades: trades.map(trade => redisService.formatTrade(symbol, trade)).reverse()
+    });
+}
+
+/**
+ * Publish new depth through the feed and broadcast the resulting delta
+ */
+function publishOrderbook(symbol, depth) {
+    const delta = orderBookFeed.publish(symbol, depth);
+    if (!delta) {
+        return;
+    }
+    
+    webSocketGateway.publish('orderbook', symbol, { action: 'delta', ...delta });
+}
+
+// Deliver order updates to their owner's private channel
+matchingEngine.on('order', (order) => {
+    webSocketGateway.publishToUser('userOrders', order.userAddress, order);
+});
+
+// Tell the owner an order was amended, and what it was before
+matchingEngine.on('amend', ({ order, previous }) => {
+    webSocketGateway.publishToUser('userOrders', order.userAddress, { ...order, event: 'amended', previous });
+});
+
+// Broadcast matching engine book changes to subscribers
+matchingEngine.on('orderbook', (symbol) => {
+    try {
+        publishOrderbook(symbol, matchingEngine.getDepth(symbol, 50));
+    } catch (error) {
+        console.error('❌ Error broadcasting orderbook:', error);
+    }
+});
+
+// Simulate real-time updates
+setInterval(() => {
+    try {
+        for (const { symbol, status } of marketRegistry.listMarkets()) {
+            const orderbook = mockOrderbook[symbol];
+            
+            // Only simulate open markets without real orders on the matching engine
+            if (!orderbook || status !== 'open' || matchingEngine.hasLiquidity(symbol)) {
+                continue;
+            }
+            
+            simulateOrderbook(symbol, orderbook);
+            simulateTrade(symbol, orderbook).catch((error) => {
+                console.error(`❌ Error simulating ${symbol} trade:`, error);
+            });
+        }
+        
+    } catch (error) {
+        console.error('❌ Error in real-time update:', error);
+    }
+}, 2000); // Update every 2 seconds
+
+/**
+ * Jitter a mock orderbook and publish it to subscribers
+ */
+function simulateOrderbook(symbol, orderbook) {
+    // Simulate price changes
+    const priceVariation = (Math.random() - 0.5) * 0.02; // ±1%
+    orderbook.bids = orderbook.bids.map(([price, quantity]) => [
+        price * (1 + priceVariation),
+        quantity * (0.8 + Math.random() * 0.4) // ±20% quantity variation
+    ]);
+    orderbook.asks = orderbook.asks.map(([price, quantity]) => [
+        price * (1 + priceVariation),
+        quantity * (0.8 + Math.random() * 0.4)
+    ]);
+    orderbook.lastUpdate = Date.now();
+    
+    publishOrderbook(symbol, orderbook);
+}
+
+let simulatedTradeCount = 0;
+
+/**
+ * Occasionally print a mock trade at the top of a mock orderbook,
+ * recording it in history before streaming it
+ */
+async function simulateTrade(symbol, orderbook) {
+    if (Math.random() < 0.5) {
+        return;
+    }
+    
+    const side = Math.random() < 0.5 ? 'buy' : 'sell';
+    const [price] = side === 'buy' ? orderbook.asks[0] : orderbook.bids[0];
+    const trades = [{
+        id: `sim-${Date.now()}-${++simulatedTradeCount}`,
+        price: parseFloat(price.toFixed(4)),
+        quantity: parseFloat((Math.random() * 50 + 1).toFixed(3)),
+        side,
+        timestamp: Date.now()
+    }];
+    
+    await redisService.cacheTradeHistory(symbol, trades);
+    publishTrades(symbol, trades);
+    updateMarketStats(symbol, trades);
+    await updateCandles(symbol, trades);
+}
+
+// Expire good-till-date orders once their time has passed
+setInterval(() => {
+    try {
+        matchingEngine.expireOrders();
+    } catch (error) {
+        console.error('❌ Error expiring orders:', error);
+    }
+}, 1000); // Every second
+
+// Reopen markets whose circuit breaker or timed halt has run out
+setInterval(() => {
+    try {
+        marketRegistry.resumeExpired();
+    } catch (error) {
+        console.error('❌ Error resuming markets:', error);
+    }
+}, 1000); // Every second
+
+// Poll the oracle for every market's mark price
+setInterval(async () => {
+    try {
+        await priceOracle.poll(marketRegistry.listMarkets().map(({ symbol }) => symbol));
+    } catch (error) {
+        console.error('❌ Error polling price oracle:', error);
+    }
+}, priceOracle.settings.pollMs);
+
+// Execute the order batches whose window has passed
+setInterval(() => {
+    try {
+        batchScheduler.flush();
+    } catch (error) {
+        console.error('❌ Error flushing order batches:', error);
+    }
+}, batchScheduler.settings.batchWindowMs);
+
+// Slide the 24h windows forward even when a market is quiet
+setInterval(() => {
+    for (const { symbol } of marketRegistry.listMarkets()) {
+        webSocketGateway.publish('marketStats', symbol, { action: 'update', ...marketStatsService.getStats(symbol) });
+    }
+}, 60000); // Every minute, the bucket size
+
+/**
+ * Server startup
+ */
+async function startServer() {
+    try {
+        // Initialize Redis
+        await redisService.initialize();
+        
+        // Restore the market registry, seeding Redis with the defaults on first start
+        const markets = await redisService.loadMarkets();
+        if (markets.length > 0) {
+            marketRegistry.restore(markets);
+        } else {
+            await Promise.all(marketRegistry.listMarkets().map(market => redisService.saveMarket(market)));
+        }
+        
+        // Load the ledger snapshot and replay the journal after it before any order can lock funds
+        const ledgerState = await redisService.loadLedgerState();
+        ledgerService.restore(ledgerState.entries, ledgerState.snapshot);
+        
+        // Restore the fee schedule and rebuild 30-day volumes from the snapshot and the journal's trades
+        const feeSchedule = await redisService.loadFeeSchedule();
+        if (feeSchedule) {
+            feeService.configure(feeSchedule);
+        }
+        feeService.restore(ledgerService.journal, Date.now(), ledgerState.snapshot ? ledgerState.snapshot.feeVolumes : []);
+        
+        // Restore the circuit breaker settings set through the admin API
+        const breakers = await redisService.loadCircuitBreakers();
+        if (breakers) {
+            circuitBreaker.configure(breakers);
+        }
+        
+        // Restore the risk limits set through the admin API
+        const riskLimits = await redisService.loadRiskLimits();
+        if (riskLimits) {
+            riskService.load(riskLimits);
+        }
+        
+        // Restore margin positions before mark prices start flowing again
+        liquidationService.load(await redisService.loadPositions());
+        
+        // Pick up oracle prices cached within the last few seconds
+        priceOracle.restore(await redisService.loadPriceFeeds(marketRegistry.listMarkets().map(({ symbol }) => symbol)));
+        
+        // Rebuild the matching engine from the persisted order book
+        matchingEngine.restore(await redisService.loadOrderBookState());
+        marketRegistry.listMarkets().forEach(({ symbol }) => {
+            orderBookFeed.publish(symbol, matchingEngine.getDepth(symbol, 50));
+        });
+        
+        // Continue the forming candles from where they were persisted
+        const symbols = marketRegistry.listMarkets().map(({ symbol }) => symbol);
+        candleService.restore(await redisService.loadLatestCandles(symbols, Object.keys(INTERVALS)));
+        
+        // Rebuild the 24h stats windows from the last day of one-minute candles
+        const since = Date.now() - INTERVALS['1d'];
+        for (const symbol of symbols) {
+            marketStatsService.restore(await redisService.getCandles(symbol, '1m', since, Date.now(), 1440));
+        }
         
         // Start HTTP server
         server.listen(PORT, () => {
             console.log(`🚀 CLOB Trading Platform API server listening on port ${PORT}`);
             console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
             console.log(`🔗 WebSocket server on port ${WS_PORT}`);
-            console.log(`✅ Redis caching enabled for optimized performance`);
+            console.log(`✅ Redis persistence enabled for orderbook and trades`);
         });
         
     } catch (error) {
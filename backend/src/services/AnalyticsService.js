@@ -0,0 +1,250 @@
+/**
+ * Analytics Service for CLOB Trading Platform
+ * Ingests the frontend's client events and error reports into Redis streams,
+ * rate limited per client, and reads them back for the analytics
+ * dashboard: raw entries page by page, or events summarized by time, pair
+ * and session
+ */
+
+const redisService = require('./RedisService');
+
+// Streams entries are written to
+const ANALYTICS_STREAMS = ['events', 'errors'];
+
+// Most events or error reports accepted in one request
+const MAX_ANALYTICS_BATCH = 50;
+
+// Items each client (account or IP address) may send per sliding window
+const DEFAULT_RATE_LIMIT = {
+    maxItems: 300,
+    windowMs: 60 * 1000
+};
+
+// Clients tracked before idle ones are swept from the rate limiter
+const MAX_TRACKED_CLIENTS = 10000;
+
+// Stream entries read per round trip, and at most per query or summary
+const READ_CHUNK = 1000;
+const MAX_SCAN = 50000;
+
+// Empty time buckets are only filled in up to this many buckets
+const MAX_BUCKETS = 1000;
+
+/**
+ * Create an error carrying a structured error code
+ */
+function analyticsError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Quote value of an event carrying a price and quantity, else 0
+ */
+function eventValue(data) {
+    const value = Number(data.price) * Number(data.quantity);
+    return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Add an event to a { count, value } group in a map
+ */
+function addToGroup(groups, key, value) {
+    const group = groups.get(key) || { count: 0, value: 0 };
+    group.count += 1;
+    group.value += value;
+    groups.set(key, group);
+}
+
+class AnalyticsService {
+    constructor(options = {}) {
+        this.store = options.store || null;  // RedisService holding the streams
+        this.rateLimit = { ...DEFAULT_RATE_LIMIT, ...options.rateLimit };
+        this.clients = new Map();  // client key -> timestamps of recent items
+    }
+
+    /**
+     * Items a client sent within the rate window
+     */
+    getRecentItems(client, now = Date.now()) {
+        const times = this.clients.get(client);
+        if (!times) {
+            return 0;
+        }
+
+        const since = now - this.rateLimit.windowMs;
+        while (times.length > 0 && times[0] <= since) {
+            times.shift();
+        }
+        if (times.length === 0) {
+            this.clients.delete(client);
+        }
+        return times.length;
+    }
+
+    /**
+     * Count a batch against its client's rate limit, refusing it whole if it
+     * would go over. The client is who sent the request, never the
+     * sessionId the items claim
+     */
+    checkRate(client, count, now = Date.now()) {
+        if (this.clients.size > MAX_TRACKED_CLIENTS) {
+            for (const key of Array.from(this.clients.keys())) {
+                this.getRecentItems(key, now);
+            }
+        }
+
+        const { maxItems, windowMs } = this.rateLimit;
+        if (this.getRecentItems(client, now) + count > maxItems) {
+            throw analyticsError('E_ANALYTICS_RATE_LIMIT',
+                `At most ${maxItems} analytics items may be sent every ${windowMs / 1000}s`);
+        }
+
+        const times = this.clients.get(client) || [];
+        for (let i = 0; i < count; i++) {
+            times.push(now);
+        }
+        this.clients.set(client, times);
+    }
+
+    /**
+     * Flatten an event or error report into string stream fields
+     * Events are named by `event`, error reports by `type`; everything else
+     * an error report carries is kept as its data
+     */
+    toEntry(stream, item, receivedAt = Date.now()) {
+        const { event, type, sessionId, timestamp = receivedAt, url = '', data = {}, ...details } = item;
+        return {
+            type: stream === 'events' ? event : type,
+            sessionId,
+            timestamp: String(timestamp),
+            url,
+            data: JSON.stringify(stream === 'events' ? data : details)
+        };
+    }
+
+    /**
+     * Turn a stream entry back into an event; receivedAt comes from the entry id
+     */
+    fromEntry({ id, message }) {
+        return {
+            id,
+            type: message.type,
+            sessionId: message.sessionId,
+            timestamp: Number(message.timestamp),
+            receivedAt: Number(id.split('-')[0]),
+            url: message.url,
+            data: JSON.parse(message.data)
+        };
+    }
+
+    /**
+     * Store a batch of events or error reports sent by `client` (the rate
+     * limit key), returning how many were accepted
+     */
+    async ingest(stream, items, client, now = Date.now()) {
+        if (!ANALYTICS_STREAMS.includes(stream)) {
+            throw analyticsError('E_INVALID_PARAMETER', `Unknown analytics stream ${stream}`);
+        }
+
+        this.checkRate(client, items.length, now);
+        await this.store.appendAnalytics(stream, items.map(item => this.toEntry(stream, item, now)));
+        return items.length;
+    }
+
+    /**
+     * Entries received in [from, to] (ms), oldest first, optionally of one type
+     * `after` continues from the `next` id of an earlier page; `next` is null
+     * once there is nothing more to read
+     */
+    async query(stream, { type = null, from = null, to = null, after = null, limit = 100 } = {}) {
+        const end = to ? String(to) : '+';
+        let start = after ? `(${after}` : (from ? String(from) : '-');
+        let scanned = 0;
+        let next = null;
+        const items = [];
+
+        while (items.length < limit && scanned < MAX_SCAN) {
+            const chunk = await this.store.readAnalytics(stream, start, end, READ_CHUNK);
+            for (const entry of chunk) {
+                scanned += 1;
+                next = entry.id;
+                if (!type || entry.message.type === type) {
+                    items.push(this.fromEntry(entry));
+                    if (items.length === limit) {
+                        break;
+                    }
+                }
+            }
+
+            if (chunk.length < READ_CHUNK && items.length < limit) {
+                next = null;
+                break;
+            }
+            start = `(${next}`;
+        }
+
+        return { items, next };
+    }
+
+    /**
+     * Count events in [from, to] by time bucket, pair and session
+     * Values are price times quantity for events carrying both (order placements)
+     */
+    async summarize({ type = null, from, to = Date.now(), interval }) {
+        const { items, next } = await this.query('events', { type, from, to, limit: MAX_SCAN });
+
+        const buckets = new Map();
+        const pairs = new Map();
+        const sessions = new Map();
+        let value = 0;
+
+        if ((to - from) / interval <= MAX_BUCKETS) {
+            for (let start = Math.floor(from / interval) * interval; start <= to; start += interval) {
+                buckets.set(start, { count: 0, value: 0 });
+            }
+        }
+
+        for (const event of items) {
+            const amount = eventValue(event.data);
+            value += amount;
+            addToGroup(buckets, Math.floor(event.receivedAt / interval) * interval, amount);
+            addToGroup(sessions, event.sessionId, amount);
+            if (event.data.pair) {
+                addToGroup(pairs, event.data.pair, amount);
+            }
+        }
+
+        const byCount = (a, b) => b.count - a.count;
+        return {
+            type,
+            from,
+            to,
+            interval,
+            count: items.length,
+            value,
+            buckets: Array.from(buckets, ([start, group]) => ({ start, ...group })).sort((a, b) => a.start - b.start),
+            pairs: Array.from(pairs, ([pair, group]) => ({ pair, ...group })).sort(byCount),
+            sessions: Array.from(sessions, ([sessionId, group]) => ({ sessionId, ...group })).sort(byCount).slice(0, 10),
+            // More events matched than a summary reads
+            truncated: next !== null
+        };
+    }
+
+    /**
+     * Drop all rate limit history (used by tests and resets)
+     */
+    reset() {
+        this.clients.clear();
+    }
+}
+
+// Export singleton instance
+const analyticsService = new AnalyticsService({ store: redisService });
+
+module.exports = analyticsService;
+module.exports.AnalyticsService = AnalyticsService;
+module.exports.ANALYTICS_STREAMS = ANALYTICS_STREAMS;
+module.exports.MAX_ANALYTICS_BATCH = MAX_ANALYTICS_BATCH;
+module.exports.DEFAULT_RATE_LIMIT = DEFAULT_RATE_LIMIT;
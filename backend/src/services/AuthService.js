@@ -0,0 +1,247 @@
+/**
+ * Auth Service for CLOB Trading Platform
+ * Wallet login: the server issues a single-use nonce, the wallet signs it with
+ * its ed25519 key (the scheme OrderVerification.verify_order_signature checks)
+ * and a valid signature is exchanged for a session token. Signed orders are
+ * checked against the same key and the OrderVerification order hash
+ */
+
+const crypto = require('crypto');
+const { toChainOrder, serializeOrder } = require('@clob/shared/orderHash');
+
+// DER prefix turning a raw 32-byte ed25519 key into an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Aptos authentication key scheme byte for single ed25519 keys
+const ED25519_SCHEME = 0x00;
+
+/**
+ * Create an error carrying an auth error code
+ */
+function authError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Parse a 0x-prefixed (or bare) hex string into bytes
+ */
+function fromHex(value) {
+    const hex = String(value || '').replace(/^0x/i, '');
+    if (hex.length === 0 || hex.length % 2 !== 0 || !/^[0-9a-f]+$/i.test(hex)) {
+        return null;
+    }
+    return Buffer.from(hex, 'hex');
+}
+
+class AuthService {
+    constructor(options = {}) {
+        this.challengeTtl = options.challengeTtl || 5 * 60 * 1000;     // 5 minutes to sign
+        this.sessionTtl = options.sessionTtl || 24 * 60 * 60 * 1000;   // 24 hour sessions
+        this.challenges = new Map(); // nonce -> { address, message, expiresAt }
+        this.sessions = new Map();   // token -> { address, expiresAt }
+        this.orderHashes = new Map(); // signed order hash -> expiry (ms), for replay protection
+    }
+
+    /**
+     * Normalize an account address to 0x + 64 lowercase hex characters
+     */
+    normalizeAddress(address) {
+        const hex = String(address || '').replace(/^0x/i, '').toLowerCase();
+        if (!/^[0-9a-f]{1,64}$/.test(hex)) {
+            throw authError('E_INVALID_ADDRESS', 'Invalid account address');
+        }
+        return `0x${hex.padStart(64, '0')}`;
+    }
+
+    /**
+     * Derive the account address (authentication key) of an ed25519 public key
+     */
+    deriveAddress(publicKey) {
+        const hash = crypto.createHash('sha3-256')
+            .update(Buffer.concat([publicKey, Buffer.from([ED25519_SCHEME])]))
+            .digest('hex');
+        return `0x${hash}`;
+    }
+
+    /**
+     * Issue a login challenge for an address
+     */
+    createChallenge(address) {
+        const normalized = this.normalizeAddress(address);
+        this.pruneChallenges();
+
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const expiresAt = Date.now() + this.challengeTtl;
+        const message = `Sign in to CLOB Trading Platform\naddress: ${normalized}\nnonce: ${nonce}`;
+
+        this.challenges.set(nonce, { address: normalized, message, expiresAt });
+
+        return { address: normalized, nonce, message, expiresAt };
+    }
+
+    /**
+     * Drop challenges that were never answered
+     */
+    pruneChallenges() {
+        const now = Date.now();
+        for (const [nonce, challenge] of this.challenges) {
+            if (challenge.expiresAt < now) {
+                this.challenges.delete(nonce);
+            }
+        }
+    }
+
+    /**
+     * Verify a signed challenge and open a session
+     * The signature may cover the challenge message itself or a wallet's
+     * signMessage envelope (`fullMessage`) that embeds it
+     */
+    verifyChallenge({ address, publicKey, signature, nonce, fullMessage }) {
+        const normalized = this.normalizeAddress(address);
+        const challenge = this.challenges.get(nonce);
+
+        // Challenges are single use, whatever the outcome
+        this.challenges.delete(nonce);
+
+        if (!challenge || challenge.expiresAt < Date.now() || challenge.address !== normalized) {
+            throw authError('E_INVALID_CHALLENGE', 'Challenge not found or expired');
+        }
+
+        const publicKeyBytes = fromHex(publicKey);
+        if (!publicKeyBytes || publicKeyBytes.length !== 32 || this.deriveAddress(publicKeyBytes) !== normalized) {
+            throw authError('E_INVALID_PUBLIC_KEY', 'Public key does not match address');
+        }
+
+        const signed = fullMessage || challenge.message;
+        if (!signed.includes(challenge.message)) {
+            throw authError('E_INVALID_SIGNATURE', 'Signed message does not contain the challenge');
+        }
+
+        const signatureBytes = fromHex(signature);
+        if (!signatureBytes || signatureBytes.length !== 64 || !this.verifySignature(publicKeyBytes, signed, signatureBytes)) {
+            throw authError('E_INVALID_SIGNATURE', 'Invalid signature');
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Date.now() + this.sessionTtl;
+        this.sessions.set(token, { address: normalized, expiresAt });
+
+        console.log(`🔐 Session opened for ${normalized}`);
+
+        return { token, address: normalized, expiresAt };
+    }
+
+    /**
+     * Hash an order exactly like OrderVerification::generate_order_hash
+     */
+    hashOrder(order) {
+        const hash = crypto.createHash('sha3-256')
+            .update(serializeOrder(toChainOrder(order)))
+            .digest('hex');
+        return `0x${hash}`;
+    }
+
+    /**
+     * Verify a signed order that was not submitted before and return its hash
+     * The signature may cover the raw order hash (what the contract checks) or
+     * a wallet's signMessage envelope (`fullMessage`) that embeds its hex form.
+     * The hash only counts as used once recordOrderHash is called for it
+     */
+    verifyOrderSignature(order, { publicKey, signature, fullMessage }) {
+        const sender = this.normalizeAddress(order.sender);
+
+        const publicKeyBytes = fromHex(publicKey);
+        if (!publicKeyBytes || publicKeyBytes.length !== 32 || this.deriveAddress(publicKeyBytes) !== sender) {
+            throw authError('E_INVALID_PUBLIC_KEY', 'Public key does not match order sender');
+        }
+
+        if (Number(order.expiry) * 1000 <= Date.now()) {
+            throw authError('E_INVALID_SIGNATURE', 'Signed order has expired');
+        }
+
+        const orderHash = this.hashOrder({ ...order, sender });
+        if (fullMessage && !fullMessage.includes(orderHash)) {
+            throw authError('E_INVALID_SIGNATURE', 'Signed message does not contain the order hash');
+        }
+
+        const signed = fullMessage ? Buffer.from(fullMessage, 'utf8') : fromHex(orderHash);
+        const signatureBytes = fromHex(signature);
+        if (!signatureBytes || signatureBytes.length !== 64 || !this.verifySignature(publicKeyBytes, signed, signatureBytes)) {
+            throw authError('E_INVALID_SIGNATURE', 'Invalid order signature');
+        }
+
+        this.pruneOrderHashes();
+        if (this.orderHashes.has(orderHash)) {
+            throw authError('E_INVALID_SIGNATURE', 'Signed order was already submitted');
+        }
+
+        return orderHash;
+    }
+
+    /**
+     * Mark a verified order hash as used until its expiry (unix seconds),
+     * once the order it signs has been accepted
+     */
+    recordOrderHash(orderHash, expiry) {
+        this.orderHashes.set(orderHash, Number(expiry) * 1000);
+    }
+
+    /**
+     * Forget signed orders that can no longer be replayed
+     */
+    pruneOrderHashes() {
+        const now = Date.now();
+        for (const [orderHash, expiresAt] of this.orderHashes) {
+            if (expiresAt <= now) {
+                this.orderHashes.delete(orderHash);
+            }
+        }
+    }
+
+    /**
+     * Verify an ed25519 signature over a message (UTF-8 text or raw bytes)
+     */
+    verifySignature(publicKey, message, signature) {
+        try {
+            const key = crypto.createPublicKey({
+                key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey]),
+                format: 'der',
+                type: 'spki'
+            });
+            const bytes = Buffer.isBuffer(message) ? message : Buffer.from(message, 'utf8');
+            return crypto.verify(null, bytes, key, signature);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Look up a live session by token
+     */
+    getSession(token) {
+        const session = token ? this.sessions.get(token) : null;
+        if (!session) {
+            return null;
+        }
+        if (session.expiresAt < Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+        return { ...session };
+    }
+
+    /**
+     * End a session
+     */
+    revokeSession(token) {
+        return this.sessions.delete(token);
+    }
+}
+
+// Export singleton instance
+const authService = new AuthService();
+
+module.exports = authService;
+module.exports.AuthService = AuthService;
@@ -0,0 +1,307 @@
+/**
+ * Batch Scheduler for CLOB Trading Platform
+ * Off-chain mirror of ParallelExecution.move's batching. Incoming orders are
+ * grouped into execution batches per market: an order joins an open batch
+ * whose price ranges overlap its own, or starts a new one. Batches are
+ * executed in rounds; a batch whose ranges overlap another batch of its
+ * round is a conflict and falls back to sequential execution, the rest run
+ * in parallel. The scheduler only measures: orders are still matched by the
+ * matching engine as they arrive
+ */
+
+const EventEmitter = require('events');
+const authService = require('./AuthService');
+const { serializeU64, toChainUnits, toHex, CHAIN_DECIMALS } = require('@clob/shared/orderHash');
+
+// ParallelExecution.move constants; the batch window is how long a batch
+// collects orders before it is executed (dynamic batching)
+const BATCH_SETTINGS = {
+    maxBatchSize: 100,       // MAX_BATCH_SIZE
+    priceRangeBps: 1000,     // PRICE_RANGE_THRESHOLD: ranges span ±10% of the price
+    batchWindowMs: 1000
+};
+
+// ExecutionBatch.execution_priority: 0 high, 1 medium, 2 low
+const BATCH_PRIORITY = {
+    HIGH: 0,
+    MEDIUM: 1,
+    LOW: 2
+};
+
+// ExecutionEvent.execution_type
+const EXECUTION_TYPES = {
+    PARALLEL: 'parallel',
+    CONFLICT_RESOLUTION: 'conflict_resolution'
+};
+
+// Executed batches kept for inspection, and the throughput window
+const RECENT_BATCHES = 100;
+const THROUGHPUT_WINDOW_MS = 60 * 1000;
+
+/**
+ * Priority of an order: orders taking liquidity now (market, IOC, FOK) go
+ * first, post-only orders last
+ */
+function orderPriority(order) {
+    if (order.type === 'market' || order.timeInForce === 'IOC' || order.timeInForce === 'FOK') {
+        return BATCH_PRIORITY.HIGH;
+    }
+    return order.postOnly ? BATCH_PRIORITY.LOW : BATCH_PRIORITY.MEDIUM;
+}
+
+/**
+ * Price range of an order in chain units (calculate_price_ranges)
+ * Orders without a limit price can sweep the whole book: their range has no top
+ */
+function priceRange(order, priceRangeBps) {
+    if (order.price === null || order.price === undefined) {
+        return { minPrice: 0, maxPrice: null, side: order.side };
+    }
+
+    const price = Number(toChainUnits(order.price, CHAIN_DECIMALS.price));
+    const variance = Math.floor(price * priceRangeBps / 10000);
+    return { minPrice: Math.max(price - variance, 0), maxPrice: price + variance, side: order.side };
+}
+
+/**
+ * Whether two price ranges overlap; either side of the book counts, since
+ * both crossing and queueing at the same prices make orders depend on each other
+ */
+function rangesOverlap(a, b) {
+    return (a.maxPrice === null || b.minPrice <= a.maxPrice) && (b.maxPrice === null || a.minPrice <= b.maxPrice);
+}
+
+/**
+ * Whether any range of one batch overlaps any range of another in the same market
+ */
+function batchesConflict(a, b) {
+    return a.symbol === b.symbol && a.priceRanges.some(range => b.priceRanges.some(other => rangesOverlap(range, other)));
+}
+
+class BatchScheduler extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.settings = { ...BATCH_SETTINGS, ...options.settings };
+        this.batches = new Map();  // batch id -> open batch
+        this.recent = [];          // executed batches, newest first
+        this.executions = [];      // { executedAt, orders } within the throughput window
+        this.nextBatchId = 1;
+        this.metrics = this.emptyMetrics();
+    }
+
+    /**
+     * ExecutionMetrics before any batch ran
+     */
+    emptyMetrics() {
+        return {
+            totalBatchesProcessed: 0,
+            parallelBatchesExecuted: 0,
+            conflictResolutions: 0,
+            ordersProcessed: 0,
+            rounds: 0,
+            parallelGroups: 0,  // independent groups summed over rounds
+            totalBatchTimeMs: 0,
+            lastUpdate: null
+        };
+    }
+
+    /**
+     * Order hash of an order as the chain would see it (get_order_hash_bytes)
+     * Signed orders carry their own expiry and nonce; other orders use their
+     * GTD expiry (or 0) and their order id
+     */
+    hashOrder(order, { expiry, nonce } = {}) {
+        return authService.hashOrder({
+            sender: order.userAddress,
+            side: order.side,
+            price: order.price ?? 0,
+            quantity: order.quantity,
+            expiry: expiry ?? (order.expiresAt ? Math.floor(order.expiresAt / 1000) : 0),
+            nonce: nonce ?? order.id
+        });
+    }
+
+    /**
+     * Batch hash exactly as generate_batch_hash builds it: the BCS batch id
+     * followed by each order hash. The contract does not digest it yet
+     */
+    batchHash(batch) {
+        return toHex(Buffer.concat([
+            Buffer.from(serializeU64(batch.id)),
+            ...batch.orders.map(order => Buffer.from(order.hash.slice(2), 'hex'))
+        ]));
+    }
+
+    /**
+     * Add an incoming order to a batch of its market, returning the batch
+     * Trigger orders wait off the book and are left out until they fire.
+     * `signed` defaults to the expiry and nonce a signed order carries
+     */
+    addOrder(order, signed = order.signed || {}, now = Date.now()) {
+        if (order.status === 'untriggered') {
+            return null;
+        }
+
+        const range = priceRange(order, this.settings.priceRangeBps);
+        const candidate = { symbol: order.symbol, priceRanges: [range] };
+
+        let batch = null;
+        for (const open of this.batches.values()) {
+            if (open.orders.length < this.settings.maxBatchSize && batchesConflict(open, candidate)) {
+                batch = open;
+                break;
+            }
+        }
+
+        if (!batch) {
+            batch = {
+                id: this.nextBatchId++,
+                symbol: order.symbol,
+                orders: [],
+                priceRanges: [],
+                priority: BATCH_PRIORITY.LOW,
+                createdAt: now
+            };
+            this.batches.set(batch.id, batch);
+        }
+
+        batch.orders.push({ id: order.id, hash: this.hashOrder(order, signed) });
+        batch.priceRanges.push(range);
+        batch.priority = Math.min(batch.priority, orderPriority(order));
+        return this.describeBatch(batch);
+    }
+
+    /**
+     * Batches that conflict with a batch among a set of batches (detect_conflicts)
+     */
+    detectConflicts(batch, batches) {
+        return batches
+            .filter(other => other.id !== batch.id && batchesConflict(batch, other))
+            .map(other => other.id);
+    }
+
+    /**
+     * Execute the batches whose window has passed (or all with `force`) as one
+     * round, high priority first. Conflicting batches run sequentially and the
+     * rest in parallel. Returns the executed batches
+     */
+    flush(now = Date.now(), force = false) {
+        const due = Array.from(this.batches.values())
+            .filter(batch => force || batch.createdAt + this.settings.batchWindowMs <= now)
+            .sort((a, b) => a.priority - b.priority || a.id - b.id);
+        if (due.length === 0) {
+            return [];
+        }
+
+        // Independent groups: batches linked by conflicts must run one after another
+        const groups = new Map(due.map(batch => [batch.id, batch.id]));
+        const find = (id) => (groups.get(id) === id ? id : find(groups.get(id)));
+
+        const executed = due.map((batch) => {
+            const conflicts = this.detectConflicts(batch, due);
+            conflicts.forEach(id => groups.set(find(id), find(batch.id)));
+
+            const parallel = conflicts.length === 0;
+            this.metrics.totalBatchesProcessed += 1;
+            this.metrics.ordersProcessed += batch.orders.length;
+            this.metrics.totalBatchTimeMs += now - batch.createdAt;
+            if (parallel) {
+                this.metrics.parallelBatchesExecuted += 1;
+            } else {
+                this.metrics.conflictResolutions += 1;
+            }
+
+            this.batches.delete(batch.id);
+            return {
+                ...this.describeBatch(batch),
+                executedAt: now,
+                executionType: parallel ? EXECUTION_TYPES.PARALLEL : EXECUTION_TYPES.CONFLICT_RESOLUTION,
+                conflicts
+            };
+        });
+
+        this.metrics.rounds += 1;
+        this.metrics.parallelGroups += new Set(due.map(batch => find(batch.id))).size;
+        this.metrics.lastUpdate = now;
+        this.executions.push({ executedAt: now, orders: executed.reduce((sum, batch) => sum + batch.orderCount, 0) });
+
+        this.recent = [...executed.slice().reverse(), ...this.recent].slice(0, RECENT_BATCHES);
+        executed.forEach(batch => this.emit('batch', batch));
+        return executed;
+    }
+
+    /**
+     * Public view of a batch, with its contract batch hash
+     */
+    describeBatch(batch) {
+        return {
+            batchId: batch.id,
+            symbol: batch.symbol,
+            orderIds: batch.orders.map(order => order.id),
+            orderCount: batch.orders.length,
+            priceRanges: batch.priceRanges.map(range => ({ ...range })),
+            priority: batch.priority,
+            batchHash: this.batchHash(batch),
+            createdAt: batch.createdAt
+        };
+    }
+
+    /**
+     * Throughput and parallelism so far, like get_performance_metrics
+     * averageParallelism is how many independent groups a round could run at once
+     */
+    getPerformanceMetrics(now = Date.now()) {
+        const since = now - THROUGHPUT_WINDOW_MS;
+        this.executions = this.executions.filter(execution => execution.executedAt > since);
+        const recentOrders = this.executions.reduce((sum, execution) => sum + execution.orders, 0);
+
+        const { totalBatchesProcessed, parallelBatchesExecuted, rounds, parallelGroups, totalBatchTimeMs } = this.metrics;
+        return {
+            totalBatchesProcessed,
+            parallelBatchesExecuted,
+            conflictResolutions: this.metrics.conflictResolutions,
+            ordersProcessed: this.metrics.ordersProcessed,
+            averageBatchTimeMs: totalBatchesProcessed > 0 ? Math.round(totalBatchTimeMs / totalBatchesProcessed) : 0,
+            averageBatchSize: totalBatchesProcessed > 0 ? this.metrics.ordersProcessed / totalBatchesProcessed : 0,
+            throughputOrdersPerSecond: recentOrders / (THROUGHPUT_WINDOW_MS / 1000),
+            parallelRatio: totalBatchesProcessed > 0 ? parallelBatchesExecuted / totalBatchesProcessed : 0,
+            averageParallelism: rounds > 0 ? parallelGroups / rounds : 0,
+            activeBatches: this.batches.size,
+            lastUpdate: this.metrics.lastUpdate
+        };
+    }
+
+    /**
+     * Batches still collecting orders
+     */
+    getActiveBatches() {
+        return Array.from(this.batches.values()).map(batch => this.describeBatch(batch));
+    }
+
+    /**
+     * Recently executed batches, newest first
+     */
+    getRecentBatches(limit = RECENT_BATCHES) {
+        return this.recent.slice(0, limit);
+    }
+
+    /**
+     * Drop all batches and metrics (used by tests and resets)
+     */
+    reset() {
+        this.batches.clear();
+        this.recent = [];
+        this.executions = [];
+        this.nextBatchId = 1;
+        this.metrics = this.emptyMetrics();
+    }
+}
+
+// Export singleton instance
+const batchScheduler = new BatchScheduler();
+
+module.exports = batchScheduler;
+module.exports.BatchScheduler = BatchScheduler;
+module.exports.BATCH_SETTINGS = BATCH_SETTINGS;
+module.exports.BATCH_PRIORITY = BATCH_PRIORITY;
+module.exports.EXECUTION_TYPES = EXECUTION_TYPES;
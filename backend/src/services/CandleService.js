@@ -0,0 +1,120 @@
+/**
+ * Candle Service for CLOB Trading Platform
+ * Rolls executed trades into OHLCV candles for every supported interval,
+ * keeping the forming candle per symbol/interval in memory
+ */
+
+const MINUTE = 60 * 1000;
+
+// Supported intervals and their length in milliseconds
+const INTERVALS = {
+    '1m': MINUTE,
+    '5m': 5 * MINUTE,
+    '15m': 15 * MINUTE,
+    '1h': 60 * MINUTE,
+    '1d': 24 * 60 * MINUTE
+};
+
+class CandleService {
+    constructor() {
+        this.forming = new Map(); // `${symbol}:${interval}` -> candle
+    }
+
+    /**
+     * Check whether an interval is supported
+     */
+    isValidInterval(interval) {
+        return Object.prototype.hasOwnProperty.call(INTERVALS, interval);
+    }
+
+    /**
+     * Start of the interval bucket a timestamp falls in
+     */
+    getOpenTime(timestamp, interval) {
+        return Math.floor(timestamp / INTERVALS[interval]) * INTERVALS[interval];
+    }
+
+    /**
+     * Roll a trade into the forming candle of every interval
+     * Returns the updated candles; trades older than the forming candle are ignored
+     */
+    addTrade(symbol, trade) {
+        const updated = [];
+
+        for (const interval of Object.keys(INTERVALS)) {
+            const key = `${symbol}:${interval}`;
+            const openTime = this.getOpenTime(trade.timestamp, interval);
+            let candle = this.forming.get(key);
+
+            if (candle && openTime < candle.openTime) {
+                continue;
+            }
+
+            if (!candle || openTime > candle.openTime) {
+                candle = {
+                    symbol,
+                    interval,
+                    openTime,
+                    closeTime: openTime + INTERVALS[interval] - 1,
+                    open: trade.price,
+                    high: trade.price,
+                    low: trade.price,
+                    close: trade.price,
+                    volume: 0,
+                    quoteVolume: 0,
+                    trades: 0
+                };
+                this.forming.set(key, candle);
+            }
+
+            candle.high = Math.max(candle.high, trade.price);
+            candle.low = Math.min(candle.low, trade.price);
+            candle.close = trade.price;
+            candle.volume = parseFloat((candle.volume + trade.quantity).toFixed(8));
+            candle.quoteVolume = parseFloat((candle.quoteVolume + trade.price * trade.quantity).toFixed(8));
+            candle.trades += 1;
+
+            updated.push({ ...candle });
+        }
+
+        return updated;
+    }
+
+    /**
+     * Get the forming candles for a symbol
+     */
+    getForming(symbol) {
+        return Object.keys(INTERVALS)
+            .map(interval => this.forming.get(`${symbol}:${interval}`))
+            .filter(Boolean)
+            .map(candle => ({ ...candle }));
+    }
+
+    /**
+     * Seed forming candles from persisted state so a restart continues them
+     */
+    restore(candles) {
+        for (const candle of candles) {
+            const key = `${candle.symbol}:${candle.interval}`;
+            const current = this.forming.get(key);
+
+            if (!current || candle.openTime > current.openTime) {
+                this.forming.set(key, { ...candle });
+            }
+        }
+    }
+
+    /**
+     * Clear all forming candles
+     */
+    reset() {
+        this.forming.clear();
+    }
+}
+
+// Export singleton instance
+const candleService = new CandleService();
+
+module.exports = candleService;
+module.exports.CandleService = CandleService;
+module.exports.INTERVALS = INTERVALS;
@@ -0,0 +1,146 @@
+/**
+ * Circuit Breaker for CLOB Trading Platform
+ * Watches each market's trade prices and halts the market for a while when
+ * the price moves too far within a rolling window. Thresholds have platform
+ * defaults and optional per-market overrides
+ */
+
+const marketRegistry = require('./MarketRegistry');
+const { MARKET_STATUS } = require('./MarketRegistry');
+
+// Halt for 5 minutes when the price moves 10% within 5 minutes
+const DEFAULT_BREAKER = {
+    movePct: 10,
+    windowMs: 5 * 60 * 1000,
+    haltMs: 5 * 60 * 1000
+};
+
+/**
+ * Create an error carrying a structured error code
+ */
+function breakerError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.markets = options.markets || null;  // MarketRegistry holding market status
+        this.history = new Map();  // symbol -> [{ price, timestamp }] within the window
+        this.configure(options.config || {});
+    }
+
+    /**
+     * Validate breaker settings, all of which must be positive numbers
+     */
+    buildSettings(settings, label) {
+        const built = {};
+        for (const [name, value] of Object.entries(settings)) {
+            if (!(name in DEFAULT_BREAKER)) {
+                throw breakerError('E_INVALID_CIRCUIT_BREAKER', `${label} has unknown setting ${name}`);
+            }
+            if (!(Number.isFinite(Number(value)) && Number(value) > 0)) {
+                throw breakerError('E_INVALID_CIRCUIT_BREAKER', `${label} ${name} must be a positive number`);
+            }
+            built[name] = Number(value);
+        }
+        return built;
+    }
+
+    /**
+     * Replace the breaker settings: { ...defaults, markets: { [symbol]: settings } }
+     */
+    configure({ markets = {}, ...defaults }) {
+        const config = {
+            defaults: { ...DEFAULT_BREAKER, ...this.buildSettings(defaults, 'Circuit breaker') },
+            markets: {}
+        };
+        for (const [symbol, settings] of Object.entries(markets)) {
+            config.markets[symbol] = this.buildSettings(settings, symbol);
+        }
+
+        this.config = config;
+        return this.getConfig();
+    }
+
+    /**
+     * Copy of the current settings, shaped like configure's argument
+     */
+    getConfig() {
+        return {
+            ...this.config.defaults,
+            markets: Object.fromEntries(
+                Object.entries(this.config.markets).map(([symbol, settings]) => [symbol, { ...settings }])
+            )
+        };
+    }
+
+    /**
+     * Settings that apply to a market
+     */
+    getSettings(symbol) {
+        return { ...this.config.defaults, ...this.config.markets[symbol] };
+    }
+
+    /**
+     * Add trade prices to a market's window and halt it if they moved too far
+     * Returns the halted market, or null
+     */
+    recordTrades(symbol, trades = []) {
+        for (const trade of trades) {
+            const halted = this.recordPrice(symbol, trade.price, trade.timestamp);
+            if (halted) {
+                return halted;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Add one price to a market's window, halting the market when it is more
+     * than movePct away from any price in the window
+     */
+    recordPrice(symbol, price, timestamp = Date.now()) {
+        const market = this.markets ? this.markets.getMarket(symbol) : null;
+        if (!market || market.status !== MARKET_STATUS.OPEN) {
+            return null;
+        }
+
+        const { movePct, windowMs, haltMs } = this.getSettings(symbol);
+        const window = (this.history.get(symbol) || []).filter(point => point.timestamp > timestamp - windowMs);
+        window.push({ price, timestamp });
+        this.history.set(symbol, window);
+
+        const prices = window.map(point => point.price);
+        const low = Math.min(...prices);
+        const high = Math.max(...prices);
+        const move = Math.max(price / low - 1, 1 - price / high) * 100;
+        if (move < movePct) {
+            return null;
+        }
+
+        console.log(`🚨 Circuit breaker on ${symbol}: ${move.toFixed(2)}% move within ${windowMs / 1000}s`);
+
+        // The window starts afresh when trading resumes
+        this.history.delete(symbol);
+        return this.markets.setMarketStatus(symbol, MARKET_STATUS.CLOSED, {
+            reason: 'circuit_breaker',
+            until: timestamp + haltMs
+        });
+    }
+
+    /**
+     * Drop all price windows (used by tests and resets)
+     */
+    reset() {
+        this.history.clear();
+    }
+}
+
+// Export singleton instance
+const circuitBreaker = new CircuitBreaker({ markets: marketRegistry });
+
+module.exports = circuitBreaker;
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.DEFAULT_BREAKER = DEFAULT_BREAKER;
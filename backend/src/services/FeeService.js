@@ -0,0 +1,279 @@
+/**
+ * Fee Service for CLOB Trading Platform
+ * Maker/taker fee schedule in basis points, tiered by each account's 30-day
+ * quote volume, with optional per-market tier tables. A negative maker rate
+ * is a rebate. Fees are charged on the asset each side receives at fill time
+ */
+
+const marketRegistry = require('./MarketRegistry');
+
+// Default tiers by 30-day quote volume; the base taker rate matches ClobCore's fee_rate of 30
+const DEFAULT_TIERS = [
+    { minVolume: 0, makerBps: 10, takerBps: 30 },
+    { minVolume: 100000, makerBps: 5, takerBps: 25 },
+    { minVolume: 1000000, makerBps: 0, takerBps: 20 },
+    { minVolume: 10000000, makerBps: -2, takerBps: 15 }
+];
+
+// Volume window that decides an account's tier, counted in whole days
+const DAY = 24 * 60 * 60 * 1000;
+const VOLUME_WINDOW_DAYS = 30;
+
+// Decimal places kept for fee amounts, matching the ledger
+const PRECISION = 8;
+
+/**
+ * Round a numeric value to the fee precision
+ */
+function normalize(value) {
+    const factor = Math.pow(10, PRECISION);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Create an error carrying a structured error code
+ */
+function feeError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class FeeService {
+    constructor(options = {}) {
+        this.markets = options.markets || null;  // optional MarketRegistry for base/quote assets
+        this.volumes = new Map();  // address -> Map<dayStart, quote volume>
+        this.configure(options.schedule || { tiers: DEFAULT_TIERS });
+    }
+
+    /**
+     * Validate a tier table: ascending volumes starting at 0, and no maker
+     * rebate larger than the taker fee it is paid from
+     */
+    buildTiers(tiers, label) {
+        if (!Array.isArray(tiers) || tiers.length === 0) {
+            throw feeError('E_INVALID_FEE_SCHEDULE', `${label} needs at least one tier`);
+        }
+
+        const built = tiers.map(tier => ({
+            minVolume: Number(tier.minVolume),
+            makerBps: Number(tier.makerBps),
+            takerBps: Number(tier.takerBps)
+        }));
+
+        built.forEach((tier, index) => {
+            if (!Number.isFinite(tier.minVolume) || tier.minVolume < 0
+                || (index === 0 ? tier.minVolume !== 0 : tier.minVolume <= built[index - 1].minVolume)) {
+                throw feeError('E_INVALID_FEE_SCHEDULE', `${label} tiers must start at 0 and ascend by minVolume`);
+            }
+            if (!Number.isFinite(tier.takerBps) || tier.takerBps < 0 || tier.takerBps > 1000) {
+                throw feeError('E_INVALID_FEE_SCHEDULE', `${label} taker rate must be between 0 and 1000 bps`);
+            }
+            if (!Number.isFinite(tier.makerBps) || tier.makerBps > 1000 || tier.makerBps < -tier.takerBps) {
+                throw feeError('E_INVALID_FEE_SCHEDULE', `${label} maker rebate cannot exceed the taker fee`);
+            }
+        });
+
+        return built;
+    }
+
+    /**
+     * Replace the fee schedule: { tiers, markets: { [symbol]: tiers } }
+     */
+    configure({ tiers, markets = {} }) {
+        const schedule = {
+            tiers: this.buildTiers(tiers, 'Default schedule'),
+            markets: {}
+        };
+        for (const [symbol, marketTiers] of Object.entries(markets)) {
+            schedule.markets[symbol] = this.buildTiers(marketTiers, symbol);
+        }
+
+        this.schedule = schedule;
+        console.log(`💸 Fee schedule set: ${schedule.tiers.length} tiers, ${Object.keys(schedule.markets).length} market overrides`);
+
+        return this.getSchedule();
+    }
+
+    /**
+     * Copy of the current fee schedule
+     */
+    getSchedule() {
+        const copy = tiers => tiers.map(tier => ({ ...tier }));
+        return {
+            tiers: copy(this.schedule.tiers),
+            markets: Object.fromEntries(
+                Object.entries(this.schedule.markets).map(([symbol, tiers]) => [symbol, copy(tiers)])
+            )
+        };
+    }
+
+    /**
+     * Tier table that applies to a market
+     */
+    getTiers(symbol) {
+        return this.schedule.markets[symbol] || this.schedule.tiers;
+    }
+
+    /**
+     * Quote volume an account traded over the last 30 days
+     */
+    getVolume(address, now = Date.now()) {
+        const days = this.volumes.get(address);
+        if (!days) {
+            return 0;
+        }
+
+        const since = Math.floor(now / DAY) * DAY - (VOLUME_WINDOW_DAYS - 1) * DAY;
+        let volume = 0;
+        for (const [dayStart, amount] of days) {
+            if (dayStart >= since) {
+                volume += amount;
+            } else {
+                days.delete(dayStart);
+            }
+        }
+        return normalize(volume);
+    }
+
+    /**
+     * Add traded quote volume to an account's day bucket
+     */
+    recordVolume(address, quoteAmount, timestamp = Date.now()) {
+        if (!this.volumes.has(address)) {
+            this.volumes.set(address, new Map());
+        }
+        const days = this.volumes.get(address);
+        const dayStart = Math.floor(timestamp / DAY) * DAY;
+        days.set(dayStart, normalize((days.get(dayStart) || 0) + quoteAmount));
+    }
+
+    /**
+     * Index of the tier an account's 30-day volume reaches in a market
+     */
+    getTierIndex(address, symbol, now = Date.now()) {
+        const tiers = this.getTiers(symbol);
+        const volume = this.getVolume(address, now);
+
+        let index = 0;
+        while (index + 1 < tiers.length && volume >= tiers[index + 1].minVolume) {
+            index++;
+        }
+        return index;
+    }
+
+    /**
+     * An account's rates in a market, its volume and what the next tier needs
+     */
+    getUserFees(address, symbol, now = Date.now()) {
+        const tiers = this.getTiers(symbol);
+        const index = this.getTierIndex(address, symbol, now);
+        const volume30d = this.getVolume(address, now);
+        const next = tiers[index + 1];
+
+        return {
+            address,
+            symbol,
+            volume30d,
+            tier: index + 1,
+            makerBps: tiers[index].makerBps,
+            takerBps: tiers[index].takerBps,
+            nextTier: next ? { ...next, tier: index + 2, volumeNeeded: normalize(next.minVolume - volume30d) } : null,
+            tiers: tiers.map(tier => ({ ...tier }))
+        };
+    }
+
+    /**
+     * Base and quote asset of a market
+     */
+    getAssets(symbol) {
+        const market = this.markets ? this.markets.getMarket(symbol) : null;
+        if (market) {
+            return { base: market.baseAsset, quote: market.quoteAsset };
+        }
+        const [base, quote] = symbol.split('-');
+        return { base, quote };
+    }
+
+    /**
+     * Fee on one side of a fill, in the asset that side receives:
+     * a buyer pays in base, a seller in quote
+     */
+    getFee(side, bps, trade) {
+        const { base, quote } = this.getAssets(trade.symbol);
+        const received = side === 'buy' ? trade.quantity : normalize(trade.price * trade.quantity);
+
+        return {
+            bps,
+            asset: side === 'buy' ? base : quote,
+            amount: normalize(received * bps / 10000)
+        };
+    }
+
+    /**
+     * Work out the maker and taker fees of a fill at the accounts' current tiers
+     * `trade` is { symbol, price, quantity, side (taker side), maker, taker, timestamp }
+     */
+    chargeTrade(trade) {
+        const tiers = this.getTiers(trade.symbol);
+        const makerSide = trade.side === 'buy' ? 'sell' : 'buy';
+        return {
+            maker: this.getFee(makerSide, tiers[this.getTierIndex(trade.maker, trade.symbol, trade.timestamp)].makerBps, trade),
+            taker: this.getFee(trade.side, tiers[this.getTierIndex(trade.taker, trade.symbol, trade.timestamp)].takerBps, trade)
+        };
+    }
+
+    /**
+     * Add a settled fill to both accounts' volume
+     */
+    recordTrade(trade) {
+        const quoteAmount = normalize(trade.price * trade.quantity);
+        this.recordVolume(trade.maker, quoteAmount, trade.timestamp);
+        this.recordVolume(trade.taker, quoteAmount, trade.timestamp);
+    }
+
+    /**
+     * Daily volumes of every account, persisted with ledger snapshots since
+     * the trade entries they were counted from are compacted away
+     */
+    getVolumeSnapshot() {
+        return Array.from(this.volumes.entries(), ([address, days]) => [address, Array.from(days.entries())]);
+    }
+
+    /**
+     * Rebuild 30-day volumes from a volume snapshot and the ledger's trade
+     * entries after it
+     */
+    restore(entries = [], now = Date.now(), volumes = []) {
+        this.volumes.clear();
+        volumes.forEach(([address, days]) => this.volumes.set(address, new Map(days)));
+
+        const since = now - VOLUME_WINDOW_DAYS * DAY;
+        let restored = 0;
+        for (const entry of entries) {
+            if (entry.type !== 'trade' || entry.timestamp < since || !entry.ref.quoteAmount) {
+                continue;
+            }
+            this.recordVolume(entry.ref.buyer, entry.ref.quoteAmount, entry.timestamp);
+            this.recordVolume(entry.ref.seller, entry.ref.quoteAmount, entry.timestamp);
+            restored++;
+        }
+
+        console.log(`♻️  Restored 30-day volume from ${restored} trades`);
+    }
+
+    /**
+     * Drop all volume history (used by tests and resets)
+     */
+    reset() {
+        this.volumes.clear();
+    }
+}
+
+// Export singleton instance
+const feeService = new FeeService({ markets: marketRegistry });
+
+module.exports = feeService;
+module.exports.FeeService = FeeService;
+module.exports.DEFAULT_TIERS = DEFAULT_TIERS;
+module.exports.VOLUME_WINDOW_DAYS = VOLUME_WINDOW_DAYS;
@@ -0,0 +1,393 @@
+/**
+ * Liquidation Service for CLOB Trading Platform
+ * Off-chain mirror of LiquidationGuard.move: a margin position borrows quote
+ * against base collateral, and once its collateral ratio falls below the
+ * liquidation threshold it is partly liquidated with a penalty, at most
+ * MAX_LIQUIDATION_RATIO of its debt at a time and once per cooldown.
+ * Positions are rescanned on every mark price update of their market, and
+ * close once their owner repays the debt
+ */
+
+const EventEmitter = require('events');
+const ledgerService = require('./LedgerService');
+const { MARGIN } = require('./LedgerService');
+
+// LiquidationGuard.move constants; ratios are percentages, times are in ms
+const LIQUIDATION_SETTINGS = {
+    liquidationThreshold: 120,           // LIQUIDATION_THRESHOLD: 120% collateral ratio
+    liquidationPenalty: 10,              // LIQUIDATION_PENALTY: 10% more collateral seized
+    maxLiquidationRatio: 50,             // MAX_LIQUIDATION_RATIO: at most 50% of the debt at once
+    liquidationCooldownMs: 300 * 1000,   // LIQUIDATION_COOLDOWN
+    priceStalenessMs: 600 * 1000         // PRICE_STALENESS_THRESHOLD
+};
+
+// Ratio of a position without debt, as calculate_collateralization_ratio returns
+const NO_DEBT_RATIO = 10000;
+
+// Positions within this many ratio points of the threshold are shown as at risk
+const AT_RISK_BUFFER = 30;
+
+// Decimal places kept for amounts, matching the ledger
+const PRECISION = 8;
+
+/**
+ * Round a numeric value to the liquidation precision
+ */
+function normalize(value) {
+    const factor = Math.pow(10, PRECISION);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Round a numeric value down to the liquidation precision
+ */
+function floorToPrecision(value) {
+    const factor = Math.pow(10, PRECISION);
+    return Math.floor(value * factor) / factor;
+}
+
+/**
+ * Create an error carrying a LiquidationGuard.move error code
+ */
+function liquidationError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Collateral value over debt, in percent (calculate_collateralization_ratio)
+ */
+function collateralRatio(collateral, debt, price) {
+    if (debt === 0) {
+        return NO_DEBT_RATIO;
+    }
+    return normalize(collateral * price * 100 / debt);
+}
+
+/**
+ * Collateral to seize for repaying `amount` of debt, penalty included
+ * (calculate_liquidation_collateral)
+ */
+function liquidationCollateral(amount, price, penalty) {
+    const base = amount / price;
+    return normalize(base + base * penalty / 100);
+}
+
+class LiquidationService extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.ledger = options.ledger || null;  // LedgerService holding collateral and loans
+        this.settings = { ...LIQUIDATION_SETTINGS, ...options.settings };
+        this.positions = new Map();  // position id -> position
+        this.prices = new Map();     // symbol -> { price, updatedAt }
+        this.nextPositionId = 1;
+    }
+
+    /**
+     * An account's position in a market, if it has one
+     */
+    findPosition(address, symbol) {
+        for (const position of this.positions.values()) {
+            if (position.address === address && position.symbol === symbol) {
+                return position;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Latest mark price of a market, or null
+     */
+    getPrice(symbol) {
+        return this.prices.get(symbol) || null;
+    }
+
+    /**
+     * Mark price of a market, which must be fresh to value positions
+     */
+    getFreshPrice(symbol, now = Date.now()) {
+        const feed = this.getPrice(symbol);
+        if (!feed || feed.updatedAt + this.settings.priceStalenessMs <= now) {
+            throw liquidationError('E_INVALID_PRICE_FEED', `No recent mark price for ${symbol}`);
+        }
+        return feed.price;
+    }
+
+    /**
+     * Time left before a position may be liquidated again
+     */
+    getCooldownRemaining(position, now = Date.now()) {
+        return Math.max(0, position.lastLiquidationTime + this.settings.liquidationCooldownMs - now);
+    }
+
+    /**
+     * Whether a position can be liquidated now (is_position_liquidatable)
+     */
+    isLiquidatable(position, now = Date.now()) {
+        if (this.getCooldownRemaining(position, now) > 0) {
+            return false;
+        }
+
+        let price;
+        try {
+            price = this.getFreshPrice(position.symbol, now);
+        } catch (error) {
+            return false;
+        }
+        return collateralRatio(position.collateral, position.debt, price) < this.settings.liquidationThreshold;
+    }
+
+    /**
+     * Open a margin position (create_position), which must start above the
+     * liquidation threshold at the current mark price
+     */
+    openPosition({ address, symbol, collateral, debt }, now = Date.now()) {
+        if (!(collateral > 0)) {
+            throw liquidationError('E_INSUFFICIENT_COLLATERAL', 'Collateral must be positive');
+        }
+        if (this.findPosition(address, symbol)) {
+            throw liquidationError('E_POSITION_EXISTS', `${address} already has a ${symbol} position`);
+        }
+
+        const price = this.getFreshPrice(symbol, now);
+        const ratio = collateralRatio(collateral, debt, price);
+        if (ratio < this.settings.liquidationThreshold) {
+            throw liquidationError('E_INSUFFICIENT_COLLATERAL',
+                `Collateral ratio ${ratio}% is below the ${this.settings.liquidationThreshold}% liquidation threshold`);
+        }
+
+        const position = {
+            id: this.nextPositionId,
+            address,
+            symbol,
+            collateral: normalize(collateral),
+            debt: normalize(debt),
+            lastLiquidationTime: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+        if (this.ledger) {
+            this.ledger.openPosition(position);
+        }
+
+        this.nextPositionId += 1;
+        this.positions.set(position.id, position);
+        this.emit('position', { ...position });
+
+        console.log(`🏦 Position ${position.id} opened: ${address} ${symbol} ${position.collateral} collateral, ${position.debt} debt`);
+        return this.describePosition(position, now);
+    }
+
+    /**
+     * Repay `amount` of a position's debt (all of it by default). Paying off
+     * the debt closes the position: its collateral goes back to the owner
+     * and the account may open a new position in the market
+     * Returns the position as left, with `closed` set once it is gone
+     */
+    repayPosition(positionId, address, amount = null, now = Date.now()) {
+        const position = this.positions.get(positionId);
+        if (!position) {
+            throw liquidationError('E_POSITION_NOT_FOUND', `Position ${positionId} not found`);
+        }
+        if (position.address !== address) {
+            throw liquidationError('E_UNAUTHORIZED', 'Position belongs to another account');
+        }
+
+        const repaid = amount === null ? position.debt : normalize(amount);
+        if (repaid < 0 || repaid > position.debt || (repaid === 0 && position.debt > 0)) {
+            throw liquidationError('E_INVALID_REPAYMENT', `Repayments are more than 0 and at most the ${position.debt} debt`);
+        }
+
+        const closed = repaid === position.debt;
+        const released = closed ? position.collateral : 0;
+        if (this.ledger) {
+            this.ledger.repayPosition(position, repaid, released);
+        }
+        position.debt = normalize(position.debt - repaid);
+        position.collateral = normalize(position.collateral - released);
+        position.updatedAt = now;
+
+        if (closed) {
+            this.positions.delete(positionId);
+            this.emit('closed', { ...position });
+        } else {
+            this.emit('position', { ...position });
+        }
+
+        console.log(`💸 Position ${positionId} repaid ${repaid}${closed ? `, closed returning ${released} collateral` : ''}`);
+        return { ...this.describePosition(position, now), closed };
+    }
+
+    /**
+     * Largest liquidation allowed now: MAX_LIQUIDATION_RATIO of the debt, or
+     * less when the collateral cannot cover that amount plus the penalty
+     */
+    getLiquidationAmount(position, price) {
+        const { maxLiquidationRatio, liquidationPenalty } = this.settings;
+        const maxAmount = normalize(position.debt * maxLiquidationRatio / 100);
+        const covered = floorToPrecision(position.collateral * price / (1 + liquidationPenalty / 100));
+        return Math.min(maxAmount, covered);
+    }
+
+    /**
+     * Repay `amount` of a position's debt by seizing its collateral with the
+     * penalty (liquidate_position), with the same checks as the contract
+     */
+    liquidate(positionId, amount, liquidator = MARGIN, now = Date.now()) {
+        const position = this.positions.get(positionId);
+        if (!position) {
+            throw liquidationError('E_POSITION_NOT_FOUND', `Position ${positionId} not found`);
+        }
+        if (!this.isLiquidatable(position, now)) {
+            throw liquidationError('E_POSITION_NOT_LIQUIDATABLE', `Position ${positionId} cannot be liquidated now`);
+        }
+
+        const { maxLiquidationRatio, liquidationPenalty } = this.settings;
+        if (!(amount > 0) || amount > normalize(position.debt * maxLiquidationRatio / 100)) {
+            throw liquidationError('E_LIQUIDATION_TOO_LARGE',
+                `Liquidations repay more than 0 and at most ${maxLiquidationRatio}% of the debt`);
+        }
+
+        const price = this.getFreshPrice(position.symbol, now);
+        const seized = liquidationCollateral(amount, price, liquidationPenalty);
+        if (seized > position.collateral) {
+            throw liquidationError('E_INSUFFICIENT_COLLATERAL', `Position ${positionId} has only ${position.collateral} collateral`);
+        }
+
+        if (this.ledger) {
+            this.ledger.seizeCollateral(position, seized);
+        }
+        position.debt = normalize(position.debt - amount);
+        position.collateral = normalize(position.collateral - seized);
+        position.lastLiquidationTime = now;
+        position.updatedAt = now;
+
+        // Shaped like LiquidationGuard's LiquidationEvent
+        const liquidation = {
+            liquidator,
+            liquidatedUser: position.address,
+            positionId,
+            symbol: position.symbol,
+            liquidatedAmount: normalize(amount),
+            collateralSeized: seized,
+            price,
+            timestamp: now,
+            position: this.describePosition(position, now)
+        };
+
+        console.log(`💥 Position ${positionId} liquidated: ${liquidation.liquidatedAmount} repaid, ${seized} collateral seized at ${price}`);
+        this.emit('position', { ...position });
+        this.emit('liquidation', liquidation);
+        return liquidation;
+    }
+
+    /**
+     * Record a market's mark price and liquidate the positions it puts below
+     * the threshold. Returns the liquidations made
+     */
+    updatePrice(symbol, price, now = Date.now()) {
+        this.prices.set(symbol, { price, updatedAt: now });
+
+        const liquidations = [];
+        for (const position of this.positions.values()) {
+            if (position.symbol !== symbol || !this.isLiquidatable(position, now)) {
+                continue;
+            }
+
+            const amount = this.getLiquidationAmount(position, price);
+            if (amount <= 0) {
+                continue;
+            }
+            try {
+                liquidations.push(this.liquidate(position.id, amount, MARGIN, now));
+            } catch (error) {
+                console.log(`⛔ Position ${position.id} could not be liquidated: ${error.code || error.message}`);
+            }
+        }
+        return liquidations;
+    }
+
+    /**
+     * A position with its health at the latest mark price: collateral ratio,
+     * the price it would be liquidated at and how far away that is, and the
+     * cooldown left. Health is unknown while the price is missing or stale
+     */
+    describePosition(position, now = Date.now()) {
+        const { liquidationThreshold, priceStalenessMs } = this.settings;
+        const feed = this.getPrice(position.symbol);
+        const priceStale = !feed || feed.updatedAt + priceStalenessMs <= now;
+        const price = feed ? feed.price : null;
+
+        const collateralValue = price !== null ? normalize(position.collateral * price) : null;
+        const ratio = price !== null ? collateralRatio(position.collateral, position.debt, price) : null;
+        const liquidationPrice = position.debt > 0 && position.collateral > 0
+            ? normalize(liquidationThreshold * position.debt / (100 * position.collateral))
+            : null;
+        const distanceToLiquidation = price && liquidationPrice !== null
+            ? normalize((price - liquidationPrice) / price * 100)
+            : null;
+
+        let health = 'safe';
+        if (priceStale) {
+            health = 'unknown';
+        } else if (ratio < liquidationThreshold) {
+            health = 'liquidatable';
+        } else if (ratio < liquidationThreshold + AT_RISK_BUFFER) {
+            health = 'at_risk';
+        }
+
+        return {
+            ...position,
+            price,
+            priceUpdatedAt: feed ? feed.updatedAt : null,
+            priceStale,
+            collateralValue,
+            collateralRatio: ratio,
+            liquidationThreshold,
+            liquidationPrice,
+            distanceToLiquidation,
+            cooldownRemainingMs: this.getCooldownRemaining(position, now),
+            health
+        };
+    }
+
+    /**
+     * An account's positions with their health
+     */
+    getUserPositions(address, now = Date.now()) {
+        return Array.from(this.positions.values())
+            .filter(position => position.address === address)
+            .map(position => this.describePosition(position, now));
+    }
+
+    /**
+     * Load saved positions
+     */
+    load(positions = []) {
+        this.positions.clear();
+        for (const position of positions) {
+            this.positions.set(position.id, { ...position });
+            this.nextPositionId = Math.max(this.nextPositionId, position.id + 1);
+        }
+        console.log(`♻️  Loaded ${positions.length} margin positions`);
+    }
+
+    /**
+     * Drop all positions and prices (used by tests and resets)
+     */
+    reset() {
+        this.positions.clear();
+        this.prices.clear();
+        this.nextPositionId = 1;
+    }
+}
+
+// Export singleton instance
+const liquidationService = new LiquidationService({ ledger: ledgerService });
+
+module.exports = liquidationService;
+module.exports.LiquidationService = LiquidationService;
+module.exports.LIQUIDATION_SETTINGS = LIQUIDATION_SETTINGS;
+module.exports.collateralRatio = collateralRatio;
+module.exports.liquidationCollateral = liquidationCollateral;
@@ -0,0 +1,239 @@
+/**
+ * Market Registry for CLOB Trading Platform
+ * Holds per-market trading parameters, mirroring GlobalMarketData
+ * (min/max order size) and the open/closed flag set by set_market_status,
+ * plus a cancel-only mode and timed halts. Emits `status` on every change
+ */
+
+const EventEmitter = require('events');
+
+// Open markets trade; cancel-only markets accept cancels but no new orders or
+// amends; closed (halted) markets freeze the book until resumed
+const MARKET_STATUS = {
+    OPEN: 'open',
+    CANCEL_ONLY: 'cancel_only',
+    CLOSED: 'closed'
+};
+
+// Markets available out of the box
+const DEFAULT_MARKETS = [
+    {
+        symbol: 'APT-USDC',
+        baseAsset: 'APT',
+        quoteAsset: 'USDC',
+        tickSize: 0.0001,
+        lotSize: 0.001,
+        minOrderSize: 0.001,
+        maxOrderSize: 1000000
+    },
+    {
+        symbol: 'APT-USDT',
+        baseAsset: 'APT',
+        quoteAsset: 'USDT',
+        tickSize: 0.0001,
+        lotSize: 0.001,
+        minOrderSize: 0.001,
+        maxOrderSize: 1000000
+    }
+];
+
+const SYMBOL_PATTERN = /^[A-Z0-9]{2,10}-[A-Z0-9]{2,10}$/;
+
+/**
+ * Create an error carrying a ClobCore.move error code
+ */
+function marketError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Check that value is a whole multiple of step (within float tolerance)
+ */
+function isMultipleOf(value, step) {
+    const ratio = value / step;
+    return Math.abs(ratio - Math.round(ratio)) < 1e-6;
+}
+
+class MarketRegistry extends EventEmitter {
+    constructor() {
+        super();
+        this.markets = new Map();
+        DEFAULT_MARKETS.forEach(market => this.markets.set(market.symbol, this.buildMarket(market)));
+    }
+
+    /**
+     * Normalise and validate market parameters
+     */
+    buildMarket(params) {
+        const symbol = String(params.symbol || '').toUpperCase();
+        if (!SYMBOL_PATTERN.test(symbol)) {
+            throw marketError('E_INVALID_MARKET', `Invalid market symbol: ${params.symbol}`);
+        }
+
+        const [baseAsset, quoteAsset] = symbol.split('-');
+        const market = {
+            symbol,
+            baseAsset: params.baseAsset || baseAsset,
+            quoteAsset: params.quoteAsset || quoteAsset,
+            tickSize: Number(params.tickSize),
+            lotSize: Number(params.lotSize),
+            minOrderSize: Number(params.minOrderSize),
+            maxOrderSize: Number(params.maxOrderSize),
+            status: params.status || MARKET_STATUS.OPEN,
+            statusReason: params.statusReason || null,  // 'manual' or 'circuit_breaker' while not open
+            haltedUntil: params.haltedUntil || null,    // time a timed halt or cancel-only period ends
+            createdAt: params.createdAt || Date.now(),
+            updatedAt: params.updatedAt || Date.now()
+        };
+
+        for (const field of ['tickSize', 'lotSize', 'minOrderSize', 'maxOrderSize']) {
+            if (!(Number.isFinite(market[field]) && market[field] > 0)) {
+                throw marketError('E_INVALID_MARKET', `Invalid ${field}`);
+            }
+        }
+        if (market.minOrderSize > market.maxOrderSize) {
+            throw marketError('E_INVALID_MARKET', 'minOrderSize exceeds maxOrderSize');
+        }
+        if (!Object.values(MARKET_STATUS).includes(market.status)) {
+            throw marketError('E_INVALID_MARKET', `Invalid market status: ${market.status}`);
+        }
+
+        return market;
+    }
+
+    /**
+     * List all markets
+     */
+    listMarkets() {
+        return Array.from(this.markets.values()).map(market => ({ ...market }));
+    }
+
+    /**
+     * Get a market by symbol
+     */
+    getMarket(symbol) {
+        const market = this.markets.get(symbol);
+        return market ? { ...market } : null;
+    }
+
+    /**
+     * Register a new market
+     */
+    createMarket(params) {
+        const market = this.buildMarket(params);
+        if (this.markets.has(market.symbol)) {
+            throw marketError('E_MARKET_EXISTS', `Market ${market.symbol} already exists`);
+        }
+
+        this.markets.set(market.symbol, market);
+        console.log(`🏪 Market ${market.symbol} created`);
+
+        return { ...market };
+    }
+
+    /**
+     * Change a market's status, like ClobCore::set_market_status
+     * `status` is a MARKET_STATUS value, or true/false for open/closed;
+     * a halt or cancel-only period with `until` ends by itself at that time
+     */
+    setMarketStatus(symbol, status, { reason = 'manual', until = null } = {}) {
+        const market = this.markets.get(symbol);
+        if (!market) {
+            throw marketError('E_MARKET_NOT_FOUND', `Market ${symbol} not found`);
+        }
+        if (typeof status === 'boolean') {
+            status = status ? MARKET_STATUS.OPEN : MARKET_STATUS.CLOSED;
+        }
+        if (!Object.values(MARKET_STATUS).includes(status)) {
+            throw marketError('E_INVALID_MARKET', `Invalid market status: ${status}`);
+        }
+
+        const open = status === MARKET_STATUS.OPEN;
+        Object.assign(market, {
+            status,
+            statusReason: open ? null : reason,
+            haltedUntil: open ? null : until,
+            updatedAt: Date.now()
+        });
+        console.log(`${open ? '▶️' : '⏸️'}  Market ${symbol} ${status}${open ? '' : ` (${reason}${until ? ` until ${new Date(until).toISOString()}` : ''})`}`);
+
+        this.emit('status', { ...market });
+        return { ...market };
+    }
+
+    /**
+     * Reopen markets whose timed halt or cancel-only period is over
+     * Returns the reopened markets
+     */
+    resumeExpired(now = Date.now()) {
+        return Array.from(this.markets.values())
+            .filter(market => market.haltedUntil !== null && market.haltedUntil <= now)
+            .map(market => this.setMarketStatus(market.symbol, MARKET_STATUS.OPEN));
+    }
+
+    /**
+     * Check an order against the market's status, tick, lot and size limits
+     */
+    validateOrder({ symbol, type, price, quantity, stopPrice = null, trailingOffset = null }) {
+        const market = this.markets.get(symbol);
+        if (!market) {
+            throw marketError('E_MARKET_NOT_FOUND', `Market ${symbol} not found`);
+        }
+        if (market.status === MARKET_STATUS.CANCEL_ONLY) {
+            throw marketError('E_MARKET_CANCEL_ONLY', `Market ${symbol} only accepts cancels`);
+        }
+        if (market.status !== MARKET_STATUS.OPEN) {
+            throw marketError('E_MARKET_CLOSED', `Market ${symbol} is closed`);
+        }
+        if (type === 'limit' && !isMultipleOf(price, market.tickSize)) {
+            throw marketError('E_INVALID_PRICE', `Price must be a multiple of tick size ${market.tickSize}`);
+        }
+        for (const [label, value] of [['Stop price', stopPrice], ['Trailing offset', trailingOffset]]) {
+            if (value !== null && value !== undefined && !isMultipleOf(value, market.tickSize)) {
+                throw marketError('E_INVALID_PRICE', `${label} must be a multiple of tick size ${market.tickSize}`);
+            }
+        }
+        if (!isMultipleOf(quantity, market.lotSize)) {
+            throw marketError('E_INVALID_QUANTITY', `Quantity must be a multiple of lot size ${market.lotSize}`);
+        }
+        if (quantity < market.minOrderSize || quantity > market.maxOrderSize) {
+            throw marketError(
+                'E_INVALID_QUANTITY',
+                `Quantity must be between ${market.minOrderSize} and ${market.maxOrderSize}`
+            );
+        }
+    }
+
+    /**
+     * Check that orders in a market can be cancelled: anywhere but a halted market
+     */
+    validateCancel(symbol) {
+        const market = this.markets.get(symbol);
+        if (market && market.status === MARKET_STATUS.CLOSED) {
+            throw marketError('E_MARKET_CLOSED', `Market ${symbol} is halted; orders cannot be cancelled until it resumes`);
+        }
+    }
+
+    /**
+     * Replace registry contents with persisted markets
+     */
+    restore(markets) {
+        if (!markets || markets.length === 0) {
+            return;
+        }
+        this.markets.clear();
+        markets.forEach(market => this.markets.set(market.symbol, this.buildMarket(market)));
+        console.log(`♻️  Restored ${markets.length} markets`);
+    }
+}
+
+// Export singleton instance
+const marketRegistry = new MarketRegistry();
+
+module.exports = marketRegistry;
+module.exports.MarketRegistry = MarketRegistry;
+module.exports.MARKET_STATUS = MARKET_STATUS;
+module.exports.SYMBOL_PATTERN = SYMBOL_PATTERN;
+module.exports.isMultipleOf = isMultipleOf;
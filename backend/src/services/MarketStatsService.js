@@ -0,0 +1,203 @@
+/**
+ * Market Stats Service for CLOB Trading Platform
+ * Keeps a sliding 24h window of trade statistics per symbol, updated
+ * incrementally from the trade stream. Trades are rolled into one-minute
+ * buckets so the window slides minute by minute with bounded memory
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const round = (value) => parseFloat(value.toFixed(8));
+
+class MarketStatsService {
+    constructor(options = {}) {
+        this.window = options.window || DAY;
+        this.bucketSize = options.bucketSize || MINUTE;
+        this.markets = new Map(); // symbol -> { buckets, volume, quoteVolume, trades, lastPrice, markPrice }
+    }
+
+    /**
+     * Get (or create) the rolling state of a symbol
+     */
+    getMarket(symbol) {
+        let market = this.markets.get(symbol);
+        if (!market) {
+            market = {
+                buckets: [],
+                volume: 0,
+                quoteVolume: 0,
+                trades: 0,
+                lastPrice: null,
+                lastTradeTime: 0,
+                markPrice: null,
+                markPriceTime: null
+            };
+            this.markets.set(symbol, market);
+        }
+        return market;
+    }
+
+    /**
+     * Open time of the oldest bucket still inside the window
+     */
+    getWindowStart(now) {
+        return (Math.floor((now - this.window) / this.bucketSize) + 1) * this.bucketSize;
+    }
+
+    /**
+     * Drop buckets that slid out of the window, subtracting them from the totals
+     */
+    evict(market, now) {
+        const windowStart = this.getWindowStart(now);
+
+        while (market.buckets.length > 0 && market.buckets[0].openTime < windowStart) {
+            const bucket = market.buckets.shift();
+            market.volume = round(market.volume - bucket.volume);
+            market.quoteVolume = round(market.quoteVolume - bucket.quoteVolume);
+            market.trades -= bucket.trades;
+        }
+    }
+
+    /**
+     * Find or insert the bucket for an open time, keeping buckets in time order
+     */
+    getBucket(market, openTime, price) {
+        let index = market.buckets.length;
+        while (index > 0 && market.buckets[index - 1].openTime > openTime) {
+            index--;
+        }
+
+        const existing = market.buckets[index - 1];
+        if (existing && existing.openTime === openTime) {
+            return existing;
+        }
+
+        const bucket = { openTime, open: price, high: price, low: price, close: price, volume: 0, quoteVolume: 0, trades: 0 };
+        market.buckets.splice(index, 0, bucket);
+        return bucket;
+    }
+
+    /**
+     * Roll a trade into the window and return the symbol's updated stats
+     * Trades older than the window are ignored
+     */
+    addTrade(symbol, trade, now = Date.now()) {
+        const market = this.getMarket(symbol);
+        this.evict(market, now);
+
+        if (trade.timestamp < this.getWindowStart(now)) {
+            return this.getStats(symbol, now);
+        }
+
+        const openTime = Math.floor(trade.timestamp / this.bucketSize) * this.bucketSize;
+        const bucket = this.getBucket(market, openTime, trade.price);
+        const quoteVolume = trade.price * trade.quantity;
+
+        // A late trade updates its bucket but never the open/close ordering before it
+        if (trade.timestamp >= market.lastTradeTime) {
+            bucket.close = trade.price;
+            market.lastPrice = trade.price;
+            market.lastTradeTime = trade.timestamp;
+        }
+        bucket.high = Math.max(bucket.high, trade.price);
+        bucket.low = Math.min(bucket.low, trade.price);
+        bucket.volume = round(bucket.volume + trade.quantity);
+        bucket.quoteVolume = round(bucket.quoteVolume + quoteVolume);
+        bucket.trades += 1;
+
+        market.volume = round(market.volume + trade.quantity);
+        market.quoteVolume = round(market.quoteVolume + quoteVolume);
+        market.trades += 1;
+
+        return this.getStats(symbol, now);
+    }
+
+    /**
+     * Record the oracle mark price reported alongside the trade statistics
+     */
+    setMarkPrice(symbol, price, timestamp = Date.now()) {
+        const market = this.getMarket(symbol);
+        market.markPrice = price;
+        market.markPriceTime = timestamp;
+        return this.getStats(symbol, timestamp);
+    }
+
+    /**
+     * Current 24h statistics for a symbol
+     * The last price carries over from older trades when the window is empty
+     */
+    getStats(symbol, now = Date.now()) {
+        const market = this.getMarket(symbol);
+        this.evict(market, now);
+
+        const { buckets, lastPrice } = market;
+        const open = buckets.length > 0 ? buckets[0].open : lastPrice;
+        const high = buckets.length > 0 ? Math.max(...buckets.map(bucket => bucket.high)) : lastPrice;
+        const low = buckets.length > 0 ? Math.min(...buckets.map(bucket => bucket.low)) : lastPrice;
+        const priceChange = open && lastPrice !== null ? lastPrice - open : 0;
+
+        return {
+            symbol,
+            lastPrice,
+            markPrice: market.markPrice,
+            markPriceTime: market.markPriceTime,
+            open24h: open,
+            high24h: high,
+            low24h: low,
+            volume24h: market.volume,
+            quoteVolume24h: market.quoteVolume,
+            trades24h: market.trades,
+            vwap24h: market.volume > 0 ? round(market.quoteVolume / market.volume) : null,
+            priceChange24h: round(priceChange),
+            change24h: open ? parseFloat(((priceChange / open) * 100).toFixed(4)) : 0,
+            windowStart: this.getWindowStart(now),
+            timestamp: now
+        };
+    }
+
+    /**
+     * Rebuild windows from persisted one-minute candles
+     */
+    restore(candles, now = Date.now()) {
+        const windowStart = this.getWindowStart(now);
+        const sorted = candles
+            .filter(candle => candle.openTime >= windowStart)
+            .sort((a, b) => a.openTime - b.openTime);
+
+        for (const candle of sorted) {
+            const market = this.getMarket(candle.symbol);
+            const quoteVolume = candle.quoteVolume ?? candle.close * candle.volume;
+            const bucket = this.getBucket(market, candle.openTime, candle.open);
+
+            Object.assign(bucket, {
+                open: candle.open,
+                high: candle.high,
+                low: candle.low,
+                close: candle.close,
+                volume: candle.volume,
+                quoteVolume: round(quoteVolume),
+                trades: candle.trades
+            });
+
+            market.volume = round(market.volume + candle.volume);
+            market.quoteVolume = round(market.quoteVolume + quoteVolume);
+            market.trades += candle.trades;
+            market.lastPrice = candle.close;
+            market.lastTradeTime = candle.openTime;
+        }
+    }
+
+    /**
+     * Clear all windows
+     */
+    reset() {
+        this.markets.clear();
+    }
+}
+
+// Export singleton instance
+const marketStatsService = new MarketStatsService();
+
+module.exports = marketStatsService;
+module.exports.MarketStatsService = MarketStatsService;
@@ -0,0 +1,1343 @@
+/**
+ * Matching Engine for CLOB Trading Platform
+ * In-memory price-time priority order book mirroring the matching rules of
+ * ClobCore.move (limit/market orders, partial fills, self-trade prevention),
+ * locking and settling funds through an optional ledger, charging
+ * maker/taker fees through an optional fee service and running pre-trade
+ * checks through an optional risk service
+ */
+
+const EventEmitter = require('events');
+const marketRegistry = require('./MarketRegistry');
+const { MARKET_STATUS } = require('./MarketRegistry');
+const ledgerService = require('./LedgerService');
+const feeService = require('./FeeService');
+const riskService = require('./RiskService');
+const liquidationService = require('./LiquidationService');
+const priceOracle = require('./PriceOracle');
+const { TriggerBook, TRIGGER_TYPES, TRIGGER_PRICES } = require('./TriggerBook');
+
+// Order sides and statuses, named after the ClobCore.move constants
+const SIDE_BUY = 'buy';
+const SIDE_SELL = 'sell';
+
+const ORDER_TYPES = ['limit', 'market', ...Object.keys(TRIGGER_TYPES)];
+
+// Time in force: good-till-cancelled, immediate-or-cancel, fill-or-kill, good-till-date
+const TIME_IN_FORCE = ['GTC', 'IOC', 'FOK', 'GTD'];
+
+// Order lifecycle: new -> partially_filled -> filled, or ends cancelled/expired;
+// trigger orders wait as untriggered until their stop price is reached;
+// orders failing market rules are recorded as rejected
+const ORDER_STATUS = {
+    UNTRIGGERED: 'untriggered',
+    NEW: 'new',
+    PARTIALLY_FILLED: 'partially_filled',
+    FILLED: 'filled',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired',
+    REJECTED: 'rejected'
+};
+
+// Statuses of orders live in the book, and of orders that can still trade
+const LIVE_STATUSES = [ORDER_STATUS.NEW, ORDER_STATUS.PARTIALLY_FILLED];
+const OPEN_STATUSES = [...LIVE_STATUSES, ORDER_STATUS.UNTRIGGERED];
+
+// Decimal places kept for prices and quantities (avoids float drift on fills)
+const PRECISION = 8;
+
+// Batch actions and size limit, matching ParallelExecution.move's MAX_BATCH_SIZE
+const BATCH_ACTIONS = ['place', 'cancel', 'replace'];
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Round a numeric value to the engine precision
+ */
+function normalize(value) {
+    const factor = Math.pow(10, PRECISION);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Order type an order trades as: trigger orders activate as limit or market
+ */
+function executionType(type) {
+    return TRIGGER_TYPES[type] || type;
+}
+
+/**
+ * Parse an optional numeric parameter
+ */
+function toNumber(value) {
+    return value !== undefined && value !== null ? Number(value) : null;
+}
+
+/**
+ * Copy an order for callers, so later fills do not change it under them
+ */
+function copyOrder(order) {
+    return { ...order, fills: order.fills.map(fill => ({ ...fill })) };
+}
+
+/**
+ * Create an error carrying a ClobCore.move error code
+ */
+function orderError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class MatchingEngine extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.markets = options.markets || null;  // optional MarketRegistry for per-market rules
+        this.ledger = options.ledger || null;    // optional LedgerService locking and settling funds
+        this.fees = options.fees || null;        // optional FeeService charging maker/taker fees
+        this.risk = options.risk || null;        // optional RiskService with pre-trade limits
+        this.liquidations = options.liquidations || null;  // optional LiquidationService valuing margin positions at mark
+        this.oracle = options.oracle || null;    // optional PriceOracle supplying mark prices
+        this.triggers = new TriggerBook();       // untriggered stop, take-profit and trailing orders
+        this.expiries = new Map();               // orderId -> expiresAt of open GTD orders
+        this.books = new Map();   // symbol -> { bids: [PriceLevel], asks: [PriceLevel] }
+        this.orders = new Map();  // orderId -> order, open ones and closed ones not yet persisted
+        this.openOrders = new Map();  // userAddress -> Set of open order ids
+        this.queuedCancels = new Map();  // symbol -> Set of order ids to cancel once the halted market resumes
+        this.nextOrderId = 1;
+        this.nextTradeId = 1;
+    }
+
+    /**
+     * Get (or lazily create) the book for a symbol
+     */
+    getBook(symbol) {
+        if (!this.books.has(symbol)) {
+            this.books.set(symbol, { bids: [], asks: [] });
+        }
+        return this.books.get(symbol);
+    }
+
+    /**
+     * Check whether a symbol has any resting orders
+     */
+    hasLiquidity(symbol) {
+        const book = this.books.get(symbol);
+        return !!book && (book.bids.length > 0 || book.asks.length > 0);
+    }
+
+    /**
+     * Validate the shape of incoming order parameters
+     */
+    validateOrder({ symbol, userAddress, side, type, price, quantity, stopPrice, trailingOffset, triggerBy, timeInForce, postOnly, expiresAt }) {
+        if (!symbol || typeof symbol !== 'string') {
+            throw orderError('E_INVALID_ORDER', 'Trading symbol required');
+        }
+        if (!userAddress || typeof userAddress !== 'string') {
+            throw orderError('E_INVALID_ORDER', 'User address required');
+        }
+        if (side !== SIDE_BUY && side !== SIDE_SELL) {
+            throw orderError('E_INVALID_ORDER', 'Invalid order side');
+        }
+        if (!ORDER_TYPES.includes(type)) {
+            throw orderError('E_INVALID_ORDER', 'Invalid order type');
+        }
+        if (executionType(type) === 'limit' && !(Number.isFinite(price) && price > 0)) {
+            throw orderError('E_INVALID_PRICE', 'Invalid price');
+        }
+        if (!(Number.isFinite(quantity) && quantity > 0)) {
+            throw orderError('E_INVALID_QUANTITY', 'Invalid quantity');
+        }
+        if (!TIME_IN_FORCE.includes(timeInForce)) {
+            throw orderError('E_INVALID_ORDER', 'Invalid time in force');
+        }
+        if (timeInForce === 'GTD' && !(Number.isInteger(expiresAt) && expiresAt > Date.now())) {
+            throw orderError('E_INVALID_ORDER', 'Good-till-date orders need a future expiresAt');
+        }
+        if (timeInForce === 'GTD' && executionType(type) === 'market') {
+            throw orderError('E_INVALID_ORDER', 'Market orders cannot rest until a date');
+        }
+        if (postOnly && (executionType(type) !== 'limit' || ['IOC', 'FOK'].includes(timeInForce))) {
+            throw orderError('E_INVALID_ORDER', 'Post-only needs a limit order that may rest');
+        }
+        if (!TriggerBook.isTriggerType(type)) {
+            return;
+        }
+        if (type === 'trailing_stop' && !(Number.isFinite(trailingOffset) && trailingOffset > 0)) {
+            throw orderError('E_INVALID_PRICE', 'Invalid trailing offset');
+        }
+        if (type !== 'trailing_stop' && !(Number.isFinite(stopPrice) && stopPrice > 0)) {
+            throw orderError('E_INVALID_PRICE', 'Invalid stop price');
+        }
+        if (!TRIGGER_PRICES.includes(triggerBy)) {
+            throw orderError('E_INVALID_ORDER', 'Invalid trigger price');
+        }
+    }
+
+    /**
+     * Place a new order, matching it against the opposite side of the book,
+     * or holding it in the trigger book until its stop price is reached
+     * Returns the order and any trades it produced
+     */
+    placeOrder(params) {
+        const order = this.createOrder(params);
+        this.checkRisk(order);
+
+        return this.startOrder(order);
+    }
+
+    /**
+     * Validate order parameters and build a new order from them
+     */
+    createOrder(params) {
+        const orderParams = this.buildOrderParams(params);
+        this.validateOrder(orderParams);
+
+        const { symbol, userAddress, side, type } = orderParams;
+        const now = Date.now();
+
+        const order = {
+            id: this.nextOrderId++,
+            symbol,
+            userAddress,
+            side,
+            type,
+            price: executionType(type) === 'limit' ? normalize(orderParams.price) : null,
+            quantity: normalize(orderParams.quantity),
+            filledQuantity: 0,
+            remainingQuantity: normalize(orderParams.quantity),
+            averagePrice: null,
+            status: ORDER_STATUS.NEW,
+            timeInForce: orderParams.timeInForce,
+            postOnly: orderParams.postOnly,
+            expiresAt: orderParams.timeInForce === 'GTD' ? orderParams.expiresAt : null,
+            fills: [],
+            timestamp: now,
+            updatedAt: now
+        };
+
+        if (TriggerBook.isTriggerType(type)) {
+            Object.assign(order, {
+                status: ORDER_STATUS.UNTRIGGERED,
+                stopPrice: type === 'trailing_stop' ? null : normalize(orderParams.stopPrice),
+                triggerBy: orderParams.triggerBy,
+                triggeredAt: null
+            });
+            if (type === 'trailing_stop') {
+                Object.assign(order, { trailingOffset: normalize(orderParams.trailingOffset), watermark: null });
+            }
+        }
+        // Expiry and nonce of a signed order, which its on-chain hash is built from
+        if (orderParams.signed) {
+            order.signed = { expiry: orderParams.signed.expiry, nonce: orderParams.signed.nonce };
+        }
+
+        return order;
+    }
+
+    /**
+     * Hold a new trigger order, or match any other order straight away
+     */
+    startOrder(order) {
+        return order.status === ORDER_STATUS.UNTRIGGERED ? this.holdOrder(order) : this.executeOrder(order);
+    }
+
+    /**
+     * Parse incoming order parameters and fill in their defaults
+     */
+    buildOrderParams(params) {
+        return {
+            ...params,
+            type: params.type || 'limit',
+            price: toNumber(params.price),
+            quantity: Number(params.quantity),
+            stopPrice: toNumber(params.stopPrice),
+            trailingOffset: toNumber(params.trailingOffset),
+            triggerBy: params.triggerBy || 'last',
+            timeInForce: params.timeInForce || 'GTC',
+            postOnly: !!params.postOnly,
+            expiresAt: toNumber(params.expiresAt)
+        };
+    }
+
+    /**
+     * Check an order against the market rules, recording it as rejected if it fails
+     */
+    checkMarketRules(order) {
+        if (!this.markets) {
+            return;
+        }
+        try {
+            const waiting = order.status === ORDER_STATUS.UNTRIGGERED;
+            this.markets.validateOrder({
+                symbol: order.symbol,
+                type: executionType(order.type),
+                price: order.price,
+                quantity: order.quantity,
+                // Stop levels are checked when placed; a trailing stop's moves are not on tick
+                stopPrice: waiting ? order.stopPrice : null,
+                trailingOffset: waiting ? order.trailingOffset : null
+            });
+        } catch (error) {
+            error.order = this.rejectOrder(order, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Run the pre-trade risk checks, recording a new order that fails them as
+     * rejected. `replacing` is the open order an amend changes: it is left out
+     * of the account's open orders and position, and is not rejected on failure
+     */
+    checkRisk(order, replacing = null) {
+        if (!this.risk) {
+            return;
+        }
+        try {
+            this.risk.checkOrder(order, this.getRiskContext(order, replacing));
+        } catch (error) {
+            if (!replacing) {
+                error.order = this.rejectOrder(order, error);
+            }
+            throw error;
+        }
+        this.risk.recordOrder(order.userAddress);
+    }
+
+    /**
+     * Reference price, open order count and position the risk checks need:
+     * the mid price (or last trade without a two-sided book), the account's
+     * other open orders, and the base it holds plus its other open buys
+     */
+    getRiskContext(order, replacing = null) {
+        const book = this.getBook(order.symbol);
+        const reference = book.bids.length > 0 && book.asks.length > 0
+            ? normalize((book.bids[0].price + book.asks[0].price) / 2)
+            : this.triggers.getPrice(order.symbol, 'last') ?? null;
+
+        let openOrders = 0;
+        let position = 0;
+        for (const other of this.getOpenOrders(order.userAddress)) {
+            if (other === replacing) {
+                continue;
+            }
+            openOrders++;
+            if (other.symbol === order.symbol && other.side === SIDE_BUY) {
+                position += other.remainingQuantity;
+            }
+        }
+        if (this.ledger) {
+            const balance = this.ledger.getUserBalance(order.userAddress, order.symbol);
+            position += balance.availableBase + balance.lockedBase;
+        }
+
+        return { reference, openOrders, position: normalize(position) };
+    }
+
+    /**
+     * Park a trigger order until its stop price is reached,
+     * activating it straight away when the price is already through it
+     */
+    holdOrder(order) {
+        this.checkMarketRules(order);
+
+        const fires = this.triggers.add(order);
+        this.orders.set(order.id, order);
+        this.indexOrder(order);
+        this.trackExpiry(order);
+
+        console.log(`⏳ Order ${order.id} ${order.type} ${order.side} ${order.quantity} ${order.symbol} waits for ${order.triggerBy} ${order.stopPrice ?? 'trail'}`);
+
+        this.emit('order', copyOrder(order));
+        this.emitChanges(order.symbol, new Map([[order.id, order]]), []);
+
+        if (fires) {
+            this.triggers.remove(order);
+            return this.activateOrder(order);
+        }
+        return { order: copyOrder(order), trades: [] };
+    }
+
+    /**
+     * Turn a triggered order into a live limit or market order
+     */
+    activateOrder(order) {
+        order.status = ORDER_STATUS.NEW;
+        order.triggeredAt = Date.now();
+        order.updatedAt = order.triggeredAt;
+
+        console.log(`🎯 Order ${order.id} ${order.type} triggered at ${order.stopPrice}`);
+
+        return this.executeOrder(order);
+    }
+
+    /**
+     * Match a live order, rest or cancel its remainder and publish the result
+     */
+    executeOrder(order) {
+        const { symbol } = order;
+
+        this.checkMarketRules(order);
+        try {
+            this.checkBookRules(order);
+
+            // Lock the funds the order may spend, like ClobCore::lock_user_funds
+            if (this.ledger) {
+                this.ledger.lockOrder(order, this.getMarketBuyCost(this.getBook(symbol), order));
+            }
+        } catch (error) {
+            error.order = this.rejectOrder(order, error);
+            throw error;
+        }
+
+        const book = this.getBook(symbol);
+
+        const touched = new Map();
+        // Fill-or-kill orders that cannot fill completely are cancelled untouched
+        const killed = order.timeInForce === 'FOK' && this.getFillableQuantity(book, order) < order.remainingQuantity;
+        const trades = killed ? [] : this.matchOrder(book, order, touched);
+
+        if (order.remainingQuantity > 0) {
+            if (order.price !== null && !killed && order.timeInForce !== 'IOC') {
+                this.addToBook(book, order);
+                this.trackExpiry(order);
+            } else {
+                // Unfilled market, IOC and FOK remainders are never rested
+                order.status = ORDER_STATUS.CANCELLED;
+            }
+        }
+        if (!this.isResting(order)) {
+            this.releaseFunds(order);
+        }
+
+        this.orders.set(order.id, order);
+        this.indexOrder(order);
+        touched.set(order.id, order);
+
+        console.log(`📝 Order ${order.id} ${order.side} ${order.quantity} ${symbol} @ ${order.price ?? 'market'} -> ${order.status}`);
+
+        this.emit('order', copyOrder(order));
+        // Every order that reaches matching: placed, triggered or replacing an amended one
+        this.emit('executed', copyOrder(order));
+        trades.forEach(trade => this.emit('trade', trade));
+        this.emitChanges(symbol, touched, trades);
+        this.emit('orderbook', symbol);
+
+        const result = { order: copyOrder(order), trades };
+        this.updateTriggerPrices(symbol, trades);
+
+        return result;
+    }
+
+    /**
+     * Check an order against the book it is about to trade on
+     */
+    checkBookRules(order) {
+        const book = this.getBook(order.symbol);
+
+        // Self-trade prevention: reject the whole order before any fill, like E_SELF_TRADE
+        if (this.wouldSelfTrade(book, order)) {
+            throw orderError('E_SELF_TRADE', 'Order would trade against your own resting order');
+        }
+
+        // Post-only orders must add liquidity, never take it
+        const best = (order.side === SIDE_BUY ? book.asks : book.bids)[0];
+        if (order.postOnly && best && this.crosses(order, best.price)) {
+            throw orderError('E_POST_ONLY', `Post-only order would take liquidity at ${best.price}`);
+        }
+    }
+
+    /**
+     * Quantity the opposite side could fill at the order's price
+     */
+    getFillableQuantity(book, order) {
+        const levels = order.side === SIDE_BUY ? book.asks : book.bids;
+        let fillable = 0;
+
+        for (const level of levels) {
+            if (fillable >= order.remainingQuantity || !this.crosses(order, level.price)) {
+                break;
+            }
+            fillable = normalize(fillable + level.totalQuantity);
+        }
+
+        return fillable;
+    }
+
+    /**
+     * Remember when an open good-till-date order runs out
+     */
+    trackExpiry(order) {
+        if (order.expiresAt && OPEN_STATUSES.includes(order.status)) {
+            this.expiries.set(order.id, order.expiresAt);
+        }
+    }
+
+    /**
+     * Expire open good-till-date orders whose time has passed,
+     * returning their funds like a cancel
+     */
+    expireOrders(now = Date.now()) {
+        const expired = [];
+
+        for (const [orderId, expiresAt] of this.expiries) {
+            if (expiresAt > now) {
+                continue;
+            }
+            this.expiries.delete(orderId);
+
+            const order = this.orders.get(orderId);
+            if (!order || !OPEN_STATUSES.includes(order.status)) {
+                continue;
+            }
+
+            console.log(`⌛ Order ${order.id} expired`);
+
+            this.closeOrder(order, ORDER_STATUS.EXPIRED, now);
+            expired.push(copyOrder(order));
+        }
+
+        new Set(expired.map(order => order.symbol)).forEach(symbol => this.updateTriggerPrices(symbol));
+        return expired;
+    }
+
+    /**
+     * Feed the last trade and mark (mid) prices to the trigger book
+     * While the oracle has a valid price for the market, it supplies the mark instead
+     */
+    updateTriggerPrices(symbol, trades = []) {
+        if (trades.length > 0) {
+            this.updatePrice(symbol, 'last', trades[trades.length - 1].price);
+        }
+        if (this.oracle && this.oracle.isValid(symbol)) {
+            return;
+        }
+
+        const book = this.getBook(symbol);
+        if (book.bids.length > 0 && book.asks.length > 0) {
+            this.updatePrice(symbol, 'mark', normalize((book.bids[0].price + book.asks[0].price) / 2));
+        }
+    }
+
+    /**
+     * Record a reference price and activate the trigger orders it fires
+     * Activations that fail (e.g. insufficient balance) are kept as rejected
+     * Mark prices also revalue margin positions, liquidating any that fall
+     * below the threshold
+     */
+    updatePrice(symbol, triggerBy, price) {
+        // Trigger orders and liquidations wait out halts and cancel-only periods
+        if (!this.isTrading(symbol)) {
+            return;
+        }
+        if (this.liquidations && triggerBy === 'mark') {
+            this.liquidations.updatePrice(symbol, price);
+        }
+        for (const order of this.triggers.update(symbol, triggerBy, price)) {
+            try {
+                this.activateOrder(order);
+            } catch (error) {
+                console.log(`⛔ Triggered order ${order.id} could not be placed: ${error.code || error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Whether a market is open for trading (always, without a market registry)
+     */
+    isTrading(symbol) {
+        return !this.markets || this.markets.getMarket(symbol)?.status === MARKET_STATUS.OPEN;
+    }
+
+    /**
+     * Whether a market is halted, refusing cancels as well as orders
+     */
+    isHalted(symbol) {
+        return !!this.markets && this.markets.getMarket(symbol)?.status === MARKET_STATUS.CLOSED;
+    }
+
+    /**
+     * Look up an open order owned by userAddress
+     */
+    getOwnOpenOrder(orderId, userAddress) {
+        const order = this.orders.get(orderId);
+
+        if (!order) {
+            throw orderError('E_ORDER_NOT_FOUND', `Order ${orderId} not found`);
+        }
+        if (order.userAddress !== userAddress) {
+            throw orderError('E_UNAUTHORIZED', 'Order belongs to another user');
+        }
+        if (!OPEN_STATUSES.includes(order.status)) {
+            throw orderError('E_ORDER_ALREADY_FILLED', `Order ${orderId} is already ${order.status}`);
+        }
+
+        return order;
+    }
+
+    /**
+     * Take an open order out of the book (or trigger book), give it a final
+     * status and return its locked funds
+     */
+    closeOrder(order, status, now = Date.now()) {
+        if (order.status === ORDER_STATUS.UNTRIGGERED) {
+            this.triggers.remove(order);
+        } else {
+            this.removeFromBook(this.getBook(order.symbol), order);
+        }
+
+        order.status = status;
+        order.updatedAt = now;
+        this.indexOrder(order);
+        this.expiries.delete(order.id);
+        this.releaseFunds(order);
+
+        this.emit('order', copyOrder(order));
+        this.emitChanges(order.symbol, new Map([[order.id, order]]), []);
+        this.emit('orderbook', order.symbol);
+    }
+
+    /**
+     * Cancel a resting order owned by userAddress
+     */
+    cancelOrder(orderId, userAddress) {
+        const order = this.getOwnOpenOrder(orderId, userAddress);
+        if (this.markets) {
+            this.markets.validateCancel(order.symbol);
+        }
+
+        console.log(`🚫 Order ${order.id} cancelled`);
+
+        this.closeOrder(order, ORDER_STATUS.CANCELLED);
+
+        const cancelled = copyOrder(order);
+        this.updateTriggerPrices(order.symbol);
+
+        return cancelled;
+    }
+
+    /**
+     * Change the price or total quantity of an open order owned by userAddress
+     * Reducing the size of a resting order (or changing an untriggered one)
+     * keeps the order and its time priority. A new price or a larger size
+     * cancels it and places the remainder as a new order at the back of the
+     * queue, once the replacement is known to pass the market, book and
+     * balance checks. Returns the order, any trades, the previous
+     * { id, price, quantity } and whether priority was kept
+     */
+    amendOrder(orderId, userAddress, { price, quantity } = {}) {
+        const order = this.getOwnOpenOrder(orderId, userAddress);
+        const newPrice = toNumber(price) === null ? order.price : normalize(Number(price));
+        const newQuantity = toNumber(quantity) === null ? order.quantity : normalize(Number(quantity));
+
+        if (order.price === null && newPrice !== null) {
+            throw orderError('E_INVALID_PRICE', 'Only orders with a limit price can change it');
+        }
+        if (newPrice !== null && !(Number.isFinite(newPrice) && newPrice > 0)) {
+            throw orderError('E_INVALID_PRICE', 'Invalid price');
+        }
+        if (!(Number.isFinite(newQuantity) && newQuantity > order.filledQuantity)) {
+            throw orderError('E_INVALID_QUANTITY', `Quantity must stay above the ${order.filledQuantity} already filled`);
+        }
+        if (newPrice === order.price && newQuantity === order.quantity) {
+            throw orderError('E_INVALID_ORDER', 'Amend does not change the order');
+        }
+        if (this.markets) {
+            this.markets.validateOrder({
+                symbol: order.symbol,
+                type: executionType(order.type),
+                price: newPrice,
+                quantity: newQuantity
+            });
+        }
+
+        // Amends count towards the rate limit and must stay within the account's limits
+        this.checkRisk({
+            ...order,
+            price: newPrice,
+            quantity: newQuantity,
+            remainingQuantity: normalize(newQuantity - order.filledQuantity)
+        }, order);
+
+        const previous = { id: order.id, price: order.price, quantity: order.quantity };
+        const keepsPriority = order.status === ORDER_STATUS.UNTRIGGERED
+            || (newPrice === order.price && newQuantity < order.quantity);
+
+        const result = keepsPriority
+            ? this.resizeOrder(order, newPrice, newQuantity)
+            : this.replaceOrder(order, newPrice, newQuantity);
+
+        console.log(`✏️  Order ${previous.id} amended to ${newQuantity} @ ${newPrice ?? 'market'}${keepsPriority ? '' : ` as order ${result.order.id}`}`);
+
+        this.emit('amend', { order: result.order, previous });
+        return { ...result, previous, priorityKept: keepsPriority };
+    }
+
+    /**
+     * Amend an order where it stands, returning the funds a smaller size frees
+     */
+    resizeOrder(order, price, quantity) {
+        const reduction = normalize(order.quantity - quantity);
+
+        if (this.isResting(order)) {
+            const levels = order.side === SIDE_BUY ? this.getBook(order.symbol).bids : this.getBook(order.symbol).asks;
+            const level = levels.find(candidate => candidate.price === order.price);
+            level.totalQuantity = normalize(level.totalQuantity - reduction);
+
+            if (this.ledger) {
+                this.ledger.releaseOrder(order.id, order.side === SIDE_BUY ? normalize(order.price * reduction) : reduction);
+            }
+        }
+
+        order.price = price;
+        order.quantity = quantity;
+        order.remainingQuantity = normalize(order.remainingQuantity - reduction);
+        order.updatedAt = Date.now();
+
+        this.emit('order', copyOrder(order));
+        this.emitChanges(order.symbol, new Map([[order.id, order]]), []);
+        if (this.isResting(order)) {
+            this.emit('orderbook', order.symbol);
+        }
+
+        return { order: copyOrder(order), trades: [] };
+    }
+
+    /**
+     * Amend a resting order by cancelling it and placing its new remainder
+     */
+    replaceOrder(order, price, quantity) {
+        const params = this.buildOrderParams({
+            symbol: order.symbol,
+            userAddress: order.userAddress,
+            side: order.side,
+            type: executionType(order.type),
+            price,
+            quantity: normalize(quantity - order.filledQuantity),
+            timeInForce: order.timeInForce,
+            postOnly: order.postOnly,
+            expiresAt: order.expiresAt
+        });
+        this.validateOrder(params);
+
+        // The replacement must be placeable before the original goes
+        const replacement = { ...order, price, remainingQuantity: params.quantity };
+        this.checkBookRules(replacement);
+        if (this.ledger) {
+            const lock = this.ledger.getOrderLock(order.id);
+            if (!this.ledger.canLock(replacement, lock ? lock.amount : 0)) {
+                throw orderError('E_INSUFFICIENT_BALANCE', 'Insufficient balance for the amended order');
+            }
+        }
+
+        // Risk was checked by the amend itself
+        this.closeOrder(order, ORDER_STATUS.CANCELLED);
+        return this.startOrder(this.createOrder(params));
+    }
+
+    /**
+     * Cancel every open order of a user, optionally in one market only
+     * Orders in halted markets cannot be cancelled yet: they are queued and
+     * go as soon as their market resumes (see cancelQueued), before any
+     * new order can trade against them. Returns the orders cancelled now
+     */
+    cancelAll(userAddress, symbol = null) {
+        const open = this.getOpenOrders(userAddress, symbol);
+        const halted = open.filter(order => this.isHalted(order.symbol));
+        for (const order of halted) {
+            if (!this.queuedCancels.has(order.symbol)) {
+                this.queuedCancels.set(order.symbol, new Set());
+            }
+            this.queuedCancels.get(order.symbol).add(order.id);
+        }
+
+        const cancelled = this.cancelOrders(open.filter(order => !halted.includes(order)));
+
+        console.log(`🧹 Cancelled ${cancelled.length} orders for ${userAddress}${symbol ? ` on ${symbol}` : ''}${halted.length > 0 ? `, ${halted.length} more once halted markets resume` : ''}`);
+        return cancelled;
+    }
+
+    /**
+     * Cancel the orders queued by cancelAll while a market was halted, once
+     * it accepts cancels again. Returns the cancelled orders
+     */
+    cancelQueued(symbol) {
+        const queued = this.queuedCancels.get(symbol);
+        if (!queued || this.isHalted(symbol)) {
+            return [];
+        }
+        this.queuedCancels.delete(symbol);
+
+        const cancelled = this.cancelOrders(Array.from(queued, orderId => this.orders.get(orderId)).filter(Boolean));
+        console.log(`🧹 Cancelled ${cancelled.length} queued orders on ${symbol}`);
+        return cancelled;
+    }
+
+    /**
+     * Cancel open orders, untriggered ones first so pulling resting quotes cannot fire them
+     */
+    cancelOrders(orders) {
+        const sorted = [...orders]
+            .sort((a, b) => (b.status === ORDER_STATUS.UNTRIGGERED) - (a.status === ORDER_STATUS.UNTRIGGERED) || a.id - b.id);
+
+        const cancelled = [];
+        for (const order of sorted) {
+            // Skip orders that traded away while earlier ones were pulled
+            if (OPEN_STATUSES.includes(order.status)) {
+                cancelled.push(this.cancelOrder(order.id, order.userAddress));
+            }
+        }
+        return cancelled;
+    }
+
+    /**
+     * Open orders of a user, optionally in one market only
+     */
+    getOpenOrders(userAddress, symbol = null) {
+        const ids = this.openOrders.get(userAddress) || [];
+        return Array.from(ids, orderId => this.orders.get(orderId))
+            .filter(order => !symbol || order.symbol === symbol);
+    }
+
+    /**
+     * Keep the per-user index of open order ids in step with an order's status
+     */
+    indexOrder(order) {
+        const ids = this.openOrders.get(order.userAddress) || new Set();
+        if (OPEN_STATUSES.includes(order.status)) {
+            ids.add(order.id);
+            this.openOrders.set(order.userAddress, ids);
+        } else if (ids.delete(order.id) && ids.size === 0) {
+            this.openOrders.delete(order.userAddress);
+        }
+    }
+
+    /**
+     * Drop orders from memory once persistence has stored them closed,
+     * given the order states of a persisted change set
+     */
+    evictOrders(persisted) {
+        for (const { id, status } of persisted) {
+            if (!OPEN_STATUSES.includes(status)) {
+                this.orders.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Run a batch of place, cancel and replace items for one user
+     * Every item is checked before any runs, so a malformed item, a failed market
+     * rule or an order that cannot be cancelled rejects the whole batch with
+     * E_INVALID_BATCH and per-item errors. The batch is not atomic: items then
+     * run in order and each one stands on its own, so a rejection only known
+     * while matching (self-trade, post-only, balance, risk) fails its item while
+     * earlier items stay applied. Returns one result per item
+     */
+    executeBatch(userAddress, items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw orderError('E_INVALID_BATCH', 'Batch needs at least one item');
+        }
+        if (items.length > MAX_BATCH_SIZE) {
+            throw orderError('E_BATCH_TOO_LARGE', `Batch holds at most ${MAX_BATCH_SIZE} items`);
+        }
+
+        const cancelling = new Set();
+        const errors = [];
+        items.forEach((item, index) => {
+            try {
+                this.checkBatchItem(userAddress, item, cancelling);
+            } catch (error) {
+                errors.push({ index, code: error.code || 'E_INVALID_BATCH', message: error.message });
+            }
+        });
+
+        if (errors.length > 0) {
+            const error = orderError('E_INVALID_BATCH', `${errors.length} of ${items.length} batch items are invalid`);
+            error.items = errors;
+            throw error;
+        }
+
+        console.log(`📦 Batch of ${items.length} items for ${userAddress}`);
+
+        return items.map((item, index) => this.executeBatchItem(userAddress, item, index));
+    }
+
+    /**
+     * Check one batch item without changing any state
+     */
+    checkBatchItem(userAddress, { action, orderId, order }, cancelling) {
+        if (!BATCH_ACTIONS.includes(action)) {
+            throw orderError('E_INVALID_BATCH', `Unknown batch action ${action}`);
+        }
+
+        if (action !== 'place') {
+            const open = this.getOwnOpenOrder(orderId, userAddress);
+            if (this.markets) {
+                this.markets.validateCancel(open.symbol);
+            }
+            if (cancelling.has(orderId)) {
+                throw orderError('E_INVALID_BATCH', `Order ${orderId} appears twice in the batch`);
+            }
+            cancelling.add(orderId);
+        }
+
+        if (action !== 'cancel') {
+            if (!order || typeof order !== 'object') {
+                throw orderError('E_INVALID_ORDER', 'Order parameters required');
+            }
+            const params = this.buildOrderParams({ ...order, userAddress });
+            this.validateOrder(params);
+            if (this.markets) {
+                this.markets.validateOrder({
+                    symbol: params.symbol,
+                    type: executionType(params.type),
+                    price: params.price,
+                    quantity: params.quantity,
+                    stopPrice: params.stopPrice,
+                    trailingOffset: params.trailingOffset
+                });
+            }
+        }
+    }
+
+    /**
+     * Run one checked batch item, reporting a failure on the item instead of
+     * throwing, so the results always show which items were applied
+     */
+    executeBatchItem(userAddress, { action, orderId, order }, index) {
+        const result = { index, action };
+
+        try {
+            if (action === 'cancel') {
+                result.cancelled = this.cancelOrder(orderId, userAddress);
+            } else if (action === 'replace') {
+                Object.assign(result, this.replaceBatchOrder(userAddress, orderId, order));
+            } else {
+                Object.assign(result, this.placeOrder({ ...order, userAddress }));
+            }
+            return { ...result, ok: true };
+        } catch (error) {
+            if (!error.code) {
+                console.error(`❌ Batch item ${index} failed:`, error);
+            }
+            return {
+                ...result,
+                ok: false,
+                code: error.code || 'E_INTERNAL',
+                message: error.message,
+                risk: error.risk,
+                order: error.order
+            };
+        }
+    }
+
+    /**
+     * Replace an open order with a new one, placing before cancelling: the
+     * original is set aside (out of the book, its funds released for the new
+     * order) while the new order is placed. If the placement is rejected the
+     * original goes back untouched at its time priority; otherwise it is cancelled
+     */
+    replaceBatchOrder(userAddress, orderId, params) {
+        const original = this.getOwnOpenOrder(orderId, userAddress);
+        this.setAsideOrder(original);
+
+        let placed;
+        try {
+            const order = this.createOrder({ ...params, userAddress });
+            this.checkRisk(order, original);
+            placed = this.startOrder(order);
+        } catch (error) {
+            this.reinstateOrder(original);
+            throw error;
+        }
+
+        // The market was checked with the batch, and may since have halted on the new order's trades
+        console.log(`🚫 Order ${original.id} cancelled`);
+        this.closeOrder(original, ORDER_STATUS.CANCELLED);
+        this.updateTriggerPrices(original.symbol);
+
+        return { ...placed, cancelled: copyOrder(original) };
+    }
+
+    /**
+     * Take an open order out of matching and release its funds without closing it
+     */
+    setAsideOrder(order) {
+        if (order.status === ORDER_STATUS.UNTRIGGERED) {
+            this.triggers.remove(order);
+        } else {
+            this.removeFromBook(this.getBook(order.symbol), order);
+        }
+        this.releaseFunds(order);
+    }
+
+    /**
+     * Put an order set aside back where it was: relocked, and in its level
+     * at its original time priority (by order id)
+     */
+    reinstateOrder(order) {
+        if (order.status === ORDER_STATUS.UNTRIGGERED) {
+            this.triggers.add(order);
+            return;
+        }
+        if (this.ledger) {
+            this.ledger.lockOrder(order);
+        }
+
+        const book = this.getBook(order.symbol);
+        this.addToBook(book, order);
+        const levels = order.side === SIDE_BUY ? book.bids : book.asks;
+        levels.find(level => level.price === order.price).orders.sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Record an order that failed market, book or risk rules so its owner can see why
+     */
+    rejectOrder(order, error) {
+        order.status = ORDER_STATUS.REJECTED;
+        order.rejectReason = error.code;
+        order.rejectMessage = error.message;
+        this.orders.set(order.id, order);
+
+        console.log(`⛔ Order ${order.id} rejected: ${error.code}`);
+
+        this.emit('order', copyOrder(order));
+        this.emitChanges(order.symbol, new Map([[order.id, order]]), []);
+
+        return copyOrder(order);
+    }
+
+    /**
+     * Emit the set of orders, price levels and trades changed by one operation
+     * so persistence can apply them as a single transaction
+     */
+    emitChanges(symbol, touched, trades) {
+        const book = this.books.get(symbol) || { bids: [], asks: [] };
+        const levels = new Map();
+
+        for (const order of touched.values()) {
+            // Market, untriggered and rejected orders never touched a price level
+            if (order.price === null || [ORDER_STATUS.REJECTED, ORDER_STATUS.UNTRIGGERED].includes(order.status)) {
+                continue;
+            }
+            const key = `${order.side}:${order.price}`;
+            if (!levels.has(key)) {
+                const sideLevels = order.side === SIDE_BUY ? book.bids : book.asks;
+                const level = sideLevels.find(candidate => candidate.price === order.price);
+                levels.set(key, {
+                    side: order.side,
+                    price: order.price,
+                    totalQuantity: level ? level.totalQuantity : 0
+                });
+            }
+        }
+
+        this.emit('changes', {
+            symbol,
+            orders: Array.from(touched.values()).map(order => ({
+                ...order,
+                resting: this.isResting(order)
+            })),
+            levels: Array.from(levels.values()),
+            trades,
+            sequence: {
+                nextOrderId: this.nextOrderId,
+                nextTradeId: this.nextTradeId
+            }
+        });
+    }
+
+    /**
+     * Check whether an order currently rests in the book
+     */
+    isResting(order) {
+        return order.price !== null && LIVE_STATUSES.includes(order.status);
+    }
+
+    /**
+     * Rebuild books from persisted state, keeping time priority by order id
+     */
+    restore({ orders = [], sequence = {} }) {
+        this.reset();
+
+        const sorted = [...orders].sort((a, b) => a.id - b.id);
+        for (const order of sorted) {
+            order.fills = order.fills || [];
+            this.orders.set(order.id, order);
+            this.indexOrder(order);
+            if (this.isResting(order)) {
+                this.addToBook(this.getBook(order.symbol), order);
+            } else if (order.status === ORDER_STATUS.UNTRIGGERED) {
+                this.triggers.add(order);
+            }
+            this.trackExpiry(order);
+        }
+
+        const maxOrderId = sorted.length > 0 ? sorted[sorted.length - 1].id : 0;
+        this.nextOrderId = Math.max(sequence.nextOrderId || 1, maxOrderId + 1);
+        this.nextTradeId = Math.max(sequence.nextTradeId || 1, 1);
+
+        console.log(`♻️  Restored ${sorted.length} orders across ${this.books.size} books`);
+    }
+
+    /**
+     * Get a single order by id: open, or closed and not yet evicted
+     */
+    getOrder(orderId) {
+        const order = this.orders.get(orderId);
+        return order ? copyOrder(order) : null;
+    }
+
+    /**
+     * Check whether an order crosses a resting price
+     */
+    crosses(order, levelPrice) {
+        if (order.price === null) {
+            return true;
+        }
+        return order.side === SIDE_BUY ? levelPrice <= order.price : levelPrice >= order.price;
+    }
+
+    /**
+     * Walk the levels the order would consume and look for the same owner
+     */
+    wouldSelfTrade(book, order) {
+        const levels = order.side === SIDE_BUY ? book.asks : book.bids;
+        let remaining = order.remainingQuantity;
+
+        for (const level of levels) {
+            if (remaining <= 0 || !this.crosses(order, level.price)) {
+                break;
+            }
+            for (const resting of level.orders) {
+                if (resting.userAddress === order.userAddress) {
+                    return true;
+                }
+                remaining = normalize(remaining - resting.remainingQuantity);
+                if (remaining <= 0) {
+                    break;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Quote a market buy will spend on the liquidity it takes, fill by fill
+     * (limit and sell orders lock from their own price and quantity)
+     */
+    getMarketBuyCost(book, order) {
+        if (order.price !== null || order.side !== SIDE_BUY) {
+            return 0;
+        }
+
+        let remaining = order.remainingQuantity;
+        let cost = 0;
+        for (const level of book.asks) {
+            for (const resting of level.orders) {
+                if (remaining <= 0) {
+                    return cost;
+                }
+                const quantity = Math.min(remaining, resting.remainingQuantity);
+                cost = normalize(cost + normalize(level.price * quantity));
+                remaining = normalize(remaining - quantity);
+            }
+        }
+
+        return cost;
+    }
+
+    /**
+     * Return an order's remaining locked funds once it stops resting
+     */
+    releaseFunds(order) {
+        if (this.ledger) {
+            this.ledger.releaseOrder(order.id);
+        }
+    }
+
+    /**
+     * Match an incoming order against the opposite side in price-time priority
+     */
+    matchOrder(book, order, touched = new Map()) {
+        const levels = order.side === SIDE_BUY ? book.asks : book.bids;
+        const trades = [];
+
+        while (order.remainingQuantity > 0 && levels.length > 0) {
+            const level = levels[0];
+            if (!this.crosses(order, level.price)) {
+                break;
+            }
+
+            while (order.remainingQuantity > 0 && level.orders.length > 0) {
+                const maker = level.orders[0];
+                const fillQuantity = Math.min(order.remainingQuantity, maker.remainingQuantity);
+                const now = Date.now();
+                const tradeId = this.nextTradeId++;
+
+                const trade = {
+                    id: tradeId,
+                    symbol: order.symbol,
+                    price: level.price,
+                    quantity: fillQuantity,
+                    side: order.side,
+                    makerOrderId: maker.id,
+                    takerOrderId: order.id,
+                    maker: maker.userAddress,
+                    taker: order.userAddress,
+                    timestamp: now
+                };
+                if (this.fees) {
+                    trade.fees = this.fees.chargeTrade(trade);
+                }
+                trades.push(trade);
+
+                const fill = { tradeId, price: level.price, quantity: fillQuantity, timestamp: now };
+                this.applyFill(order, { ...fill, liquidity: 'taker', ...(trade.fees ? { fee: trade.fees.taker } : {}) });
+                this.applyFill(maker, { ...fill, liquidity: 'maker', ...(trade.fees ? { fee: trade.fees.maker } : {}) });
+                level.totalQuantity = normalize(level.totalQuantity - fillQuantity);
+
+                if (this.ledger) {
+                    const [buyOrder, sellOrder] = order.side === SIDE_BUY ? [order, maker] : [maker, order];
+                    this.ledger.settleTrade(trade, buyOrder, sellOrder);
+                }
+                // Volume only counts towards fee tiers once the fill is settled
+                if (this.fees) {
+                    this.fees.recordTrade(trade);
+                }
+
+                if (maker.remainingQuantity <= 0) {
+                    level.orders.shift();
+                    this.releaseFunds(maker);
+                }
+                touched.set(maker.id, maker);
+                this.emit('order', copyOrder(maker));
+            }
+
+            if (level.orders.length === 0) {
+                levels.shift();
+            }
+        }
+
+        return trades;
+    }
+
+    /**
+     * Apply a fill to an order, attaching it and updating the order's status
+     */
+    applyFill(order, fill) {
+        const filledQuantity = normalize(order.filledQuantity + fill.quantity);
+
+        order.averagePrice = normalize(
+            ((order.averagePrice || 0) * order.filledQuantity + fill.price * fill.quantity) / filledQuantity
+        );
+        order.filledQuantity = filledQuantity;
+        order.remainingQuantity = normalize(order.remainingQuantity - fill.quantity);
+        order.status = order.remainingQuantity > 0 ? ORDER_STATUS.PARTIALLY_FILLED : ORDER_STATUS.FILLED;
+        order.fills.push(fill);
+        order.updatedAt = fill.timestamp;
+        this.indexOrder(order);
+    }
+
+    /**
+     * Rest an order in its price level, creating the level if needed
+     */
+    addToBook(book, order) {
+        const levels = order.side === SIDE_BUY ? book.bids : book.asks;
+        // Bids are kept descending, asks ascending, so index 0 is always best
+        const better = order.side === SIDE_BUY
+            ? (a, b) => a > b
+            : (a, b) => a < b;
+
+        let index = 0;
+        while (index < levels.length && better(levels[index].price, order.price)) {
+            index++;
+        }
+
+        if (index < levels.length && levels[index].price === order.price) {
+            levels[index].orders.push(order);
+            levels[index].totalQuantity = normalize(levels[index].totalQuantity + order.remainingQuantity);
+        } else {
+            levels.splice(index, 0, {
+                price: order.price,
+                totalQuantity: order.remainingQuantity,
+                orders: [order]
+            });
+        }
+    }
+
+    /**
+     * Remove a resting order from its price level
+     */
+    removeFromBook(book, order) {
+        const levels = order.side === SIDE_BUY ? book.bids : book.asks;
+        const levelIndex = levels.findIndex(level => level.price === order.price);
+        if (levelIndex === -1) {
+            return false;
+        }
+
+        const level = levels[levelIndex];
+        const orderIndex = level.orders.findIndex(resting => resting.id === order.id);
+        if (orderIndex === -1) {
+            return false;
+        }
+
+        level.orders.splice(orderIndex, 1);
+        level.totalQuantity = normalize(level.totalQuantity - order.remainingQuantity);
+
+        if (level.orders.length === 0) {
+            levels.splice(levelIndex, 1);
+        }
+        return true;
+    }
+
+    /**
+     * Get aggregated depth as [price, quantity] pairs
+     */
+    getDepth(symbol, levels = 10) {
+        const book = this.getBook(symbol);
+        const toPairs = side => side.slice(0, levels).map(level => [level.price, level.totalQuantity]);
+
+        return {
+            symbol,
+            bids: toPairs(book.bids),
+            asks: toPairs(book.asks),
+            lastUpdate: Date.now()
+        };
+    }
+
+    /**
+     * Drop all books and orders (used by tests and resets)
+     */
+    reset() {
+        this.books.clear();
+        this.orders.clear();
+        this.openOrders.clear();
+        this.queuedCancels.clear();
+        this.triggers.reset();
+        this.expiries.clear();
+        this.nextOrderId = 1;
+        this.nextTradeId = 1;
+    }
+}
+
+// Export singleton instance
+const matchingEngine = new MatchingEngine({
+    markets: marketRegistry,
+    ledger: ledgerService,
+    fees: feeService,
+    risk: riskService,
+    liquidations: liquidationService,
+    oracle: priceOracle
+});
+
+module.exports = matchingEngine;
+module.exports.MatchingEngine = MatchingEngine;
+module.exports.ORDER_STATUS = ORDER_STATUS;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
+module.exports.ORDER_TYPES = ORDER_TYPES;
+module.exports.TIME_IN_FORCE = TIME_IN_FORCE;
+module.exports.BATCH_ACTIONS = BATCH_ACTIONS;
+module.exports.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
+module.exports.TRIGGER_TYPES = TRIGGER_TYPES;
+module.exports.TRIGGER_PRICES = TRIGGER_PRICES;
@@ -0,0 +1,114 @@
+/**
+ * Order Book Feed for CLOB Trading Platform
+ * Tracks the last published depth per symbol and turns new depth into
+ * sequenced price-level deltas, so clients only receive changed levels
+ */
+
+class OrderBookFeed {
+    constructor() {
+        this.books = new Map(); // symbol -> { sequence, bids: Map<price, qty>, asks: Map<price, qty>, lastUpdate }
+    }
+
+    /**
+     * Check whether a symbol has been published
+     */
+    hasSnapshot(symbol) {
+        return this.books.has(symbol);
+    }
+
+    /**
+     * Get the last published sequence number for a symbol
+     */
+    getSequence(symbol) {
+        const book = this.books.get(symbol);
+        return book ? book.sequence : 0;
+    }
+
+    /**
+     * Get the last published book as a snapshot message payload
+     */
+    getSnapshot(symbol, levels = 50) {
+        const book = this.books.get(symbol);
+        if (!book) {
+            return null;
+        }
+
+        const toPairs = (side, descending) => Array.from(side.entries())
+            .sort((a, b) => (descending ? b[0] - a[0] : a[0] - b[0]))
+            .slice(0, levels);
+
+        return {
+            symbol,
+            sequence: book.sequence,
+            bids: toPairs(book.bids, true),
+            asks: toPairs(book.asks, false),
+            lastUpdate: book.lastUpdate
+        };
+    }
+
+    /**
+     * Publish new depth for a symbol
+     * Returns a delta of changed levels ([price, 0] removes a level),
+     * or null when nothing changed
+     */
+    publish(symbol, depth) {
+        const book = this.books.get(symbol) || {
+            sequence: 0,
+            bids: new Map(),
+            asks: new Map(),
+            lastUpdate: 0
+        };
+
+        const bids = this.diffSide(book.bids, depth.bids);
+        const asks = this.diffSide(book.asks, depth.asks);
+
+        this.books.set(symbol, book);
+
+        if (bids.length === 0 && asks.length === 0) {
+            return null;
+        }
+
+        const prevSequence = book.sequence;
+        book.sequence = prevSequence + 1;
+        book.lastUpdate = depth.lastUpdate || Date.now();
+
+        return {
+            symbol,
+            sequence: book.sequence,
+            prevSequence,
+            bids,
+            asks,
+            lastUpdate: book.lastUpdate
+        };
+    }
+
+    /**
+     * Apply new levels to one side, returning the changed [price, quantity] pairs
+     */
+    diffSide(current, levels) {
+        const changes = [];
+        const next = new Map(levels.map(([price, quantity]) => [price, quantity]));
+
+        for (const price of current.keys()) {
+            if (!next.has(price)) {
+                changes.push([price, 0]);
+                current.delete(price);
+            }
+        }
+
+        for (const [price, quantity] of next.entries()) {
+            if (current.get(price) !== quantity) {
+                changes.push([price, quantity]);
+                current.set(price, quantity);
+            }
+        }
+
+        return changes;
+    }
+}
+
+// Export singleton instance
+const orderBookFeed = new OrderBookFeed();
+
+module.exports = orderBookFeed;
+module.exports.OrderBookFeed = OrderBookFeed;
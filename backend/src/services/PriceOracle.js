@@ -0,0 +1,430 @@
+/**
+ * Price Oracle for CLOB Trading Platform
+ * Polls a pluggable price source for each market's mark price and guards
+ * what it accepts, which LiquidationGuard::update_price_feed leaves to a
+ * trusted caller: readings older than the staleness limit, and jumps from
+ * the last accepted price larger than the deviation limit, are rejected.
+ * Accepted prices are emitted as `price`, rejected readings as `rejected`
+ *
+ * Sources: a simulated random walk, a replay of recorded prices, or the
+ * median of several sources with outliers dropped
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+
+// Guard and polling settings; times are in ms, deviations in percent
+const DEFAULT_ORACLE = {
+    maxAgeMs: 60 * 1000,     // readings and accepted prices older than this are stale
+    maxDeviationPct: 10,     // largest move from the last accepted price
+    pollMs: 5000
+};
+
+// Starting prices of the simulated feed
+const SIMULATED_PRICES = {
+    'APT-USDC': 8.50,
+    'APT-USDT': 8.48
+};
+
+// Decimal places kept for prices, matching the matching engine
+const PRECISION = 8;
+
+/**
+ * Round a numeric value to the oracle precision
+ */
+function normalize(value) {
+    const factor = Math.pow(10, PRECISION);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Create an error carrying a structured error code
+ */
+function oracleError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Middle value of a non-empty list (mean of the two middle ones for even lengths)
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Feed state of a symbol nothing was accepted for yet
+ */
+function emptyFeed() {
+    return { price: null, updatedAt: null, sourceTimestamp: null, sources: 0, rejections: 0, lastError: null };
+}
+
+/**
+ * Random walk per market for local development, pulled back towards its
+ * starting price so independent walks stay close to each other
+ */
+class SimulatedPriceSource {
+    constructor(options = {}) {
+        this.name = options.name || 'simulated';
+        this.start = { ...SIMULATED_PRICES, ...options.prices };
+        this.prices = new Map(Object.entries(this.start));
+        this.volatilityPct = options.volatilityPct ?? 0.2;  // largest random move per reading
+        this.reversion = options.reversion ?? 0.05;         // share of the gap to the start closed per reading
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Next price of a market, or null for markets without a starting price
+     */
+    async getPrice(symbol, now = Date.now()) {
+        const price = this.prices.get(symbol);
+        if (price === undefined) {
+            return null;
+        }
+
+        const drift = (this.start[symbol] - price) * this.reversion;
+        const move = price * (this.random() * 2 - 1) * this.volatilityPct / 100;
+        const next = normalize(price + drift + move);
+        this.prices.set(symbol, next);
+        return { price: next, timestamp: now };
+    }
+}
+
+/**
+ * Replays recorded prices from a JSON lines file of { symbol, price, timestamp }
+ * The recording plays at its original pace from the first read, and starts
+ * over at the end when `loop` is set; otherwise the last price is repeated
+ * with its old timestamp and soon turns stale
+ */
+class ReplayPriceSource {
+    constructor(options = {}) {
+        this.name = options.name || 'replay';
+        this.file = options.file || null;
+        this.loop = options.loop !== false;
+        this.records = options.records || null;  // [{ symbol, price, timestamp }] instead of a file
+        this.tracks = null;                      // symbol -> records in time order
+        this.startedAt = null;
+    }
+
+    /**
+     * Read and index the recording on first use
+     */
+    load() {
+        if (this.tracks) {
+            return this.tracks;
+        }
+
+        let records = this.records;
+        if (!records) {
+            if (!this.file) {
+                throw oracleError('E_INVALID_ORACLE', 'The replay source needs a recording file');
+            }
+            records = fs.readFileSync(this.file, 'utf8')
+                .split('\n')
+                .map((line, index) => [line.trim(), index + 1])
+                .filter(([line]) => line.length > 0)
+                .map(([line, lineNumber]) => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (error) {
+                        throw oracleError('E_INVALID_ORACLE', `${this.file} line ${lineNumber} is not valid JSON`);
+                    }
+                });
+        }
+
+        const sorted = records
+            .map(({ symbol, price, timestamp }) => ({ symbol, price: Number(price), timestamp: Number(timestamp) }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+        if (sorted.length === 0) {
+            throw oracleError('E_INVALID_ORACLE', 'The replay recording is empty');
+        }
+
+        this.first = sorted[0].timestamp;
+        this.duration = sorted[sorted.length - 1].timestamp - this.first;
+        this.tracks = new Map();
+        for (const record of sorted) {
+            const track = this.tracks.get(record.symbol) || [];
+            track.push(record);
+            this.tracks.set(record.symbol, track);
+        }
+        return this.tracks;
+    }
+
+    /**
+     * Latest recorded price of a market at this point of the replay
+     */
+    async getPrice(symbol, now = Date.now()) {
+        const track = this.load().get(symbol);
+        if (!track) {
+            return null;
+        }
+        if (this.startedAt === null) {
+            this.startedAt = now;
+        }
+
+        let offset = now - this.startedAt;
+        if (this.loop && this.duration > 0) {
+            offset %= this.duration;
+        }
+        const playedFrom = now - offset;
+
+        let current = null;
+        for (const record of track) {
+            if (record.timestamp - this.first > offset) {
+                break;
+            }
+            current = record;
+        }
+        return current && { price: current.price, timestamp: playedFrom + current.timestamp - this.first };
+    }
+}
+
+/**
+ * Median of several sources. Stale readings are ignored and readings too
+ * far from the median dropped as outliers; at least `minSources` (a majority
+ * by default) must agree for a price
+ */
+class MedianPriceSource {
+    constructor(sources, options = {}) {
+        this.name = options.name || 'median';
+        this.sources = sources;
+        this.minSources = options.minSources || Math.floor(sources.length / 2) + 1;
+        this.maxSpreadPct = options.maxSpreadPct ?? 2;
+        this.maxAgeMs = options.maxAgeMs || DEFAULT_ORACLE.maxAgeMs;
+    }
+
+    async getPrice(symbol, now = Date.now()) {
+        const results = await Promise.all(this.sources.map(async (source) => {
+            try {
+                return await source.getPrice(symbol, now);
+            } catch (error) {
+                console.log(`⚠️  Price source ${source.name} failed for ${symbol}: ${error.code || error.message}`);
+                return null;
+            }
+        }));
+
+        const readings = results.filter(reading => reading && reading.timestamp + this.maxAgeMs > now);
+        if (readings.length === 0) {
+            return null;
+        }
+
+        const middle = median(readings.map(reading => reading.price));
+        const agreeing = readings.filter(reading => Math.abs(reading.price - middle) / middle * 100 <= this.maxSpreadPct);
+        if (agreeing.length < this.minSources) {
+            throw oracleError('E_NO_QUORUM',
+                `Only ${agreeing.length} of ${this.sources.length} price sources agree on ${symbol}, ${this.minSources} needed`);
+        }
+
+        return {
+            price: normalize(median(agreeing.map(reading => reading.price))),
+            timestamp: Math.min(...agreeing.map(reading => reading.timestamp)),
+            sources: agreeing.length
+        };
+    }
+}
+
+/**
+ * Build a source from a list of source types, combining several by median
+ */
+function createPriceSource(types, options = {}) {
+    const sources = types.map((type) => {
+        switch (type) {
+            case 'simulated':
+                return new SimulatedPriceSource();
+            case 'replay':
+                return new ReplayPriceSource({ file: options.replayFile });
+            default:
+                throw oracleError('E_INVALID_ORACLE', `Unknown price source ${type}`);
+        }
+    });
+    return sources.length === 1 ? sources[0] : new MedianPriceSource(sources);
+}
+
+class PriceOracle extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.source = options.source || null;
+        this.settings = { ...DEFAULT_ORACLE, ...options.settings };
+        this.feeds = new Map();  // symbol -> { price, updatedAt, sourceTimestamp, sources, rejections, lastError }
+    }
+
+    /**
+     * Get (or create) the feed state of a symbol
+     */
+    getState(symbol) {
+        let feed = this.feeds.get(symbol);
+        if (!feed) {
+            feed = emptyFeed();
+            this.feeds.set(symbol, feed);
+        }
+        return feed;
+    }
+
+    /**
+     * Whether a feed holds an accepted price that is not stale yet
+     */
+    isFresh(feed, now = Date.now()) {
+        return Boolean(feed) && feed.price !== null && feed.updatedAt + this.settings.maxAgeMs > now;
+    }
+
+    /**
+     * Reject readings that are missing, invalid, stale, older than the
+     * accepted price or too far from it. The deviation guard only holds
+     * while the accepted price is fresh, so a real move gets through once
+     * the old price has gone stale
+     */
+    check(feed, reading, symbol, now) {
+        const { maxAgeMs, maxDeviationPct } = this.settings;
+
+        if (!reading) {
+            throw oracleError('E_NO_PRICE', `No price for ${symbol}`);
+        }
+        if (!(Number.isFinite(reading.price) && reading.price > 0)) {
+            throw oracleError('E_INVALID_PRICE', `Invalid price ${reading.price} for ${symbol}`);
+        }
+        if (reading.timestamp + maxAgeMs <= now) {
+            throw oracleError('E_STALE_PRICE', `Price for ${symbol} is ${Math.round((now - reading.timestamp) / 1000)}s old`);
+        }
+        if (feed.sourceTimestamp !== null && reading.timestamp < feed.sourceTimestamp) {
+            throw oracleError('E_STALE_PRICE', `Price for ${symbol} is older than the accepted one`);
+        }
+
+        if (this.isFresh(feed, now)) {
+            const deviation = Math.abs(reading.price - feed.price) / feed.price * 100;
+            if (deviation > maxDeviationPct) {
+                throw oracleError('E_PRICE_DEVIATION',
+                    `Price ${reading.price} for ${symbol} is ${deviation.toFixed(2)}% away from ${feed.price}`);
+            }
+        }
+    }
+
+    /**
+     * Accept a reading { price, timestamp, sources? } if it passes the guards
+     * Returns the updated feed, or null when the reading was rejected
+     */
+    submit(symbol, reading, now = Date.now()) {
+        const feed = this.getState(symbol);
+        try {
+            this.check(feed, reading, symbol, now);
+        } catch (error) {
+            this.reject(symbol, error, now);
+            return null;
+        }
+
+        Object.assign(feed, {
+            price: normalize(reading.price),
+            updatedAt: now,
+            sourceTimestamp: reading.timestamp,
+            sources: reading.sources || 1,
+            lastError: null
+        });
+
+        const accepted = this.getFeed(symbol, now);
+        this.emit('price', accepted);
+        return accepted;
+    }
+
+    /**
+     * Record a rejected reading or failed source read
+     */
+    reject(symbol, error, now = Date.now()) {
+        const feed = this.getState(symbol);
+        const code = error.code || 'E_PRICE_SOURCE';
+
+        // Log when the reason changes rather than on every poll
+        if (!feed.lastError || feed.lastError.code !== code) {
+            console.log(`⛔ Price for ${symbol} rejected: ${error.message}`);
+        }
+        feed.rejections += 1;
+        feed.lastError = { code, message: error.message, timestamp: now };
+        this.emit('rejected', this.getFeed(symbol, now));
+    }
+
+    /**
+     * Read a symbol's price from the source and submit it
+     */
+    async update(symbol, now = Date.now()) {
+        let reading;
+        try {
+            reading = await this.source.getPrice(symbol, now);
+        } catch (error) {
+            this.reject(symbol, error, now);
+            return null;
+        }
+        return this.submit(symbol, reading, now);
+    }
+
+    /**
+     * Update every symbol, returning the feeds that accepted a new price
+     */
+    async poll(symbols, now = Date.now()) {
+        const accepted = [];
+        for (const symbol of symbols) {
+            const feed = await this.update(symbol, now);
+            if (feed) {
+                accepted.push(feed);
+            }
+        }
+        return accepted;
+    }
+
+    /**
+     * Feed state of a symbol; `valid` while its price is fresh
+     */
+    getFeed(symbol, now = Date.now()) {
+        const feed = this.feeds.get(symbol) || emptyFeed();
+        return {
+            symbol,
+            price: feed.price,
+            updatedAt: feed.updatedAt,
+            sourceTimestamp: feed.sourceTimestamp,
+            sources: feed.sources,
+            source: this.source ? this.source.name : null,
+            valid: this.isFresh(feed, now),
+            rejections: feed.rejections,
+            lastError: feed.lastError ? { ...feed.lastError } : null
+        };
+    }
+
+    /**
+     * Whether a symbol has a fresh accepted price
+     */
+    isValid(symbol, now = Date.now()) {
+        return this.isFresh(this.feeds.get(symbol), now);
+    }
+
+    /**
+     * Restore accepted prices cached before a restart; stale ones stay invalid
+     */
+    restore(feeds) {
+        for (const { symbol, price, updatedAt, sourceTimestamp, sources } of feeds) {
+            Object.assign(this.getState(symbol), { price, updatedAt, sourceTimestamp, sources });
+        }
+    }
+
+    /**
+     * Forget all feeds (used by tests and resets)
+     */
+    reset() {
+        this.feeds.clear();
+    }
+}
+
+// Export singleton instance, reading from the sources named in ORACLE_SOURCES
+const priceOracle = new PriceOracle({
+    source: createPriceSource((process.env.ORACLE_SOURCES || 'simulated').split(',').map(type => type.trim()), {
+        replayFile: process.env.ORACLE_REPLAY_FILE
+    }),
+    settings: process.env.ORACLE_POLL_MS ? { pollMs: parseInt(process.env.ORACLE_POLL_MS) } : {}
+});
+
+module.exports = priceOracle;
+module.exports.PriceOracle = PriceOracle;
+module.exports.SimulatedPriceSource = SimulatedPriceSource;
+module.exports.ReplayPriceSource = ReplayPriceSource;
+module.exports.MedianPriceSource = MedianPriceSource;
+module.exports.createPriceSource = createPriceSource;
+module.exports.DEFAULT_ORACLE = DEFAULT_ORACLE;
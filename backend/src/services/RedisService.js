@@ -5,7 +5,6 @@
  */
 
 const redis = require('redis');
-const { promisify } = require('util');
 
 class RedisService {
     constructor() {
@@ -18,26 +17,39 @@ class RedisService {
         // Cache keys configuration
         this.CACHE_KEYS = {
             ORDERBOOK: 'clob:orderbook',
-            MARKET_STATS: 'clob:market:stats',
-            USER_BALANCE: 'clob:user:balance',
+            ORDERS: 'clob:orders',
+            MARKETS: 'clob:markets',
+            FEE_SCHEDULE: 'clob:fees:schedule',
+            RISK_LIMITS: 'clob:risk:limits',
+            CIRCUIT_BREAKERS: 'clob:circuit-breakers',
+            SEQUENCE: 'clob:sequence',
+            LEDGER: 'clob:ledger:journal',
+            LEDGER_SNAPSHOT: 'clob:ledger:snapshot',
             TRADE_HISTORY: 'clob:trades:history',
+            CANDLES: 'clob:candles',
             PRICE_FEED: 'clob:price:feed',
             LIQUIDATIONS: 'clob:liquidations',
+            POSITIONS: 'clob:positions',
             CROSS_CHAIN: 'clob:crosschain',
-            ANALYTICS: 'clob:analytics'
+            ANALYTICS: 'clob:analytics',
+            ANALYTICS_STREAM: 'clob:analytics:stream'
         };
 
         // Cache expiration times (in seconds)
+        // Orderbook, trade history and the ledger are persistent state and never expire
         this.CACHE_TTL = {
-            ORDERBOOK: 5,           // 5 seconds for orderbook
-            MARKET_STATS: 10,       // 10 seconds for market stats
-            USER_BALANCE: 30,       // 30 seconds for user balance
-            TRADE_HISTORY: 60,      // 1 minute for trade history
             PRICE_FEED: 15,         // 15 seconds for price feed
             LIQUIDATIONS: 120,      // 2 minutes for liquidations
             CROSS_CHAIN: 300,       // 5 minutes for cross-chain data
             ANALYTICS: 600          // 10 minutes for analytics
         };
+
+        // Number of trades kept per symbol in the history list
+        this.TRADE_HISTORY_LIMIT = 1000;
+        this.CANDLE_HISTORY_LIMIT = 5000;
+        this.LIQUIDATION_HISTORY_LIMIT = 1000;
+        // Approximate number of entries kept per analytics stream
+        this.ANALYTICS_STREAM_LIMIT = 100000;
     }
 
     /**
@@ -49,31 +61,27 @@ class RedisService {
 
             // Create Redis client
             this.client = redis.createClient({
-                host: process.env.REDIS_HOST || 'localhost',
-                port: process.env.REDIS_PORT || 6379,
-                password: process.env.REDIS_PASSWORD || undefined,
-                db: process.env.REDIS_DB || 0,
-                retry_strategy: (options) => {
-                    if (options.error && options.error.code === 'ECONNREFUSED') {
-                        console.error('❌ Redis server connection refused');
-                        return new Error('Redis server connection refused');
-                    }
-                    if (options.total_retry_time > 1000 * 60 * 60) {
-                        console.error('❌ Redis retry time exhausted');
-                        return new Error('Retry time exhausted');
-                    }
-                    if (options.attempt > 10) {
-                        console.error('❌ Too many Redis retry attempts');
-                        return undefined;
+                socket: {
+                    host: process.env.REDIS_HOST || 'localhost',
+                    port: parseInt(process.env.REDIS_PORT) || 6379,
+                    reconnectStrategy: (retries) => {
+                        if (retries > 10) {
+                            console.error('❌ Too many Redis retry attempts');
+                            return new Error('Retry attempts exhausted');
+                        }
+                        // Exponential backoff
+                        return Math.min(retries * 100, 3000);
                     }
-                    // Exponential backoff
-                    return Math.min(options.attempt * 100, 3000);
-                }
+                },
+                password: process.env.REDIS_PASSWORD || undefined,
+                database: parseInt(process.env.REDIS_DB) || 0
             });
 
             // Setup event handlers
             this.setupEventHandlers();
 
+            await this.client.connect();
+
             // Test connection
             await this.testConnection();
 
@@ -120,249 +128,612 @@ class RedisService {
      * Test Redis connection
      */
     async testConnection() {
-        return new Promise((resolve, reject) => {
-            this.client.ping((err, result) => {
-                if (err) {
-                    reject(err);
+        const result = await this.client.ping();
+        console.log('🏓 Redis ping successful:', result);
+        return result;
+    }
+
+    /**
+     * Key helpers for the order-level book model
+     *
+     * clob:orders:<id>                          hash of order fields
+     * clob:orderbook:symbols                    set of symbols with stored books
+     * clob:orderbook:<symbol>:<side>            sorted set of level prices (score = price)
+     * clob:orderbook:<symbol>:<side>:depth      hash of price -> remaining level quantity
+     * clob:orderbook:<symbol>:<side>:<price>    sorted set of order ids (score = order id, i.e. time priority)
+     */
+    orderKey(orderId) {
+        return `${this.CACHE_KEYS.ORDERS}:${orderId}`;
+    }
+
+    userOrdersKey(userAddress) {
+        return `${this.CACHE_KEYS.ORDERS}:user:${userAddress}`;
+    }
+
+    triggersKey(symbol) {
+        return `${this.CACHE_KEYS.ORDERS}:triggers:${symbol}`;
+    }
+
+    sideKey(symbol, side) {
+        return `${this.CACHE_KEYS.ORDERBOOK}:${symbol}:${side === 'buy' ? 'bids' : 'asks'}`;
+    }
+
+    /**
+     * Apply one matching engine change set (orders, price levels, trades)
+     * inside a single MULTI transaction, resolving to whether it was stored
+     */
+    async saveBookChanges({ symbol, orders, levels, trades, sequence }) {
+        try {
+            const multi = this.client.multi();
+
+            multi.sAdd(`${this.CACHE_KEYS.ORDERBOOK}:symbols`, symbol);
+
+            for (const order of orders) {
+                multi.hSet(this.orderKey(order.id), this.serializeOrder(order));
+                multi.zAdd(this.userOrdersKey(order.userAddress), { score: order.id, value: String(order.id) });
+
+                // Untriggered stop orders wait outside the price levels
+                if (order.status === 'untriggered') {
+                    multi.sAdd(this.triggersKey(symbol), String(order.id));
+                } else if (order.triggerBy) {
+                    multi.sRem(this.triggersKey(symbol), String(order.id));
+                }
+
+                if (order.price !== null) {
+                    const levelKey = `${this.sideKey(symbol, order.side)}:${order.price}`;
+                    if (order.resting) {
+                        multi.zAdd(levelKey, { score: order.id, value: String(order.id) });
+                    } else {
+                        multi.zRem(levelKey, String(order.id));
+                    }
+                }
+            }
+
+            for (const level of levels) {
+                const sideKey = this.sideKey(symbol, level.side);
+                const price = String(level.price);
+
+                if (level.totalQuantity > 0) {
+                    multi.zAdd(sideKey, { score: level.price, value: price });
+                    multi.hSet(`${sideKey}:depth`, price, String(level.totalQuantity));
                 } else {
-                    console.log('🏓 Redis ping successful:', result);
-                    resolve(result);
+                    multi.zRem(sideKey, price);
+                    multi.hDel(`${sideKey}:depth`, price);
+                    multi.del(`${sideKey}:${price}`);
                 }
+            }
+
+            if (trades.length > 0) {
+                this.queueTrades(multi, symbol, trades);
+            }
+
+            multi.hSet(this.CACHE_KEYS.SEQUENCE, {
+                nextOrderId: String(sequence.nextOrderId),
+                nextTradeId: String(sequence.nextTradeId)
             });
-        });
+
+            await multi.exec();
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to persist orderbook changes:', error);
+            return false;
+        }
     }
 
     /**
-     * Cache orderbook data
+     * Load every stored order and the id sequences so the engine can be rebuilt
      */
-    async cacheOrderbook(symbol, orderbookData) {
+    async loadOrderBookState() {
+        const symbols = await this.client.sMembers(`${this.CACHE_KEYS.ORDERBOOK}:symbols`);
+        const orders = [];
+
+        for (const symbol of symbols) {
+            for (const side of ['buy', 'sell']) {
+                const sideKey = this.sideKey(symbol, side);
+                const prices = await this.client.zRange(sideKey, 0, -1);
+
+                for (const price of prices) {
+                    const orderIds = await this.client.zRange(`${sideKey}:${price}`, 0, -1);
+                    for (const orderId of orderIds) {
+                        const fields = await this.client.hGetAll(this.orderKey(orderId));
+                        if (fields && fields.id) {
+                            orders.push(this.deserializeOrder(fields));
+                        }
+                    }
+                }
+            }
+
+            for (const orderId of await this.client.sMembers(this.triggersKey(symbol))) {
+                const fields = await this.client.hGetAll(this.orderKey(orderId));
+                if (fields && fields.id) {
+                    orders.push(this.deserializeOrder(fields));
+                }
+            }
+        }
+
+        const sequence = await this.client.hGetAll(this.CACHE_KEYS.SEQUENCE);
+
+        console.log(`📦 Loaded ${orders.length} resting and untriggered orders for ${symbols.length} symbols`);
+
+        return {
+            orders,
+            sequence: {
+                nextOrderId: parseInt(sequence.nextOrderId) || 1,
+                nextTradeId: parseInt(sequence.nextTradeId) || 1
+            }
+        };
+    }
+
+    /**
+     * Get a stored order by id
+     */
+    async getOrder(orderId) {
         try {
-            const key = `${this.CACHE_KEYS.ORDERBOOK}:${symbol}`;
-            const data = JSON.stringify({
-                symbol,
-                bids: orderbookData.bids,
-                asks: orderbookData.asks,
-                timestamp: Date.now(),
-                lastUpdate: orderbookData.lastUpdate
+            const fields = await this.client.hGetAll(this.orderKey(orderId));
+            return fields && fields.id ? this.deserializeOrder(fields) : null;
+        } catch (error) {
+            console.error('❌ Failed to get order:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Flatten an order into string hash fields
+     */
+    serializeOrder(order) {
+        return {
+            id: String(order.id),
+            symbol: order.symbol,
+            userAddress: order.userAddress,
+            side: order.side,
+            type: order.type,
+            price: order.price === null ? '' : String(order.price),
+            quantity: String(order.quantity),
+            filledQuantity: String(order.filledQuantity),
+            remainingQuantity: String(order.remainingQuantity),
+            averagePrice: order.averagePrice === null || order.averagePrice === undefined ? '' : String(order.averagePrice),
+            status: order.status,
+            rejectReason: order.rejectReason || '',
+            rejectMessage: order.rejectMessage || '',
+            timeInForce: order.timeInForce || 'GTC',
+            postOnly: order.postOnly ? '1' : '',
+            expiresAt: order.expiresAt ? String(order.expiresAt) : '',
+            fills: JSON.stringify(order.fills || []),
+            stopPrice: order.stopPrice === null || order.stopPrice === undefined ? '' : String(order.stopPrice),
+            triggerBy: order.triggerBy || '',
+            trailingOffset: order.trailingOffset === undefined ? '' : String(order.trailingOffset),
+            watermark: order.watermark === null || order.watermark === undefined ? '' : String(order.watermark),
+            triggeredAt: order.triggeredAt ? String(order.triggeredAt) : '',
+            timestamp: String(order.timestamp),
+            updatedAt: String(order.updatedAt)
+        };
+    }
+
+    /**
+     * Rebuild an order object from its hash fields
+     */
+    deserializeOrder(fields) {
+        return {
+            id: parseInt(fields.id),
+            symbol: fields.symbol,
+            userAddress: fields.userAddress,
+            side: fields.side,
+            type: fields.type,
+            price: fields.price === '' ? null : parseFloat(fields.price),
+            quantity: parseFloat(fields.quantity),
+            filledQuantity: parseFloat(fields.filledQuantity),
+            remainingQuantity: parseFloat(fields.remainingQuantity),
+            averagePrice: fields.averagePrice ? parseFloat(fields.averagePrice) : null,
+            // Orders stored before the lifecycle statuses were 'active' until filled
+            status: fields.status === 'active' ? 'new' : fields.status,
+            ...(fields.rejectReason ? { rejectReason: fields.rejectReason } : {}),
+            ...(fields.rejectMessage ? { rejectMessage: fields.rejectMessage } : {}),
+            timeInForce: fields.timeInForce || 'GTC',
+            postOnly: fields.postOnly === '1',
+            expiresAt: fields.expiresAt ? parseInt(fields.expiresAt) : null,
+            fills: fields.fills ? JSON.parse(fields.fills) : [],
+            ...(fields.triggerBy ? {
+                stopPrice: fields.stopPrice ? parseFloat(fields.stopPrice) : null,
+                triggerBy: fields.triggerBy,
+                triggeredAt: fields.triggeredAt ? parseInt(fields.triggeredAt) : null
+            } : {}),
+            ...(fields.trailingOffset ? {
+                trailingOffset: parseFloat(fields.trailingOffset),
+                watermark: fields.watermark ? parseFloat(fields.watermark) : null
+            } : {}),
+            timestamp: parseInt(fields.timestamp),
+            updatedAt: parseInt(fields.updatedAt)
+        };
+    }
+
+    /**
+     * Page through a user's orders, newest first
+     * Filters by status and symbol; `before` is the id cursor returned as nextCursor
+     */
+    async getUserOrders(userAddress, { statuses = null, symbol = null, before = null, limit = 50 } = {}) {
+        const key = this.userOrdersKey(userAddress);
+        const batchSize = Math.max(limit, 100);
+        const orders = [];
+        let cursor = before ? `(${before}` : '+inf';
+
+        while (orders.length < limit) {
+            const ids = await this.client.zRange(key, cursor, '-inf', {
+                BY: 'SCORE',
+                REV: true,
+                LIMIT: { offset: 0, count: batchSize }
             });
+            if (ids.length === 0) {
+                break;
+            }
 
-            await this.setWithTTL(key, data, this.CACHE_TTL.ORDERBOOK);
-            
-            // Also maintain a sorted set for price levels
-            await this.cacheOrderbookLevels(symbol, orderbookData);
+            const multi = this.client.multi();
+            ids.forEach(orderId => multi.hGetAll(this.orderKey(orderId)));
+            const results = await multi.exec();
+
+            for (const fields of results) {
+                if (!fields || !fields.id) {
+                    continue;
+                }
+                const order = this.deserializeOrder(fields);
+                if ((statuses && !statuses.includes(order.status)) || (symbol && order.symbol !== symbol)) {
+                    continue;
+                }
+                orders.push(order);
+                if (orders.length === limit) {
+                    break;
+                }
+            }
 
-            console.log(`📊 Cached orderbook for ${symbol}`);
+            if (ids.length < batchSize) {
+                break;
+            }
+            cursor = `(${ids[ids.length - 1]}`;
+        }
+
+        return {
+            orders,
+            nextCursor: orders.length === limit ? orders[orders.length - 1].id : null
+        };
+    }
+
+    /**
+     * Get a consistent orderbook snapshot from the stored price levels
+     */
+    async getOrderbook(symbol, levels = 50) {
+        try {
+            const depth = await this.getOrderbookDepth(symbol, levels);
+            return {
+                symbol,
+                ...depth,
+                lastUpdate: Date.now()
+            };
         } catch (error) {
-            console.error('❌ Failed to cache orderbook:', error);
+            console.error('❌ Failed to get orderbook:', error);
+            return null;
         }
     }
 
     /**
-     * Cache orderbook price levels in sorted sets
+     * Get orderbook depth from the price level sorted sets
+     * Both sides are read inside one MULTI so the snapshot is consistent
      */
-    async cacheOrderbookLevels(symbol, orderbookData) {
-        const bidKey = `${this.CACHE_KEYS.ORDERBOOK}:${symbol}:bids`;
-        const askKey = `${this.CACHE_KEYS.ORDERBOOK}:${symbol}:asks`;
+    async getOrderbookDepth(symbol, levels = 10) {
+        const bidKey = this.sideKey(symbol, 'buy');
+        const askKey = this.sideKey(symbol, 'sell');
+
+        // Top bids (highest prices first) and asks (lowest prices first)
+        const [bidPrices, askPrices, bidDepth, askDepth] = await this.client.multi()
+            .zRange(bidKey, 0, levels - 1, { REV: true })
+            .zRange(askKey, 0, levels - 1)
+            .hGetAll(`${bidKey}:depth`)
+            .hGetAll(`${askKey}:depth`)
+            .exec();
+
+        const toLevels = (prices, depth) => prices
+            .filter(price => depth[price] !== undefined)
+            .map(price => [parseFloat(price), parseFloat(depth[price])]);
+
+        return {
+            bids: toLevels(bidPrices, bidDepth),
+            asks: toLevels(askPrices, askDepth)
+        };
+    }
 
-        // Clear existing data
-        await this.client.del(bidKey);
-        await this.client.del(askKey);
+    /**
+     * Persist a market registry entry
+     */
+    async saveMarket(market) {
+        try {
+            await this.client.hSet(this.CACHE_KEYS.MARKETS, market.symbol, JSON.stringify(market));
+        } catch (error) {
+            console.error('❌ Failed to save market:', error);
+        }
+    }
 
-        // Cache bids (sorted by price descending)
-        for (const [price, quantity] of orderbookData.bids) {
-            await this.client.zadd(bidKey, price, `${price}:${quantity}`);
+    /**
+     * Load all persisted markets
+     */
+    async loadMarkets() {
+        const markets = await this.client.hGetAll(this.CACHE_KEYS.MARKETS);
+        return Object.values(markets).map(market => JSON.parse(market));
+    }
+
+    /**
+     * Persist a margin position
+     */
+    async savePosition(position) {
+        try {
+            await this.client.hSet(this.CACHE_KEYS.POSITIONS, String(position.id), JSON.stringify(position));
+        } catch (error) {
+            console.error('❌ Failed to save position:', error);
         }
+    }
 
-        // Cache asks (sorted by price ascending)
-        for (const [price, quantity] of orderbookData.asks) {
-            await this.client.zadd(askKey, price, `${price}:${quantity}`);
+    /**
+     * Remove a closed margin position
+     */
+    async deletePosition(positionId) {
+        try {
+            await this.client.hDel(this.CACHE_KEYS.POSITIONS, String(positionId));
+        } catch (error) {
+            console.error('❌ Failed to delete position:', error);
         }
+    }
 
-        // Set expiration
-        await this.client.expire(bidKey, this.CACHE_TTL.ORDERBOOK);
-        await this.client.expire(askKey, this.CACHE_TTL.ORDERBOOK);
+    /**
+     * Load all persisted margin positions
+     */
+    async loadPositions() {
+        const positions = await this.client.hGetAll(this.CACHE_KEYS.POSITIONS);
+        return Object.values(positions).map(position => JSON.parse(position));
     }
 
     /**
-     * Get cached orderbook
+     * Append a liquidation to the history list, newest first
      */
-    async getOrderbook(symbol) {
+    async appendLiquidation(liquidation) {
         try {
-            const key = `${this.CACHE_KEYS.ORDERBOOK}:${symbol}`;
-            const data = await this.get(key);
-            
-            if (data) {
-                const orderbook = JSON.parse(data);
-                console.log(`📖 Retrieved cached orderbook for ${symbol}`);
-                return orderbook;
-            }
-            
-            return null;
+            const multi = this.client.multi();
+            multi.lPush(this.CACHE_KEYS.LIQUIDATIONS, JSON.stringify(liquidation));
+            multi.lTrim(this.CACHE_KEYS.LIQUIDATIONS, 0, this.LIQUIDATION_HISTORY_LIMIT - 1);
+            await multi.exec();
         } catch (error) {
-            console.error('❌ Failed to get cached orderbook:', error);
-            return null;
+            console.error('❌ Failed to save liquidation:', error);
         }
     }
 
     /**
-     * Get orderbook depth from sorted sets
+     * Cache an accepted oracle price; it expires soon after the oracle stops updating it
      */
-    async getOrderbookDepth(symbol, levels = 10) {
+    async cachePriceFeed(feed) {
         try {
-            const bidKey = `${this.CACHE_KEYS.ORDERBOOK}:${symbol}:bids`;
-            const askKey = `${this.CACHE_KEYS.ORDERBOOK}:${symbol}:asks`;
+            const key = `${this.CACHE_KEYS.PRICE_FEED}:${feed.symbol}`;
+            await this.setWithTTL(key, JSON.stringify(feed), this.CACHE_TTL.PRICE_FEED);
+        } catch (error) {
+            console.error('❌ Failed to cache price feed:', error);
+        }
+    }
 
-            // Get top bids (highest prices first)
-            const bids = await this.client.zrevrange(bidKey, 0, levels - 1);
-            
-            // Get top asks (lowest prices first)  
-            const asks = await this.client.zrange(askKey, 0, levels - 1);
+    /**
+     * Load the cached oracle prices of some symbols that have not expired
+     */
+    async loadPriceFeeds(symbols) {
+        const feeds = await Promise.all(symbols.map(symbol => this.client.get(`${this.CACHE_KEYS.PRICE_FEED}:${symbol}`)));
+        return feeds.filter(Boolean).map(feed => JSON.parse(feed));
+    }
 
-            return {
-                bids: bids.map(item => {
-                    const [price, quantity] = item.split(':');
-                    return [parseFloat(price), parseFloat(quantity)];
-                }),
-                asks: asks.map(item => {
-                    const [price, quantity] = item.split(':');
-                    return [parseFloat(price), parseFloat(quantity)];
-                })
-            };
+    /**
+     * Persist the fee schedule
+     */
+    async saveFeeSchedule(schedule) {
+        try {
+            await this.client.set(this.CACHE_KEYS.FEE_SCHEDULE, JSON.stringify(schedule));
         } catch (error) {
-            console.error('❌ Failed to get orderbook depth:', error);
-            return { bids: [], asks: [] };
+            console.error('❌ Failed to save fee schedule:', error);
         }
     }
 
     /**
-     * Cache market statistics
+     * Load the persisted fee schedule, or null before one was set
      */
-    async cacheMarketStats(symbol, stats) {
+    async loadFeeSchedule() {
+        const schedule = await this.client.get(this.CACHE_KEYS.FEE_SCHEDULE);
+        return schedule ? JSON.parse(schedule) : null;
+    }
+
+    /**
+     * Persist the risk limits: platform defaults and per-account overrides
+     */
+    async saveRiskLimits(config) {
         try {
-            const key = `${this.CACHE_KEYS.MARKET_STATS}:${symbol}`;
-            const data = JSON.stringify({
-                symbol,
-                lastPrice: stats.lastPrice,
-                volume24h: stats.volume24h,
-                change24h: stats.change24h,
-                high24h: stats.high24h,
-                low24h: stats.low24h,
-                trades24h: stats.trades24h,
-                timestamp: Date.now()
-            });
+            await this.client.set(this.CACHE_KEYS.RISK_LIMITS, JSON.stringify(config));
+        } catch (error) {
+            console.error('❌ Failed to save risk limits:', error);
+        }
+    }
+
+    /**
+     * Load the persisted risk limits, or null before any were set
+     */
+    async loadRiskLimits() {
+        const config = await this.client.get(this.CACHE_KEYS.RISK_LIMITS);
+        return config ? JSON.parse(config) : null;
+    }
 
-            await this.setWithTTL(key, data, this.CACHE_TTL.MARKET_STATS);
-            console.log(`📈 Cached market stats for ${symbol}`);
+    /**
+     * Persist the circuit breaker settings
+     */
+    async saveCircuitBreakers(config) {
+        try {
+            await this.client.set(this.CACHE_KEYS.CIRCUIT_BREAKERS, JSON.stringify(config));
         } catch (error) {
-            console.error('❌ Failed to cache market stats:', error);
+            console.error('❌ Failed to save circuit breakers:', error);
         }
     }
 
     /**
-     * Get cached market statistics
+     * Load the persisted circuit breaker settings, or null before any were set
      */
-    async getMarketStats(symbol) {
+    async loadCircuitBreakers() {
+        const config = await this.client.get(this.CACHE_KEYS.CIRCUIT_BREAKERS);
+        return config ? JSON.parse(config) : null;
+    }
+
+    /**
+     * Upsert candles in one transaction
+     * Each symbol/interval is a sorted set of candle JSON scored by open time
+     */
+    async saveCandles(candles) {
         try {
-            const key = `${this.CACHE_KEYS.MARKET_STATS}:${symbol}`;
-            const data = await this.get(key);
-            
-            if (data) {
-                const stats = JSON.parse(data);
-                console.log(`📊 Retrieved cached market stats for ${symbol}`);
-                return stats;
+            const multi = this.client.multi();
+
+            for (const candle of candles) {
+                const key = `${this.CACHE_KEYS.CANDLES}:${candle.symbol}:${candle.interval}`;
+                multi.zRemRangeByScore(key, candle.openTime, candle.openTime);
+                multi.zAdd(key, { score: candle.openTime, value: JSON.stringify(candle) });
+                multi.zRemRangeByRank(key, 0, -this.CANDLE_HISTORY_LIMIT - 1);
             }
-            
-            return null;
+
+            await multi.exec();
         } catch (error) {
-            console.error('❌ Failed to get cached market stats:', error);
-            return null;
+            console.error('❌ Failed to save candles:', error);
         }
     }
 
     /**
-     * Cache user balance
+     * Get candles with open time in [from, to], oldest first
      */
-    async cacheUserBalance(userAddress, balance) {
+    async getCandles(symbol, interval, from, to, limit = 500) {
         try {
-            const key = `${this.CACHE_KEYS.USER_BALANCE}:${userAddress}`;
-            const data = JSON.stringify({
-                userAddress,
-                availableBase: balance.availableBase,
-                availableQuote: balance.availableQuote,
-                lockedBase: balance.lockedBase,
-                lockedQuote: balance.lockedQuote,
-                timestamp: Date.now()
-            });
+            const key = `${this.CACHE_KEYS.CANDLES}:${symbol}:${interval}`;
+            const candles = await this.client.zRangeByScore(key, from, to);
 
-            await this.setWithTTL(key, data, this.CACHE_TTL.USER_BALANCE);
-            console.log(`💰 Cached user balance for ${userAddress}`);
+            return candles.slice(-limit).map(candle => JSON.parse(candle));
         } catch (error) {
-            console.error('❌ Failed to cache user balance:', error);
+            console.error('❌ Failed to get candles:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Load the most recent candle of every symbol/interval
+     */
+    async loadLatestCandles(symbols, intervals) {
+        const multi = this.client.multi();
+
+        for (const symbol of symbols) {
+            for (const interval of intervals) {
+                multi.zRange(`${this.CACHE_KEYS.CANDLES}:${symbol}:${interval}`, -1, -1);
+            }
         }
+
+        const results = await multi.exec();
+        return results.flat().map(candle => JSON.parse(candle));
     }
 
     /**
-     * Get cached user balance
+     * Append a ledger entry to the journal
      */
-    async getUserBalance(userAddress) {
+    async appendLedgerEntry(entry) {
         try {
-            const key = `${this.CACHE_KEYS.USER_BALANCE}:${userAddress}`;
-            const data = await this.get(key);
-            
-            if (data) {
-                const balance = JSON.parse(data);
-                console.log(`💰 Retrieved cached user balance for ${userAddress}`);
-                return balance;
+            await this.client.rPush(this.CACHE_KEYS.LEDGER, JSON.stringify(entry));
+        } catch (error) {
+            console.error('❌ Failed to append ledger entry:', error);
+        }
+    }
+
+    /**
+     * Save a ledger snapshot and drop the journal entries it covers
+     * Entries are appended in id order, so the covered ones (id up to the
+     * snapshot's lastEntryId) are a prefix of the list even when an append
+     * was lost; entries appended meanwhile land after it
+     */
+    async saveLedgerSnapshot(snapshot) {
+        try {
+            await this.client.set(this.CACHE_KEYS.LEDGER_SNAPSHOT, JSON.stringify(snapshot));
+
+            const entries = await this.client.lRange(this.CACHE_KEYS.LEDGER, 0, -1);
+            const kept = entries.findIndex(entry => JSON.parse(entry).id > snapshot.lastEntryId);
+            const covered = kept === -1 ? entries.length : kept;
+            if (covered > 0) {
+                await this.client.lTrim(this.CACHE_KEYS.LEDGER, covered, -1);
             }
-            
-            return null;
         } catch (error) {
-            console.error('❌ Failed to get cached user balance:', error);
-            return null;
+            console.error('❌ Failed to save ledger snapshot:', error);
         }
     }
 
     /**
-     * Cache trade history
+     * Load the last ledger snapshot and the journal entries after it, oldest first
+     */
+    async loadLedgerState() {
+        const [snapshot, entries] = await Promise.all([
+            this.client.get(this.CACHE_KEYS.LEDGER_SNAPSHOT),
+            this.client.lRange(this.CACHE_KEYS.LEDGER, 0, -1)
+        ]);
+        const parsed = snapshot ? JSON.parse(snapshot) : null;
+        const lastEntryId = parsed ? parsed.lastEntryId : 0;
+
+        return {
+            snapshot: parsed,
+            entries: entries.map(entry => JSON.parse(entry)).filter(entry => entry.id > lastEntryId)
+        };
+    }
+
+    /**
+     * Append trades to the persistent history list
      */
     async cacheTradeHistory(symbol, trades) {
         try {
-            const key = `${this.CACHE_KEYS.TRADE_HISTORY}:${symbol}`;
-            
-            // Use a list to store recent trades
-            for (const trade of trades) {
-                const tradeData = JSON.stringify({
-                    id: trade.id,
-                    price: trade.price,
-                    quantity: trade.quantity,
-                    side: trade.side,
-                    timestamp: trade.timestamp
-                });
-                
-                await this.client.lpush(key, tradeData);
-            }
-            
-            // Keep only last 100 trades
-            await this.client.ltrim(key, 0, 99);
-            await this.client.expire(key, this.CACHE_TTL.TRADE_HISTORY);
-            
-            console.log(`📋 Cached trade history for ${symbol}`);
+            const multi = this.client.multi();
+            this.queueTrades(multi, symbol, trades);
+            await multi.exec();
+
+            console.log(`📋 Stored ${trades.length} trades for ${symbol}`);
         } catch (error) {
-            console.error('❌ Failed to cache trade history:', error);
+            console.error('❌ Failed to store trade history:', error);
+        }
+    }
+
+    /**
+     * Queue trade history writes on an open MULTI
+     */
+    queueTrades(multi, symbol, trades) {
+        const key = `${this.CACHE_KEYS.TRADE_HISTORY}:${symbol}`;
+
+        for (const trade of trades) {
+            multi.lPush(key, JSON.stringify(this.formatTrade(symbol, trade)));
         }
+
+        // Keep only the most recent trades
+        multi.lTrim(key, 0, this.TRADE_HISTORY_LIMIT - 1);
+    }
+
+    /**
+     * Public view of a trade, as stored in history and pushed to trade subscribers
+     */
+    formatTrade(symbol, trade) {
+        return {
+            id: trade.id,
+            symbol,
+            price: trade.price,
+            quantity: trade.quantity,
+            side: trade.side,
+            timestamp: trade.timestamp
+        };
     }
 
     /**
-     * Get cached trade history
+     * Get trade history (most recent first)
      */
     async getTradeHistory(symbol, limit = 50) {
         try {
             const key = `${this.CACHE_KEYS.TRADE_HISTORY}:${symbol}`;
-            const trades = await this.client.lrange(key, 0, limit - 1);
+            const trades = await this.client.lRange(key, 0, limit - 1);
             
             return trades.map(trade => JSON.parse(trade));
         } catch (error) {
-            console.error('❌ Failed to get cached trade history:', error);
+            console.error('❌ Failed to get trade history:', error);
             return [];
         }
     }
@@ -411,6 +782,30 @@ class RedisService {
         }
     }
 
+    /**
+     * Append analytics entries (flat string fields) to a stream in one transaction
+     * Redis assigns entry ids from the receive time; old entries are trimmed
+     */
+    async appendAnalytics(stream, entries) {
+        const key = `${this.CACHE_KEYS.ANALYTICS_STREAM}:${stream}`;
+        const multi = this.client.multi();
+
+        for (const entry of entries) {
+            multi.xAdd(key, '*', entry, {
+                TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.ANALYTICS_STREAM_LIMIT }
+            });
+        }
+
+        return multi.exec();
+    }
+
+    /**
+     * Read up to `count` analytics entries with ids in [start, end], oldest first
+     */
+    async readAnalytics(stream, start, end, count) {
+        return this.client.xRange(`${this.CACHE_KEYS.ANALYTICS_STREAM}:${stream}`, start, end, { COUNT: count });
+    }
+
     /**
      * Generic set operation with TTL
      */
@@ -419,15 +814,7 @@ class RedisService {
             throw new Error('Redis client not connected');
         }
 
-        return new Promise((resolve, reject) => {
-            this.client.setex(key, ttl, value, (err, result) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(result);
-                }
-            });
-        });
+        return this.client.setEx(key, ttl, value);
     }
 
     /**
@@ -438,25 +825,19 @@ class RedisService {
             throw new Error('Redis client not connected');
         }
 
-        return new Promise((resolve, reject) => {
-            this.client.get(key, (err, result) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(result);
-                }
-            });
-        });
+        return this.client.get(key);
     }
 
     /**
      * Clear cache for a specific pattern
+     * Only keys of the expiring cache families are deleted, never orders,
+     * trades, the ledger or analytics streams
      */
     async clearCache(pattern) {
         try {
-            const keys = await this.client.keys(pattern);
+            const keys = (await this.client.keys(pattern)).filter(key => this.isCacheKey(key));
             if (keys.length > 0) {
-                await this.client.del(...keys);
+                await this.client.del(keys);
                 console.log(`🗑️  Cleared ${keys.length} cache entries for pattern: ${pattern}`);
             }
         } catch (error) {
@@ -464,6 +845,14 @@ class RedisService {
         }
     }
 
+    isCacheKey(key) {
+        if (key.startsWith(`${this.CACHE_KEYS.ANALYTICS_STREAM}:`)) {
+            return false;
+        }
+        return [this.CACHE_KEYS.PRICE_FEED, this.CACHE_KEYS.CROSS_CHAIN, this.CACHE_KEYS.ANALYTICS]
+            .some(prefix => key.startsWith(`${prefix}:`));
+    }
+
     /**
      * Get cache statistics
      */
@@ -507,7 +896,7 @@ class RedisService {
      */
     async close() {
         if (this.client) {
-            this.client.quit();
+            await this.client.quit();
             this.isConnected = false;
             console.log('👋 Redis connection closed');
         }
@@ -542,4 +931,5 @@ class RedisService {
 // Export singleton instance
 const redisService = new RedisService();
 
-module.exports = redisService;
\ No newline at end of file
+module.exports = redisService;
+module.exports.RedisService = RedisService;
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * Risk Service for CLOB Trading Platform
+ * Pre-trade checks run by the matching engine before an order can trade:
+ * a price band around the mid price, a maximum order notional, maximum
+ * open orders and position per account, and an order rate limit per address.
+ * Limits have platform defaults and optional per-account overrides
+ */
+
+// Default limits; notional is in quote, position in base
+const DEFAULT_LIMITS = {
+    priceBandBps: 1000,         // limit prices within 10% of mid
+    maxOrderNotional: 1000000,  // quote value of a single order
+    maxOpenOrders: 200,         // open orders per account across markets
+    maxPosition: 1000000,       // base held plus open buys, per market
+    maxOrdersPerWindow: 200,    // orders and amends per address...
+    rateWindowMs: 10000         // ...in this sliding window (room for a full batch)
+};
+
+// Decimal places kept for reported values, matching the matching engine
+const PRECISION = 8;
+
+/**
+ * Round a numeric value to the risk precision
+ */
+function normalize(value) {
+    const factor = Math.pow(10, PRECISION);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Create an error carrying a structured error code and the limit it breached
+ */
+function riskError(code, message, check, value, limit) {
+    const error = new Error(message);
+    error.code = code;
+    if (check) {
+        error.risk = { check, value, limit };
+    }
+    return error;
+}
+
+class RiskService {
+    constructor(options = {}) {
+        this.accounts = new Map();  // address -> limit overrides
+        this.activity = new Map();  // address -> timestamps of recent orders
+        this.configure(options.limits || {});
+    }
+
+    /**
+     * Validate a set of limits, all of which must be positive numbers
+     */
+    buildLimits(limits, label) {
+        const built = {};
+        for (const [name, value] of Object.entries(limits)) {
+            if (!(name in DEFAULT_LIMITS)) {
+                throw riskError('E_INVALID_RISK_LIMITS', `${label} has unknown limit ${name}`);
+            }
+            if (!(Number.isFinite(Number(value)) && Number(value) > 0)) {
+                throw riskError('E_INVALID_RISK_LIMITS', `${label} ${name} must be a positive number`);
+            }
+            built[name] = Number(value);
+        }
+        return built;
+    }
+
+    /**
+     * Replace the platform default limits, keeping built-in values for any left out
+     */
+    configure(limits) {
+        this.defaults = { ...DEFAULT_LIMITS, ...this.buildLimits(limits, 'Risk limits') };
+        return this.getConfig();
+    }
+
+    /**
+     * Set (or with null, clear) an account's limit overrides
+     */
+    setAccountLimits(address, limits) {
+        if (!limits || Object.keys(limits).length === 0) {
+            this.accounts.delete(address);
+        } else {
+            this.accounts.set(address, this.buildLimits(limits, `Limits for ${address}`));
+        }
+
+        console.log(`🛡️  Risk limits for ${address}: ${JSON.stringify(this.accounts.get(address) || 'defaults')}`);
+        return this.getLimits(address);
+    }
+
+    /**
+     * Defaults and account overrides, for persistence and the admin API
+     */
+    getConfig() {
+        return {
+            defaults: { ...this.defaults },
+            accounts: Object.fromEntries(
+                Array.from(this.accounts, ([address, limits]) => [address, { ...limits }])
+            )
+        };
+    }
+
+    /**
+     * Load a saved configuration
+     */
+    load({ defaults = {}, accounts = {} } = {}) {
+        this.configure(defaults);
+        this.accounts.clear();
+        for (const [address, limits] of Object.entries(accounts)) {
+            this.accounts.set(address, this.buildLimits(limits, `Limits for ${address}`));
+        }
+    }
+
+    /**
+     * Limits that apply to an account
+     */
+    getLimits(address) {
+        return { ...this.defaults, ...this.accounts.get(address) };
+    }
+
+    /**
+     * Orders an address sent within its rate window
+     */
+    getRecentOrders(address, now = Date.now()) {
+        const times = this.activity.get(address);
+        if (!times) {
+            return 0;
+        }
+
+        const since = now - this.getLimits(address).rateWindowMs;
+        while (times.length > 0 && times[0] <= since) {
+            times.shift();
+        }
+        return times.length;
+    }
+
+    /**
+     * Check an order against its account's limits, throwing on the first breach
+     * `context` comes from the engine: { reference (mid or last price, or null),
+     * openOrders (other open orders), position (base held plus other open buys) }
+     */
+    checkOrder(order, { reference = null, openOrders = 0, position = 0 } = {}, now = Date.now()) {
+        const limits = this.getLimits(order.userAddress);
+        const quantity = order.remainingQuantity ?? order.quantity;
+
+        const recent = this.getRecentOrders(order.userAddress, now);
+        if (recent >= limits.maxOrdersPerWindow) {
+            throw riskError('E_ORDER_RATE_LIMIT',
+                `Too many orders: at most ${limits.maxOrdersPerWindow} every ${limits.rateWindowMs / 1000}s`,
+                'orderRate', recent, limits.maxOrdersPerWindow);
+        }
+
+        // Trigger orders rest away from the market by design, so only orders that can trade now are banded
+        if (order.price !== null && reference && order.status !== 'untriggered') {
+            const deviation = Math.abs(order.price - reference) / reference * 10000;
+            if (deviation > limits.priceBandBps) {
+                const band = limits.priceBandBps / 100;
+                throw riskError('E_PRICE_BAND',
+                    `Price ${order.price} is more than ${band}% from the reference price ${reference}`,
+                    'priceBand', normalize(deviation), limits.priceBandBps);
+            }
+        }
+
+        // Market orders are valued at the reference price, when there is one
+        const price = order.price ?? reference;
+        if (price) {
+            const notional = normalize(price * quantity);
+            if (notional > limits.maxOrderNotional) {
+                throw riskError('E_MAX_NOTIONAL',
+                    `Order value ${notional} exceeds the ${limits.maxOrderNotional} limit per order`,
+                    'orderNotional', notional, limits.maxOrderNotional);
+            }
+        }
+
+        if (openOrders >= limits.maxOpenOrders) {
+            throw riskError('E_MAX_OPEN_ORDERS',
+                `You already have ${openOrders} open orders, the most allowed`,
+                'openOrders', openOrders, limits.maxOpenOrders);
+        }
+
+        // Sells only reduce a spot position
+        if (order.side === 'buy') {
+            const total = normalize(position + quantity);
+            if (total > limits.maxPosition) {
+                throw riskError('E_MAX_POSITION',
+                    `Order would take your position to ${total}, above the ${limits.maxPosition} limit`,
+                    'position', total, limits.maxPosition);
+            }
+        }
+    }
+
+    /**
+     * Count an accepted order or amend towards its address's rate limit
+     */
+    recordOrder(address, now = Date.now()) {
+        if (!this.activity.has(address)) {
+            this.activity.set(address, []);
+        }
+        this.activity.get(address).push(now);
+    }
+
+    /**
+     * An account's limits and how much of them it is using
+     */
+    getUsage(address, { openOrders = 0 } = {}, now = Date.now()) {
+        return {
+            address,
+            limits: this.getLimits(address),
+            openOrders,
+            recentOrders: this.getRecentOrders(address, now)
+        };
+    }
+
+    /**
+     * Drop all rate limit history and account overrides (used by tests and resets)
+     */
+    reset() {
+        this.activity.clear();
+        this.accounts.clear();
+    }
+}
+
+// Export singleton instance
+const riskService = new RiskService();
+
+module.exports = riskService;
+module.exports.RiskService = RiskService;
+module.exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
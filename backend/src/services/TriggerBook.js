@@ -0,0 +1,155 @@
+/**
+ * Trigger Book for CLOB Trading Platform
+ * Holds stop-market, stop-limit, take-profit and trailing-stop orders until
+ * the last-trade or mark price reaches their stop price, then hands them
+ * back to the matching engine to be activated
+ */
+
+// Trigger order types and the order type they activate as
+const TRIGGER_TYPES = {
+    stop_market: 'market',
+    stop_limit: 'limit',
+    take_profit: 'market',
+    trailing_stop: 'market'
+};
+
+// Prices a trigger can follow: the last trade or the mark (mid) price
+const TRIGGER_PRICES = ['last', 'mark'];
+
+// Decimal places kept for stop prices, matching the matching engine
+const PRECISION = 8;
+
+/**
+ * Round a numeric value to the trigger book precision
+ */
+function normalize(value) {
+    const factor = Math.pow(10, PRECISION);
+    return Math.round(value * factor) / factor;
+}
+
+class TriggerBook {
+    constructor() {
+        this.orders = new Map();  // symbol -> Map<orderId, order>
+        this.prices = new Map();  // `${symbol}:${triggerBy}` -> latest price
+    }
+
+    /**
+     * Check whether an order type waits in the trigger book
+     */
+    static isTriggerType(type) {
+        return Object.prototype.hasOwnProperty.call(TRIGGER_TYPES, type);
+    }
+
+    /**
+     * Latest reference price of a symbol, or null before the first one
+     */
+    getPrice(symbol, triggerBy) {
+        const price = this.prices.get(`${symbol}:${triggerBy}`);
+        return price === undefined ? null : price;
+    }
+
+    /**
+     * Move a trailing stop behind the best price seen since it was placed:
+     * a sell trails below the high, a buy trails above the low
+     */
+    trail(order, price) {
+        const improved = order.watermark === null || order.watermark === undefined
+            || (order.side === 'sell' ? price > order.watermark : price < order.watermark);
+
+        if (improved) {
+            order.watermark = price;
+            order.stopPrice = normalize(order.side === 'sell' ? price - order.trailingOffset : price + order.trailingOffset);
+        }
+    }
+
+    /**
+     * Check whether a price fires an order. Stops fire when the price moves
+     * against the position (buy at or above, sell at or below the stop);
+     * take-profits fire when it moves in its favour
+     */
+    isTriggered(order, price) {
+        if (order.stopPrice === null || order.stopPrice === undefined) {
+            return false;
+        }
+        const rising = order.type === 'take_profit' ? order.side === 'sell' : order.side === 'buy';
+        return rising ? price >= order.stopPrice : price <= order.stopPrice;
+    }
+
+    /**
+     * Add an untriggered order
+     * Returns true when the current reference price already fires it
+     */
+    add(order) {
+        if (!this.orders.has(order.symbol)) {
+            this.orders.set(order.symbol, new Map());
+        }
+        this.orders.get(order.symbol).set(order.id, order);
+
+        const price = this.getPrice(order.symbol, order.triggerBy);
+        if (price === null) {
+            return false;
+        }
+        if (order.type === 'trailing_stop') {
+            this.trail(order, price);
+        }
+        return this.isTriggered(order, price);
+    }
+
+    /**
+     * Remove an order (cancelled or activated)
+     */
+    remove(order) {
+        const orders = this.orders.get(order.symbol);
+        return !!orders && orders.delete(order.id);
+    }
+
+    /**
+     * Record a new reference price and return the orders it fires,
+     * oldest first, removing them from the book
+     */
+    update(symbol, triggerBy, price) {
+        this.prices.set(`${symbol}:${triggerBy}`, price);
+
+        const orders = this.orders.get(symbol);
+        if (!orders) {
+            return [];
+        }
+
+        const triggered = [];
+        for (const order of orders.values()) {
+            if (order.triggerBy !== triggerBy) {
+                continue;
+            }
+            if (order.type === 'trailing_stop') {
+                this.trail(order, price);
+            }
+            if (this.isTriggered(order, price)) {
+                triggered.push(order);
+            }
+        }
+
+        triggered.forEach(order => orders.delete(order.id));
+        return triggered.sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Number of untriggered orders for a symbol
+     */
+    size(symbol) {
+        const orders = this.orders.get(symbol);
+        return orders ? orders.size : 0;
+    }
+
+    /**
+     * Drop all orders and prices
+     */
+    reset() {
+        this.orders.clear();
+        this.prices.clear();
+    }
+}
+
+module.exports = TriggerBook;
+module.exports.TriggerBook = TriggerBook;
+module.exports.TRIGGER_TYPES = TRIGGER_TYPES;
+module.exports.TRIGGER_PRICES = TRIGGER_PRICES;
@@ -0,0 +1,283 @@
+/**
+ * WebSocket Gateway for CLOB Trading Platform
+ * Speaks the shared wsProtocol: versioned envelopes, subscribe/unsubscribe
+ * acks, any number of channels per socket and coded errors.
+ * Sockets that authenticate with a session token may join private channels,
+ * which only carry data for that socket's account, and may ask for their
+ * account's orders to be cancelled when they disconnect. The session is
+ * checked again before private data goes out, so a socket whose session
+ * expired or was revoked loses its account binding
+ */
+
+const EventEmitter = require('events');
+const {
+    PROTOCOL_VERSION,
+    CHANNELS,
+    PRIVATE_CHANNELS,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES,
+    CHANNEL_MESSAGE_TYPES,
+    ERROR_CODES,
+    protocolError,
+    subscriptionKey,
+    createMessage,
+    encodeMessage,
+    decodeMessage,
+    validateSubscription
+} = require('@clob/shared/wsProtocol');
+
+// Same value as WebSocket.OPEN, kept local so the gateway does not depend on `ws`
+const OPEN = 1;
+
+class WebSocketGateway extends EventEmitter {
+    constructor() {
+        super();
+        this.clients = new Set();
+        this.snapshotProviders = new Map(); // channel -> async (symbol, ws) => initial data
+        this.authenticator = () => null;    // session token -> account address or null
+    }
+
+    /**
+     * Attach to a `ws` server
+     */
+    attach(wss) {
+        wss.on('connection', (ws) => this.handleConnection(ws));
+    }
+
+    /**
+     * Register the initial payload sent right after a subscribe ack
+     */
+    setSnapshotProvider(channel, provider) {
+        this.snapshotProviders.set(channel, provider);
+    }
+
+    /**
+     * Register how session tokens are resolved to account addresses
+     */
+    setAuthenticator(authenticator) {
+        this.authenticator = authenticator;
+    }
+
+    /**
+     * Set up a new client socket
+     */
+    handleConnection(ws) {
+        console.log('👋 New WebSocket connection');
+
+        ws.subscriptions = new Set();
+        ws.userAddress = null;
+        ws.sessionToken = null;
+        ws.cancelOnDisconnect = false;
+        this.clients.add(ws);
+
+        this.send(ws, createMessage(SERVER_MESSAGES.WELCOME, {
+            message: 'Connected to CLOB Trading Platform WebSocket',
+            protocolVersion: PROTOCOL_VERSION,
+            channels: Object.values(CHANNELS),
+            timestamp: Date.now()
+        }));
+
+        ws.on('message', (raw) => this.handleMessage(ws, raw));
+
+        ws.on('close', () => {
+            console.log('👋 WebSocket connection closed');
+            this.clients.delete(ws);
+            this.emit('disconnect', ws);
+            this.checkCancelOnDisconnect(ws);
+        });
+
+        ws.on('error', (error) => {
+            console.error('❌ WebSocket error:', error);
+        });
+    }
+
+    /**
+     * Dispatch a raw client frame
+     */
+    async handleMessage(ws, raw) {
+        let message = null;
+
+        try {
+            message = decodeMessage(raw);
+
+            switch (message.type) {
+                case CLIENT_MESSAGES.AUTH:
+                    this.authenticate(ws, message);
+                    break;
+
+                case CLIENT_MESSAGES.SUBSCRIBE:
+                    await this.subscribe(ws, message);
+                    break;
+
+                case CLIENT_MESSAGES.UNSUBSCRIBE:
+                    this.unsubscribe(ws, message);
+                    break;
+
+                case CLIENT_MESSAGES.PING:
+                    this.send(ws, createMessage(SERVER_MESSAGES.PONG, {
+                        id: message.id,
+                        timestamp: Date.now()
+                    }));
+                    break;
+
+                default:
+                    throw protocolError(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${message.type}`);
+            }
+        } catch (error) {
+            if (!error.code) {
+                console.error('❌ WebSocket message error:', error);
+            }
+
+            this.send(ws, createMessage(SERVER_MESSAGES.ERROR, {
+                id: message?.id,
+                channel: message?.channel,
+                symbol: message?.symbol,
+                code: error.code || ERROR_CODES.INTERNAL_ERROR,
+                message: error.code ? error.message : 'Internal server error'
+            }));
+        }
+    }
+
+    /**
+     * Bind the socket to the account behind a session token
+     */
+    authenticate(ws, { id, token, cancelOnDisconnect = false }) {
+        const address = this.authenticator(token);
+        if (!address) {
+            throw protocolError(ERROR_CODES.AUTH_FAILED, 'Invalid or expired session token');
+        }
+
+        ws.userAddress = address;
+        ws.sessionToken = token;
+        ws.cancelOnDisconnect = cancelOnDisconnect === true;
+        this.send(ws, createMessage(SERVER_MESSAGES.AUTHENTICATED, {
+            id,
+            address,
+            cancelOnDisconnect: ws.cancelOnDisconnect
+        }));
+    }
+
+    /**
+     * Whether the socket's session still resolves to its account; when it no
+     * longer does, the socket is unbound, drops its private channels and is
+     * told with an AUTH_FAILED error. An unbound socket that asked for
+     * cancel-on-disconnect counts as gone for that account
+     */
+    checkSession(ws) {
+        if (!ws.userAddress) {
+            return false;
+        }
+        if (this.authenticator(ws.sessionToken) === ws.userAddress) {
+            return true;
+        }
+
+        const { userAddress, cancelOnDisconnect } = ws;
+        ws.userAddress = null;
+        ws.sessionToken = null;
+        ws.cancelOnDisconnect = false;
+        PRIVATE_CHANNELS.forEach(channel => ws.subscriptions.delete(subscriptionKey(channel)));
+
+        console.log(`🔒 WebSocket session ended for ${userAddress}`);
+        this.send(ws, createMessage(SERVER_MESSAGES.ERROR, {
+            code: ERROR_CODES.AUTH_FAILED,
+            message: 'Session expired or revoked'
+        }));
+        this.checkCancelOnDisconnect({ userAddress, cancelOnDisconnect });
+        return false;
+    }
+
+    /**
+     * Emit `cancelOnDisconnect` when a closed socket was the last one of its
+     * account that asked for its orders to be pulled on disconnect
+     */
+    checkCancelOnDisconnect(ws) {
+        if (!ws.cancelOnDisconnect || !ws.userAddress) {
+            return;
+        }
+        for (const client of this.clients) {
+            if (client.userAddress === ws.userAddress && client.cancelOnDisconnect) {
+                return;
+            }
+        }
+        this.emit('cancelOnDisconnect', ws.userAddress);
+    }
+
+    /**
+     * Add a channel subscription, ack it and send the channel snapshot
+     */
+    async subscribe(ws, { id, channel, symbol = null }) {
+        validateSubscription({ channel, symbol });
+
+        if (PRIVATE_CHANNELS.includes(channel) && !this.checkSession(ws)) {
+            throw protocolError(ERROR_CODES.AUTH_REQUIRED, `Channel ${channel} requires authentication`);
+        }
+
+        ws.subscriptions.add(subscriptionKey(channel, symbol));
+        console.log(`📡 Client subscribed to ${subscriptionKey(channel, symbol)}`);
+
+        this.send(ws, createMessage(SERVER_MESSAGES.SUBSCRIBED, { id, channel, symbol }));
+
+        const provider = this.snapshotProviders.get(channel);
+        if (provider) {
+            const data = await provider(symbol, ws);
+            if (data) {
+                this.send(ws, createMessage(CHANNEL_MESSAGE_TYPES[channel], { channel, symbol, data }));
+            }
+        }
+    }
+
+    /**
+     * Remove a channel subscription and ack it
+     */
+    unsubscribe(ws, { id, channel, symbol = null }) {
+        validateSubscription({ channel, symbol });
+
+        if (!ws.subscriptions.delete(subscriptionKey(channel, symbol))) {
+            throw protocolError(ERROR_CODES.NOT_SUBSCRIBED, `Not subscribed to ${subscriptionKey(channel, symbol)}`);
+        }
+
+        this.send(ws, createMessage(SERVER_MESSAGES.UNSUBSCRIBED, { id, channel, symbol }));
+    }
+
+    /**
+     * Push data to every socket subscribed to channel/symbol
+     */
+    publish(channel, symbol, data) {
+        const key = subscriptionKey(channel, symbol);
+        const frame = encodeMessage(createMessage(CHANNEL_MESSAGE_TYPES[channel], { channel, symbol, data }));
+
+        this.clients.forEach((ws) => {
+            if (ws.readyState === OPEN && ws.subscriptions.has(key)) {
+                ws.send(frame);
+            }
+        });
+    }
+
+    /**
+     * Push data on a private channel to the sockets of one account
+     */
+    publishToUser(channel, address, data) {
+        const frame = encodeMessage(createMessage(CHANNEL_MESSAGE_TYPES[channel], { channel, data }));
+
+        this.clients.forEach((ws) => {
+            if (ws.readyState === OPEN && ws.userAddress === address && ws.subscriptions.has(channel) && this.checkSession(ws)) {
+                ws.send(frame);
+            }
+        });
+    }
+
+    /**
+     * Send a message to one socket
+     */
+    send(ws, message) {
+        if (ws.readyState === OPEN) {
+            ws.send(encodeMessage(message));
+        }
+    }
+}
+
+// Export singleton instance
+const webSocketGateway = new WebSocketGateway();
+
+module.exports = webSocketGateway;
+module.exports.WebSocketGateway = WebSocketGateway;
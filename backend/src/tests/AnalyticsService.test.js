@@ -0,0 +1,143 @@
+/**
+ * Analytics Service Test Suite
+ *
+ * Covers ingestion into the analytics streams, per-session rate limits,
+ * paged queries and event summaries, over an in-memory stream store.
+ */
+
+const { AnalyticsService } = require('../services/AnalyticsService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = 100 * DAY;
+// Rate limit key of the caller, an IP address or account
+const CLIENT = '203.0.113.7';
+
+/**
+ * Parse a stream id or range bound into [ms, seq]; bare times cover the whole millisecond
+ */
+function parseId(id, isEnd) {
+    const [ms, seq] = id.split('-');
+    return [Number(ms), seq === undefined ? (isEnd ? Infinity : 0) : Number(seq)];
+}
+
+const compareIds = (a, b) => a[0] - b[0] || a[1] - b[1];
+
+/**
+ * Stand-in for RedisService's analytics streams, with ids taken from `store.now`
+ */
+function memoryStore() {
+    const streams = { events: [], errors: [] };
+    const store = {
+        now: START,
+        streams,
+        async appendAnalytics(stream, entries) {
+            for (const message of entries) {
+                const last = streams[stream][streams[stream].length - 1];
+                const seq = last && parseId(last.id)[0] === store.now ? parseId(last.id)[1] + 1 : 0;
+                streams[stream].push({ id: `${store.now}-${seq}`, message });
+            }
+        },
+        async readAnalytics(stream, start, end, count) {
+            const exclusive = start.startsWith('(');
+            const from = start === '-' ? [-Infinity, 0] : parseId(exclusive ? start.slice(1) : start, false);
+            const to = end === '+' ? [Infinity, 0] : parseId(end, true);
+            return streams[stream].filter(({ id }) => {
+                const order = compareIds(parseId(id), from);
+                return (exclusive ? order > 0 : order >= 0) && compareIds(parseId(id), to) <= 0;
+            }).slice(0, count);
+        }
+    };
+    return store;
+}
+
+describe('AnalyticsService', () => {
+    let store;
+    let analytics;
+
+    beforeEach(() => {
+        store = memoryStore();
+        analytics = new AnalyticsService({ store, rateLimit: { maxItems: 5, windowMs: 60000 } });
+    });
+
+    const event = (sessionId, name, data = {}) => ({ event: name, sessionId, timestamp: store.now - 10, url: '/', data });
+
+    test('stores events and error reports and reads them back by type', async () => {
+        await analytics.ingest('events', [
+            event('s1', 'page_load'),
+            event('s1', 'order_placement', { pair: 'APT-USDC', side: 'buy', price: 10, quantity: 2 })
+        ], CLIENT, store.now);
+        await analytics.ingest('errors', [{
+            type: 'javascript_error', sessionId: 's1', url: '/', message: 'boom', lineno: 3
+        }], CLIENT, store.now);
+
+        const { items, next } = await analytics.query('events', { type: 'order_placement' });
+        expect(next).toBeNull();
+        expect(items).toEqual([{
+            id: `${START}-1`,
+            type: 'order_placement',
+            sessionId: 's1',
+            timestamp: START - 10,
+            receivedAt: START,
+            url: '/',
+            data: { pair: 'APT-USDC', side: 'buy', price: 10, quantity: 2 }
+        }]);
+
+        const errors = await analytics.query('errors');
+        expect(errors.items[0]).toMatchObject({ type: 'javascript_error', data: { message: 'boom', lineno: 3 } });
+    });
+
+    test('pages through entries with the next cursor and a time range', async () => {
+        for (let day = 0; day < 4; day++) {
+            store.now = START + day * DAY;
+            await analytics.ingest('events', [event(`s${day}`, 'page_load'), event(`s${day}`, 'feature_usage')], CLIENT, store.now);
+        }
+
+        const first = await analytics.query('events', { type: 'page_load', limit: 2 });
+        expect(first.items.map(item => item.sessionId)).toEqual(['s0', 's1']);
+
+        const second = await analytics.query('events', { type: 'page_load', after: first.next, limit: 2 });
+        expect(second.items.map(item => item.sessionId)).toEqual(['s2', 's3']);
+
+        const ranged = await analytics.query('events', { from: START + DAY, to: START + 2 * DAY });
+        expect(ranged.items).toHaveLength(4);
+        expect(ranged.next).toBeNull();
+    });
+
+    test('rate limits each client whatever sessions it claims, refusing a batch that would go over', async () => {
+        await analytics.ingest('events', new Array(4).fill(event('s1', 'page_load')), CLIENT, store.now);
+
+        await expect(analytics.ingest('events', [event('s2', 'page_load'), event('s3', 'page_load')], CLIENT, store.now))
+            .rejects.toMatchObject({ code: 'E_ANALYTICS_RATE_LIMIT' });
+        expect(store.streams.events).toHaveLength(4);
+
+        await analytics.ingest('events', [event('s1', 'page_load'), event('s2', 'page_load')], '198.51.100.2', store.now);
+        await analytics.ingest('events', [event('s4', 'page_load')], CLIENT, store.now);
+        expect(analytics.getRecentItems(CLIENT, store.now)).toBe(5);
+        expect(analytics.getRecentItems(CLIENT, store.now + 60000)).toBe(0);
+    });
+
+    test('summarizes events by day, pair and session', async () => {
+        const order = (sessionId, pair, price, quantity) =>
+            event(sessionId, 'order_placement', { pair, side: 'buy', price, quantity });
+
+        await analytics.ingest('events', [order('s1', 'APT-USDC', 10, 2), order('s2', 'APT-USDC', 10, 1)], CLIENT, store.now);
+        store.now = START + 2 * DAY + 5000;
+        await analytics.ingest('events', [order('s1', 'APT-USDT', 8, 5), event('s1', 'page_load')], CLIENT, store.now);
+
+        const summary = await analytics.summarize({
+            type: 'order_placement', from: START, to: START + 3 * DAY - 1, interval: DAY
+        });
+
+        expect(summary).toMatchObject({ count: 3, value: 70, truncated: false });
+        expect(summary.buckets).toEqual([
+            { start: START, count: 2, value: 30 },
+            { start: START + DAY, count: 0, value: 0 },
+            { start: START + 2 * DAY, count: 1, value: 40 }
+        ]);
+        expect(summary.pairs).toEqual([
+            { pair: 'APT-USDC', count: 2, value: 30 },
+            { pair: 'APT-USDT', count: 1, value: 40 }
+        ]);
+        expect(summary.sessions[0]).toEqual({ sessionId: 's1', count: 2, value: 60 });
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * Auth Service Test Suite
+ *
+ * Covers the signed wallet challenge login, session lifetime and signed orders.
+ */
+
+const crypto = require('crypto');
+const { AuthService } = require('../services/AuthService');
+const vectors = require('@clob/shared/orderHashVectors.json');
+
+/**
+ * Create an ed25519 wallet with its raw public key and Aptos address
+ */
+function createWallet(auth) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const rawPublicKey = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+
+    return {
+        address: auth.deriveAddress(rawPublicKey),
+        publicKey: `0x${rawPublicKey.toString('hex')}`,
+        sign: (message) => `0x${crypto.sign(null, Buffer.from(message), privateKey).toString('hex')}`
+    };
+}
+
+describe('AuthService', () => {
+    let auth;
+    let wallet;
+
+    beforeEach(() => {
+        auth = new AuthService();
+        wallet = createWallet(auth);
+    });
+
+    test('opens a session for a correctly signed challenge', () => {
+        const challenge = auth.createChallenge(wallet.address);
+
+        const session = auth.verifyChallenge({
+            address: wallet.address,
+            publicKey: wallet.publicKey,
+            signature: wallet.sign(challenge.message),
+            nonce: challenge.nonce
+        });
+
+        expect(session.address).toBe(wallet.address);
+        expect(auth.getSession(session.token)).toMatchObject({ address: wallet.address });
+    });
+
+    test('accepts a wallet signMessage envelope that embeds the challenge', () => {
+        const challenge = auth.createChallenge(wallet.address);
+        const fullMessage = `APTOS\nmessage: ${challenge.message}\nnonce: ${challenge.nonce}`;
+
+        const session = auth.verifyChallenge({
+            address: wallet.address,
+            publicKey: wallet.publicKey,
+            signature: wallet.sign(fullMessage),
+            nonce: challenge.nonce,
+            fullMessage
+        });
+
+        expect(session.token).toHaveLength(64);
+    });
+
+    test('rejects bad signatures, foreign keys and reused nonces', () => {
+        const other = createWallet(auth);
+        const login = (overrides) => {
+            const challenge = auth.createChallenge(wallet.address);
+            return () => auth.verifyChallenge({
+                address: wallet.address,
+                publicKey: wallet.publicKey,
+                signature: wallet.sign(challenge.message),
+                nonce: challenge.nonce,
+                ...overrides(challenge)
+            });
+        };
+
+        expect(login(challenge => ({ signature: other.sign(challenge.message) }))).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_SIGNATURE' })
+        );
+        expect(login(() => ({ publicKey: other.publicKey }))).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_PUBLIC_KEY' })
+        );
+
+        const challenge = auth.createChallenge(wallet.address);
+        const params = {
+            address: wallet.address,
+            publicKey: wallet.publicKey,
+            signature: wallet.sign(challenge.message),
+            nonce: challenge.nonce
+        };
+        auth.verifyChallenge(params);
+        expect(() => auth.verifyChallenge(params)).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_CHALLENGE' })
+        );
+    });
+
+    test('expires sessions and supports revoking them', () => {
+        auth = new AuthService({ sessionTtl: -1 });
+        const challenge = auth.createChallenge(wallet.address);
+        const expired = auth.verifyChallenge({
+            address: wallet.address,
+            publicKey: wallet.publicKey,
+            signature: wallet.sign(challenge.message),
+            nonce: challenge.nonce
+        });
+
+        expect(auth.getSession(expired.token)).toBeNull();
+        expect(auth.revokeSession('unknown')).toBe(false);
+    });
+});
+
+describe('AuthService signed orders', () => {
+    const [vector] = vectors.signatures;
+    let auth;
+
+    beforeEach(() => {
+        auth = new AuthService();
+    });
+
+    test.each(vectors.hashes.map(hash => [hash.name, hash]))('hashes the %s vector like OrderVerification', (name, hash) => {
+        expect(auth.hashOrder(hash.order)).toBe(hash.hash);
+    });
+
+    test('accepts a raw order hash signature once', () => {
+        expect(auth.verifyOrderSignature(vector.order, vector)).toBe(vector.hash);
+        // Not spent until the order is accepted
+        expect(auth.verifyOrderSignature(vector.order, vector)).toBe(vector.hash);
+
+        auth.recordOrderHash(vector.hash, vector.order.expiry);
+        expect(() => auth.verifyOrderSignature(vector.order, vector)).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_SIGNATURE' })
+        );
+    });
+
+    test('rejects a signature over different order terms', () => {
+        expect(() => auth.verifyOrderSignature({ ...vector.order, price: '9.1235' }, vector)).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_SIGNATURE' })
+        );
+        expect(() => auth.verifyOrderSignature({ ...vector.order, sender: '0x1' }, vector)).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_PUBLIC_KEY' })
+        );
+    });
+
+    test('accepts a wallet envelope around the order hash', () => {
+        const wallet = createWallet(auth);
+        const order = { ...vector.order, sender: wallet.address, expiry: Math.floor(Date.now() / 1000) + 60 };
+        const fullMessage = `APTOS\nmessage: ${auth.hashOrder(order)}\nnonce: ${order.nonce}`;
+
+        const orderHash = auth.verifyOrderSignature(order, {
+            publicKey: wallet.publicKey,
+            signature: wallet.sign(fullMessage),
+            fullMessage
+        });
+
+        expect(fullMessage).toContain(orderHash);
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Batch Scheduler Test Suite
+ *
+ * Covers grouping orders by overlapping price ranges, ParallelExecution.move
+ * batch hashes, conflict detection between batches and the throughput metrics.
+ */
+
+const { BatchScheduler, BATCH_PRIORITY } = require('../services/BatchScheduler');
+const { MatchingEngine } = require('../services/MatchingEngine');
+const vectors = require('@clob/shared/orderHashVectors.json');
+
+const SYMBOL = 'APT-USDC';
+const ALICE = '0xa11ce';
+const BOB = '0xb0b';
+const NOW = 1700000000000;
+
+describe('BatchScheduler', () => {
+    let scheduler;
+    let nextId;
+
+    beforeEach(() => {
+        scheduler = new BatchScheduler({ settings: { maxBatchSize: 3, batchWindowMs: 1000 } });
+        nextId = 1;
+    });
+
+    const order = (price, fields = {}) => ({
+        id: nextId++,
+        symbol: SYMBOL,
+        userAddress: ALICE,
+        side: 'buy',
+        type: price === null ? 'market' : 'limit',
+        price,
+        quantity: 1,
+        timeInForce: 'GTC',
+        postOnly: false,
+        status: 'new',
+        ...fields
+    });
+
+    test('groups orders whose ±10% price ranges overlap, per market', () => {
+        expect(scheduler.addOrder(order(10), {}, NOW)).toMatchObject({
+            batchId: 1,
+            priceRanges: [{ minPrice: 9000000, maxPrice: 11000000, side: 'buy' }]
+        });
+        expect(scheduler.addOrder(order(10.5, { side: 'sell' }), {}, NOW).batchId).toBe(1);
+        expect(scheduler.addOrder(order(20), {}, NOW).batchId).toBe(2);
+        expect(scheduler.addOrder(order(10, { symbol: 'APT-USDT' }), {}, NOW).batchId).toBe(3);
+        expect(scheduler.addOrder(order(null, { status: 'untriggered', type: 'stop_market' }), {}, NOW)).toBeNull();
+
+        expect(scheduler.getActiveBatches().map(batch => batch.orderIds)).toEqual([[1, 2], [3], [4]]);
+    });
+
+    test('builds batch hashes like generate_batch_hash', () => {
+        const [buy, sell] = vectors.hashes;
+        const signedOrder = (vector) => order(Number(vector.order.price), {
+            userAddress: vector.order.sender,
+            side: vector.order.side,
+            quantity: Number(vector.order.quantity)
+        });
+        const signed = (vector) => ({ expiry: vector.order.expiry, nonce: vector.order.nonce });
+
+        // BCS u64 batch id, then each order hash; the prices are too far apart to share a batch
+        expect(scheduler.addOrder(signedOrder(buy), signed(buy), NOW).batchHash).toBe(`0x0100000000000000${buy.hash.slice(2)}`);
+        expect(scheduler.addOrder(signedOrder(sell), signed(sell), NOW).batchHash).toBe(`0x0200000000000000${sell.hash.slice(2)}`);
+
+        const batch = scheduler.addOrder(signedOrder(buy), { expiry: buy.order.expiry, nonce: 2 }, NOW);
+        expect(batch.batchHash).toHaveLength(2 + 2 * (8 + 32 + 32));
+        expect(batch.batchHash.startsWith(`0x0100000000000000${buy.hash.slice(2)}`)).toBe(true);
+    });
+
+    test('runs independent batches in parallel and conflicting ones sequentially', () => {
+        [10, 10.1, 10.2, 10.3].forEach(price => scheduler.addOrder(order(price), {}, NOW));
+        scheduler.addOrder(order(20), {}, NOW);
+        scheduler.addOrder(order(10, { symbol: 'APT-USDT' }), {}, NOW + 500);
+
+        // Only batches whose window has passed run
+        const executed = scheduler.flush(NOW + 1000);
+        expect(executed.map(({ batchId, executionType, conflicts }) => ({ batchId, executionType, conflicts }))).toEqual([
+            { batchId: 1, executionType: 'conflict_resolution', conflicts: [2] },
+            { batchId: 2, executionType: 'conflict_resolution', conflicts: [1] },
+            { batchId: 3, executionType: 'parallel', conflicts: [] }
+        ]);
+        expect(scheduler.getActiveBatches().map(batch => batch.batchId)).toEqual([4]);
+
+        expect(scheduler.flush(NOW + 1500)).toEqual([expect.objectContaining({ batchId: 4, executionType: 'parallel' })]);
+        expect(scheduler.getPerformanceMetrics(NOW + 1500)).toMatchObject({
+            totalBatchesProcessed: 4,
+            parallelBatchesExecuted: 2,
+            conflictResolutions: 2,
+            ordersProcessed: 6,
+            averageBatchTimeMs: 1000,
+            averageBatchSize: 1.5,
+            throughputOrdersPerSecond: 0.1,
+            parallelRatio: 0.5,
+            averageParallelism: 1.5,
+            activeBatches: 0
+        });
+        expect(scheduler.getRecentBatches().map(batch => batch.batchId)).toEqual([4, 3, 2, 1]);
+        expect(scheduler.getPerformanceMetrics(NOW + 62000).throughputOrdersPerSecond).toBe(0);
+    });
+
+    test('lets market orders conflict with the whole book and runs urgent batches first', () => {
+        scheduler.addOrder(order(10, { postOnly: true }), {}, NOW);
+        scheduler.addOrder(order(50, { timeInForce: 'IOC' }), {}, NOW);
+        expect(scheduler.addOrder(order(null, { side: 'sell' }), {}, NOW)).toMatchObject({
+            batchId: 1,
+            priority: BATCH_PRIORITY.HIGH,
+            priceRanges: expect.arrayContaining([{ minPrice: 0, maxPrice: null, side: 'sell' }])
+        });
+
+        const executed = scheduler.flush(NOW, true);
+        expect(executed.map(batch => [batch.batchId, batch.priority, batch.conflicts])).toEqual([
+            [1, BATCH_PRIORITY.HIGH, [2]],
+            [2, BATCH_PRIORITY.HIGH, [1]]
+        ]);
+        expect(scheduler.getPerformanceMetrics(NOW).averageParallelism).toBe(1);
+    });
+
+    test('batches every order the engine executes, including fired triggers and amends', () => {
+        const engine = new MatchingEngine();
+        engine.on('executed', executed => scheduler.addOrder(executed, undefined, NOW));
+        const place = (userAddress, fields) => engine.placeOrder({ symbol: SYMBOL, userAddress, quantity: 1, ...fields }).order;
+
+        const signed = { expiry: 1700000600, nonce: 7 };
+        const bid = place(ALICE, { side: 'buy', type: 'limit', price: 10, signed });
+        const stop = place(ALICE, { side: 'sell', type: 'stop_market', stopPrice: 12 });
+        expect(scheduler.getActiveBatches().flatMap(batch => batch.orderIds)).toEqual([bid.id]);
+        expect(scheduler.getActiveBatches()[0].batchHash).toBe(
+            `0x0100000000000000${scheduler.hashOrder(bid, signed).slice(2)}`
+        );
+
+        // The amend replaces the bid, and the trade at 11 fires the stop
+        const amended = engine.amendOrder(bid.id, ALICE, { price: 11 }).order;
+        const ask = place(BOB, { side: 'sell', type: 'limit', price: 11 });
+
+        expect(scheduler.getActiveBatches().flatMap(batch => batch.orderIds).sort((a, b) => a - b))
+            .toEqual([bid.id, stop.id, amended.id, ask.id]);
+    });
+});
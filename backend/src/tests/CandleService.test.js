@@ -0,0 +1,61 @@
+/**
+ * Candle Service Test Suite
+ *
+ * Covers OHLCV aggregation across intervals and bucket rollover.
+ */
+
+const { CandleService } = require('../services/CandleService');
+
+const SYMBOL = 'APT-USDC';
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+const trade = (offset, price, quantity) => ({ price, quantity, timestamp: START + offset });
+
+describe('CandleService', () => {
+    let candles;
+
+    beforeEach(() => {
+        candles = new CandleService();
+    });
+
+    test('aggregates trades into OHLCV for every interval', () => {
+        candles.addTrade(SYMBOL, trade(0, 8.45, 10));
+        candles.addTrade(SYMBOL, trade(10000, 8.50, 2));
+        const updated = candles.addTrade(SYMBOL, trade(20000, 8.40, 3));
+
+        expect(updated.map(candle => candle.interval)).toEqual(['1m', '5m', '15m', '1h', '1d']);
+        expect(updated[0]).toMatchObject({
+            symbol: SYMBOL,
+            openTime: START,
+            closeTime: START + MINUTE - 1,
+            open: 8.45,
+            high: 8.50,
+            low: 8.40,
+            close: 8.40,
+            volume: 15,
+            trades: 3
+        });
+    });
+
+    test('starts a new candle when a trade lands in the next bucket', () => {
+        candles.addTrade(SYMBOL, trade(0, 8.45, 10));
+        const [oneMinute, fiveMinute] = candles.addTrade(SYMBOL, trade(MINUTE + 1, 8.60, 1));
+
+        expect(oneMinute).toMatchObject({ openTime: START + MINUTE, open: 8.60, volume: 1, trades: 1 });
+        expect(fiveMinute).toMatchObject({ openTime: START, open: 8.45, close: 8.60, volume: 11 });
+    });
+
+    test('continues restored candles and ignores trades before them', () => {
+        candles.restore([{
+            symbol: SYMBOL, interval: '1m', openTime: START, closeTime: START + MINUTE - 1,
+            open: 8.45, high: 8.45, low: 8.45, close: 8.45, volume: 5, trades: 1
+        }]);
+
+        const [oneMinute] = candles.addTrade(SYMBOL, trade(30000, 8.47, 1));
+        expect(oneMinute).toMatchObject({ open: 8.45, high: 8.47, volume: 6, trades: 2 });
+
+        const late = candles.addTrade(SYMBOL, trade(-MINUTE, 8.30, 1));
+        expect(late.map(candle => candle.interval)).not.toContain('1m');
+    });
+});
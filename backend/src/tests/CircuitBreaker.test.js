@@ -0,0 +1,115 @@
+/**
+ * Circuit Breaker Test Suite
+ *
+ * Covers volatility halts, timed resumes and how halted and cancel-only
+ * markets treat new orders, amends, cancels and trigger orders.
+ */
+
+const { CircuitBreaker } = require('../services/CircuitBreaker');
+const { MarketRegistry } = require('../services/MarketRegistry');
+const { MatchingEngine } = require('../services/MatchingEngine');
+const { SYMBOL, ALICE, BOB, limitOrders } = require('./helpers');
+
+describe('CircuitBreaker', () => {
+    let markets;
+    let breaker;
+    let engine;
+    let statuses;
+
+    beforeEach(() => {
+        markets = new MarketRegistry();
+        breaker = new CircuitBreaker({ markets, config: { movePct: 10, windowMs: 60000, haltMs: 300000 } });
+        engine = new MatchingEngine({ markets });
+        statuses = [];
+        markets.on('status', market => statuses.push(market));
+    });
+
+    const limit = limitOrders(() => engine);
+
+    test('halts a market when the price moves too far within the window', () => {
+        const now = Date.now();
+        expect(breaker.recordPrice(SYMBOL, 10, now)).toBeNull();
+        expect(breaker.recordPrice(SYMBOL, 10.5, now + 1000)).toBeNull();
+
+        const halted = breaker.recordPrice(SYMBOL, 9.4, now + 2000);
+        expect(halted).toMatchObject({ status: 'closed', statusReason: 'circuit_breaker', haltedUntil: now + 302000 });
+        expect(statuses).toHaveLength(1);
+        expect(() => limit(ALICE, 'buy', 9.4, 1)).toThrow(expect.objectContaining({ code: 'E_MARKET_CLOSED' }));
+
+        expect(markets.resumeExpired(now + 301999)).toEqual([]);
+        expect(markets.resumeExpired(now + 302000)).toEqual([
+            expect.objectContaining({ symbol: SYMBOL, status: 'open', statusReason: null, haltedUntil: null })
+        ]);
+        expect(limit(ALICE, 'buy', 9.4, 1).order.status).toBe('new');
+    });
+
+    test('forgets prices that left the window', () => {
+        const now = Date.now();
+        breaker.recordPrice(SYMBOL, 10, now);
+
+        expect(breaker.recordPrice(SYMBOL, 11.5, now + 61000)).toBeNull();
+        expect(markets.getMarket(SYMBOL).status).toBe('open');
+    });
+
+    test('uses per-market settings over the defaults', () => {
+        breaker.configure({ movePct: 10, markets: { [SYMBOL]: { movePct: 2 } } });
+        breaker.recordPrice(SYMBOL, 10);
+
+        expect(breaker.recordPrice('APT-USDT', 10)).toBeNull();
+        expect(breaker.recordPrice(SYMBOL, 10.25)).toMatchObject({ status: 'closed' });
+        expect(() => breaker.configure({ movePct: -1 })).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_CIRCUIT_BREAKER' })
+        );
+    });
+
+    test('halts on the trades of a sweeping order', () => {
+        limit(BOB, 'sell', 10, 1);
+        limit(BOB, 'sell', 12, 1);
+        const { trades } = engine.placeOrder({ symbol: SYMBOL, userAddress: ALICE, side: 'buy', type: 'market', quantity: 2 });
+
+        expect(breaker.recordTrades(SYMBOL, trades)).toMatchObject({ status: 'closed' });
+    });
+
+    test('accepts cancels but no new orders or amends in cancel-only mode', () => {
+        const { order } = limit(ALICE, 'buy', 10, 2);
+        markets.setMarketStatus(SYMBOL, 'cancel_only');
+
+        expect(() => limit(ALICE, 'buy', 10, 1)).toThrow(expect.objectContaining({ code: 'E_MARKET_CANCEL_ONLY' }));
+        expect(() => engine.amendOrder(order.id, ALICE, { quantity: 1 })).toThrow(
+            expect.objectContaining({ code: 'E_MARKET_CANCEL_ONLY' })
+        );
+        expect(engine.cancelOrder(order.id, ALICE).status).toBe('cancelled');
+    });
+
+    test('freezes the book while halted, keeping trigger orders waiting', () => {
+        const { order } = limit(ALICE, 'buy', 10, 2);
+        const { order: stop } = engine.placeOrder({
+            symbol: SYMBOL, userAddress: ALICE, side: 'sell', type: 'stop_market', stopPrice: 9, quantity: 1, triggerBy: 'mark'
+        });
+        markets.setMarketStatus(SYMBOL, false);
+
+        expect(() => engine.cancelOrder(order.id, ALICE)).toThrow(expect.objectContaining({ code: 'E_MARKET_CLOSED' }));
+        expect(engine.cancelAll(ALICE)).toEqual([]);
+
+        engine.updatePrice(SYMBOL, 'mark', 8.5);
+        expect(engine.getOrder(stop.id).status).toBe('untriggered');
+
+        markets.setMarketStatus(SYMBOL, true);
+        expect(engine.cancelAll(ALICE).map(cancelled => cancelled.id)).toEqual([stop.id, order.id]);
+    });
+
+    test('pulls orders cancelled while halted as soon as the market resumes', () => {
+        const { order } = limit(ALICE, 'buy', 10, 2);
+        const { order: other } = limit(BOB, 'buy', 9, 1);
+        markets.setMarketStatus(SYMBOL, false);
+        markets.on('status', market => engine.cancelQueued(market.symbol));
+
+        expect(engine.cancelAll(ALICE)).toEqual([]);
+        expect(engine.cancelQueued(SYMBOL)).toEqual([]);
+
+        markets.setMarketStatus(SYMBOL, 'cancel_only');
+        expect(engine.getOrder(order.id).status).toBe('cancelled');
+        expect(engine.getOrder(other.id).status).toBe('new');
+        expect(engine.queuedCancels.size).toBe(0);
+    });
+});
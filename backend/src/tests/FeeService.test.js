@@ -0,0 +1,132 @@
+/**
+ * Fee Service Test Suite
+ *
+ * Covers maker/taker rates, 30-day volume tiers, maker rebates and
+ * per-market overrides, charged through the matching engine and ledger.
+ */
+
+const { FeeService } = require('../services/FeeService');
+const { LedgerService } = require('../services/LedgerService');
+const { SYMBOL, ALICE, BOB, createEngine, limitOrders } = require('./helpers');
+
+const TIERS = [
+    { minVolume: 0, makerBps: 10, takerBps: 30 },
+    { minVolume: 1000, makerBps: -5, takerBps: 20 }
+];
+
+describe('FeeService', () => {
+    let fees;
+    let ledger;
+    let engine;
+
+    beforeEach(() => {
+        fees = new FeeService({ schedule: { tiers: TIERS } });
+        ledger = new LedgerService();
+        engine = createEngine({ ledger, fees }, { [ALICE]: { APT: 1000 }, [BOB]: { USDC: 10000 } });
+    });
+
+    const limit = limitOrders(() => engine);
+
+    test('charges each side on the asset it receives', () => {
+        limit(ALICE, 'sell', 10, 50);
+        const { trades } = limit(BOB, 'buy', 10, 50);
+
+        expect(trades[0].fees).toEqual({
+            maker: { bps: 10, asset: 'USDC', amount: 0.5 },
+            taker: { bps: 30, asset: 'APT', amount: 0.15 }
+        });
+        expect(ledger.getUserBalance(ALICE, SYMBOL)).toMatchObject({ availableQuote: 499.5 });
+        expect(ledger.getUserBalance(BOB, SYMBOL)).toMatchObject({ availableBase: 49.85, availableQuote: 9500 });
+        expect(ledger.getBalance('fees', 'USDC').available).toBe(0.5);
+        expect(ledger.checkInvariants().ok).toBe(true);
+    });
+
+    test('records the fee on each order fill', () => {
+        const { order } = limit(ALICE, 'sell', 10, 5);
+        limit(BOB, 'buy', 10, 5);
+
+        expect(engine.getOrder(order.id).fills[0]).toMatchObject({
+            liquidity: 'maker',
+            fee: { bps: 10, asset: 'USDC', amount: 0.05 }
+        });
+    });
+
+    test('moves accounts up a tier once their 30-day volume reaches it', () => {
+        limit(ALICE, 'sell', 10, 100);
+        limit(BOB, 'buy', 10, 100);
+
+        expect(fees.getUserFees(ALICE, SYMBOL)).toMatchObject({
+            volume30d: 1000, tier: 2, makerBps: -5, takerBps: 20, nextTier: null
+        });
+
+        // A rebate pays the maker out of the fees account
+        limit(ALICE, 'sell', 10, 10);
+        const { trades } = limit(BOB, 'buy', 10, 10);
+        expect(trades[0].fees.maker).toEqual({ bps: -5, asset: 'USDC', amount: -0.05 });
+        expect(ledger.checkInvariants().ok).toBe(true);
+    });
+
+    test('counts volume only for fills the ledger settled', () => {
+        jest.spyOn(ledger, 'settleTrade').mockImplementationOnce(() => {
+            throw new Error('settlement failed');
+        });
+        limit(ALICE, 'sell', 10, 100);
+
+        expect(() => limit(BOB, 'buy', 10, 100)).toThrow('settlement failed');
+        expect(fees.getUserFees(ALICE, SYMBOL).volume30d).toBe(0);
+        expect(fees.getUserFees(BOB, SYMBOL).volume30d).toBe(0);
+    });
+
+    test('forgets volume older than 30 days', () => {
+        const day = 24 * 60 * 60 * 1000;
+        fees.recordVolume(ALICE, 5000, Date.now() - 31 * day);
+        fees.recordVolume(ALICE, 300, Date.now() - 2 * day);
+
+        expect(fees.getUserFees(ALICE, SYMBOL)).toMatchObject({
+            volume30d: 300, tier: 1, nextTier: { tier: 2, volumeNeeded: 700 }
+        });
+    });
+
+    test('applies per-market tier overrides', () => {
+        fees.configure({ tiers: TIERS, markets: { 'APT-USDT': [{ minVolume: 0, makerBps: 0, takerBps: 5 }] } });
+
+        expect(fees.getUserFees(BOB, 'APT-USDT')).toMatchObject({ makerBps: 0, takerBps: 5 });
+        expect(fees.getUserFees(BOB, SYMBOL)).toMatchObject({ makerBps: 10, takerBps: 30 });
+    });
+
+    test('rejects schedules that could pay out more than they collect', () => {
+        expect(() => fees.configure({ tiers: [{ minVolume: 0, makerBps: -40, takerBps: 30 }] })).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_FEE_SCHEDULE' })
+        );
+        expect(() => fees.configure({ tiers: [{ minVolume: 10, makerBps: 0, takerBps: 30 }] })).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_FEE_SCHEDULE' })
+        );
+    });
+
+    test('rebuilds volumes from the ledger journal', () => {
+        limit(ALICE, 'sell', 10, 100);
+        limit(BOB, 'buy', 10, 100);
+
+        const restored = new FeeService({ schedule: { tiers: TIERS } });
+        restored.restore(ledger.journal);
+
+        expect(restored.getVolume(ALICE)).toBe(1000);
+        expect(restored.getVolume(BOB)).toBe(1000);
+    });
+
+    test('rebuilds volumes from a snapshot and the journal after it', () => {
+        limit(ALICE, 'sell', 10, 100);
+        limit(BOB, 'buy', 10, 100);
+        const volumes = JSON.parse(JSON.stringify(fees.getVolumeSnapshot()));
+        const compacted = ledger.journal.length;
+
+        limit(ALICE, 'sell', 10, 50);
+        limit(BOB, 'buy', 10, 50);
+
+        const restored = new FeeService({ schedule: { tiers: TIERS } });
+        restored.restore(ledger.journal.slice(compacted), Date.now(), volumes);
+
+        expect(restored.getVolume(ALICE)).toBe(1500);
+        expect(restored.getVolume(BOB)).toBe(1500);
+    });
+});
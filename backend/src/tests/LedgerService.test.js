@@ -0,0 +1,167 @@
+/**
+ * Ledger Service Test Suite
+ *
+ * Covers fund locking, settlement, release, amends and the conservation
+ * invariants, driven through the matching engine.
+ */
+
+const { LedgerService } = require('../services/LedgerService');
+const { SYMBOL, ALICE, BOB, createEngine, limitOrders } = require('./helpers');
+
+describe('LedgerService', () => {
+    let ledger;
+    let engine;
+
+    beforeEach(() => {
+        ledger = new LedgerService();
+        engine = createEngine({ ledger }, { [ALICE]: { APT: 10 }, [BOB]: { USDC: 100 } });
+    });
+
+    const limit = limitOrders(() => engine);
+
+    test('locks funds for resting orders and releases them on cancel', () => {
+        const { order } = limit(BOB, 'buy', 8, 5);
+
+        expect(ledger.getUserBalance(BOB, SYMBOL)).toMatchObject({ availableQuote: 60, lockedQuote: 40 });
+
+        engine.cancelOrder(order.id, BOB);
+        expect(ledger.getUserBalance(BOB, SYMBOL)).toMatchObject({ availableQuote: 100, lockedQuote: 0 });
+        expect(ledger.getOrderLock(order.id)).toBeNull();
+    });
+
+    test('settles fills out of the locks and refunds price improvement', () => {
+        limit(ALICE, 'sell', 8, 4);
+        limit(BOB, 'buy', 9, 5);
+
+        expect(ledger.getUserBalance(ALICE, SYMBOL)).toEqual(expect.objectContaining({
+            availableBase: 6, lockedBase: 0, availableQuote: 32, lockedQuote: 0
+        }));
+        // 4 filled at 8 (32 paid, 4 refunded from the 9 limit), 1 still rests at 9
+        expect(ledger.getUserBalance(BOB, SYMBOL)).toEqual(expect.objectContaining({
+            availableBase: 4, availableQuote: 59, lockedQuote: 9
+        }));
+        expect(ledger.checkInvariants()).toMatchObject({ ok: true, openLocks: 1 });
+    });
+
+    test('locks the cost of the liquidity a market buy takes', () => {
+        limit(ALICE, 'sell', 8, 2);
+        limit(ALICE, 'sell', 9, 2);
+
+        engine.placeOrder({ symbol: SYMBOL, userAddress: BOB, side: 'buy', type: 'market', quantity: 3 });
+
+        expect(ledger.getUserBalance(BOB, SYMBOL)).toMatchObject({ availableBase: 3, availableQuote: 75, lockedQuote: 0 });
+        expect(ledger.checkInvariants().ok).toBe(true);
+    });
+
+    test('adjusts locks when orders are amended', () => {
+        const { order } = limit(BOB, 'buy', 8, 5);
+
+        engine.amendOrder(order.id, BOB, { quantity: 2 });
+        expect(ledger.getUserBalance(BOB, SYMBOL)).toMatchObject({ availableQuote: 84, lockedQuote: 16 });
+
+        const { order: replaced } = engine.amendOrder(order.id, BOB, { price: 10, quantity: 10 });
+        expect(ledger.getUserBalance(BOB, SYMBOL)).toMatchObject({ availableQuote: 0, lockedQuote: 100 });
+
+        // Too big to fund: the original order stays untouched
+        expect(() => engine.amendOrder(replaced.id, BOB, { price: 11 })).toThrow(
+            expect.objectContaining({ code: 'E_INSUFFICIENT_BALANCE' })
+        );
+        expect(engine.getOrder(replaced.id)).toMatchObject({ status: 'new', price: 10 });
+        expect(ledger.checkInvariants()).toMatchObject({ ok: true, openLocks: 1 });
+    });
+
+    test('keeps the original of a batch replace whose new order is rejected', () => {
+        const first = limit(BOB, 'buy', 8, 5).order;
+        const second = limit(BOB, 'buy', 8, 2).order;
+
+        // The new order may use the original's lock, but 160 is more than BOB holds
+        const [rejected] = engine.executeBatch(BOB, [
+            { action: 'replace', orderId: first.id, order: { symbol: SYMBOL, side: 'buy', price: 8, quantity: 20 } }
+        ]);
+        expect(rejected).toMatchObject({ ok: false, code: 'E_INSUFFICIENT_BALANCE' });
+        expect(engine.getOrder(first.id).status).toBe('new');
+        expect(ledger.getOrderLock(first.id)).toMatchObject({ amount: 40 });
+
+        // Back at the front of its level
+        const { trades } = limit(ALICE, 'sell', 8, 5);
+        expect(trades).toEqual([expect.objectContaining({ makerOrderId: first.id, quantity: 5 })]);
+
+        const [replaced] = engine.executeBatch(BOB, [
+            { action: 'replace', orderId: second.id, order: { symbol: SYMBOL, side: 'buy', price: 9, quantity: 6 } }
+        ]);
+        expect(replaced).toMatchObject({ ok: true, cancelled: { id: second.id, status: 'cancelled' }, order: { price: 9 } });
+        expect(ledger.getUserBalance(BOB, SYMBOL)).toMatchObject({ availableQuote: 6, lockedQuote: 54 });
+        expect(ledger.checkInvariants()).toMatchObject({ ok: true, openLocks: 1 });
+    });
+
+    test('rejects orders the user cannot fund', () => {
+        let error;
+        try {
+            limit(BOB, 'buy', 30, 5);
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toMatchObject({ code: 'E_INSUFFICIENT_BALANCE' });
+        expect(error.order).toMatchObject({ status: 'rejected', rejectReason: 'E_INSUFFICIENT_BALANCE' });
+        expect(ledger.getUserBalance(BOB, SYMBOL).availableQuote).toBe(100);
+        expect(engine.hasLiquidity(SYMBOL)).toBe(false);
+    });
+
+    test('refuses unbalanced entries and overdrafts', () => {
+        expect(() => ledger.post('mint', [
+            { owner: ALICE, asset: 'APT', bucket: 'available', amount: 1 }
+        ])).toThrow(expect.objectContaining({ code: 'E_UNBALANCED_ENTRY' }));
+        expect(() => ledger.withdraw(BOB, 'USDC', 101)).toThrow(
+            expect.objectContaining({ code: 'E_INSUFFICIENT_BALANCE' })
+        );
+        expect(ledger.checkInvariants()).toMatchObject({ ok: true, entries: 2 });
+    });
+
+    test('reports balances that drift from the journal', () => {
+        ledger.balances.set(`${BOB}:USDC:available`, 150);
+
+        const report = ledger.checkInvariants();
+        expect(report.ok).toBe(false);
+        expect(report.violations).toEqual(expect.arrayContaining([
+            expect.stringContaining('journal replays to 100'),
+            expect.stringContaining('USDC is not conserved')
+        ]));
+    });
+
+    test('replays the journal into the same balances and locks', () => {
+        const { order } = limit(BOB, 'buy', 8, 5);
+
+        const restored = new LedgerService();
+        restored.restore(ledger.journal);
+
+        expect(restored.getUserBalance(BOB, SYMBOL)).toEqual(ledger.getUserBalance(BOB, SYMBOL));
+        expect(restored.getOrderLock(order.id)).toEqual({ owner: BOB, asset: 'USDC', amount: 40 });
+        expect(restored.checkInvariants().ok).toBe(true);
+        expect(restored.deposit(ALICE, 'USDC', 1).id).toBe(ledger.journal.length + 1);
+    });
+
+    test('folds the journal into snapshots and restores from the last one', () => {
+        const compacting = new LedgerService({ snapshotEvery: 3 });
+        const snapshots = [];
+        compacting.on('snapshot', snapshot => snapshots.push(snapshot));
+        engine = createEngine({ ledger: compacting }, { [ALICE]: { APT: 10 }, [BOB]: { USDC: 100 } });
+        const { order } = limit(BOB, 'buy', 8, 5);
+        limit(ALICE, 'sell', 9, 1);
+
+        expect(snapshots).toEqual([expect.objectContaining({ lastEntryId: 3, entries: 3 })]);
+        expect(compacting.journal.map(entry => entry.id)).toEqual([4]);
+        expect(compacting.checkInvariants()).toMatchObject({ ok: true, entries: 1, snapshotEntryId: 3 });
+
+        // Entries the snapshot covers are skipped even when the journal still holds them
+        const persisted = JSON.parse(JSON.stringify(snapshots[0]));
+        const restored = new LedgerService();
+        restored.restore([...ledger.journal.slice(0, 3), ...compacting.journal], persisted);
+
+        expect(restored.getUserBalance(BOB, SYMBOL)).toEqual(compacting.getUserBalance(BOB, SYMBOL));
+        expect(restored.getUserBalance(ALICE, SYMBOL)).toEqual(compacting.getUserBalance(ALICE, SYMBOL));
+        expect(restored.getOrderLock(order.id)).toEqual({ owner: BOB, asset: 'USDC', amount: 40 });
+        expect(restored.checkInvariants().ok).toBe(true);
+        expect(restored.deposit(ALICE, 'USDC', 1).id).toBe(5);
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * Liquidation Service Test Suite
+ *
+ * Covers the LiquidationGuard.move math mirrored off-chain: collateral
+ * ratios, partial liquidations with a penalty, cooldowns and stale prices,
+ * driven by mark prices from the matching engine.
+ */
+
+const { LiquidationService, collateralRatio, liquidationCollateral } = require('../services/LiquidationService');
+const { LedgerService, MARGIN } = require('../services/LedgerService');
+const { MarketRegistry } = require('../services/MarketRegistry');
+const { MatchingEngine } = require('../services/MatchingEngine');
+
+const SYMBOL = 'APT-USDC';
+const ALICE = '0xa11ce';
+const COOLDOWN = 300 * 1000;
+
+describe('LiquidationService', () => {
+    let ledger;
+    let markets;
+    let liquidations;
+    let engine;
+    let events;
+
+    beforeEach(() => {
+        ledger = new LedgerService();
+        markets = new MarketRegistry();
+        liquidations = new LiquidationService({ ledger });
+        engine = new MatchingEngine({ markets, ledger, liquidations });
+        events = [];
+        liquidations.on('liquidation', liquidation => events.push(liquidation));
+        ledger.deposit(ALICE, 'APT', 100);
+    });
+
+    const open = (collateral, debt, now) => liquidations.openPosition({ address: ALICE, symbol: SYMBOL, collateral, debt }, now);
+
+    test('computes ratios and seized collateral like the contract', () => {
+        // test_position_creation: 1,000,000 collateral against 500,000 at a price of 1
+        expect(collateralRatio(1000000, 500000, 1)).toBe(200);
+        expect(collateralRatio(10, 0, 5)).toBe(10000);
+        expect(liquidationCollateral(25, 5.5, 10)).toBe(5);
+    });
+
+    test('opens positions above the threshold, borrowing from the margin account', () => {
+        liquidations.updatePrice(SYMBOL, 10);
+
+        expect(() => open(10, 90)).toThrow(expect.objectContaining({ code: 'E_INSUFFICIENT_COLLATERAL' }));
+        expect(open(10, 50)).toMatchObject({ id: 1, collateralRatio: 200, liquidationPrice: 6, distanceToLiquidation: 40, health: 'safe' });
+        expect(() => open(10, 10)).toThrow(expect.objectContaining({ code: 'E_POSITION_EXISTS' }));
+
+        expect(ledger.getBalance(ALICE, 'APT').available).toBe(90);
+        expect(ledger.getAmount(ALICE, 'APT', 'collateral')).toBe(10);
+        expect(ledger.getBalance(ALICE, 'USDC').available).toBe(50);
+        expect(ledger.getBalance(MARGIN, 'USDC').available).toBe(-50);
+        expect(ledger.checkInvariants().ok).toBe(true);
+    });
+
+    test('repays debt and closes the position once it is paid off', () => {
+        liquidations.updatePrice(SYMBOL, 10);
+        const closed = [];
+        liquidations.on('closed', position => closed.push(position));
+        const { id } = open(10, 50);
+
+        expect(() => liquidations.repayPosition(id, '0xb0b', 10)).toThrow(expect.objectContaining({ code: 'E_UNAUTHORIZED' }));
+        expect(() => liquidations.repayPosition(id, ALICE, 60)).toThrow(expect.objectContaining({ code: 'E_INVALID_REPAYMENT' }));
+
+        expect(liquidations.repayPosition(id, ALICE, 20)).toMatchObject({ debt: 30, collateral: 10, closed: false });
+        expect(ledger.getBalance(ALICE, 'USDC').available).toBe(30);
+
+        // Paying off the rest returns the collateral and frees the market for a new position
+        expect(liquidations.repayPosition(id, ALICE)).toMatchObject({ debt: 0, collateral: 0, closed: true });
+        expect(closed).toEqual([expect.objectContaining({ id, debt: 0 })]);
+        expect(ledger.getBalance(ALICE, 'APT').available).toBe(100);
+        expect(ledger.getAmount(ALICE, 'APT', 'collateral')).toBe(0);
+        expect(ledger.getBalance(MARGIN, 'USDC').available).toBe(0);
+        expect(liquidations.getUserPositions(ALICE)).toEqual([]);
+        expect(open(10, 20).id).toBe(id + 1);
+        expect(ledger.checkInvariants().ok).toBe(true);
+    });
+
+    test('needs a fresh mark price to open or value a position', () => {
+        const now = Date.now();
+        expect(() => open(10, 50, now)).toThrow(expect.objectContaining({ code: 'E_INVALID_PRICE_FEED' }));
+
+        liquidations.updatePrice(SYMBOL, 10, now);
+        open(10, 50, now);
+        expect(liquidations.getUserPositions(ALICE, now + 600 * 1000)[0]).toMatchObject({ priceStale: true, health: 'unknown' });
+    });
+
+    test('liquidates half the debt with a penalty when the mark price falls', () => {
+        const now = Date.now();
+        engine.updatePrice(SYMBOL, 'mark', 10);
+        open(10, 50, now);
+
+        expect(liquidations.getUserPositions(ALICE, now)[0].health).toBe('safe');
+        engine.updatePrice(SYMBOL, 'mark', 7);
+        expect(liquidations.getUserPositions(ALICE)[0]).toMatchObject({ collateralRatio: 140, health: 'at_risk' });
+
+        engine.updatePrice(SYMBOL, 'mark', 5.5);
+        expect(events).toEqual([expect.objectContaining({
+            liquidator: MARGIN, liquidatedUser: ALICE, positionId: 1, liquidatedAmount: 25, collateralSeized: 5, price: 5.5
+        })]);
+        expect(events[0].position).toMatchObject({ collateral: 5, debt: 25, collateralRatio: 110, health: 'liquidatable' });
+        expect(ledger.getBalance(MARGIN, 'APT').available).toBe(5);
+        expect(ledger.checkInvariants().ok).toBe(true);
+
+        // Cooldown before the next liquidation
+        engine.updatePrice(SYMBOL, 'mark', 5.4);
+        expect(events).toHaveLength(1);
+        expect(liquidations.getUserPositions(ALICE)[0].cooldownRemainingMs).toBeGreaterThan(COOLDOWN - 1000);
+    });
+
+    test('seizes at most the remaining collateral', () => {
+        const now = Date.now();
+        liquidations.updatePrice(SYMBOL, 10, now);
+        open(10, 80, now);
+
+        const [liquidation] = liquidations.updatePrice(SYMBOL, 4, now + 1000);
+        expect(liquidation).toMatchObject({ collateralSeized: 10, position: { collateral: 0 } });
+        expect(liquidation.liquidatedAmount).toBeCloseTo(36.36363636, 8);
+    });
+
+    test('checks manual liquidations like liquidate_position', () => {
+        const now = Date.now();
+        liquidations.updatePrice(SYMBOL, 10, now);
+        open(10, 50, now);
+
+        expect(() => liquidations.liquidate(1, 10, MARGIN, now)).toThrow(
+            expect.objectContaining({ code: 'E_POSITION_NOT_LIQUIDATABLE' })
+        );
+        liquidations.prices.set(SYMBOL, { price: 5.5, updatedAt: now });
+        expect(() => liquidations.liquidate(1, 30, MARGIN, now)).toThrow(
+            expect.objectContaining({ code: 'E_LIQUIDATION_TOO_LARGE' })
+        );
+        expect(() => liquidations.liquidate(2, 10, MARGIN, now)).toThrow(
+            expect.objectContaining({ code: 'E_POSITION_NOT_FOUND' })
+        );
+        expect(liquidations.liquidate(1, 10, MARGIN, now).collateralSeized).toBe(2);
+    });
+
+    test('waits out trading halts', () => {
+        engine.updatePrice(SYMBOL, 'mark', 10);
+        open(10, 50);
+        markets.setMarketStatus(SYMBOL, false);
+
+        engine.updatePrice(SYMBOL, 'mark', 5);
+        expect(events).toEqual([]);
+
+        markets.setMarketStatus(SYMBOL, true);
+        engine.updatePrice(SYMBOL, 'mark', 5);
+        expect(events).toHaveLength(1);
+    });
+});
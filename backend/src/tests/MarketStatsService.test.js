@@ -0,0 +1,78 @@
+/**
+ * Market Stats Service Test Suite
+ *
+ * Covers the rolling 24h window: aggregation, eviction and restore.
+ */
+
+const { MarketStatsService } = require('../services/MarketStatsService');
+
+const SYMBOL = 'APT-USDC';
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const START = Date.UTC(2024, 0, 1, 0, 0, 0);
+
+const trade = (offset, price, quantity) => ({ price, quantity, timestamp: START + offset });
+
+describe('MarketStatsService', () => {
+    let stats;
+
+    beforeEach(() => {
+        stats = new MarketStatsService();
+    });
+
+    test('aggregates trades into 24h statistics', () => {
+        stats.addTrade(SYMBOL, trade(0, 8.00, 10), START);
+        stats.addTrade(SYMBOL, trade(HOUR, 8.60, 5), START + HOUR);
+        const result = stats.addTrade(SYMBOL, trade(2 * HOUR, 8.40, 5), START + 2 * HOUR);
+
+        expect(result).toMatchObject({
+            symbol: SYMBOL,
+            lastPrice: 8.40,
+            open24h: 8.00,
+            high24h: 8.60,
+            low24h: 8.00,
+            volume24h: 20,
+            quoteVolume24h: 165,
+            trades24h: 3,
+            vwap24h: 8.25,
+            priceChange24h: 0.4,
+            change24h: 5
+        });
+    });
+
+    test('slides old trades out of the window', () => {
+        stats.addTrade(SYMBOL, trade(0, 8.00, 10), START);
+        stats.addTrade(SYMBOL, trade(12 * HOUR, 9.00, 1), START + 12 * HOUR);
+
+        const result = stats.getStats(SYMBOL, START + 24 * HOUR + MINUTE);
+
+        expect(result).toMatchObject({ open24h: 9.00, low24h: 9.00, volume24h: 1, trades24h: 1, change24h: 0 });
+    });
+
+    test('keeps the last price once the window is empty', () => {
+        stats.addTrade(SYMBOL, trade(0, 8.00, 10), START);
+
+        const result = stats.getStats(SYMBOL, START + 2 * 24 * HOUR);
+
+        expect(result).toMatchObject({ lastPrice: 8.00, volume24h: 0, trades24h: 0, vwap24h: null, change24h: 0 });
+    });
+
+    test('rebuilds the window from one-minute candles', () => {
+        stats.restore([
+            { symbol: SYMBOL, interval: '1m', openTime: START + MINUTE, closeTime: START + 2 * MINUTE - 1, open: 8.10, high: 8.30, low: 8.10, close: 8.20, volume: 4, quoteVolume: 32.8, trades: 2 },
+            { symbol: SYMBOL, interval: '1m', openTime: START, closeTime: START + MINUTE - 1, open: 8.00, high: 8.00, low: 7.90, close: 7.90, volume: 1, trades: 1 }
+        ], START + 2 * MINUTE);
+
+        const result = stats.addTrade(SYMBOL, trade(2 * MINUTE, 8.25, 1), START + 2 * MINUTE);
+
+        expect(result).toMatchObject({
+            lastPrice: 8.25,
+            open24h: 8.00,
+            high24h: 8.30,
+            low24h: 7.90,
+            volume24h: 6,
+            quoteVolume24h: 48.95,
+            trades24h: 4
+        });
+    });
+});
@@ -0,0 +1,390 @@
+/**
+ * Matching Engine Test Suite
+ *
+ * Covers price-time priority, partial fills, market orders,
+ * cancellation, self-trade prevention, time in force, amends, batches and the order lifecycle.
+ */
+
+const { MatchingEngine } = require('../services/MatchingEngine');
+const { MarketRegistry } = require('../services/MarketRegistry');
+const { SYMBOL, ALICE, BOB, CAROL, limitOrders } = require('./helpers');
+
+describe('MatchingEngine', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new MatchingEngine();
+    });
+
+    const limit = limitOrders(() => engine);
+
+    test('rests non-crossing limit orders with best price first', () => {
+        limit(ALICE, 'buy', 8.44, 10);
+        limit(ALICE, 'buy', 8.45, 5);
+        limit(BOB, 'sell', 8.47, 3);
+        limit(BOB, 'sell', 8.46, 4);
+
+        const depth = engine.getDepth(SYMBOL);
+        expect(depth.bids).toEqual([[8.45, 5], [8.44, 10]]);
+        expect(depth.asks).toEqual([[8.46, 4], [8.47, 3]]);
+    });
+
+    test('fills at the maker price in time priority', () => {
+        const first = limit(ALICE, 'sell', 8.46, 2).order;
+        const second = limit(CAROL, 'sell', 8.46, 2).order;
+
+        const { order, trades } = limit(BOB, 'buy', 8.50, 3);
+
+        expect(trades).toHaveLength(2);
+        expect(trades[0]).toMatchObject({ price: 8.46, quantity: 2, makerOrderId: first.id });
+        expect(trades[1]).toMatchObject({ price: 8.46, quantity: 1, makerOrderId: second.id });
+        expect(order.status).toBe('filled');
+        expect(engine.getOrder(second.id)).toMatchObject({
+            status: 'partially_filled',
+            remainingQuantity: 1
+        });
+        expect(engine.getDepth(SYMBOL).asks).toEqual([[8.46, 1]]);
+    });
+
+    test('rests the unfilled remainder of a crossing limit order', () => {
+        limit(ALICE, 'sell', 8.46, 1);
+
+        const { order } = limit(BOB, 'buy', 8.46, 4);
+
+        expect(order.status).toBe('partially_filled');
+        expect(engine.getDepth(SYMBOL).bids).toEqual([[8.46, 3]]);
+    });
+
+    test('market orders sweep levels and never rest', () => {
+        limit(ALICE, 'sell', 8.46, 1);
+        limit(ALICE, 'sell', 8.47, 1);
+
+        const { order, trades } = engine.placeOrder({
+            symbol: SYMBOL, userAddress: BOB, side: 'buy', type: 'market', quantity: 5
+        });
+
+        expect(trades.map(trade => trade.price)).toEqual([8.46, 8.47]);
+        expect(order.status).toBe('cancelled');
+        expect(order.filledQuantity).toBe(2);
+        expect(engine.hasLiquidity(SYMBOL)).toBe(false);
+    });
+
+    test('rejects orders that would trade against the same user', () => {
+        limit(ALICE, 'sell', 8.46, 1);
+
+        expect(() => limit(ALICE, 'buy', 8.46, 1)).toThrow(
+            expect.objectContaining({ code: 'E_SELF_TRADE' })
+        );
+        expect(engine.getDepth(SYMBOL).asks).toEqual([[8.46, 1]]);
+    });
+
+    test('records fills and the average fill price on both sides', () => {
+        const maker = limit(ALICE, 'sell', 8.46, 1).order;
+        limit(CAROL, 'sell', 8.48, 1);
+
+        const { order, trades } = limit(BOB, 'buy', 8.50, 2);
+
+        expect(order.averagePrice).toBe(8.47);
+        expect(order.fills).toEqual([
+            expect.objectContaining({ tradeId: trades[0].id, price: 8.46, quantity: 1, liquidity: 'taker' }),
+            expect.objectContaining({ tradeId: trades[1].id, price: 8.48, quantity: 1, liquidity: 'taker' })
+        ]);
+        expect(engine.getOrder(maker.id)).toMatchObject({
+            status: 'filled',
+            averagePrice: 8.46,
+            fills: [expect.objectContaining({ tradeId: trades[0].id, liquidity: 'maker' })]
+        });
+    });
+
+    test('keeps rejected orders with the reason', () => {
+        limit(ALICE, 'sell', 8.46, 1);
+        const rejected = [];
+        engine.on('order', order => rejected.push(order));
+
+        let error;
+        try {
+            limit(ALICE, 'buy', 8.46, 1);
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error.order).toMatchObject({ status: 'rejected', rejectReason: 'E_SELF_TRADE', filledQuantity: 0 });
+        expect(engine.getOrder(error.order.id).status).toBe('rejected');
+        expect(rejected.map(order => order.status)).toContain('rejected');
+    });
+
+    test('cancels the unfilled remainder of IOC orders', () => {
+        limit(ALICE, 'sell', 8.46, 1);
+
+        const { order, trades } = engine.placeOrder({
+            symbol: SYMBOL, userAddress: BOB, side: 'buy', type: 'limit', price: 8.46, quantity: 3, timeInForce: 'IOC'
+        });
+
+        expect(trades).toHaveLength(1);
+        expect(order).toMatchObject({ status: 'cancelled', filledQuantity: 1, remainingQuantity: 2 });
+        expect(engine.hasLiquidity(SYMBOL)).toBe(false);
+    });
+
+    test('fills FOK orders completely or not at all', () => {
+        limit(ALICE, 'sell', 8.46, 1);
+        limit(CAROL, 'sell', 8.47, 1);
+        const fok = (quantity) => engine.placeOrder({
+            symbol: SYMBOL, userAddress: BOB, side: 'buy', type: 'limit', price: 8.47, quantity, timeInForce: 'FOK'
+        });
+
+        const killed = fok(3);
+        expect(killed.trades).toHaveLength(0);
+        expect(killed.order).toMatchObject({ status: 'cancelled', filledQuantity: 0 });
+        expect(engine.getDepth(SYMBOL).asks).toEqual([[8.46, 1], [8.47, 1]]);
+
+        expect(fok(2).order.status).toBe('filled');
+    });
+
+    test('rejects post-only orders that would take liquidity', () => {
+        limit(ALICE, 'sell', 8.46, 1);
+        const postOnly = (price) => engine.placeOrder({
+            symbol: SYMBOL, userAddress: BOB, side: 'buy', type: 'limit', price, quantity: 1, postOnly: true
+        });
+
+        expect(() => postOnly(8.46)).toThrow(expect.objectContaining({ code: 'E_POST_ONLY' }));
+        expect(postOnly(8.45).order).toMatchObject({ status: 'new', postOnly: true });
+    });
+
+    test('expires good-till-date orders once their time has passed', () => {
+        const expiresAt = Date.now() + 60000;
+        const { order } = engine.placeOrder({
+            symbol: SYMBOL, userAddress: ALICE, side: 'buy', type: 'limit', price: 8.40, quantity: 1,
+            timeInForce: 'GTD', expiresAt
+        });
+        limit(ALICE, 'buy', 8.39, 1);
+
+        expect(engine.expireOrders(expiresAt - 1)).toHaveLength(0);
+        expect(engine.expireOrders(expiresAt).map(expired => expired.id)).toEqual([order.id]);
+        expect(engine.getOrder(order.id).status).toBe('expired');
+        expect(engine.getDepth(SYMBOL).bids).toEqual([[8.39, 1]]);
+        expect(() => engine.placeOrder({
+            symbol: SYMBOL, userAddress: ALICE, side: 'buy', type: 'limit', price: 8.40, quantity: 1,
+            timeInForce: 'GTD', expiresAt: Date.now() - 1
+        })).toThrow(expect.objectContaining({ code: 'E_INVALID_ORDER' }));
+    });
+
+    test('cancels resting orders only for their owner', () => {
+        const { order } = limit(ALICE, 'buy', 8.40, 2);
+
+        expect(() => engine.cancelOrder(order.id, BOB)).toThrow(
+            expect.objectContaining({ code: 'E_UNAUTHORIZED' })
+        );
+
+        const cancelled = engine.cancelOrder(order.id, ALICE);
+        expect(cancelled.status).toBe('cancelled');
+        expect(engine.hasLiquidity(SYMBOL)).toBe(false);
+        expect(() => engine.cancelOrder(order.id, ALICE)).toThrow(
+            expect.objectContaining({ code: 'E_ORDER_ALREADY_FILLED' })
+        );
+    });
+
+    test('keeps time priority when an amend only reduces size', () => {
+        const first = limit(ALICE, 'sell', 8.46, 5).order;
+        limit(CAROL, 'sell', 8.46, 2);
+        const amends = [];
+        engine.on('amend', amend => amends.push(amend));
+
+        const result = engine.amendOrder(first.id, ALICE, { quantity: 3 });
+
+        expect(result).toMatchObject({ priorityKept: true, order: { id: first.id, quantity: 3, remainingQuantity: 3 } });
+        expect(amends).toEqual([expect.objectContaining({ previous: { id: first.id, price: 8.46, quantity: 5 } })]);
+        expect(engine.getDepth(SYMBOL).asks).toEqual([[8.46, 5]]);
+
+        const { trades } = limit(BOB, 'buy', 8.46, 1);
+        expect(trades[0].makerOrderId).toBe(first.id);
+    });
+
+    test('requeues an order whose price changes or size grows', () => {
+        const first = limit(ALICE, 'sell', 8.46, 2).order;
+        limit(CAROL, 'sell', 8.46, 2);
+        limit(BOB, 'buy', 8.46, 1);
+
+        const result = engine.amendOrder(first.id, ALICE, { quantity: 4 });
+
+        expect(result).toMatchObject({ priorityKept: false, previous: { id: first.id, quantity: 2 } });
+        expect(result.order).toMatchObject({ quantity: 3, status: 'new' });
+        expect(engine.getOrder(first.id).status).toBe('cancelled');
+        expect(limit(BOB, 'buy', 8.46, 1).trades[0].maker).toBe(CAROL);
+
+        // A new price that crosses trades straight away
+        limit(BOB, 'buy', 8.38, 1);
+        const moved = engine.amendOrder(result.order.id, ALICE, { price: 8.38 });
+        expect(moved.trades).toHaveLength(1);
+        expect(engine.getDepth(SYMBOL).asks).toEqual([[8.38, 2], [8.46, 1]]);
+    });
+
+    test('rejects amends that change nothing or undercut the filled size', () => {
+        const { order } = limit(ALICE, 'sell', 8.46, 3);
+        limit(BOB, 'buy', 8.46, 2);
+
+        expect(() => engine.amendOrder(order.id, ALICE, { quantity: 2 })).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_QUANTITY' })
+        );
+        expect(() => engine.amendOrder(order.id, ALICE, { price: 8.46 })).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_ORDER' })
+        );
+        expect(() => engine.amendOrder(order.id, BOB, { quantity: 2.5 })).toThrow(
+            expect.objectContaining({ code: 'E_UNAUTHORIZED' })
+        );
+        expect(engine.amendOrder(order.id, ALICE, { quantity: 2.5 }).order).toMatchObject({
+            status: 'partially_filled', remainingQuantity: 0.5
+        });
+    });
+
+    test('cancels all open orders of a user, optionally in one market', () => {
+        limit(ALICE, 'buy', 8.40, 1);
+        limit(ALICE, 'sell', 8.60, 1);
+        limit(BOB, 'buy', 8.30, 1);
+        engine.placeOrder({ symbol: 'BTC-USDC', userAddress: ALICE, side: 'buy', type: 'limit', price: 100, quantity: 1 });
+        const stop = engine.placeOrder({
+            symbol: SYMBOL, userAddress: ALICE, side: 'sell', type: 'stop_market', quantity: 1, stopPrice: 8.45, triggerBy: 'mark'
+        }).order;
+
+        const cancelled = engine.cancelAll(ALICE, SYMBOL);
+
+        // The untriggered stop goes first, before pulling the bid moves the mark price through it
+        expect(cancelled.map(order => order.id)).toEqual([stop.id, 1, 2]);
+        expect(engine.getDepth(SYMBOL)).toMatchObject({ bids: [[8.30, 1]], asks: [] });
+        expect(engine.cancelAll(ALICE).map(order => order.symbol)).toEqual(['BTC-USDC']);
+        expect(engine.cancelAll(ALICE)).toEqual([]);
+    });
+
+    test('indexes open orders per user and evicts persisted closed ones', () => {
+        const changes = [];
+        engine.on('changes', change => changes.push(change));
+
+        const ask = limit(ALICE, 'sell', 8.46, 1).order;
+        const bid = limit(ALICE, 'buy', 8.40, 2).order;
+        limit(BOB, 'buy', 8.46, 1);
+
+        expect(engine.getOpenOrders(ALICE).map(order => order.id)).toEqual([bid.id]);
+        expect(engine.getOpenOrders(BOB)).toEqual([]);
+        expect(engine.openOrders.has(BOB)).toBe(false);
+
+        changes.forEach(change => engine.evictOrders(change.orders));
+        expect(engine.getOrder(ask.id)).toBeNull();
+        expect(engine.getOrder(bid.id)).toMatchObject({ status: 'new' });
+        expect(engine.orders.size).toBe(1);
+    });
+
+    test('runs batches of place, cancel and replace items in order', () => {
+        const bid = limit(ALICE, 'buy', 8.40, 2).order;
+        const ask = limit(ALICE, 'sell', 8.60, 2).order;
+        limit(BOB, 'sell', 8.50, 1);
+
+        const results = engine.executeBatch(ALICE, [
+            { action: 'cancel', orderId: ask.id },
+            { action: 'replace', orderId: bid.id, order: { symbol: SYMBOL, side: 'buy', price: 8.45, quantity: 3 } },
+            { action: 'place', order: { symbol: SYMBOL, side: 'buy', price: 8.50, quantity: 1, postOnly: true } }
+        ]);
+
+        expect(results.map(({ index, action, ok }) => ({ index, action, ok }))).toEqual([
+            { index: 0, action: 'cancel', ok: true },
+            { index: 1, action: 'replace', ok: true },
+            { index: 2, action: 'place', ok: false }
+        ]);
+        expect(results[0].cancelled.status).toBe('cancelled');
+        expect(results[1]).toMatchObject({ cancelled: { id: bid.id }, order: { price: 8.45, status: 'new' } });
+        expect(results[2]).toMatchObject({ code: 'E_POST_ONLY', order: { status: 'rejected' } });
+        expect(engine.getDepth(SYMBOL)).toMatchObject({ bids: [[8.45, 3]], asks: [[8.50, 1]] });
+    });
+
+    test('rejects a whole batch when any item is invalid', () => {
+        const bid = limit(ALICE, 'buy', 8.40, 2).order;
+        const other = limit(BOB, 'buy', 8.30, 1).order;
+
+        let error;
+        try {
+            engine.executeBatch(ALICE, [
+                { action: 'cancel', orderId: bid.id },
+                { action: 'place', order: { symbol: SYMBOL, side: 'buy', price: 8.45, quantity: 1 } },
+                { action: 'cancel', orderId: other.id },
+                { action: 'replace', orderId: bid.id, order: { symbol: SYMBOL, side: 'buy', price: 0, quantity: 1 } }
+            ]);
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toMatchObject({ code: 'E_INVALID_BATCH' });
+        expect(error.items).toEqual([
+            { index: 2, code: 'E_UNAUTHORIZED', message: expect.any(String) },
+            { index: 3, code: 'E_INVALID_BATCH', message: expect.stringContaining('twice') }
+        ]);
+        expect(engine.getOrder(bid.id).status).toBe('new');
+        expect(engine.getDepth(SYMBOL).bids).toEqual([[8.40, 2], [8.30, 1]]);
+
+        const tooLarge = Array.from({ length: 101 }, () => ({ action: 'cancel', orderId: bid.id }));
+        expect(() => engine.executeBatch(ALICE, tooLarge)).toThrow(
+            expect.objectContaining({ code: 'E_BATCH_TOO_LARGE' })
+        );
+    });
+
+    test('emits one change set per operation with affected levels', () => {
+        const changes = [];
+        engine.on('changes', change => changes.push(change));
+
+        limit(ALICE, 'sell', 8.46, 2);
+        limit(BOB, 'buy', 8.46, 2);
+
+        expect(changes).toHaveLength(2);
+        expect(changes[1].trades).toHaveLength(1);
+        expect(changes[1].levels).toContainEqual({ side: 'sell', price: 8.46, totalQuantity: 0 });
+        expect(changes[1].orders.every(order => !order.resting)).toBe(true);
+        expect(changes[1].sequence).toEqual({ nextOrderId: 3, nextTradeId: 2 });
+    });
+
+    test('restores resting orders in time priority', () => {
+        const first = limit(ALICE, 'sell', 8.46, 1).order;
+        const second = limit(CAROL, 'sell', 8.46, 1).order;
+
+        const restored = new MatchingEngine();
+        restored.restore({
+            orders: [engine.getOrder(second.id), engine.getOrder(first.id)],
+            sequence: { nextOrderId: engine.nextOrderId, nextTradeId: engine.nextTradeId }
+        });
+
+        const { trades } = restored.placeOrder({
+            symbol: SYMBOL, userAddress: BOB, side: 'buy', type: 'limit', price: 8.46, quantity: 1
+        });
+        expect(trades[0].makerOrderId).toBe(first.id);
+        expect(restored.getOrder(second.id).status).toBe('new');
+        expect(restored.nextOrderId).toBe(4);
+    });
+
+    test('enforces market status, tick and lot rules from the registry', () => {
+        const markets = new MarketRegistry();
+        engine = new MatchingEngine({ markets });
+
+        expect(() => limit(ALICE, 'buy', 8.40005, 1)).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_PRICE' })
+        );
+        expect(() => limit(ALICE, 'buy', 8.4, 1.0005)).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_QUANTITY' })
+        );
+        expect(() => engine.placeOrder({
+            symbol: 'BTC-USDC', userAddress: ALICE, side: 'buy', type: 'limit', price: 1, quantity: 1
+        })).toThrow(expect.objectContaining({ code: 'E_MARKET_NOT_FOUND' }));
+
+        markets.setMarketStatus(SYMBOL, false);
+        expect(() => limit(ALICE, 'buy', 8.4, 1)).toThrow(
+            expect.objectContaining({ code: 'E_MARKET_CLOSED' })
+        );
+
+        markets.setMarketStatus(SYMBOL, true);
+        expect(limit(ALICE, 'buy', 8.4, 1).order.status).toBe('new');
+    });
+
+    test('validates price and quantity', () => {
+        expect(() => limit(ALICE, 'buy', 0, 1)).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_PRICE' })
+        );
+        expect(() => limit(ALICE, 'buy', 8.4, -1)).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_QUANTITY' })
+        );
+    });
+});
@@ -0,0 +1,48 @@
+/**
+ * Order Book Feed Test Suite
+ *
+ * Covers level diffing and sequence numbering of published deltas.
+ */
+
+const { OrderBookFeed } = require('../services/OrderBookFeed');
+
+const SYMBOL = 'APT-USDC';
+
+describe('OrderBookFeed', () => {
+    let feed;
+
+    beforeEach(() => {
+        feed = new OrderBookFeed();
+    });
+
+    test('sends only changed levels with contiguous sequence numbers', () => {
+        const first = feed.publish(SYMBOL, { bids: [[8.45, 10], [8.44, 5]], asks: [[8.46, 7]] });
+        expect(first).toMatchObject({ sequence: 1, prevSequence: 0 });
+
+        const second = feed.publish(SYMBOL, { bids: [[8.44, 5], [8.43, 2]], asks: [[8.46, 3]] });
+        expect(second).toMatchObject({
+            sequence: 2,
+            prevSequence: 1,
+            bids: [[8.45, 0], [8.43, 2]],
+            asks: [[8.46, 3]]
+        });
+    });
+
+    test('skips publishing when nothing changed', () => {
+        feed.publish(SYMBOL, { bids: [[8.45, 10]], asks: [] });
+
+        expect(feed.publish(SYMBOL, { bids: [[8.45, 10]], asks: [] })).toBeNull();
+        expect(feed.getSequence(SYMBOL)).toBe(1);
+    });
+
+    test('snapshots reflect the last published state in book order', () => {
+        feed.publish(SYMBOL, { bids: [[8.44, 5], [8.45, 10]], asks: [[8.47, 1], [8.46, 7]] });
+
+        expect(feed.getSnapshot(SYMBOL, 1)).toMatchObject({
+            sequence: 1,
+            bids: [[8.45, 10]],
+            asks: [[8.46, 7]]
+        });
+        expect(feed.getSnapshot('APT-USDT')).toBeNull();
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Price Oracle Test Suite
+ *
+ * Covers the staleness and deviation guards, the simulated, replay and
+ * median sources, and oracle prices taking over the engine's mark.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    PriceOracle,
+    SimulatedPriceSource,
+    ReplayPriceSource,
+    MedianPriceSource
+} = require('../services/PriceOracle');
+const { LiquidationService } = require('../services/LiquidationService');
+const { MarketRegistry } = require('../services/MarketRegistry');
+const { MatchingEngine } = require('../services/MatchingEngine');
+
+const SYMBOL = 'APT-USDC';
+const MAX_AGE = 60 * 1000;
+const NOW = 1700000000000;
+
+// Source returning whatever reading is set on it
+const fixedSource = (name, reading) => ({ name, getPrice: async () => reading });
+
+describe('PriceOracle', () => {
+    let oracle;
+    let accepted;
+    let rejected;
+
+    beforeEach(() => {
+        oracle = new PriceOracle({ settings: { maxAgeMs: MAX_AGE, maxDeviationPct: 10 } });
+        accepted = [];
+        rejected = [];
+        oracle.on('price', feed => accepted.push(feed));
+        oracle.on('rejected', feed => rejected.push(feed));
+    });
+
+    test('accepts fresh prices and rejects missing, invalid and stale ones', () => {
+        expect(oracle.submit(SYMBOL, { price: 8.5, timestamp: NOW - 1000 }, NOW)).toMatchObject({
+            symbol: SYMBOL, price: 8.5, updatedAt: NOW, valid: true, lastError: null
+        });
+
+        expect(oracle.submit(SYMBOL, null, NOW)).toBeNull();
+        expect(oracle.submit(SYMBOL, { price: -1, timestamp: NOW }, NOW)).toBeNull();
+        expect(oracle.submit(SYMBOL, { price: 8.6, timestamp: NOW - MAX_AGE }, NOW)).toBeNull();
+        expect(oracle.submit(SYMBOL, { price: 8.6, timestamp: NOW - 2000 }, NOW)).toBeNull();
+        expect(rejected.map(feed => feed.lastError.code)).toEqual([
+            'E_NO_PRICE', 'E_INVALID_PRICE', 'E_STALE_PRICE', 'E_STALE_PRICE'
+        ]);
+
+        expect(accepted).toHaveLength(1);
+        expect(oracle.getFeed(SYMBOL, NOW)).toMatchObject({ price: 8.5, valid: true, rejections: 4 });
+        expect(oracle.isValid(SYMBOL, NOW + MAX_AGE)).toBe(false);
+    });
+
+    test('rejects outliers while the last price is fresh, then lets a real move through', () => {
+        oracle.submit(SYMBOL, { price: 10, timestamp: NOW }, NOW);
+
+        expect(oracle.submit(SYMBOL, { price: 11.5, timestamp: NOW + 1000 }, NOW + 1000)).toBeNull();
+        expect(oracle.getFeed(SYMBOL, NOW + 1000).lastError.code).toBe('E_PRICE_DEVIATION');
+        expect(oracle.submit(SYMBOL, { price: 10.9, timestamp: NOW + 2000 }, NOW + 2000)).toMatchObject({ price: 10.9 });
+
+        const later = NOW + 2000 + MAX_AGE;
+        expect(oracle.submit(SYMBOL, { price: 14, timestamp: later }, later)).toMatchObject({ price: 14, valid: true });
+    });
+
+    test('polls its source and records source failures', async () => {
+        const source = { name: 'flaky', getPrice: jest.fn() };
+        source.getPrice
+            .mockResolvedValueOnce({ price: 8.5, timestamp: NOW })
+            .mockRejectedValueOnce(Object.assign(new Error('Source down'), { code: 'E_SOURCE_DOWN' }));
+        oracle.source = source;
+
+        expect(await oracle.poll([SYMBOL], NOW)).toEqual([expect.objectContaining({ price: 8.5, source: 'flaky' })]);
+        expect(await oracle.poll([SYMBOL], NOW + 1000)).toEqual([]);
+        expect(oracle.getFeed(SYMBOL, NOW + 1000)).toMatchObject({
+            price: 8.5, valid: true, lastError: expect.objectContaining({ code: 'E_SOURCE_DOWN' })
+        });
+    });
+
+    test('takes the median of the sources that agree', async () => {
+        const median = new MedianPriceSource([
+            fixedSource('a', { price: 10, timestamp: NOW }),
+            fixedSource('b', { price: 10.1, timestamp: NOW - 1000 }),
+            fixedSource('c', { price: 13, timestamp: NOW }),
+            fixedSource('d', { price: 9.9, timestamp: NOW - MAX_AGE })
+        ], { minSources: 2, maxSpreadPct: 2, maxAgeMs: MAX_AGE });
+
+        // d is stale and c an outlier, leaving a and b
+        expect(await median.getPrice(SYMBOL, NOW)).toEqual({ price: 10.05, timestamp: NOW - 1000, sources: 2 });
+
+        const split = new MedianPriceSource([
+            fixedSource('a', { price: 10, timestamp: NOW }),
+            fixedSource('b', { price: 12, timestamp: NOW }),
+            fixedSource('c', null)
+        ]);
+        await expect(split.getPrice(SYMBOL, NOW)).rejects.toMatchObject({ code: 'E_NO_QUORUM' });
+    });
+
+    test('replays a recording at its own pace and loops it', async () => {
+        const file = path.join(os.tmpdir(), `oracle-replay-${process.pid}.jsonl`);
+        fs.writeFileSync(file, [
+            JSON.stringify({ symbol: SYMBOL, price: 8.5, timestamp: 1000 }),
+            '',
+            JSON.stringify({ symbol: SYMBOL, price: 8.7, timestamp: 6000 }),
+            JSON.stringify({ symbol: 'APT-USDT', price: 8.4, timestamp: 11000 })
+        ].join('\n'));
+
+        try {
+            const replay = new ReplayPriceSource({ file });
+            expect(await replay.getPrice(SYMBOL, NOW)).toEqual({ price: 8.5, timestamp: NOW });
+            expect(await replay.getPrice(SYMBOL, NOW + 7000)).toEqual({ price: 8.7, timestamp: NOW + 5000 });
+            expect(await replay.getPrice('APT-USDT', NOW + 7000)).toBeNull();
+            expect(await replay.getPrice(SYMBOL, NOW + 12000)).toEqual({ price: 8.5, timestamp: NOW + 10000 });
+            expect(await replay.getPrice('ETH-USDC', NOW)).toBeNull();
+        } finally {
+            fs.unlinkSync(file);
+        }
+
+        const once = new ReplayPriceSource({ loop: false, records: [{ symbol: SYMBOL, price: 8.5, timestamp: 0 }] });
+        await once.getPrice(SYMBOL, NOW);
+        oracle.source = once;
+        expect(await oracle.update(SYMBOL, NOW + MAX_AGE)).toBeNull();
+        expect(oracle.getFeed(SYMBOL, NOW + MAX_AGE).lastError.code).toBe('E_STALE_PRICE');
+    });
+
+    test('keeps the simulated walk near its starting price', async () => {
+        const simulated = new SimulatedPriceSource({ random: () => 1 });
+        let reading;
+        for (let i = 0; i < 200; i++) {
+            reading = await simulated.getPrice(SYMBOL, NOW);
+        }
+
+        expect(reading.price).toBeGreaterThan(8.5);
+        expect(reading.price).toBeLessThan(8.5 * 1.05);
+        expect(await simulated.getPrice('ETH-USDC', NOW)).toBeNull();
+    });
+
+    test('supplies the mark price instead of the book mid while valid', () => {
+        const markets = new MarketRegistry();
+        const liquidations = new LiquidationService();
+        const engine = new MatchingEngine({ markets, liquidations, oracle });
+        oracle.on('price', feed => engine.updatePrice(feed.symbol, 'mark', feed.price));
+
+        oracle.submit(SYMBOL, { price: 10, timestamp: Date.now() });
+        engine.placeOrder({ symbol: SYMBOL, userAddress: '0xa11ce', side: 'buy', type: 'limit', price: 9, quantity: 1 });
+        engine.placeOrder({ symbol: SYMBOL, userAddress: '0xb0b', side: 'sell', type: 'limit', price: 9.2, quantity: 1 });
+        expect(liquidations.getPrice(SYMBOL).price).toBe(10);
+
+        oracle.reset();
+        engine.placeOrder({ symbol: SYMBOL, userAddress: '0xb0b', side: 'sell', type: 'limit', price: 9.4, quantity: 1 });
+        expect(liquidations.getPrice(SYMBOL).price).toBe(9.1);
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Redis Service Test Suite
+ *
+ * Covers how book change sets report a failed MULTI transaction, so the
+ * engine only drops orders the store has taken, how ledger snapshots trim
+ * the journal, and which keys a cache clear may delete.
+ */
+
+const { RedisService } = require('../services/RedisService');
+const { MatchingEngine } = require('../services/MatchingEngine');
+const { ALICE, BOB, limitOrders } = require('./helpers');
+
+// Client whose transactions accept every command and settle with `exec`
+const fakeClient = (exec) => ({
+    multi: () => new Proxy({}, {
+        get: (target, command) => (command === 'exec' ? exec : () => {})
+    })
+});
+
+describe('RedisService', () => {
+    let redis;
+    let engine;
+    let changes;
+
+    beforeEach(() => {
+        redis = new RedisService();
+        engine = new MatchingEngine();
+        changes = [];
+        engine.on('changes', change => changes.push(change));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const limit = limitOrders(() => engine);
+
+    // What the server does with each change set
+    const persist = async () => {
+        for (const change of changes) {
+            if (await redis.saveBookChanges(change)) {
+                engine.evictOrders(change.orders);
+            }
+        }
+    };
+
+    test('keeps filled orders in memory when the transaction fails', async () => {
+        redis.client = fakeClient(async () => {
+            throw new Error('READONLY You can\'t write against a read only replica');
+        });
+        const ask = limit(ALICE, 'sell', 8.46, 1).order;
+        const bid = limit(BOB, 'buy', 8.46, 1).order;
+
+        await persist();
+
+        expect(engine.getOrder(ask.id)).toMatchObject({ status: 'filled' });
+        expect(engine.getOrder(bid.id)).toMatchObject({ status: 'filled' });
+        expect(console.error).toHaveBeenCalledTimes(2);
+    });
+
+    test('evicts closed orders once their change set is stored', async () => {
+        redis.client = fakeClient(async () => []);
+        const ask = limit(ALICE, 'sell', 8.46, 1).order;
+        const bid = limit(BOB, 'buy', 8.40, 1).order;
+        limit(BOB, 'buy', 8.46, 1);
+
+        await persist();
+
+        expect(engine.getOrder(ask.id)).toBeNull();
+        expect(engine.getOrder(bid.id)).toMatchObject({ status: 'new' });
+    });
+
+    test('trims the journal by entry id when it drifts from the snapshot', async () => {
+        // Entry 3 never made it to the list and 6 was appended after the snapshot
+        let journal = [1, 2, 4, 5, 6].map(id => JSON.stringify({ id }));
+        redis.client = {
+            set: async () => 'OK',
+            lRange: async () => journal,
+            lTrim: async (key, start) => {
+                journal = journal.slice(start);
+            }
+        };
+
+        await redis.saveLedgerSnapshot({ lastEntryId: 5, entries: 5 });
+        expect(journal.map(entry => JSON.parse(entry).id)).toEqual([6]);
+
+        await redis.saveLedgerSnapshot({ lastEntryId: 6, entries: 6 });
+        expect(journal).toEqual([]);
+    });
+
+    test('clears only expiring cache keys', async () => {
+        const deleted = [];
+        redis.client = {
+            keys: async () => ['clob:analytics:volume', 'clob:analytics:stream:events', 'clob:price:feed:APT-USDC'],
+            del: async keys => deleted.push(...keys)
+        };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        await redis.clearCache('clob:*');
+
+        expect(deleted).toEqual(['clob:analytics:volume', 'clob:price:feed:APT-USDC']);
+    });
+});
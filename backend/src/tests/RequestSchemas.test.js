@@ -0,0 +1,159 @@
+/**
+ * Request Schemas Test Suite
+ *
+ * Covers route validation and the contract error codes it reports.
+ */
+
+const { validateRequest } = require('../validation/schemas');
+
+const order = (overrides) => ({
+    body: { symbol: 'APT-USDC', side: 'buy', type: 'limit', price: '8.45', quantity: '1.5', ...overrides }
+});
+
+describe('Request schemas', () => {
+    test('converts a valid order and strips unknown fields', () => {
+        const { value, error } = validateRequest('placeOrder', order({ userAddress: '0xdead' }));
+
+        expect(error).toBeUndefined();
+        expect(value.body).toEqual({
+            symbol: 'APT-USDC',
+            side: 'buy',
+            type: 'limit',
+            price: 8.45,
+            quantity: 1.5,
+            timeInForce: 'GTC'
+        });
+    });
+
+    test('drops the price of market orders', () => {
+        const { value } = validateRequest('placeOrder', order({ type: 'market' }));
+        expect(value.body.price).toBeUndefined();
+    });
+
+    test('rejects off-tick prices and off-lot quantities with ClobCore codes', () => {
+        const { error } = validateRequest('placeOrder', order({ price: 8.00005, quantity: 0.0001 }));
+
+        expect(error).toMatchObject({ code: 'E_INVALID_PRICE', moveCode: 8 });
+        expect(error.details.map(detail => detail.code)).toEqual(['E_INVALID_PRICE', 'E_INVALID_QUANTITY']);
+    });
+
+    test('rejects sizes outside the market limits', () => {
+        const { error } = validateRequest('placeOrder', order({ quantity: 2000000 }));
+        expect(error).toMatchObject({ code: 'E_INVALID_QUANTITY', moveCode: 9 });
+    });
+
+    test('requires stop levels on trigger orders only', () => {
+        const { value } = validateRequest('placeOrder', order({ type: 'stop_limit', stopPrice: '8.40' }));
+        expect(value.body).toMatchObject({ price: 8.45, stopPrice: 8.4, triggerBy: 'last' });
+
+        expect(validateRequest('placeOrder', order({ type: 'stop_market' })).error)
+            .toMatchObject({ code: 'E_INVALID_PRICE' });
+        expect(validateRequest('placeOrder', order({ stopPrice: 8.4 })).error)
+            .toMatchObject({ code: 'E_INVALID_PRICE' });
+        expect(validateRequest('placeOrder', order({ type: 'trailing_stop', trailingOffset: 0.25 })).value.body)
+            .toMatchObject({ trailingOffset: 0.25, triggerBy: 'last' });
+    });
+
+    test('rejects a bad side, time in force or expiry as an invalid order', () => {
+        const { error } = validateRequest('placeOrder', order({ side: 'hold', timeInForce: 'DAY', expiresAt: 1 }));
+
+        expect(error).toMatchObject({ code: 'E_INVALID_ORDER', moveCode: 4 });
+        expect(error.details.map(detail => detail.field)).toEqual(['side', 'timeInForce', 'expiresAt']);
+    });
+
+    test('checks time in force and post-only against the order type', () => {
+        const expiresAt = Date.now() + 60000;
+        expect(validateRequest('placeOrder', order({ timeInForce: 'GTD', expiresAt, postOnly: true })).value.body)
+            .toMatchObject({ timeInForce: 'GTD', expiresAt, postOnly: true });
+
+        expect(validateRequest('placeOrder', order({ timeInForce: 'GTD', expiresAt: 1 })).error)
+            .toMatchObject({ code: 'E_INVALID_ORDER' });
+        expect(validateRequest('placeOrder', order({ type: 'market', timeInForce: 'GTD', expiresAt })).error)
+            .toMatchObject({ code: 'E_INVALID_ORDER' });
+        expect(validateRequest('placeOrder', order({ timeInForce: 'IOC', postOnly: true })).error)
+            .toMatchObject({ code: 'E_INVALID_ORDER' });
+        expect(validateRequest('placeOrder', order({ type: 'market', postOnly: true })).error)
+            .toMatchObject({ code: 'E_INVALID_ORDER' });
+    });
+
+    test('needs a price or quantity to amend an order', () => {
+        const amend = (body) => validateRequest('amendOrder', { params: { id: '3' }, body });
+
+        expect(amend({ quantity: '2.5' }).value).toEqual({ params: { id: 3 }, body: { quantity: 2.5 } });
+        expect(amend({}).error).toMatchObject({ code: 'E_INVALID_ORDER' });
+        expect(amend({ price: -1 }).error).toMatchObject({ code: 'E_INVALID_PRICE' });
+    });
+
+    test('validates batch items with per-item field codes', () => {
+        const batch = (items) => ({ body: { items } });
+        const { value } = validateRequest('batchOrders', batch([
+            { action: 'place', order: order().body },
+            { action: 'cancel', orderId: '7' }
+        ]));
+        expect(value.body.items).toEqual([
+            { action: 'place', order: expect.objectContaining({ price: 8.45, timeInForce: 'GTC' }) },
+            { action: 'cancel', orderId: 7 }
+        ]);
+
+        const { error } = validateRequest('batchOrders', batch([
+            { action: 'replace', order: order({ price: -1 }).body },
+            { action: 'cancel', orderId: 7, order: order().body }
+        ]));
+        expect(error.details.map(({ field, code }) => ({ field, code }))).toEqual([
+            { field: 'items.0.orderId', code: 'E_INVALID_BATCH' },
+            { field: 'items.0.order.price', code: 'E_INVALID_PRICE' },
+            { field: 'items.1.order', code: 'E_INVALID_BATCH' }
+        ]);
+
+        expect(validateRequest('batchOrders', batch([])).error).toMatchObject({ code: 'E_INVALID_BATCH' });
+        expect(validateRequest('batchOrders', batch(Array(101).fill({ action: 'cancel', orderId: 1 }))).error)
+            .toMatchObject({ code: 'E_BATCH_TOO_LARGE' });
+    });
+
+    test('accepts only positive risk limits', () => {
+        const limits = (body) => validateRequest('accountRiskLimits', { params: { address: '0xa11ce' }, body });
+
+        expect(limits({ maxOpenOrders: '50', priceBandBps: 250 }).value.body).toEqual({ maxOpenOrders: 50, priceBandBps: 250 });
+        expect(limits({ maxPosition: 0 }).error).toMatchObject({ code: 'E_INVALID_RISK_LIMITS' });
+        expect(limits({ maxOpenOrders: 1.5 }).error).toMatchObject({ code: 'E_INVALID_RISK_LIMITS' });
+    });
+
+    test('accepts analytics items singly or in bounded batches', () => {
+        const events = (body) => validateRequest('analyticsEvents', { body });
+        const event = { event: 'order_placement', sessionId: 'sess_1_abc', data: { pair: 'APT-USDC' } };
+
+        expect(events({ ...event, extra: true }).value.body).toEqual(event);
+        expect(events({ events: [event, event] }).value.body.events).toHaveLength(2);
+        expect(events({ events: [event, { ...event, event: 'Order Placed' }] }).error).toMatchObject({
+            code: 'E_INVALID_ANALYTICS', details: [{ field: 'events.1.event' }]
+        });
+        expect(events({ events: new Array(51).fill(event) }).error).toMatchObject({ code: 'E_BATCH_TOO_LARGE' });
+        expect(events({ ...event, data: { note: 'x'.repeat(5000) } }).error).toMatchObject({ code: 'E_INVALID_ANALYTICS' });
+        expect(validateRequest('analyticsErrors', { body: { type: 'javascript_error', sessionId: 's', stack: null } }).value)
+            .toBeDefined();
+    });
+
+    test('validates path and query parameters', () => {
+        expect(validateRequest('candles', { params: { symbol: 'apt' }, query: {} }).error)
+            .toMatchObject({ code: 'E_INVALID_SYMBOL' });
+        expect(validateRequest('candles', { params: { symbol: 'APT-USDC' }, query: { interval: '7m' } }).error)
+            .toMatchObject({ code: 'E_INVALID_INTERVAL' });
+
+        const { value } = validateRequest('orderbook', { params: { symbol: 'APT-USDC' }, query: { levels: '20' } });
+        expect(value.query.levels).toBe(20);
+
+        const clear = (pattern) => validateRequest('clearCache', { params: { pattern } });
+        expect(clear('clob:price:feed:*').value).toBeDefined();
+        expect(clear('clob:*').error).toMatchObject({ code: 'E_INVALID_PARAMETER' });
+        expect(clear('clob:orders:*').error).toMatchObject({ code: 'E_INVALID_PARAMETER' });
+    });
+
+    test('expands the open status alias when listing orders', () => {
+        const request = (status) => ({ params: { address: '0xa11ce' }, query: { status } });
+
+        expect(validateRequest('userOrders', request('open,filled')).value.query.status)
+            .toEqual(['new', 'partially_filled', 'untriggered', 'filled']);
+        expect(validateRequest('userOrders', request('active')).error)
+            .toMatchObject({ code: 'E_INVALID_PARAMETER' });
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Risk Service Test Suite
+ *
+ * Covers the pre-trade checks the matching engine runs before matching:
+ * price bands, order notional, open orders, position and order rate.
+ */
+
+const { RiskService } = require('../services/RiskService');
+const { LedgerService } = require('../services/LedgerService');
+const { SYMBOL, ALICE, BOB, createEngine, limitOrders } = require('./helpers');
+
+describe('RiskService', () => {
+    let risk;
+    let ledger;
+    let engine;
+
+    beforeEach(() => {
+        risk = new RiskService();
+        ledger = new LedgerService();
+        engine = createEngine({ ledger, risk }, {
+            [ALICE]: { APT: 1000, USDC: 100000 },
+            [BOB]: { APT: 1000, USDC: 100000 }
+        });
+    });
+
+    const limit = limitOrders(() => engine);
+
+    const rejection = (place) => {
+        try {
+            place();
+        } catch (error) {
+            return error;
+        }
+        throw new Error('Order was not rejected');
+    };
+
+    test('rejects limit prices outside the band around mid', () => {
+        limit(BOB, 'buy', 9.9, 1);
+        limit(BOB, 'sell', 10.1, 1);
+
+        const error = rejection(() => limit(ALICE, 'buy', 11.5, 1));
+        expect(error).toMatchObject({ code: 'E_PRICE_BAND', risk: { check: 'priceBand', value: 1500, limit: 1000 } });
+        expect(error.order).toMatchObject({ status: 'rejected', rejectReason: 'E_PRICE_BAND' });
+        expect(error.order.rejectMessage).toMatch(/more than 10% from the reference price 10/);
+        expect(ledger.getUserBalance(ALICE, SYMBOL).lockedQuote).toBe(0);
+
+        expect(limit(ALICE, 'buy', 10.5, 1).order.status).toBe('filled');
+    });
+
+    test('bands against the last trade without a two-sided book', () => {
+        limit(BOB, 'sell', 10, 1);
+        limit(ALICE, 'buy', 10, 1);
+
+        expect(rejection(() => limit(ALICE, 'sell', 5, 1)).code).toBe('E_PRICE_BAND');
+        // Untriggered stops rest away from the market by design
+        const { order } = engine.placeOrder({
+            symbol: SYMBOL, userAddress: ALICE, side: 'sell', type: 'stop_limit', price: 5, stopPrice: 6, quantity: 1
+        });
+        expect(order.status).toBe('untriggered');
+    });
+
+    test('applies per-account limits over the defaults', () => {
+        risk.setAccountLimits(ALICE, { maxOrderNotional: 500 });
+
+        expect(rejection(() => limit(ALICE, 'buy', 10, 60))).toMatchObject({
+            code: 'E_MAX_NOTIONAL', risk: { value: 600, limit: 500 }
+        });
+        expect(limit(BOB, 'buy', 10, 60).order.status).toBe('new');
+
+        risk.setAccountLimits(ALICE, null);
+        expect(limit(ALICE, 'buy', 10, 60).order.status).toBe('new');
+    });
+
+    test('caps open orders per account', () => {
+        risk.configure({ maxOpenOrders: 2 });
+        limit(ALICE, 'buy', 10, 1);
+        limit(ALICE, 'buy', 10, 1);
+
+        expect(rejection(() => limit(ALICE, 'buy', 10, 1)).code).toBe('E_MAX_OPEN_ORDERS');
+        expect(limit(BOB, 'buy', 10, 1).order.status).toBe('new');
+    });
+
+    test('counts base held and open buys towards the position limit', () => {
+        risk.configure({ maxPosition: 1100 });
+        limit(ALICE, 'buy', 10, 60);
+
+        expect(rejection(() => limit(ALICE, 'buy', 10, 50))).toMatchObject({
+            code: 'E_MAX_POSITION', risk: { value: 1110 }
+        });
+        // Selling reduces the position, so it is never capped
+        expect(limit(ALICE, 'sell', 10.5, 500).order.status).toBe('new');
+    });
+
+    test('limits the order rate per address', () => {
+        risk.configure({ maxOrdersPerWindow: 3, rateWindowMs: 1000 });
+        for (let i = 0; i < 3; i++) {
+            limit(ALICE, 'buy', 10, 1);
+        }
+
+        expect(rejection(() => limit(ALICE, 'buy', 10, 1))).toMatchObject({
+            code: 'E_ORDER_RATE_LIMIT', risk: { check: 'orderRate', limit: 3 }
+        });
+        expect(limit(BOB, 'buy', 10, 1).order.status).toBe('new');
+        expect(risk.getRecentOrders(ALICE, Date.now() + 1000)).toBe(0);
+    });
+
+    test('checks amends without touching the original order', () => {
+        limit(BOB, 'buy', 9.9, 1);
+        limit(BOB, 'sell', 10.1, 1);
+        const { order } = limit(ALICE, 'buy', 9.8, 1);
+
+        expect(() => engine.amendOrder(order.id, ALICE, { price: 12 })).toThrow(
+            expect.objectContaining({ code: 'E_PRICE_BAND' })
+        );
+        expect(engine.getOrder(order.id)).toMatchObject({ status: 'new', price: 9.8 });
+
+        const { order: amended } = engine.amendOrder(order.id, ALICE, { price: 9.7 });
+        expect(amended).toMatchObject({ status: 'new', price: 9.7 });
+        expect(risk.getRecentOrders(ALICE)).toBe(2);
+    });
+
+    test('rejects unknown or non-positive limits', () => {
+        expect(() => risk.configure({ maxLeverage: 5 })).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_RISK_LIMITS' })
+        );
+        expect(() => risk.setAccountLimits(ALICE, { maxOpenOrders: 0 })).toThrow(
+            expect.objectContaining({ code: 'E_INVALID_RISK_LIMITS' })
+        );
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Trigger Book Test Suite
+ *
+ * Covers stop-market, stop-limit, take-profit and trailing-stop orders
+ * waiting in the trigger book and activating on the matching engine.
+ */
+
+const { MatchingEngine } = require('../services/MatchingEngine');
+const { SYMBOL, ALICE, BOB, CAROL, limitOrders } = require('./helpers');
+
+describe('TriggerBook', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new MatchingEngine();
+    });
+
+    const limit = limitOrders(() => engine);
+
+    // Print a trade at a price between two other users
+    const trade = (price) => {
+        limit(BOB, 'sell', price, 1);
+        limit(CAROL, 'buy', price, 1);
+    };
+
+    test('holds a stop-market sell until the last trade falls to its stop', () => {
+        const { order } = engine.placeOrder({
+            symbol: SYMBOL, userAddress: ALICE, side: 'sell', type: 'stop_market', quantity: 2, stopPrice: 8.00
+        });
+        expect(order).toMatchObject({ status: 'untriggered', stopPrice: 8.00, triggerBy: 'last' });
+
+        limit(CAROL, 'buy', 7.90, 5);
+        trade(8.10);
+        expect(engine.getOrder(order.id).status).toBe('untriggered');
+
+        trade(8.00);
+        expect(engine.getOrder(order.id)).toMatchObject({
+            status: 'filled',
+            averagePrice: 7.90,
+            triggeredAt: expect.any(Number)
+        });
+    });
+
+    test('activates a stop-limit as a resting limit order', () => {
+        const { order } = engine.placeOrder({
+            symbol: SYMBOL, userAddress: ALICE, side: 'buy', type: 'stop_limit', quantity: 1, price: 8.55, stopPrice: 8.50
+        });
+
+        trade(8.50);
+
+        expect(engine.getOrder(order.id)).toMatchObject({ status: 'new', price: 8.55 });
+        expect(engine.getDepth(SYMBOL).bids).toEqual([[8.55, 1]]);
+    });
+
+    test('fires a take-profit when the price moves in its favour', () => {
+        const { order } = engine.placeOrder({
+            symbol: SYMBOL, userAddress: ALICE, side: 'sell', type: 'take_profit', quantity: 1, stopPrice: 9.00
+        });
+
+        trade(8.50);
+        expect(engine.getOrder(order.id).status).toBe('untriggered');
+
+        limit(CAROL, 'buy', 8.95, 1);
+
+        trade(9.05);
+        expect(engine.getOrder(order.id)).toMatchObject({ status: 'filled', averagePrice: 8.95 });
+    });
+
+    test('trails a stop behind the best price', () => {
+        trade(8.00);
+        const { order } = engine.placeOrder({
+            symbol: SYMBOL, userAddress: ALICE, side: 'sell', type: 'trailing_stop', quantity: 1, trailingOffset: 0.5
+        });
+        expect(order).toMatchObject({ watermark: 8.00, stopPrice: 7.50 });
+
+        trade(9.00);
+        expect(engine.getOrder(order.id)).toMatchObject({ status: 'untriggered', watermark: 9.00, stopPrice: 8.50 });
+
+        trade(8.70);
+        expect(engine.getOrder(order.id).stopPrice).toBe(8.50);
+
+        limit(CAROL, 'buy', 8.40, 1);
+        trade(8.50);
+        expect(engine.getOrder(order.id)).toMatchObject({ status: 'filled', averagePrice: 8.40 });
+    });
+
+    test('follows the mark price when asked to', () => {
+        const { order } = engine.placeOrder({
+            symbol: SYMBOL, userAddress: ALICE, side: 'buy', type: 'stop_limit',
+            quantity: 1, price: 9.50, stopPrice: 9.00, triggerBy: 'mark'
+        });
+
+        limit(BOB, 'sell', 9.60, 1);
+        limit(CAROL, 'buy', 8.00, 1);
+        expect(engine.getOrder(order.id).status).toBe('untriggered');
+
+        limit(CAROL, 'buy', 8.50, 1);
+        limit(BOB, 'sell', 9.50, 1);
+        expect(engine.getOrder(order.id)).toMatchObject({ status: 'filled', averagePrice: 9.50 });
+    });
+
+    test('cancels untriggered orders and activates ones already through their stop', () => {
+        const { order } = engine.placeOrder({
+            symbol: SYMBOL, userAddress: ALICE, side: 'sell', type: 'stop_market', quantity: 1, stopPrice: 8.00
+        });
+        expect(engine.cancelOrder(order.id, ALICE).status).toBe('cancelled');
+        expect(engine.triggers.size(SYMBOL)).toBe(0);
+
+        trade(7.50);
+        limit(CAROL, 'buy', 7.40, 1);
+        const immediate = engine.placeOrder({
+            symbol: SYMBOL, userAddress: ALICE, side: 'sell', type: 'stop_market', quantity: 1, stopPrice: 8.00
+        });
+        expect(immediate.order.status).toBe('filled');
+        expect(immediate.trades).toHaveLength(1);
+    });
+
+    test('requires a stop price or trailing offset', () => {
+        expect(() => engine.placeOrder({
+            symbol: SYMBOL, userAddress: ALICE, side: 'sell', type: 'stop_limit', quantity: 1, price: 8
+        })).toThrow(expect.objectContaining({ code: 'E_INVALID_PRICE' }));
+        expect(() => engine.placeOrder({
+            symbol: SYMBOL, userAddress: ALICE, side: 'sell', type: 'trailing_stop', quantity: 1
+        })).toThrow(expect.objectContaining({ code: 'E_INVALID_PRICE' }));
+        expect(() => engine.placeOrder({
+            symbol: SYMBOL, userAddress: ALICE, side: 'sell', type: 'stop_market', quantity: 1, stopPrice: 8, triggerBy: 'index'
+        })).toThrow(expect.objectContaining({ code: 'E_INVALID_ORDER' }));
+    });
+});
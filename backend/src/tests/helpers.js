@@ -0,0 +1,43 @@
+/**
+ * Shared test fixtures: the market and accounts the engine suites trade
+ * with, and shortcuts for building a funded engine and placing limit orders
+ */
+
+const { MatchingEngine } = require('../services/MatchingEngine');
+
+const SYMBOL = 'APT-USDC';
+const ALICE = '0xa11ce';
+const BOB = '0xb0b';
+const CAROL = '0xca401';
+
+/**
+ * Matching engine over the given collaborators, with `deposits`
+ * ({ [address]: { [asset]: amount } }) credited on its ledger
+ */
+function createEngine(options = {}, deposits = {}) {
+    for (const [address, assets] of Object.entries(deposits)) {
+        for (const [asset, amount] of Object.entries(assets)) {
+            options.ledger.deposit(address, asset, amount);
+        }
+    }
+    return new MatchingEngine(options);
+}
+
+/**
+ * Limit order placer for the engine `getEngine` returns at call time, so
+ * it follows the engine a beforeEach rebuilds
+ */
+function limitOrders(getEngine) {
+    return (userAddress, side, price, quantity, fields = {}) => getEngine().placeOrder({
+        symbol: SYMBOL, userAddress, side, type: 'limit', price, quantity, ...fields
+    });
+}
+
+module.exports = {
+    SYMBOL,
+    ALICE,
+    BOB,
+    CAROL,
+    createEngine,
+    limitOrders
+};
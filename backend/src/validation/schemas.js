@@ -0,0 +1,538 @@
+/**
+ * Request Schemas for CLOB Trading Platform
+ * One joi schema per route. Rejections carry structured error codes named
+ * after the ClobCore.move constants (E_INVALID_PRICE, E_INVALID_QUANTITY, ...)
+ * wherever the contract has one, so off-chain and on-chain rejections match
+ */
+
+const Joi = require('joi');
+const marketRegistry = require('../services/MarketRegistry');
+const { SYMBOL_PATTERN, isMultipleOf } = require('../services/MarketRegistry');
+const {
+    ORDER_TYPES, ORDER_STATUS, OPEN_STATUSES, TRIGGER_TYPES, TRIGGER_PRICES, TIME_IN_FORCE, BATCH_ACTIONS, MAX_BATCH_SIZE
+} = require('../services/MatchingEngine');
+const { INTERVALS } = require('../services/CandleService');
+const { MAX_ANALYTICS_BATCH } = require('../services/AnalyticsService');
+
+// ClobCore.move abort codes
+const MOVE_ERROR_CODES = {
+    E_ORDERBOOK_NOT_INITIALIZED: 1,
+    E_INSUFFICIENT_BALANCE: 2,
+    E_ORDER_NOT_FOUND: 3,
+    E_INVALID_ORDER: 4,
+    E_UNAUTHORIZED: 5,
+    E_ORDER_ALREADY_FILLED: 6,
+    E_MARKET_CLOSED: 7,
+    E_INVALID_PRICE: 8,
+    E_INVALID_QUANTITY: 9,
+    E_SELF_TRADE: 10
+};
+
+// Error code for a rejected field, unless the schema overrides it
+const FIELD_CODES = {
+    price: 'E_INVALID_PRICE',
+    stopPrice: 'E_INVALID_PRICE',
+    trailingOffset: 'E_INVALID_PRICE',
+    quantity: 'E_INVALID_QUANTITY',
+    symbol: 'E_INVALID_SYMBOL',
+    interval: 'E_INVALID_INTERVAL',
+    address: 'E_INVALID_ADDRESS',
+    publicKey: 'E_INVALID_PUBLIC_KEY',
+    signature: 'E_INVALID_SIGNATURE',
+    nonce: 'E_INVALID_CHALLENGE'
+};
+
+const symbol = Joi.string().pattern(SYMBOL_PATTERN).messages({
+    'string.pattern.base': '"symbol" must look like BASE-QUOTE'
+});
+const address = Joi.string().pattern(/^0x[0-9a-fA-F]{1,64}$/).messages({
+    'string.pattern.base': '"address" must be a 0x-prefixed hex account address'
+});
+const hexBytes = (length) => Joi.string().pattern(new RegExp(`^(0x)?[0-9a-fA-F]{${length * 2}}$`)).messages({
+    'string.pattern.base': `{#label} must be ${length} hex encoded bytes`
+});
+
+/**
+ * Price must sit on the market's tick
+ */
+const price = Joi.number().positive().custom((value, helpers) => {
+    const market = helpers.prefs.context.market;
+    if (market && !isMultipleOf(value, market.tickSize)) {
+        return helpers.error('number.tick', { tickSize: market.tickSize });
+    }
+    return value;
+}).messages({
+    'number.tick': '"price" must be a multiple of tick size {#tickSize}'
+});
+
+/**
+ * Quantity must sit on the market's lot and within its size limits
+ */
+const quantity = Joi.number().positive().custom((value, helpers) => {
+    const market = helpers.prefs.context.market;
+    if (!market) {
+        return value;
+    }
+    if (!isMultipleOf(value, market.lotSize)) {
+        return helpers.error('number.lot', { lotSize: market.lotSize });
+    }
+    if (value < market.minOrderSize || value > market.maxOrderSize) {
+        return helpers.error('number.size', { min: market.minOrderSize, max: market.maxOrderSize });
+    }
+    return value;
+}).messages({
+    'number.lot': '"quantity" must be a multiple of lot size {#lotSize}',
+    'number.size': '"quantity" must be between {#min} and {#max}'
+});
+
+/**
+ * Comma separated order statuses, where `open` stands for every status that can still trade
+ */
+const orderStatuses = Joi.string().custom((value, helpers) => {
+    const statuses = value.split(',').flatMap(status => (status === 'open' ? OPEN_STATUSES : [status]));
+    const unknown = statuses.find(status => !Object.values(ORDER_STATUS).includes(status));
+    if (unknown) {
+        return helpers.error('status.unknown', { status: unknown });
+    }
+    return [...new Set(statuses)];
+}).messages({
+    'status.unknown': '"status" has unknown order status {#status}'
+});
+
+/**
+ * Fields of a new order, shared by single and batch placement
+ */
+const orderFields = {
+    symbol: symbol.required(),
+    side: Joi.string().valid('buy', 'sell').required(),
+    type: Joi.string().valid(...ORDER_TYPES).default('limit'),
+    price: Joi.when('type', {
+        is: Joi.valid('limit', 'stop_limit'),
+        then: price.required(),
+        otherwise: Joi.any().strip()
+    }),
+    quantity: quantity.required(),
+    // Trigger orders: stop level (or trailing distance) and the price it follows
+    stopPrice: Joi.when('type', {
+        is: Joi.valid('stop_market', 'stop_limit', 'take_profit'),
+        then: price.required(),
+        otherwise: Joi.forbidden()
+    }),
+    trailingOffset: Joi.when('type', {
+        is: 'trailing_stop',
+        then: price.required(),
+        otherwise: Joi.forbidden()
+    }),
+    triggerBy: Joi.when('type', {
+        is: Joi.valid(...Object.keys(TRIGGER_TYPES)),
+        then: Joi.string().valid(...TRIGGER_PRICES).default('last'),
+        otherwise: Joi.forbidden()
+    }),
+    timeInForce: Joi.when('type', {
+        is: Joi.valid('market', 'stop_market', 'take_profit', 'trailing_stop'),
+        then: Joi.string().valid('GTC', 'IOC', 'FOK'),
+        otherwise: Joi.string().valid(...TIME_IN_FORCE)
+    }).default('GTC'),
+    expiresAt: Joi.when('timeInForce', {
+        is: 'GTD',
+        then: Joi.number().integer().greater(Joi.ref('$now')).required(),
+        otherwise: Joi.forbidden()
+    }),
+    // Post-only limit orders are rejected rather than take liquidity
+    postOnly: Joi.when('type', {
+        is: Joi.valid('limit', 'stop_limit'),
+        then: Joi.boolean().when('timeInForce', {
+            is: Joi.valid('IOC', 'FOK'),
+            then: Joi.valid(false)
+        }),
+        otherwise: Joi.forbidden()
+    })
+};
+
+/**
+ * Fee tiers by 30-day quote volume; a negative maker rate is a rebate
+ */
+const feeTiers = Joi.array().items(Joi.object({
+    minVolume: Joi.number().min(0).required(),
+    makerBps: Joi.number().min(-1000).max(1000).required(),
+    takerBps: Joi.number().min(0).max(1000).required()
+})).min(1);
+
+/**
+ * Pre-trade risk limits, each optional and positive
+ */
+const riskLimits = Joi.object({
+    priceBandBps: Joi.number().positive(),
+    maxOrderNotional: Joi.number().positive(),
+    maxOpenOrders: Joi.number().integer().positive(),
+    maxPosition: Joi.number().positive(),
+    maxOrdersPerWindow: Joi.number().integer().positive(),
+    rateWindowMs: Joi.number().integer().min(100)
+});
+
+/**
+ * Circuit breaker thresholds: halt for haltMs when the price moves movePct within windowMs
+ */
+const breakerSettings = {
+    movePct: Joi.number().positive().max(100),
+    windowMs: Joi.number().integer().min(1000),
+    haltMs: Joi.number().integer().min(1000)
+};
+
+/**
+ * Client analytics: an event or error report from one frontend session
+ * Extra event data is kept as long as it stays small
+ */
+const analyticsName = Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(64).messages({
+    'string.pattern.base': '{#label} must be snake_case'
+});
+const analyticsItem = {
+    sessionId: Joi.string().pattern(/^[\w-]+$/).max(100).required(),
+    timestamp: Joi.number().integer().min(0),
+    url: Joi.string().max(2048).allow('')
+};
+const analyticsEvent = Joi.object({
+    ...analyticsItem,
+    event: analyticsName.required(),
+    data: Joi.object().unknown().custom((value, helpers) => (
+        JSON.stringify(value).length > 4096 ? helpers.error('object.size') : value
+    )).messages({
+        'object.size': '"data" must be at most 4096 characters as JSON'
+    })
+});
+const analyticsErrorReport = Joi.object({
+    ...analyticsItem,
+    type: analyticsName.required(),
+    userAgent: Joi.string().max(512),
+    message: Joi.string().max(2048).allow(''),
+    reason: Joi.string().max(2048).allow(''),
+    stack: Joi.string().max(16384).allow('', null),
+    componentStack: Joi.string().max(16384).allow(''),
+    filename: Joi.string().max(2048).allow(''),
+    lineno: Joi.number().integer().min(0),
+    colno: Joi.number().integer().min(0)
+});
+
+/**
+ * A single item as sent by ProductionAnalytics, or { [key]: [items] } for a batch
+ */
+const analyticsBatch = (key, item) => Joi.alternatives().conditional(Joi.object({ [key]: Joi.exist() }).unknown(), {
+    then: Joi.object({ [key]: Joi.array().items(item).min(1).max(MAX_ANALYTICS_BATCH).required() }),
+    otherwise: item
+});
+
+const symbolParams = Joi.object({ symbol: symbol.required() });
+const limit = (max, fallback) => Joi.number().integer().min(1).max(max).default(fallback);
+
+// Route schemas: request parts to validate and the fallback error code,
+// with optional codes per field path or per failed joi rule
+const SCHEMAS = {
+    orderbook: {
+        code: 'E_INVALID_PARAMETER',
+        params: symbolParams,
+        query: Joi.object({ levels: limit(100, 10) })
+    },
+    marketStats: {
+        code: 'E_INVALID_PARAMETER',
+        params: symbolParams
+    },
+    market: {
+        code: 'E_INVALID_PARAMETER',
+        params: symbolParams
+    },
+    oraclePrice: {
+        code: 'E_INVALID_PARAMETER',
+        params: symbolParams
+    },
+    trades: {
+        code: 'E_INVALID_PARAMETER',
+        params: symbolParams,
+        query: Joi.object({ limit: limit(1000, 50) })
+    },
+    candles: {
+        code: 'E_INVALID_PARAMETER',
+        params: symbolParams,
+        query: Joi.object({
+            interval: Joi.string().valid(...Object.keys(INTERVALS)).default('1m'),
+            from: Joi.number().integer().min(0),
+            to: Joi.number().integer().min(0),
+            limit: limit(1000, 500)
+        })
+    },
+    userBalance: {
+        code: 'E_INVALID_ADDRESS',
+        params: Joi.object({ address: address.required() }),
+        query: Joi.object({ symbol })
+    },
+    userOrders: {
+        code: 'E_INVALID_PARAMETER',
+        fields: { address: 'E_INVALID_ADDRESS' },
+        params: Joi.object({ address: address.required() }),
+        query: Joi.object({
+            status: orderStatuses,
+            symbol,
+            before: Joi.number().integer().positive(),
+            limit: limit(200, 50)
+        })
+    },
+    authChallenge: {
+        code: 'E_INVALID_ADDRESS',
+        body: Joi.object({ address: address.required() })
+    },
+    authSession: {
+        code: 'E_INVALID_SIGNATURE',
+        body: Joi.object({
+            address: address.required(),
+            publicKey: hexBytes(32).required(),
+            signature: hexBytes(64).required(),
+            nonce: Joi.string().hex().required(),
+            fullMessage: Joi.string().max(2048)
+        })
+    },
+    createMarket: {
+        code: 'E_INVALID_MARKET',
+        fields: { symbol: 'E_INVALID_MARKET' },
+        body: Joi.object({
+            symbol: symbol.required(),
+            baseAsset: Joi.string().max(10),
+            quoteAsset: Joi.string().max(10),
+            tickSize: Joi.number().positive().required(),
+            lotSize: Joi.number().positive().required(),
+            minOrderSize: Joi.number().positive().required(),
+            maxOrderSize: Joi.number().positive().min(Joi.ref('minOrderSize')).required()
+        })
+    },
+    deposit: {
+        code: 'E_INVALID_PARAMETER',
+        body: Joi.object({
+            address: address.required(),
+            asset: Joi.string().pattern(/^[A-Z0-9]{2,10}$/).required(),
+            amount: Joi.number().positive().required()
+        })
+    },
+    userFees: {
+        code: 'E_INVALID_ADDRESS',
+        params: Joi.object({ address: address.required() }),
+        query: Joi.object({ symbol })
+    },
+    feeSchedule: {
+        code: 'E_INVALID_FEE_SCHEDULE',
+        body: Joi.object({
+            tiers: feeTiers.required(),
+            markets: Joi.object().pattern(SYMBOL_PATTERN, feeTiers.required()).default({})
+        })
+    },
+    userRisk: {
+        code: 'E_INVALID_ADDRESS',
+        params: Joi.object({ address: address.required() })
+    },
+    userPositions: {
+        code: 'E_INVALID_ADDRESS',
+        params: Joi.object({ address: address.required() })
+    },
+    openPosition: {
+        code: 'E_INVALID_POSITION',
+        body: Joi.object({
+            symbol: symbol.required(),
+            collateral: Joi.number().positive().required(),
+            debt: Joi.number().min(0).required()
+        })
+    },
+    repayPosition: {
+        code: 'E_INVALID_REPAYMENT',
+        params: Joi.object({ id: Joi.number().integer().positive().required() }),
+        body: Joi.object({ amount: Joi.number().positive() })
+    },
+    riskLimits: {
+        code: 'E_INVALID_RISK_LIMITS',
+        body: riskLimits
+    },
+    accountRiskLimits: {
+        code: 'E_INVALID_RISK_LIMITS',
+        params: Joi.object({ address: address.required() }),
+        body: riskLimits
+    },
+    marketStatus: {
+        code: 'E_INVALID_PARAMETER',
+        params: symbolParams,
+        body: Joi.object({
+            durationMs: Joi.number().integer().min(1000)
+        })
+    },
+    circuitBreakers: {
+        code: 'E_INVALID_CIRCUIT_BREAKER',
+        body: Joi.object({
+            ...breakerSettings,
+            markets: Joi.object().pattern(SYMBOL_PATTERN, Joi.object(breakerSettings)).default({})
+        })
+    },
+    placeOrder: {
+        code: 'E_INVALID_ORDER',
+        fields: { 'signed.nonce': 'E_INVALID_SIGNATURE' },
+        body: Joi.object({
+            ...orderFields,
+            // Optional OrderVerification signature over the order hash (limit orders only)
+            signed: Joi.when('type', {
+                is: 'limit',
+                then: Joi.object({
+                    publicKey: hexBytes(32).required(),
+                    signature: hexBytes(64).required(),
+                    expiry: Joi.number().integer().positive().required(),
+                    nonce: Joi.number().integer().min(0).required(),
+                    fullMessage: Joi.string().max(2048)
+                }),
+                otherwise: Joi.forbidden()
+            })
+        })
+    },
+    getOrder: {
+        code: 'E_INVALID_ORDER',
+        params: Joi.object({ id: Joi.number().integer().positive().required() })
+    },
+    cancelOrder: {
+        code: 'E_INVALID_ORDER',
+        params: Joi.object({ id: Joi.number().integer().positive().required() })
+    },
+    amendOrder: {
+        code: 'E_INVALID_ORDER',
+        params: Joi.object({ id: Joi.number().integer().positive().required() }),
+        body: Joi.object({ price, quantity }).or('price', 'quantity')
+    },
+    cancelAll: {
+        code: 'E_INVALID_PARAMETER',
+        query: Joi.object({ symbol })
+    },
+    batchScheduler: {
+        code: 'E_INVALID_PARAMETER',
+        query: Joi.object({ limit: limit(100, 20) })
+    },
+    batchOrders: {
+        code: 'E_INVALID_BATCH',
+        rules: { 'array.max': 'E_BATCH_TOO_LARGE' },
+        body: Joi.object({
+            items: Joi.array().items(Joi.object({
+                action: Joi.string().valid(...BATCH_ACTIONS).required(),
+                orderId: Joi.when('action', {
+                    is: 'place',
+                    then: Joi.forbidden(),
+                    otherwise: Joi.number().integer().positive().required()
+                }),
+                order: Joi.when('action', {
+                    is: 'cancel',
+                    then: Joi.forbidden(),
+                    otherwise: Joi.object(orderFields).required()
+                })
+            })).min(1).max(MAX_BATCH_SIZE).required()
+        })
+    },
+    analyticsEvents: {
+        code: 'E_INVALID_ANALYTICS',
+        rules: { 'array.max': 'E_BATCH_TOO_LARGE' },
+        body: analyticsBatch('events', analyticsEvent)
+    },
+    analyticsErrors: {
+        code: 'E_INVALID_ANALYTICS',
+        rules: { 'array.max': 'E_BATCH_TOO_LARGE' },
+        body: analyticsBatch('errors', analyticsErrorReport)
+    },
+    analyticsQuery: {
+        code: 'E_INVALID_PARAMETER',
+        query: Joi.object({
+            type: analyticsName,
+            from: Joi.number().integer().min(0),
+            to: Joi.number().integer().min(0),
+            after: Joi.string().pattern(/^\d+-\d+$/).messages({
+                'string.pattern.base': '"after" must be an entry id from an earlier page'
+            }),
+            limit: limit(1000, 100)
+        })
+    },
+    analyticsSummary: {
+        code: 'E_INVALID_PARAMETER',
+        query: Joi.object({
+            type: analyticsName,
+            from: Joi.number().integer().min(0),
+            to: Joi.number().integer().min(0),
+            interval: Joi.string().valid(...Object.keys(INTERVALS)).default('1d')
+        })
+    },
+    clearCache: {
+        code: 'E_INVALID_PARAMETER',
+        // Only the expiring cache families; the rest of clob: is persisted state
+        params: Joi.object({
+            pattern: Joi.string().pattern(/^clob:(price:feed|crosschain|analytics):[\w:*-]*$/).max(100).required()
+        })
+    }
+};
+
+/**
+ * Validate the parts of a request against a named schema
+ * Returns { value } with converted values, or { error } with the structured rejection
+ */
+function validateRequest(name, req) {
+    const definition = SCHEMAS[name];
+    const market = marketRegistry.getMarket(req.body?.symbol || req.params?.symbol);
+    const value = {};
+
+    for (const part of ['params', 'query', 'body']) {
+        if (!definition[part]) {
+            continue;
+        }
+
+        const result = definition[part].validate(req[part] || {}, {
+            abortEarly: false,
+            stripUnknown: true,
+            context: { market, now: Date.now() }
+        });
+
+        if (result.error) {
+            const details = result.error.details.map(detail => {
+                const field = detail.path.join('.');
+                const key = detail.path[detail.path.length - 1];
+                return {
+                    field,
+                    code: definition.rules?.[detail.type] || definition.fields?.[field] || FIELD_CODES[key] || definition.code,
+                    message: detail.message
+                };
+            });
+
+            return {
+                error: {
+                    error: 'Validation failed',
+                    code: details[0].code,
+                    moveCode: MOVE_ERROR_CODES[details[0].code],
+                    message: details[0].message,
+                    details
+                }
+            };
+        }
+
+        value[part] = result.value;
+    }
+
+    return { value };
+}
+
+/**
+ * Express middleware validating a request against a named schema
+ * Validated (and type-converted) values replace the raw request parts
+ */
+function validate(name) {
+    return (req, res, next) => {
+        const { value, error } = validateRequest(name, req);
+        if (error) {
+            return res.status(400).json(error);
+        }
+
+        Object.assign(req, value);
+        next();
+    };
+}
+
+module.exports = {
+    SCHEMAS,
+    MOVE_ERROR_CODES,
+    TIME_IN_FORCE,
+    validateRequest,
+    validate
+};
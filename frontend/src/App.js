@@ -30,10 +30,14 @@ const wallets = [
   new MartianWallet(),
 ];
 
+// Development .env files use REACT_APP_NETWORK etc., production REACT_APP_APTOS_*
+const env = (name) => process.env[`REACT_APP_APTOS_${name}`] || process.env[`REACT_APP_${name}`];
+
 const networkConfig = {
-  network: 'testnet',
-  nodeUrl: 'https://fullnode.testnet.aptoslabs.com/v1',
-  faucetUrl: 'https://faucet.testnet.aptoslabs.com',
+  network: env('NETWORK') || 'testnet',
+  nodeUrl: env('NODE_URL') || 'https://fullnode.testnet.aptoslabs.com/v1',
+  faucetUrl: env('FAUCET_URL') || 'https://faucet.testnet.aptoslabs.com',
+  contractAddress: process.env.REACT_APP_CONTRACT_ADDRESS,
 };
 
 function App() {
@@ -183,6 +187,7 @@ function App() {
         return (
           <WalletConnection 
             aptosService={aptosService}
+            webSocketService={webSocketService}
             onConnectionChange={setConnected}
           />
         );
@@ -235,7 +240,7 @@ function App() {
             alignItems: 'center',
             gap: '16px'
           }}>
-            <span>Last Price: ${marketData.lastPrice.toFixed(4)}</span>
+            <span>Last Price: ${(marketData.lastPrice || 0).toFixed(4)}</span>
             <span 
               style={{ 
                 color: marketData.change24h >= 0 ? '#52c41a' : '#ff4d4f' 
@@ -2,89 +2,87 @@ import React, { useState, useEffect } from 'react';
 import { Card, Row, Col, Statistic, Progress, Table } from 'antd';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
 import { ArrowUpOutlined, ArrowDownOutlined } from '@ant-design/icons';
+import clobApiService from '../services/ClobApiService';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Pie colours, most active pair first
+const PAIR_COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff8042', '#a4de6c'];
 
 const Analytics = ({ aptosService, marketData }) => {
   const [analytics, setAnalytics] = useState({
     volumeData: [],
-    topTraders: [],
-    priceHistory: [],
+    activeSessions: [],
     tradingPairs: []
   });
 
   useEffect(() => {
-    // Generate mock analytics data
-    const generateMockData = () => {
-      // Volume data for the last 7 days
-      const volumeData = [];
-      for (let i = 6; i >= 0; i--) {
-        const date = new Date();
-        date.setDate(date.getDate() - i);
-        volumeData.push({
-          date: date.toISOString().split('T')[0],
-          volume: Math.random() * 10000 + 5000,
-          trades: Math.floor(Math.random() * 500 + 100)
-        });
-      }
+    let cancelled = false;
 
-      // Top traders
-      const topTraders = [
-        { address: '0x1234...5678', volume: 125420, trades: 342, pnl: 12.5 },
-        { address: '0x2345...6789', volume: 98765, trades: 298, pnl: -3.2 },
-        { address: '0x3456...7890', volume: 87543, trades: 234, pnl: 8.7 },
-        { address: '0x4567...8901', volume: 76543, trades: 187, pnl: 15.3 },
-        { address: '0x5678...9012', volume: 65432, trades: 156, pnl: -1.8 }
-      ];
+    // Order flow over the last 7 days, from the order placements the frontend reports
+    const loadAnalytics = async () => {
+      try {
+        const today = new Date();
+        today.setUTCHours(0, 0, 0, 0);
+        const summary = await clobApiService.getAnalyticsSummary({
+          type: 'order_placement',
+          from: today.getTime() - 6 * DAY,
+          interval: '1d'
+        });
 
-      // Trading pairs distribution
-      const tradingPairs = [
-        { name: 'APT-USDC', value: 65, color: '#8884d8' },
-        { name: 'APT-USDT', value: 25, color: '#82ca9d' },
-        { name: 'APT-BTC', value: 10, color: '#ffc658' }
-      ];
+        if (cancelled) {
+          return;
+        }
 
-      setAnalytics({
-        volumeData,
-        topTraders,
-        tradingPairs
-      });
+        setAnalytics({
+          volumeData: summary.buckets.map(bucket => ({
+            date: new Date(bucket.start).toISOString().split('T')[0],
+            volume: bucket.value,
+            trades: bucket.count
+          })),
+          activeSessions: summary.sessions.map(session => ({
+            sessionId: session.sessionId,
+            volume: session.value,
+            trades: session.count
+          })),
+          tradingPairs: summary.pairs.map((pair, index) => ({
+            name: pair.pair,
+            value: pair.count,
+            color: PAIR_COLORS[index % PAIR_COLORS.length]
+          }))
+        });
+      } catch (error) {
+        console.error('Failed to load analytics:', error);
+      }
     };
 
-    generateMockData();
+    loadAnalytics();
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
   const columns = [
     {
-      title: 'Trader',
-      dataIndex: 'address',
-      key: 'address',
-      render: (address) => (
-        <span style={{ fontFamily: 'monospace' }}>{address}</span>
+      title: 'Session',
+      dataIndex: 'sessionId',
+      key: 'sessionId',
+      render: (sessionId) => (
+        <span style={{ fontFamily: 'monospace' }}>{sessionId}</span>
       )
     },
     {
-      title: 'Volume',
+      title: 'Order Value',
       dataIndex: 'volume',
       key: 'volume',
       render: (volume) => `$${volume.toLocaleString()}`,
       sorter: (a, b) => a.volume - b.volume,
     },
     {
-      title: 'Trades',
+      title: 'Orders',
       dataIndex: 'trades',
       key: 'trades',
       sorter: (a, b) => a.trades - b.trades,
-    },
-    {
-      title: 'P&L %',
-      dataIndex: 'pnl',
-      key: 'pnl',
-      render: (pnl) => (
-        <span style={{ color: pnl >= 0 ? '#52c41a' : '#ff4d4f' }}>
-          {pnl >= 0 ? <ArrowUpOutlined /> : <ArrowDownOutlined />}
-          {Math.abs(pnl).toFixed(1)}%
-        </span>
-      ),
-      sorter: (a, b) => a.pnl - b.pnl,
     }
   ];
 
@@ -140,7 +138,7 @@ const Analytics = ({ aptosService, marketData }) => {
       {/* Charts Row */}
       <Row gutter={16} style={{ marginBottom: 24 }}>
         <Col span={16}>
-          <Card title="Trading Volume (7 Days)">
+          <Card title="Order Flow (7 Days)">
             <ResponsiveContainer width="100%" height={300}>
               <BarChart data={analytics.volumeData}>
                 <CartesianGrid strokeDasharray="3 3" />
@@ -149,7 +147,7 @@ const Analytics = ({ aptosService, marketData }) => {
                 <Tooltip 
                   formatter={(value, name) => [
                     name === 'volume' ? `$${value.toLocaleString()}` : value,
-                    name === 'volume' ? 'Volume' : 'Trades'
+                    name === 'volume' ? 'Order Value' : 'Orders'
                   ]}
                 />
                 <Bar dataKey="volume" fill="#8884d8" />
@@ -182,12 +180,12 @@ const Analytics = ({ aptosService, marketData }) => {
         </Col>
       </Row>
 
-      {/* Top Traders Table */}
-      <Card title="Top Traders (24h)">
+      {/* Most Active Sessions Table */}
+      <Card title="Most Active Sessions (7 Days)">
         <Table
           columns={columns}
-          dataSource={analytics.topTraders}
-          rowKey="address"
+          dataSource={analytics.activeSessions}
+          rowKey="sessionId"
           pagination={false}
           size="small"
         />
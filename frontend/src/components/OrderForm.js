@@ -1,12 +1,36 @@
 import React, { useState, useEffect } from 'react';
-import { Form, Input, Button, Select, InputNumber, Radio, message, Divider } from 'antd';
+import { Form, Input, Button, Select, InputNumber, Radio, Checkbox, message, Divider } from 'antd';
 import { WalletOutlined } from '@ant-design/icons';
 
 const { Option } = Select;
 
-const OrderForm = ({ pair, balance, onSubmit, loading }) => {
+// Order types that carry a limit price, a fixed stop price, or wait for a trigger
+const PRICED_TYPES = ['limit', 'stop_limit'];
+const STOP_TYPES = ['stop_market', 'stop_limit', 'take_profit'];
+const TRIGGER_TYPES = [...STOP_TYPES, 'trailing_stop'];
+
+// Time in force values that never let an order rest
+const IMMEDIATE_TIF = ['IOC', 'FOK'];
+
+// Format a basis point rate as a percentage
+const formatBps = (bps) => `${(Math.abs(bps) / 100).toFixed(2)}%`;
+
+// Positive number check shared by the price inputs
+const positiveNumber = (label) => ({
+  validator: (_, value) => {
+    if (value && (isNaN(value) || parseFloat(value) <= 0)) {
+      return Promise.reject(`${label} must be a positive number`);
+    }
+    return Promise.resolve();
+  }
+});
+
+const OrderForm = ({ pair, balance, fees, marketStatus = 'open', onSubmit, loading }) => {
   const [form] = Form.useForm();
+  const postOnly = Form.useWatch('postOnly', form);
+  const trading = marketStatus === 'open';
   const [orderType, setOrderType] = useState('limit');
+  const [timeInForce, setTimeInForce] = useState('GTC');
   const [side, setSide] = useState('buy');
   const [price, setPrice] = useState('');
   const [quantity, setQuantity] = useState('');
@@ -24,8 +48,15 @@ const OrderForm = ({ pair, balance, onSubmit, loading }) => {
   // Handle form submission
   const handleSubmit = async (values) => {
     try {
-      // Validate balance
-      if (side === 'buy') {
+      // Halted and cancel-only markets take no new orders
+      if (!trading) {
+        message.error(`${pair} is not accepting new orders`);
+        return;
+      }
+
+
+      // Validate balance (market-priced buys are checked by the backend)
+      if (side === 'buy' && PRICED_TYPES.includes(orderType)) {
         const requiredQuote = parseFloat(values.price) * parseFloat(values.quantity);
         if (requiredQuote > balance.usdc) {
           message.error('Insufficient USDC balance');
@@ -44,6 +75,12 @@ const OrderForm = ({ pair, balance, onSubmit, loading }) => {
         type: orderType,
         price: values.price,
         quantity: values.quantity,
+        stopPrice: values.stopPrice,
+        trailingOffset: values.trailingOffset,
+        triggerBy: values.triggerBy,
+        timeInForce: values.timeInForce,
+        postOnly: values.postOnly,
+        expiresAt: values.expiresAt ? new Date(values.expiresAt).getTime() : undefined,
         pair
       };
 
@@ -51,6 +88,7 @@ const OrderForm = ({ pair, balance, onSubmit, loading }) => {
       
       // Reset form on success
       form.resetFields();
+      setTimeInForce('GTC');
       setPrice('');
       setQuantity('');
       setTotal('');
@@ -83,9 +121,60 @@ const OrderForm = ({ pair, balance, onSubmit, loading }) => {
     }
   };
 
+  // Switch order type, dropping flags the new type cannot carry
+  const handleOrderTypeChange = (type) => {
+    setOrderType(type);
+    if (!PRICED_TYPES.includes(type) && timeInForce === 'GTD') {
+      setTimeInForce('GTC');
+      form.setFieldsValue({ timeInForce: 'GTC', expiresAt: undefined });
+    }
+  };
+
+  // Switch time in force; IOC and FOK orders never rest, so they cannot be post-only
+  const handleTimeInForceChange = (value) => {
+    setTimeInForce(value);
+    if (IMMEDIATE_TIF.includes(value)) {
+      form.setFieldsValue({ postOnly: false });
+    }
+  };
+
   // Get base and quote assets from pair
   const [baseAsset, quoteAsset] = pair.split('-');
 
+  // Fee preview at the account's tier: orders that cannot rest always take,
+  // post-only orders always make, and other limit orders may do either.
+  // Buyers pay in the base asset they receive, sellers in quote
+  const getFeePreview = () => {
+    if (!fees || !quantity) return null;
+
+    const canRest = PRICED_TYPES.includes(orderType) && !IMMEDIATE_TIF.includes(timeInForce);
+    const liquidity = !canRest ? 'taker' : postOnly ? 'maker' : 'either';
+    const bps = liquidity === 'maker' ? fees.makerBps : fees.takerBps;
+    const received = side === 'buy'
+      ? parseFloat(quantity)
+      : (PRICED_TYPES.includes(orderType) && price ? parseFloat(total) : null);
+
+    let label;
+    if (liquidity === 'either') {
+      label = `Maker ${fees.makerBps < 0 ? '-' : ''}${formatBps(fees.makerBps)} / Taker ${formatBps(fees.takerBps)}`;
+    } else if (bps < 0) {
+      label = `Maker rebate ${formatBps(bps)}`;
+    } else {
+      label = `${liquidity === 'maker' ? 'Maker' : 'Taker'} ${formatBps(bps)}`;
+    }
+
+    const amount = received === null ? null : received * bps / 10000;
+    return {
+      label,
+      upTo: liquidity === 'either',
+      asset: side === 'buy' ? baseAsset : quoteAsset,
+      amount,
+      receive: amount === null ? null : received - amount
+    };
+  };
+
+  const feePreview = getFeePreview();
+
   return (
     <div className="trading-form">
       {/* Order Side Selector */}
@@ -107,11 +196,15 @@ const OrderForm = ({ pair, balance, onSubmit, loading }) => {
       <Form.Item label="Order Type" style={{ marginBottom: 16 }}>
         <Select
           value={orderType}
-          onChange={setOrderType}
+          onChange={handleOrderTypeChange}
           style={{ width: '100%' }}
         >
           <Option value="limit">Limit Order</Option>
           <Option value="market">Market Order</Option>
+          <Option value="stop_market">Stop Market</Option>
+          <Option value="stop_limit">Stop Limit</Option>
+          <Option value="take_profit">Take Profit</Option>
+          <Option value="trailing_stop">Trailing Stop</Option>
         </Select>
       </Form.Item>
 
@@ -133,21 +226,52 @@ const OrderForm = ({ pair, balance, onSubmit, loading }) => {
         onFinish={handleSubmit}
         autoComplete="off"
       >
-        {/* Price Input (only for limit orders) */}
-        {orderType === 'limit' && (
+        {/* Stop Price Input (stop and take-profit orders) */}
+        {STOP_TYPES.includes(orderType) && (
+          <Form.Item
+            label={`${orderType === 'take_profit' ? 'Trigger' : 'Stop'} Price (${quoteAsset})`}
+            name="stopPrice"
+            rules={[
+              { required: true, message: 'Please enter stop price' },
+              positiveNumber('Stop price')
+            ]}
+          >
+            <Input placeholder="0.00" suffix={quoteAsset} />
+          </Form.Item>
+        )}
+
+        {/* Trailing Offset Input (trailing stops) */}
+        {orderType === 'trailing_stop' && (
+          <Form.Item
+            label={`Trailing Offset (${quoteAsset})`}
+            name="trailingOffset"
+            rules={[
+              { required: true, message: 'Please enter trailing offset' },
+              positiveNumber('Trailing offset')
+            ]}
+          >
+            <Input placeholder="0.00" suffix={quoteAsset} />
+          </Form.Item>
+        )}
+
+        {/* Trigger Reference (all trigger orders) */}
+        {TRIGGER_TYPES.includes(orderType) && (
+          <Form.Item label="Trigger On" name="triggerBy" initialValue="last">
+            <Select style={{ width: '100%' }}>
+              <Option value="last">Last Trade Price</Option>
+              <Option value="mark">Mark Price</Option>
+            </Select>
+          </Form.Item>
+        )}
+
+        {/* Price Input (limit and stop-limit orders) */}
+        {PRICED_TYPES.includes(orderType) && (
           <Form.Item
-            label={`Price (${quoteAsset})`}
+            label={`${orderType === 'stop_limit' ? 'Limit ' : ''}Price (${quoteAsset})`}
             name="price"
             rules={[
               { required: true, message: 'Please enter price' },
-              { 
-                validator: (_, value) => {
-                  if (value && (isNaN(value) || parseFloat(value) <= 0)) {
-                    return Promise.reject('Price must be a positive number');
-                  }
-                  return Promise.resolve();
-                }
-              }
+              positiveNumber('Price')
             ]}
           >
             <Input
@@ -165,14 +289,7 @@ const OrderForm = ({ pair, balance, onSubmit, loading }) => {
           name="quantity"
           rules={[
             { required: true, message: 'Please enter quantity' },
-            { 
-              validator: (_, value) => {
-                if (value && (isNaN(value) || parseFloat(value) <= 0)) {
-                  return Promise.reject('Quantity must be a positive number');
-                }
-                return Promise.resolve();
-              }
-            }
+            positiveNumber('Quantity')
           ]}
         >
           <Input
@@ -201,8 +318,48 @@ const OrderForm = ({ pair, balance, onSubmit, loading }) => {
           ))}
         </div>
 
-        {/* Total (for limit orders) */}
-        {orderType === 'limit' && (
+        {/* Time in Force */}
+        <Form.Item label="Time in Force" name="timeInForce" initialValue="GTC">
+          <Select onChange={handleTimeInForceChange} style={{ width: '100%' }}>
+            <Option value="GTC">Good Till Cancelled</Option>
+            <Option value="IOC">Immediate or Cancel</Option>
+            <Option value="FOK">Fill or Kill</Option>
+            {PRICED_TYPES.includes(orderType) && <Option value="GTD">Good Till Date</Option>}
+          </Select>
+        </Form.Item>
+
+        {/* Expiry (good-till-date orders) */}
+        {timeInForce === 'GTD' && (
+          <Form.Item
+            label="Expires At"
+            name="expiresAt"
+            rules={[
+              { required: true, message: 'Please choose an expiry' },
+              {
+                validator: (_, value) => {
+                  if (value && new Date(value).getTime() <= Date.now()) {
+                    return Promise.reject('Expiry must be in the future');
+                  }
+                  return Promise.resolve();
+                }
+              }
+            ]}
+          >
+            <Input type="datetime-local" />
+          </Form.Item>
+        )}
+
+        {/* Post-only (priced orders that may rest) */}
+        {PRICED_TYPES.includes(orderType) && (
+          <Form.Item name="postOnly" valuePropName="checked" initialValue={false} style={{ marginBottom: 16 }}>
+            <Checkbox disabled={IMMEDIATE_TIF.includes(timeInForce)}>
+              Post-only (reject if it would take liquidity)
+            </Checkbox>
+          </Form.Item>
+        )}
+
+        {/* Total (for priced orders) */}
+        {PRICED_TYPES.includes(orderType) && (
           <Form.Item
             label={`Total (${quoteAsset})`}
             name="total"
@@ -225,23 +382,28 @@ const OrderForm = ({ pair, balance, onSubmit, loading }) => {
             type="primary"
             htmlType="submit"
             loading={loading}
+            disabled={!trading}
             className={side === 'buy' ? 'buy-button' : 'sell-button'}
             style={{
               width: '100%',
               height: 48,
               fontSize: 16,
               fontWeight: 'bold',
-              background: side === 'buy' ? '#52c41a' : '#ff4d4f',
-              borderColor: side === 'buy' ? '#52c41a' : '#ff4d4f'
+              ...(trading ? {
+                background: side === 'buy' ? '#52c41a' : '#ff4d4f',
+                borderColor: side === 'buy' ? '#52c41a' : '#ff4d4f'
+              } : {})
             }}
           >
             <WalletOutlined style={{ marginRight: 8 }} />
-            {side === 'buy' ? `Buy ${baseAsset}` : `Sell ${baseAsset}`}
+            {!trading
+              ? (marketStatus === 'cancel_only' ? 'Cancel-only: no new orders' : 'Trading halted')
+              : side === 'buy' ? `Buy ${baseAsset}` : `Sell ${baseAsset}`}
           </Button>
         </Form.Item>
 
         {/* Order Summary */}
-        {orderType === 'limit' && price && quantity && (
+        {((PRICED_TYPES.includes(orderType) && price) || feePreview) && quantity && (
           <div style={{
             marginTop: 16,
             padding: 12,
@@ -249,18 +411,34 @@ const OrderForm = ({ pair, balance, onSubmit, loading }) => {
             borderRadius: 6,
             fontSize: 12
           }}>
-            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 4 }}>
-              <span>Order Value:</span>
-              <span>{total} {quoteAsset}</span>
-            </div>
-            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 4 }}>
-              <span>Est. Fee (0.3%):</span>
-              <span>{(parseFloat(total) * 0.003).toFixed(4)} {quoteAsset}</span>
-            </div>
-            <div style={{ display: 'flex', justifyContent: 'space-between', fontWeight: 'bold' }}>
-              <span>Total Cost:</span>
-              <span>{(parseFloat(total) * 1.003).toFixed(4)} {quoteAsset}</span>
-            </div>
+            {PRICED_TYPES.includes(orderType) && price && (
+              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 4 }}>
+                <span>Order Value:</span>
+                <span>{total} {quoteAsset}</span>
+              </div>
+            )}
+            {feePreview && (
+              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 4 }}>
+                <span>Est. Fee ({feePreview.label}):</span>
+                <span style={{ color: feePreview.amount < 0 ? '#52c41a' : undefined }}>
+                  {feePreview.amount === null
+                    ? 'at fill'
+                    : `${feePreview.upTo ? 'up to ' : ''}${feePreview.amount < 0 ? '+' : ''}${Math.abs(feePreview.amount).toFixed(6)} ${feePreview.asset}`}
+                </span>
+              </div>
+            )}
+            {feePreview && feePreview.receive !== null && (
+              <div style={{ display: 'flex', justifyContent: 'space-between', fontWeight: 'bold' }}>
+                <span>{feePreview.upTo ? 'You Receive (at least):' : 'You Receive:'}</span>
+                <span>{feePreview.receive.toFixed(6)} {feePreview.asset}</span>
+              </div>
+            )}
+            {feePreview && (
+              <div style={{ marginTop: 4, color: '#8c8c8c' }}>
+                Fee tier {fees.tier} · 30d volume {fees.volume30d.toLocaleString()} {quoteAsset}
+                {fees.nextTier && ` · ${fees.nextTier.volumeNeeded.toLocaleString()} more for tier ${fees.nextTier.tier}`}
+              </div>
+            )}
           </div>
         )}
 
@@ -278,6 +456,22 @@ const OrderForm = ({ pair, balance, onSubmit, loading }) => {
             ⚠️ Market orders execute immediately at the best available price
           </div>
         )}
+
+        {/* Trigger Order Note */}
+        {TRIGGER_TYPES.includes(orderType) && (
+          <div style={{
+            marginTop: 16,
+            padding: 12,
+            background: '#e6f7ff',
+            border: '1px solid #91d5ff',
+            borderRadius: 6,
+            fontSize: 12,
+            color: '#0050b3'
+          }}>
+            ⏳ Waits until the trigger price is reached, then executes as a {orderType === 'stop_limit' ? 'limit' : 'market'} order.
+            Funds are locked only once it triggers.
+          </div>
+        )}
       </Form>
     </div>
   );
@@ -0,0 +1,84 @@
+import React from 'react';
+import { List, Typography, Tag, Progress, Tooltip } from 'antd';
+
+const { Text } = Typography;
+
+// How each position health is shown
+const HEALTH = {
+  safe: { color: 'green', label: 'Safe' },
+  at_risk: { color: 'orange', label: 'At risk' },
+  liquidatable: { color: 'red', label: 'Liquidatable' },
+  unknown: { color: 'default', label: 'No recent price' }
+};
+
+/**
+ * Format a duration in ms as m:ss
+ */
+const formatCooldown = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const PositionsPanel = ({ positions = [] }) => {
+  if (positions.length === 0) {
+    return (
+      <div style={{ textAlign: 'center', padding: 40, color: '#666' }}>
+        No margin positions
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ maxHeight: 300, overflowY: 'auto' }}>
+      <List
+        size="small"
+        dataSource={positions}
+        renderItem={(position) => {
+          const health = HEALTH[position.health] || HEALTH.unknown;
+          // Bar runs from the liquidation threshold (empty) to twice the threshold (full)
+          const cushion = position.collateralRatio === null
+            ? 0
+            : Math.max(0, Math.min(100, (position.collateralRatio / position.liquidationThreshold - 1) * 100));
+
+          return (
+            <List.Item style={{ padding: '8px 0', borderBottom: '1px solid #f0f0f0' }}>
+              <div style={{ width: '100%' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <span>
+                    <Text strong>{position.symbol}</Text>
+                    {` ${position.collateral} collateral, ${position.debt} debt`}
+                  </span>
+                  <Tag color={health.color}>{health.label}</Tag>
+                </div>
+                <Tooltip title={`Liquidated below a ${position.liquidationThreshold}% collateral ratio`}>
+                  <Progress
+                    percent={cushion}
+                    showInfo={false}
+                    size="small"
+                    strokeColor={health.color === 'default' ? undefined : health.color}
+                  />
+                </Tooltip>
+                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12 }}>
+                  <Text type="secondary">
+                    Ratio {position.collateralRatio === null ? '—' : `${position.collateralRatio.toFixed(1)}%`}
+                  </Text>
+                  <Text type="secondary">
+                    {position.liquidationPrice === null
+                      ? 'No debt'
+                      : `Liquidation at $${position.liquidationPrice}`}
+                    {position.distanceToLiquidation !== null && ` (${position.distanceToLiquidation.toFixed(1)}% away)`}
+                  </Text>
+                  {position.cooldownRemainingMs > 0 && (
+                    <Text type="warning">Cooldown {formatCooldown(position.cooldownRemainingMs)}</Text>
+                  )}
+                </div>
+              </div>
+            </List.Item>
+          );
+        }}
+      />
+    </div>
+  );
+};
+
+export default PositionsPanel;
@@ -1,9 +1,30 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Card, List, Typography, Tag } from 'antd';
 
 const { Text } = Typography;
 
-const RecentTrades = ({ trades, loading }) => {
+const RecentTrades = ({ symbol, webSocketService }) => {
+  const [trades, setTrades] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Stream trades for the selected pair: stored history first, then live prints
+  useEffect(() => {
+    if (!webSocketService || !symbol) {
+      setLoading(false);
+      return undefined;
+    }
+
+    setTrades(webSocketService.getRecentTrades(symbol));
+    setLoading(true);
+
+    webSocketService.subscribe('trades', symbol, (recentTrades) => {
+      setTrades(recentTrades);
+      setLoading(false);
+    });
+
+    return () => webSocketService.unsubscribe('trades', symbol);
+  }, [webSocketService, symbol]);
+
   if (loading) {
     return (
       <div style={{ textAlign: 'center', padding: 40 }}>
@@ -1,79 +1,165 @@
 import React, { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
-import { Spin } from 'antd';
+import { ComposedChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { Spin, Radio } from 'antd';
+import clobApiService from '../services/ClobApiService';
 
-const TradingChart = ({ pair, aptosService, webSocketService, marketData }) => {
-  const [chartData, setChartData] = useState([]);
+const INTERVALS = ['1m', '5m', '15m', '1h', '1d'];
+const UP_COLOR = '#52c41a';
+const DOWN_COLOR = '#ff4d4f';
+
+const candleColor = (candle) => (candle.close >= candle.open ? UP_COLOR : DOWN_COLOR);
+
+// One candlestick: the bar spans low..high, the body is drawn between open and close
+const Candlestick = ({ x, y, width, height, payload }) => {
+  const { open, close, high, low } = payload;
+  const scale = high > low ? height / (high - low) : 0;
+  const bodyTop = y + (high - Math.max(open, close)) * scale;
+  const bodyHeight = Math.max(Math.abs(open - close) * scale, 1);
+  const center = x + width / 2;
+
+  return (
+    <g stroke={candleColor(payload)} fill={candleColor(payload)}>
+      <line x1={center} x2={center} y1={y} y2={y + height} />
+      <rect x={x + width * 0.15} y={bodyTop} width={width * 0.7} height={bodyHeight} />
+    </g>
+  );
+};
+
+const toChartData = (candles) => candles.map(candle => ({
+  ...candle,
+  time: new Date(candle.openTime).toLocaleTimeString(),
+  range: [candle.low, candle.high]
+}));
+
+const TradingChart = ({ pair, webSocketService }) => {
+  const [chartInterval, setChartInterval] = useState('1m');
+  const [candles, setCandles] = useState([]);
   const [loading, setLoading] = useState(true);
 
+  // Load candle history for the pair and interval
   useEffect(() => {
-    // Generate mock chart data for demonstration
-    const generateMockData = () => {
-      const data = [];
-      const basePrice = 12.5;
-      const now = Date.now();
-      
-      for (let i = 100; i >= 0; i--) {
-        const timestamp = now - (i * 60000); // 1 minute intervals
-        const price = basePrice + (Math.random() - 0.5) * 2; // Random walk
-        
-        data.push({
-          timestamp,
-          time: new Date(timestamp).toLocaleTimeString(),
-          price: price.toFixed(4),
-          volume: Math.random() * 1000 + 100
-        });
+    let cancelled = false;
+
+    const loadCandles = async () => {
+      setLoading(true);
+      try {
+        const history = await clobApiService.getCandles(pair, chartInterval);
+        if (!cancelled) {
+          setCandles(history);
+        }
+      } catch (error) {
+        console.error('Failed to load candles:', error);
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
       }
-      
-      return data;
     };
 
-    setChartData(generateMockData());
-    setLoading(false);
-  }, [pair]);
-
-  if (loading) {
-    return (
-      <div style={{ 
-        display: 'flex', 
-        justifyContent: 'center', 
-        alignItems: 'center', 
-        height: 300 
-      }}>
-        <Spin size="large" />
-      </div>
-    );
-  }
+    loadCandles();
+    return () => {
+      cancelled = true;
+    };
+  }, [pair, chartInterval]);
+
+  // Keep the forming candle up to date from the candle stream
+  useEffect(() => {
+    if (!webSocketService || !pair) {
+      return undefined;
+    }
+
+    webSocketService.subscribe('candles', pair, (updates) => {
+      const candle = updates.find(update => update.interval === chartInterval);
+      if (!candle) {
+        return;
+      }
+
+      setCandles(prev => {
+        const last = prev[prev.length - 1];
+        if (last && last.openTime === candle.openTime) {
+          return [...prev.slice(0, -1), candle];
+        }
+        if (!last || candle.openTime > last.openTime) {
+          return [...prev, candle];
+        }
+        return prev;
+      });
+    });
+
+    return () => webSocketService.unsubscribe('candles', pair);
+  }, [webSocketService, pair, chartInterval]);
+
+  const chartData = toChartData(candles);
 
   return (
     <div className="chart-container">
-      <ResponsiveContainer width="100%" height={350}>
-        <LineChart data={chartData}>
-          <CartesianGrid strokeDasharray="3 3" />
-          <XAxis 
-            dataKey="time" 
-            interval="preserveStartEnd"
-            fontSize={10}
-          />
-          <YAxis 
-            domain={['dataMin - 0.1', 'dataMax + 0.1']}
-            fontSize={10}
-          />
-          <Tooltip 
-            labelFormatter={(value) => `Time: ${value}`}
-            formatter={(value) => [`$${value}`, 'Price']}
-          />
-          <Line 
-            type="monotone" 
-            dataKey="price" 
-            stroke="#1890ff" 
-            strokeWidth={2}
-            dot={false}
-          />
-        </LineChart>
-      </ResponsiveContainer>
+      <Radio.Group
+        value={chartInterval}
+        onChange={(e) => setChartInterval(e.target.value)}
+        size="small"
+        style={{ marginBottom: 8 }}
+      >
+        {INTERVALS.map(value => (
+          <Radio.Button key={value} value={value}>{value}</Radio.Button>
+        ))}
+      </Radio.Group>
+
+      {loading ? (
+        <div style={{
+          display: 'flex',
+          justifyContent: 'center',
+          alignItems: 'center',
+          height: 300
+        }}>
+          <Spin size="large" />
+        </div>
+      ) : chartData.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: 40, color: '#999' }}>
+          No trades yet
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={350}>
+          <ComposedChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="time"
+              interval="preserveStartEnd"
+              fontSize={10}
+            />
+            <YAxis
+              yAxisId="price"
+              orientation="right"
+              domain={['dataMin', 'dataMax']}
+              fontSize={10}
+            />
+            {/* Volume bars use the bottom quarter of the chart */}
+            <YAxis
+              yAxisId="volume"
+              domain={[0, (dataMax) => dataMax * 4]}
+              hide
+            />
+            <Tooltip
+              labelFormatter={(value) => `Time: ${value}`}
+              formatter={(value, name, { payload }) => (name === 'volume'
+                ? [payload.volume, 'Volume']
+                : [`O ${payload.open} H ${payload.high} L ${payload.low} C ${payload.close}`, 'Price'])}
+            />
+            <Bar yAxisId="volume" dataKey="volume" isAnimationActive={false}>
+              {chartData.map(candle => (
+                <Cell key={candle.openTime} fill={candleColor(candle)} fillOpacity={0.3} />
+              ))}
+            </Bar>
+            <Bar
+              yAxisId="price"
+              dataKey="range"
+              shape={<Candlestick />}
+              isAnimationActive={false}
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
     </div>
   );
 };
 
-export default TradingChart;
\ No newline at end of file
+export default TradingChart;
@@ -1,16 +1,30 @@
 import React, { useState, useEffect } from 'react';
-import { Row, Col, Card, Statistic, Button, Form, Input, Select, message, Tabs, Modal, Badge, Tooltip } from 'antd';
+import { Row, Col, Card, Statistic, Button, Form, Input, Select, message, Tabs, Modal, Badge, Tooltip, Alert } from 'antd';
 import { ArrowUpOutlined, ArrowDownOutlined, LineChartOutlined, ThunderboltOutlined } from '@ant-design/icons';
 import OrderBook from './OrderBook';
 import TradingChart from './TradingChart';
 import RecentTrades from './RecentTrades';
 import OrderForm from './OrderForm';
 import LiquidityAggregationDashboard from './LiquidityAggregationDashboard';
+import PositionsPanel from './PositionsPanel';
 import clobLiquidityAggregator from '../services/CLOBLiquidityAggregator';
+import clobApiService from '../services/ClobApiService';
 
 const { Option } = Select;
 const { TabPane } = Tabs;
 
+// Statuses of orders that can still trade (and be cancelled)
+const OPEN_STATUSES = ['new', 'partially_filled', 'untriggered'];
+
+// How often margin position health is refreshed while connected
+const POSITIONS_REFRESH_MS = 15000;
+
+// How market statuses other than open are shown
+const MARKET_STATUS_LABELS = {
+  cancel_only: 'cancel-only',
+  closed: 'halted'
+};
+
 const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
   const [selectedPair, setSelectedPair] = useState('APT-USDC');
   const [orderBookData, setOrderBookData] = useState({
@@ -18,14 +32,15 @@ const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
     asks: [],
     lastUpdate: null
   });
-  const [recentTrades, setRecentTrades] = useState([]);
   const [userOrders, setUserOrders] = useState([]);
+  const [positions, setPositions] = useState([]); // margin positions with collateral ratio and cooldown
   const [loading, setLoading] = useState(false);
+  const [userFees, setUserFees] = useState(null); // maker/taker rates at the account's fee tier
+  const [editingOrder, setEditingOrder] = useState(null); // { id, price, quantity } being amended inline
   const [liquidityModalVisible, setLiquidityModalVisible] = useState(false);
   const [liquidityMetrics, setLiquidityMetrics] = useState({});
   const [stats, setStats] = useState({
-    totalTrades: 0,
-    totalVolume: 0,
+    trades24h: 0,
     activeOrders: 0,
     userBalance: {
       apt: 0,
@@ -33,12 +48,34 @@ const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
     }
   });
 
-  // Trading pairs configuration
-  const tradingPairs = [
-    { value: 'APT-USDC', label: 'APT/USDC', baseAsset: 'APT', quoteAsset: 'USDC' },
-    { value: 'APT-USDT', label: 'APT/USDT', baseAsset: 'APT', quoteAsset: 'USDT' },
-    // Add more pairs as needed
-  ];
+  // Trading pairs, populated from the backend market registry
+  const [tradingPairs, setTradingPairs] = useState([
+    { value: 'APT-USDC', label: 'APT/USDC', baseAsset: 'APT', quoteAsset: 'USDC', status: 'open' }
+  ]);
+
+  // Load available markets
+  useEffect(() => {
+    const loadMarkets = async () => {
+      try {
+        const markets = await clobApiService.getMarkets();
+        if (markets.length > 0) {
+          setTradingPairs(markets.map(market => ({
+            value: market.symbol,
+            label: `${market.baseAsset}/${market.quoteAsset}`,
+            baseAsset: market.baseAsset,
+            quoteAsset: market.quoteAsset,
+            status: market.status,
+            statusReason: market.statusReason,
+            haltedUntil: market.haltedUntil
+          })));
+        }
+      } catch (error) {
+        console.error('Failed to load markets:', error);
+      }
+    };
+
+    loadMarkets();
+  }, []);
 
   // Initialize dashboard data
   useEffect(() => {
@@ -69,6 +106,18 @@ const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
     initializeDashboard();
   }, [aptosService, webSocketService, selectedPair]);
 
+  // Keep collateral ratios current as mark prices move
+  useEffect(() => {
+    if (!aptosService) return undefined;
+
+    const timer = setInterval(async () => {
+      if (await aptosService.isWalletConnected()) {
+        setPositions(await aptosService.getPositions());
+      }
+    }, POSITIONS_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [aptosService]);
+
   // Fetch market data from Aptos
   const fetchMarketData = async () => {
     try {
@@ -80,16 +129,11 @@ const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
         lastUpdate: new Date()
       });
 
-      // Get recent trades
-      const trades = await aptosService.getRecentTrades(selectedPair, 50);
-      setRecentTrades(trades || []);
-
-      // Get market statistics
+      // Get rolling 24h market statistics
       const marketStats = await aptosService.getMarketStats(selectedPair);
       setStats(prev => ({
         ...prev,
-        totalTrades: marketStats.totalTrades || 0,
-        totalVolume: marketStats.totalVolume || 0
+        trades24h: marketStats.trades24h || 0
       }));
     } catch (error) {
       console.error('Error fetching market data:', error);
@@ -108,9 +152,15 @@ const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
 
       // Get user balance
       const balance = await aptosService.getUserBalance();
+
+      // Get fee rates at the account's current tier
+      setUserFees(await aptosService.getUserFees(selectedPair));
+
+      // Get margin positions and their health
+      setPositions(await aptosService.getPositions());
       setStats(prev => ({
         ...prev,
-        activeOrders: orders?.length || 0,
+        activeOrders: (orders || []).filter(order => OPEN_STATUSES.includes(order.status)).length,
         userBalance: {
           apt: balance?.apt || 0,
           usdc: balance?.usdc || 0
@@ -132,18 +182,43 @@ const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
       });
     });
 
-    // Subscribe to trade updates
-    webSocketService.subscribe('trades', selectedPair, (data) => {
-      setRecentTrades(prev => [data, ...prev.slice(0, 49)]);
+    // Subscribe to rolling 24h stats (the header also follows them via 'marketUpdate')
+    webSocketService.subscribe('marketStats', selectedPair, (data) => {
+      setStats(prev => ({
+        ...prev,
+        trades24h: data.trades24h || 0
+      }));
+    });
+
+    // Follow halts, cancel-only periods and resumes of the selected market
+    webSocketService.subscribe('marketStatus', selectedPair, (data) => {
+      setTradingPairs(prev => prev.map(pair =>
+        pair.value === data.symbol
+          ? { ...pair, status: data.status, statusReason: data.reason, haltedUntil: data.haltedUntil }
+          : pair
+      ));
     });
 
-    // Subscribe to user order updates
-    webSocketService.subscribe('userOrders', null, (data) => {
+    // Liquidations of the account's margin positions carry the position as it is left
+    webSocketService.subscribe('positions', null, (liquidation) => {
+      message.warning(
+        `Position in ${liquidation.symbol} liquidated: ${liquidation.liquidatedAmount} debt repaid, ` +
+        `${liquidation.collateralSeized} collateral seized at $${liquidation.price}`
+      );
+      setPositions(prev => prev.map(position =>
+        position.id === liquidation.positionId ? liquidation.position : position
+      ));
+    });
+
+    // Subscribe to user order updates (delivered once the socket is signed in)
+    webSocketService.subscribe('userOrders', null, ({ event, previous, ...data }) => {
       setUserOrders(prev => {
-        const updated = prev.map(order => 
-          order.id === data.orderId ? { ...order, ...data } : order
+        if (!prev.some(order => order.id === data.id)) {
+          return [data, ...prev];
+        }
+        return prev.map(order => 
+          order.id === data.id ? { ...order, ...data } : order
         );
-        return updated;
       });
     });
   };
@@ -193,10 +268,17 @@ const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
       });
       
       message.success(`Order placed successfully! Order ID: ${result.orderId}`);
+      window.trackOrderPlacement?.({ ...orderData, pair: selectedPair });
       await fetchUserData(); // Refresh user data
     } catch (error) {
       console.error('Error placing order:', error);
-      message.error('Failed to place order: ' + error.message);
+      if (error.risk) {
+        // Risk rejections name the limit that was hit; the rejected order shows in the list
+        message.warning('Order blocked by risk limits: ' + error.message);
+        await fetchUserData();
+      } else {
+        message.error('Failed to place order: ' + error.message);
+      }
     } finally {
       setLoading(false);
     }
@@ -217,6 +299,47 @@ const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
     }
   };
 
+  // Amend the price or size of an open order from the inline editor
+  const handleAmendOrder = async () => {
+    const order = userOrders.find(candidate => candidate.id === editingOrder.id);
+    try {
+      setLoading(true);
+      const { priorityKept } = await aptosService.amendOrder(editingOrder.id, {
+        price: editingOrder.price !== String(order.price) ? editingOrder.price : undefined,
+        quantity: editingOrder.quantity !== String(order.quantity) ? editingOrder.quantity : undefined
+      });
+      message.success(priorityKept ? 'Order amended, queue position kept' : 'Order amended and requeued');
+      setEditingOrder(null);
+      await fetchUserData(); // Refresh user data
+    } catch (error) {
+      console.error('Error amending order:', error);
+      message.error('Failed to amend order: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Cancel every open order in the selected pair
+  const handleCancelAll = async () => {
+    try {
+      setLoading(true);
+      const { count } = await aptosService.cancelAllOrders(selectedPair);
+      message.success(`Cancelled ${count} order${count === 1 ? '' : 's'}`);
+      await fetchUserData(); // Refresh user data
+    } catch (error) {
+      console.error('Error cancelling orders:', error);
+      message.error('Failed to cancel orders: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+
+  // Status of a market; markets not yet loaded count as open
+  const getMarketStatus = (symbol) => tradingPairs.find(pair => pair.value === symbol)?.status || 'open';
+  const currentPair = tradingPairs.find(pair => pair.value === selectedPair);
+  const marketStatus = getMarketStatus(selectedPair);
+  const resumesAt = currentPair?.haltedUntil ? ` It resumes at ${new Date(currentPair.haltedUntil).toLocaleTimeString()}.` : '';
   return (
     <div className="trading-dashboard fade-in">
       {/* Market Statistics Header */}
@@ -232,6 +355,14 @@ const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
           </div>
         </div>
 
+        <div className="market-stat-item">
+          <div className="market-stat-label">Mark Price</div>
+          <div className="market-stat-value">
+            {marketData?.markPrice ? `$${marketData.markPrice.toFixed(4)}` : '—'}
+          </div>
+          <div className="market-stat-change">Oracle</div>
+        </div>
+
         <div className="market-stat-item">
           <div className="market-stat-label">24h Volume</div>
           <div className="market-stat-value">
@@ -241,9 +372,9 @@ const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
         </div>
 
         <div className="market-stat-item">
-          <div className="market-stat-label">Total Trades</div>
+          <div className="market-stat-label">24h Trades</div>
           <div className="market-stat-value">
-            {stats.totalTrades.toLocaleString()}
+            {stats.trades24h.toLocaleString()}
           </div>
         </div>
 
@@ -275,7 +406,7 @@ const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
           >
             {tradingPairs.map(pair => (
               <Option key={pair.value} value={pair.value}>
-                {pair.label}
+                {pair.label}{pair.status !== 'open' ? ` (${MARKET_STATUS_LABELS[pair.status]})` : ''}
               </Option>
             ))}
           </Select>
@@ -298,6 +429,26 @@ const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
         </div>
       </div>
 
+      {/* Market Status Banner */}
+      {marketStatus === 'closed' && (
+        <Alert
+          type="error"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message={`${selectedPair} trading is halted${currentPair?.statusReason === 'circuit_breaker' ? ' by a volatility circuit breaker' : ''}`}
+          description={`New orders, amends and cancels are paused until the market resumes.${resumesAt}`}
+        />
+      )}
+      {marketStatus === 'cancel_only' && (
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message={`${selectedPair} is in cancel-only mode`}
+          description={`You can cancel open orders, but new orders and amends are not accepted.${resumesAt}`}
+        />
+      )}
+
       {/* Main Trading Interface */}
       <div className="trading-grid">
         <div className="trading-main">
@@ -323,12 +474,19 @@ const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
           <Tabs defaultActiveKey="trades" style={{ height: 'calc(40vh - 50px)' }}>
             <TabPane tab="Recent Trades" key="trades">
               <RecentTrades 
-                trades={recentTrades}
-                loading={loading}
+                symbol={selectedPair}
+                webSocketService={webSocketService}
               />
             </TabPane>
             <TabPane tab="Your Orders" key="orders">
               <div style={{ maxHeight: 300, overflowY: 'auto' }}>
+                {userOrders.some(order => order.symbol === selectedPair && OPEN_STATUSES.includes(order.status)) && (
+                  <div style={{ textAlign: 'right', padding: '8px 0' }}>
+                    <Button size="small" danger loading={loading} disabled={marketStatus === 'closed'} onClick={handleCancelAll}>
+                      Cancel all {selectedPair}
+                    </Button>
+                  </div>
+                )}
                 {userOrders.map(order => (
                   <div key={order.id} style={{ 
                     display: 'flex', 
@@ -336,25 +494,88 @@ const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
                     padding: '8px 0',
                     borderBottom: '1px solid #f0f0f0'
                   }}>
-                    <span>
-                      {order.side} {order.quantity} at ${order.price}
-                    </span>
-                    <Button 
-                      size="small" 
-                      danger
-                      onClick={() => handleCancelOrder(order.id)}
-                    >
-                      Cancel
-                    </Button>
+                    {editingOrder?.id === order.id ? (
+                      <span style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                        {order.symbol} {order.side}
+                        <Input
+                          size="small"
+                          type="number"
+                          addonBefore="Qty"
+                          value={editingOrder.quantity}
+                          onChange={(e) => setEditingOrder(prev => ({ ...prev, quantity: e.target.value }))}
+                          style={{ width: 140 }}
+                        />
+                        {order.price !== null && (
+                          <Input
+                            size="small"
+                            type="number"
+                            addonBefore="$"
+                            value={editingOrder.price}
+                            onChange={(e) => setEditingOrder(prev => ({ ...prev, price: e.target.value }))}
+                            style={{ width: 130 }}
+                          />
+                        )}
+                      </span>
+                    ) : (
+                      <span>
+                        {order.symbol} {order.side}
+                        {order.type !== 'limit' ? ` ${order.type.replace('_', ' ')}` : ''}
+                        {` ${order.filledQuantity}/${order.quantity}`}
+                        {order.price ? ` at $${order.price}` : ' at market'}
+                        {order.triggerBy && order.stopPrice ? `, ${order.triggerBy} ${order.triggeredAt ? 'triggered' : 'stop'} at $${order.stopPrice}` : ''}
+                        {order.averagePrice ? ` (avg $${order.averagePrice})` : ''}
+                      </span>
+                    )}
+                    {OPEN_STATUSES.includes(order.status) && editingOrder?.id === order.id ? (
+                      <span style={{ display: 'flex', gap: 8 }}>
+                        <Button size="small" type="primary" loading={loading} onClick={handleAmendOrder}>
+                          Save
+                        </Button>
+                        <Button size="small" onClick={() => setEditingOrder(null)}>
+                          Discard
+                        </Button>
+                      </span>
+                    ) : OPEN_STATUSES.includes(order.status) ? (
+                      <span style={{ display: 'flex', gap: 8 }}>
+                        <Tooltip title="Reducing the size keeps your place in the queue">
+                          <Button
+                            size="small"
+                            disabled={getMarketStatus(order.symbol) !== 'open'}
+                            onClick={() => setEditingOrder({
+                              id: order.id,
+                              price: order.price === null ? '' : String(order.price),
+                              quantity: String(order.quantity)
+                            })}
+                          >
+                            Edit
+                          </Button>
+                        </Tooltip>
+                        <Button 
+                          size="small" 
+                          danger
+                          disabled={getMarketStatus(order.symbol) === 'closed'}
+                          onClick={() => handleCancelOrder(order.id)}
+                        >
+                          Cancel
+                        </Button>
+                      </span>
+                    ) : (
+                      <Tooltip title={order.rejectMessage || order.rejectReason}>
+                        <span style={{ color: '#666' }}>{order.status.replace('_', ' ')}</span>
+                      </Tooltip>
+                    )}
                   </div>
                 ))}
                 {userOrders.length === 0 && (
                   <div style={{ textAlign: 'center', padding: 40, color: '#666' }}>
-                    No active orders
+                    No orders yet
                   </div>
                 )}
               </div>
             </TabPane>
+            <TabPane tab="Positions" key="positions">
+              <PositionsPanel positions={positions} />
+            </TabPane>
           </Tabs>
         </div>
 
@@ -377,6 +598,8 @@ const TradingDashboard = ({ aptosService, webSocketService, marketData }) => {
             <OrderForm 
               pair={selectedPair}
               balance={stats.userBalance}
+              fees={userFees}
+              marketStatus={marketStatus}
               onSubmit={handlePlaceOrder}
               loading={loading}
             />
@@ -1,22 +1,29 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Card, Button, message, Descriptions, Alert } from 'antd';
-import { WalletOutlined, DisconnectOutlined } from '@ant-design/icons';
+import { WalletOutlined, DisconnectOutlined, LoginOutlined } from '@ant-design/icons';
 import { useWallet } from '@aptos-labs/wallet-adapter-react';
+import clobApiService from '../services/ClobApiService';
 
-const WalletConnection = ({ aptosService, onConnectionChange }) => {
+const WalletConnection = ({ aptosService, webSocketService, onConnectionChange }) => {
   const { 
     connect, 
     disconnect, 
+    signMessage,
     account, 
     connected, 
     connecting, 
     wallet 
   } = useWallet();
   
+  const [session, setSession] = useState(null);
+  const [signingIn, setSigningIn] = useState(false);
+  
   const [balance, setBalance] = useState({
     apt: 0,
     usdc: 0
   });
+  // ClobCore balance, kept apart from the trading balance the backend ledger holds
+  const [chainBalance, setChainBalance] = useState(null);
   const [loading, setLoading] = useState(false);
 
   useEffect(() => {
@@ -25,25 +32,37 @@ const WalletConnection = ({ aptosService, onConnectionChange }) => {
     }
   }, [connected, onConnectionChange]);
 
-  useEffect(() => {
-    if (connected && account?.address) {
-      fetchBalance();
-    }
-  }, [connected, account?.address]);
-
-  const fetchBalance = async () => {
+  const fetchBalance = useCallback(async () => {
     if (!aptosService || !account?.address) return;
     
     try {
       setLoading(true);
-      const userBalance = await aptosService.getUserBalance();
+      const [userBalance, onChain] = await Promise.all([
+        aptosService.getUserBalance(),
+        aptosService.getChainBalance()
+      ]);
       setBalance(userBalance);
+      setChainBalance(onChain);
     } catch (error) {
       console.error('Error fetching balance:', error);
     } finally {
       setLoading(false);
     }
-  };
+  }, [aptosService, account?.address]);
+
+  useEffect(() => {
+    if (connected && account?.address) {
+      // Orders are signed through the connected wallet
+      aptosService?.setAccount(account, { signMessage });
+    }
+  }, [connected, account, aptosService, signMessage]);
+
+  // Kept apart from the binding above, which re-runs whenever the wallet hands out a new signMessage
+  useEffect(() => {
+    if (connected) {
+      fetchBalance();
+    }
+  }, [connected, fetchBalance]);
 
   const handleConnect = async () => {
     try {
@@ -55,8 +74,48 @@ const WalletConnection = ({ aptosService, onConnectionChange }) => {
     }
   };
 
+  // Sign the server's login challenge to open a session for private data
+  const handleSignIn = async () => {
+    try {
+      setSigningIn(true);
+      const address = account.address.toString();
+      const challenge = await clobApiService.createAuthChallenge(address);
+      const signed = await signMessage({ message: challenge.message, nonce: challenge.nonce });
+
+      const newSession = await clobApiService.createSession({
+        address,
+        publicKey: account.publicKey.toString(),
+        signature: signed.signature.toString(),
+        nonce: challenge.nonce,
+        fullMessage: signed.fullMessage
+      });
+
+      webSocketService?.authenticate(newSession.token);
+      setSession(newSession);
+      message.success('Signed in');
+    } catch (error) {
+      console.error('Sign-in error:', error);
+      message.error('Failed to sign in');
+    } finally {
+      setSigningIn(false);
+    }
+  };
+
+  const endSession = async () => {
+    if (!session) return;
+
+    webSocketService?.logout();
+    setSession(null);
+    try {
+      await clobApiService.endSession();
+    } catch (error) {
+      console.error('Sign-out error:', error);
+    }
+  };
+
   const handleDisconnect = async () => {
     try {
+      await endSession();
       await disconnect();
       setBalance({ apt: 0, usdc: 0 });
       message.success('Wallet disconnected');
@@ -125,6 +184,18 @@ const WalletConnection = ({ aptosService, onConnectionChange }) => {
               <Descriptions.Item label="Network">
                 Testnet
               </Descriptions.Item>
+              <Descriptions.Item label="Session">
+                {session ? 'Signed in' : (
+                  <Button
+                    size="small"
+                    icon={<LoginOutlined />}
+                    loading={signingIn}
+                    onClick={handleSignIn}
+                  >
+                    Sign In
+                  </Button>
+                )}
+              </Descriptions.Item>
             </Descriptions>
           </div>
         )}
@@ -143,6 +214,19 @@ const WalletConnection = ({ aptosService, onConnectionChange }) => {
             </div>
           </div>
 
+          {chainBalance && (
+            <div className="balance-display" style={{ marginTop: 16 }}>
+              <div className="balance-item">
+                <div className="balance-label">On-chain APT</div>
+                <div className="balance-value">{chainBalance.apt.toFixed(4)}</div>
+              </div>
+              <div className="balance-item">
+                <div className="balance-label">On-chain USDC</div>
+                <div className="balance-value">{chainBalance.usdc.toFixed(2)}</div>
+              </div>
+            </div>
+          )}
+
           <Button 
             block 
             style={{ marginTop: 16 }}
@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import './services/ProductionAnalytics'; // Reports events and errors when enabled
 import 'antd/dist/reset.css'; // Ant Design styles
 
 // Create root element
@@ -1,4 +1,37 @@
 import { Aptos, AptosConfig, Network } from '@aptos-labs/ts-sdk';
+import { sha3_256 } from '@noble/hashes/sha3';
+import { toChainOrder, serializeOrder, toHex, fromChainUnits, CHAIN_DECIMALS } from '@clob/shared/orderHash';
+import clobApiService from './ClobApiService';
+
+// Order types that carry a limit price, a fixed stop price, or wait for a trigger
+const PRICED_TYPES = ['limit', 'stop_limit'];
+const STOP_TYPES = ['stop_market', 'stop_limit', 'take_profit'];
+const TRIGGER_TYPES = [...STOP_TYPES, 'trailing_stop'];
+
+// Time in force values the backend accepts; IOC and FOK never rest
+const TIME_IN_FORCE = ['GTC', 'IOC', 'FOK', 'GTD'];
+const IMMEDIATE_TIF = ['IOC', 'FOK'];
+
+// Networks the SDK knows; any other name is a custom network at `nodeUrl`
+const NETWORKS = {
+  mainnet: Network.MAINNET,
+  testnet: Network.TESTNET,
+  devnet: Network.DEVNET,
+  local: Network.LOCAL
+};
+
+// ClobCore.move is a single market; its view functions answer for this pair
+const CONTRACT_PAIR = 'APT-USDC';
+
+// get_order_book_depth takes the number of levels as a u8
+const MAX_VIEW_LEVELS = 255;
+
+// ClobCore locks price * quantity / 10^6 of quote, leaving quote amounts in quantity units
+const QUOTE_DECIMALS = CHAIN_DECIMALS.quantity;
+
+// Node errors meaning the module (or its resources) is not deployed at the address
+const MISSING_MODULE_CODES = ['account_not_found', 'module_not_found', 'function_not_found', 'resource_not_found'];
+const MISSING_MODULE_PATTERN = /LINKER_ERROR|FUNCTION_RESOLUTION_FAILURE|MISSING_DATA|not found|view function/i;
 
 /**
  * Aptos Service for CLOB Trading Platform
@@ -10,12 +43,16 @@ export class AptosService {
       network: config.network || 'testnet',
       nodeUrl: config.nodeUrl || 'https://fullnode.testnet.aptoslabs.com/v1',
       faucetUrl: config.faucetUrl || 'https://faucet.testnet.aptoslabs.com',
+      orderTtl: config.orderTtl || 24 * 60 * 60, // Signed orders expire after a day (seconds)
+      contractPair: config.contractPair || CONTRACT_PAIR,
       ...config
     };
     
     this.aptos = null;
     this.account = null;
-    this.contractAddress = '0x123'; // Replace with actual deployed contract address
+    this.signer = null;
+    this.contractAddress = normalizeAddress(this.config.contractAddress);
+    this.moduleStatus = this.contractAddress ? 'unknown' : 'unconfigured'; // unknown, deployed, missing
     
     // Cache for frequently accessed data
     this.cache = {
@@ -31,8 +68,9 @@ export class AptosService {
    */
   async initialize() {
     try {
-      const aptosConfig = new AptosConfig({ 
-        network: this.config.network === 'testnet' ? Network.TESTNET : Network.MAINNET 
+      const aptosConfig = new AptosConfig({
+        network: NETWORKS[this.config.network] || Network.CUSTOM,
+        fullnode: this.config.nodeUrl
       });
       this.aptos = new Aptos(aptosConfig);
       
@@ -77,66 +115,83 @@ export class AptosService {
     }
   }
 
+  /**
+   * Use an account connected through the wallet adapter, and its signer
+   */
+  setAccount(account, signer = null) {
+    this.account = account;
+    this.signer = signer;
+  }
+
   /**
    * Get account address
    */
   getAccountAddress() {
-    return this.account?.address || null;
+    return this.account?.address?.toString() || null;
   }
 
   /**
-   * Get order book data
+   * Call a ClobCore view function at the configured module address
+   * Returns null when no address is configured or the module is not deployed
+   * there, so callers can fall back to the backend
+   */
+  async viewClob(functionName, functionArguments = []) {
+    if (!this.aptos || !this.contractAddress || this.moduleStatus === 'missing') {
+      return null;
+    }
+
+    try {
+      const result = await this.aptos.view({
+        payload: {
+          function: `${this.contractAddress}::ClobCore::${functionName}`,
+          typeArguments: [],
+          functionArguments
+        }
+      });
+      this.moduleStatus = 'deployed';
+      return result;
+    } catch (error) {
+      if (isMissingModuleError(error)) {
+        console.warn(`ClobCore is not deployed at ${this.contractAddress}, reading from the backend`);
+        this.moduleStatus = 'missing';
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get order book depth from ClobCore for the contract's pair, else from the backend
+   * An empty chain book means nothing trades on-chain yet, so the backend's is shown
    */
   async getOrderBook(pair, depth = 20) {
     try {
       // Try to get from cache first
       const now = Date.now();
-      if (this.cache.orderBook && (now - this.cache.lastUpdate) < 1000) {
+      if (this.cache.orderBook && this.cache.orderBookPair === pair && (now - this.cache.lastUpdate) < 1000) {
         return this.cache.orderBook;
       }
 
-      // In a real implementation, this would call the smart contract
-      // For now, return mock data
-      const mockOrderBook = {
-        bids: this.generateMockOrders('buy', depth / 2),
-        asks: this.generateMockOrders('sell', depth / 2),
-        lastUpdate: new Date().toISOString()
-      };
+      const depthView = pair === this.config.contractPair
+        ? await this.viewClob('get_order_book_depth', [Math.min(depth, MAX_VIEW_LEVELS)])
+        : null;
+      const chainBook = depthView ? decodeOrderBookDepth(depthView) : null;
+      const orderBook = chainBook && (chainBook.bids.length > 0 || chainBook.asks.length > 0)
+        ? chainBook
+        : fromSnapshot(await clobApiService.getOrderBook(pair, depth));
 
       // Cache the result
-      this.cache.orderBook = mockOrderBook;
+      this.cache.orderBook = orderBook;
+      this.cache.orderBookPair = pair;
       this.cache.lastUpdate = now;
 
-      return mockOrderBook;
+      return orderBook;
     } catch (error) {
       console.error('Error fetching order book:', error);
       return { bids: [], asks: [] };
     }
   }
 
-  /**
-   * Generate mock orders for demonstration
-   */
-  generateMockOrders(side, count) {
-    const orders = [];
-    const basePrice = 12.5; // Base APT price
-    
-    for (let i = 0; i < count; i++) {
-      const priceVariation = side === 'buy' ? -i * 0.01 : i * 0.01;
-      const price = basePrice + priceVariation;
-      const quantity = Math.random() * 1000 + 100;
-      
-      orders.push({
-        price: price.toFixed(4),
-        quantity: quantity.toFixed(2),
-        total: (price * quantity).toFixed(2),
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    return orders;
-  }
-
   /**
    * Get recent trades
    */
@@ -165,48 +220,47 @@ export class AptosService {
   }
 
   /**
-   * Get market statistics
+   * Get market statistics from ClobCore for the contract's pair once it has
+   * traded on-chain, else the rolling 24h statistics from the backend
    */
   async getMarketStats(pair) {
     try {
-      // In a real implementation, this would call view functions on the smart contract
-      return {
-        totalTrades: 1542,
-        totalVolume: 125420.50,
-        price24hHigh: 12.85,
-        price24hLow: 12.15,
-        volume24h: 8540.25,
-        lastTradePrice: 12.50
-      };
+      const statsView = pair === this.config.contractPair ? await this.viewClob('get_market_stats') : null;
+      const chainStats = statsView ? decodeMarketStats(pair, statsView) : null;
+      return chainStats && chainStats.totalTrades > 0 ? chainStats : await clobApiService.getMarketStats(pair);
     } catch (error) {
       console.error('Error fetching market stats:', error);
       return {
-        totalTrades: 0,
-        totalVolume: 0,
-        price24hHigh: 0,
-        price24hLow: 0,
+        symbol: pair,
+        lastPrice: 0,
+        open24h: 0,
+        high24h: 0,
+        low24h: 0,
         volume24h: 0,
-        lastTradePrice: 0
+        quoteVolume24h: 0,
+        trades24h: 0,
+        vwap24h: null,
+        change24h: 0
       };
     }
   }
 
   /**
-   * Get user balance
+   * Get the connected account's trading balance in a market: its backend
+   * ledger balance, which orders lock and settle against
    */
-  async getUserBalance() {
+  async getUserBalance(pair = 'APT-USDC') {
     try {
       if (!this.account) {
         throw new Error('Wallet not connected');
       }
 
-      // In a real implementation, this would query the user's coin balances
-      // For now, return mock data
+      const balance = await clobApiService.getUserBalance(this.getAccountAddress(), pair);
       return {
-        apt: 1250.75,
-        usdc: 5000.00,
-        lockedApt: 100.25,
-        lockedUsdc: 500.00
+        apt: balance.availableBase,
+        usdc: balance.availableQuote,
+        lockedApt: balance.lockedBase,
+        lockedUsdc: balance.lockedQuote
       };
     } catch (error) {
       console.error('Error fetching user balance:', error);
@@ -220,47 +274,137 @@ export class AptosService {
   }
 
   /**
-   * Get user orders
+   * Get the connected account's ClobCore balance for the contract's pair,
+   * shown apart from the trading balance. Null when not connected, when the
+   * module is not deployed, or when the account holds nothing on-chain
+   */
+  async getChainBalance() {
+    try {
+      if (!this.account) {
+        return null;
+      }
+
+      const balanceView = await this.viewClob('get_user_balance', [this.getAccountAddress()]);
+      const balance = balanceView ? decodeUserBalance(balanceView) : null;
+      return balance && Object.values(balance).some(amount => amount > 0) ? balance : null;
+    } catch (error) {
+      console.error('Error fetching on-chain balance:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the connected account's fee rates in a pair, or null when not connected
+   */
+  async getUserFees(pair = 'APT-USDC') {
+    try {
+      if (!this.account) {
+        return null;
+      }
+
+      return await clobApiService.getUserFees(this.getAccountAddress(), pair);
+    } catch (error) {
+      console.error('Error fetching user fees:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the connected account's margin positions, or [] when not connected
    */
-  async getUserOrders() {
+  async getPositions() {
     try {
       if (!this.account) {
         return [];
       }
 
-      // In a real implementation, this would query user's active orders from the contract
-      return [
-        {
-          id: 'order_1',
-          pair: 'APT-USDC',
-          side: 'buy',
-          price: '12.45',
-          quantity: '100.00',
-          filled: '25.00',
-          status: 'partially_filled',
-          timestamp: new Date(Date.now() - 300000).toISOString()
-        },
-        {
-          id: 'order_2',
-          pair: 'APT-USDC',
-          side: 'sell',
-          price: '12.65',
-          quantity: '50.00',
-          filled: '0.00',
-          status: 'active',
-          timestamp: new Date(Date.now() - 180000).toISOString()
-        }
-      ];
+      return await clobApiService.getUserPositions(this.getAccountAddress());
+    } catch (error) {
+      console.error('Error fetching positions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the connected account's orders from the backend, newest first
+   */
+  async getUserOrders(filters = {}) {
+    try {
+      if (!this.account) {
+        return [];
+      }
+
+      const { orders } = await clobApiService.getUserOrders(this.getAccountAddress(), filters);
+      return orders || [];
     } catch (error) {
       console.error('Error fetching user orders:', error);
       return [];
     }
   }
 
+  /**
+   * Build the on-chain order (OrderVerification::Order fields) for order data
+   */
+  buildOrder(orderData) {
+    const { side, price, quantity } = orderData;
+    const now = Math.floor(Date.now() / 1000);
+
+    return toChainOrder({
+      sender: this.getAccountAddress(),
+      side,
+      price,
+      quantity,
+      // A good-till-date order's signature expires with the order itself
+      expiry: orderData.expiry || (orderData.expiresAt ? Math.floor(orderData.expiresAt / 1000) : now + this.config.orderTtl),
+      nonce: orderData.nonce ?? Date.now()
+    });
+  }
+
+  /**
+   * Hash an on-chain order like OrderVerification::generate_order_hash
+   */
+  hashOrder(order) {
+    return toHex(sha3_256(serializeOrder(order)));
+  }
+
+  /**
+   * Sign order data with ed25519
+   * A raw key signer (e.g. a ts-sdk Account) signs the order hash itself, which
+   * is what the contract verifies. A wallet signs a signMessage envelope around
+   * the hash, which the backend accepts like the login challenge
+   */
+  async signOrder(orderData, signer = this.signer || window.aptos) {
+    if (!this.account) {
+      throw new Error('Wallet not connected');
+    }
+
+    const order = this.buildOrder(orderData);
+    const hashBytes = sha3_256(serializeOrder(order));
+    const orderHash = toHex(hashBytes);
+    const signed = {
+      expiry: Number(order.expiry),
+      nonce: Number(order.nonce)
+    };
+
+    if (typeof signer?.sign === 'function') {
+      signed.publicKey = signer.publicKey.toString();
+      signed.signature = signer.sign(hashBytes).toString();
+    } else if (typeof signer?.signMessage === 'function') {
+      const response = await signer.signMessage({ message: orderHash, nonce: String(order.nonce) });
+      signed.publicKey = this.account.publicKey.toString();
+      signed.signature = withHexPrefix(response.signature.toString());
+      signed.fullMessage = response.fullMessage;
+    } else {
+      throw new Error('No signer available');
+    }
+
+    return { order, orderHash, signed };
+  }
+
   /**
    * Place a new order
    */
-  async placeOrder(orderData) {
+  async placeOrder(orderData, signer) {
     try {
       if (!this.account) {
         throw new Error('Wallet not connected');
@@ -269,26 +413,17 @@ export class AptosService {
       // Validate order data
       this.validateOrderData(orderData);
 
-      // In a real implementation, this would:
-      // 1. Create the order transaction
-      // 2. Sign it with the wallet
-      // 3. Submit to the blockchain
-      
-      // Mock implementation
-      const orderId = `order_${Date.now()}`;
-      
-      console.log('Placing order:', {
-        orderId,
-        ...orderData,
-        accountAddress: this.account.address
-      });
+      // Only plain limit orders are signed; market and trigger orders rely on the session alone
+      const { type = 'limit' } = orderData;
+      const { orderHash, signed } = type === 'limit' ? await this.signOrder(orderData, signer) : {};
 
-      // Simulate transaction delay
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      const result = await clobApiService.placeOrder({ ...this.toApiOrder(orderData), signed });
 
       return {
-        orderId,
-        transactionHash: `0x${Math.random().toString(16).substr(2, 64)}`,
+        orderId: result.order.id,
+        orderHash,
+        order: result.order,
+        trades: result.trades,
         status: 'submitted'
       };
     } catch (error) {
@@ -297,6 +432,27 @@ export class AptosService {
     }
   }
 
+  /**
+   * Map form order data to the fields the backend order routes take
+   */
+  toApiOrder(orderData) {
+    const { type = 'limit' } = orderData;
+
+    return {
+      symbol: orderData.pair,
+      side: orderData.side,
+      type,
+      price: PRICED_TYPES.includes(type) ? parseFloat(orderData.price) : undefined,
+      quantity: parseFloat(orderData.quantity),
+      stopPrice: STOP_TYPES.includes(type) ? parseFloat(orderData.stopPrice) : undefined,
+      trailingOffset: type === 'trailing_stop' ? parseFloat(orderData.trailingOffset) : undefined,
+      triggerBy: TRIGGER_TYPES.includes(type) ? orderData.triggerBy || 'last' : undefined,
+      timeInForce: orderData.timeInForce || 'GTC',
+      postOnly: PRICED_TYPES.includes(type) ? !!orderData.postOnly : undefined,
+      expiresAt: orderData.timeInForce === 'GTD' ? orderData.expiresAt : undefined
+    };
+  }
+
   /**
    * Cancel an order
    */
@@ -306,16 +462,12 @@ export class AptosService {
         throw new Error('Wallet not connected');
       }
 
-      // In a real implementation, this would call the cancel_order function
-      console.log('Cancelling order:', orderId);
-
-      // Simulate transaction delay
-      await new Promise(resolve => setTimeout(resolve, 1500));
+      const order = await clobApiService.cancelOrder(orderId);
 
       return {
         orderId,
-        transactionHash: `0x${Math.random().toString(16).substr(2, 64)}`,
-        status: 'cancelled'
+        order,
+        status: order.status
       };
     } catch (error) {
       console.error('Error cancelling order:', error);
@@ -323,20 +475,127 @@ export class AptosService {
     }
   }
 
+  /**
+   * Amend the price and/or total quantity of an open order
+   */
+  async amendOrder(orderId, { price, quantity }) {
+    try {
+      if (!this.account) {
+        throw new Error('Wallet not connected');
+      }
+
+      const isPositive = (value) => !isNaN(value) && parseFloat(value) > 0;
+      const changes = {
+        price: price !== undefined && price !== '' ? parseFloat(price) : undefined,
+        quantity: quantity !== undefined && quantity !== '' ? parseFloat(quantity) : undefined
+      };
+      if (changes.price === undefined && changes.quantity === undefined) {
+        throw new Error('Nothing to amend');
+      }
+      if (changes.price !== undefined && !isPositive(changes.price)) {
+        throw new Error('Invalid price');
+      }
+      if (changes.quantity !== undefined && !isPositive(changes.quantity)) {
+        throw new Error('Invalid quantity');
+      }
+
+      const result = await clobApiService.amendOrder(orderId, changes);
+
+      return {
+        orderId: result.order.id,
+        order: result.order,
+        trades: result.trades,
+        previous: result.previous,
+        priorityKept: result.priorityKept
+      };
+    } catch (error) {
+      console.error('Error amending order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel every open order of the connected account, optionally in one pair
+   */
+  async cancelAllOrders(pair) {
+    try {
+      if (!this.account) {
+        throw new Error('Wallet not connected');
+      }
+
+      return await clobApiService.cancelAllOrders(pair);
+    } catch (error) {
+      console.error('Error cancelling orders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Place, cancel and replace orders in one batch
+   * Items are { action: 'place' | 'cancel' | 'replace', orderId?, order? } with
+   * orders shaped like placeOrder's data; batch orders are not signed
+   */
+  async submitOrderBatch(items) {
+    try {
+      if (!this.account) {
+        throw new Error('Wallet not connected');
+      }
+
+      const batch = items.map(({ action, orderId, order }) => {
+        if (!order) {
+          return { action, orderId };
+        }
+        this.validateOrderData(order);
+        return { action, orderId, order: this.toApiOrder(order) };
+      });
+
+      return await clobApiService.submitOrderBatch(batch);
+    } catch (error) {
+      console.error('Error submitting order batch:', error);
+      throw error;
+    }
+  }
+
   /**
    * Validate order data
    */
   validateOrderData(orderData) {
-    const { side, price, quantity, pair } = orderData;
+    const { side, price, quantity, pair, type = 'limit' } = orderData;
+    const isPositive = (value) => !!value && !isNaN(value) && parseFloat(value) > 0;
 
     if (!side || !['buy', 'sell'].includes(side)) {
       throw new Error('Invalid order side');
     }
 
-    if (!price || isNaN(price) || parseFloat(price) <= 0) {
+    if (PRICED_TYPES.includes(type) && !isPositive(price)) {
       throw new Error('Invalid price');
     }
 
+    if (STOP_TYPES.includes(type) && !isPositive(orderData.stopPrice)) {
+      throw new Error('Invalid stop price');
+    }
+
+    if (type === 'trailing_stop' && !isPositive(orderData.trailingOffset)) {
+      throw new Error('Invalid trailing offset');
+    }
+
+    const { timeInForce = 'GTC', postOnly, expiresAt } = orderData;
+    if (!TIME_IN_FORCE.includes(timeInForce)) {
+      throw new Error('Invalid time in force');
+    }
+
+    if (timeInForce === 'GTD' && !PRICED_TYPES.includes(type)) {
+      throw new Error('Only limit orders can be good-till-date');
+    }
+
+    if (timeInForce === 'GTD' && !(Number.isInteger(expiresAt) && expiresAt > Date.now())) {
+      throw new Error('Good-till-date orders need a future expiry');
+    }
+
+    if (postOnly && (!PRICED_TYPES.includes(type) || IMMEDIATE_TIF.includes(timeInForce))) {
+      throw new Error('Post-only needs a limit order that may rest');
+    }
+
     if (!quantity || isNaN(quantity) || parseFloat(quantity) <= 0) {
       throw new Error('Invalid quantity');
     }
@@ -414,13 +673,15 @@ export class AptosService {
   }
 
   /**
-   * Get contract information
+   * Get contract information; `moduleStatus` says whether ClobCore answered
+   * view calls at the configured address
    */
   async getContractInfo() {
     try {
       // In a real implementation, this would query contract metadata
       return {
         address: this.contractAddress,
+        moduleStatus: this.moduleStatus,
         version: '1.0.0',
         isInitialized: true,
         marketOpen: true
@@ -430,4 +691,93 @@ export class AptosService {
       return null;
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Wallets return signatures with or without the 0x prefix
+ */
+function withHexPrefix(hex) {
+  return hex.startsWith('0x') ? hex : `0x${hex}`;
+}
+
+/**
+ * Module address with a 0x prefix (env files carry it either way), or null
+ */
+function normalizeAddress(address) {
+  const trimmed = String(address || '').trim();
+  return trimmed ? withHexPrefix(trimmed.toLowerCase()) : null;
+}
+
+/**
+ * Whether a view call failed because ClobCore is not published at the address
+ */
+function isMissingModuleError(error) {
+  return MISSING_MODULE_CODES.includes(error?.data?.error_code) ||
+    MISSING_MODULE_PATTERN.test(error?.data?.message || error?.message || '');
+}
+
+/**
+ * Order book level with its quote total
+ */
+function bookLevel(price, quantity) {
+  return { price, quantity, total: parseFloat((price * quantity).toFixed(CHAIN_DECIMALS.price)) };
+}
+
+/**
+ * Order book levels from a backend snapshot's [price, quantity] pairs
+ */
+function fromSnapshot(snapshot) {
+  const levels = (pairs = []) => pairs.map(([price, quantity]) => bookLevel(price, quantity));
+  return { bids: levels(snapshot?.bids), asks: levels(snapshot?.asks) };
+}
+
+/**
+ * Decode get_order_book_depth's (buy prices, buy quantities, sell prices,
+ * sell quantities) u64 vectors into order book levels
+ */
+export function decodeOrderBookDepth([buyPrices, buyQuantities, sellPrices, sellQuantities]) {
+  const levels = (prices, quantities) => prices.map((price, i) => bookLevel(
+    fromChainUnits(price, CHAIN_DECIMALS.price),
+    fromChainUnits(quantities[i], CHAIN_DECIMALS.quantity)
+  ));
+
+  return { bids: levels(buyPrices, buyQuantities), asks: levels(sellPrices, sellQuantities) };
+}
+
+/**
+ * Decode get_market_stats's (total trades, total volume, last trade price,
+ * 24h high, 24h low, 24h volume) into the backend's market stats shape
+ * The contract keeps no 24h open or trade count, so those stay empty
+ */
+export function decodeMarketStats(symbol, [totalTrades, totalVolume, lastPrice, high24h, low24h, volume24h]) {
+  const price = value => fromChainUnits(value, CHAIN_DECIMALS.price);
+  const quantity = value => fromChainUnits(value, CHAIN_DECIMALS.quantity);
+
+  return {
+    symbol,
+    lastPrice: price(lastPrice),
+    open24h: null,
+    high24h: price(high24h),
+    low24h: price(low24h),
+    volume24h: quantity(volume24h),
+    quoteVolume24h: null,
+    trades24h: null,
+    vwap24h: null,
+    change24h: 0,
+    totalTrades: Number(totalTrades),
+    totalVolume: quantity(totalVolume)
+  };
+}
+
+/**
+ * Decode get_user_balance's (available base, available quote, locked base,
+ * locked quote) into the balance shape getUserBalance returns
+ */
+export function decodeUserBalance([availableBase, availableQuote, lockedBase, lockedQuote]) {
+  return {
+    apt: fromChainUnits(availableBase, CHAIN_DECIMALS.quantity),
+    usdc: fromChainUnits(availableQuote, QUOTE_DECIMALS),
+    lockedApt: fromChainUnits(lockedBase, CHAIN_DECIMALS.quantity),
+    lockedUsdc: fromChainUnits(lockedQuote, QUOTE_DECIMALS)
+  };
+}
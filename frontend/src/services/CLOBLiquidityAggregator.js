@@ -14,6 +14,7 @@
 
 import EventEmitter from 'events';
 import crossChainBridgeService from './CrossChainBridgeService';
+import clobApiService from './ClobApiService';
 
 // Supported liquidity sources
 const LIQUIDITY_SOURCES = {
@@ -75,6 +76,7 @@ class CLOBLiquidityAggregator extends EventEmitter {
     
     this.sourceOrderBooks = new Map();
     this.priceFeeds = new Map();
+    this.feedErrors = new Map(); // symbol -> why its feed is invalid, logged once per change
     this.liquidityMetrics = new Map();
     this.refreshInterval = null;
     this.isAggregating = false;
@@ -93,6 +95,7 @@ class CLOBLiquidityAggregator extends EventEmitter {
     
     // Setup periodic refresh
     this.refreshInterval = setInterval(() => {
+      this.updatePriceFeeds();
       this.aggregateOrderBooks();
     }, 5000); // Refresh every 5 seconds
     
@@ -100,29 +103,52 @@ class CLOBLiquidityAggregator extends EventEmitter {
   }
 
   async initializePriceFeeds() {
-    const symbols = ['APT-USDC', 'APT-USDT', 'APT-ETH', 'ETH-USDC', 'SOL-USDC'];
-    
-    for (const symbol of symbols) {
-      try {
-        const priceData = await this.fetchPriceData(symbol);
-        this.priceFeeds.set(symbol, priceData);
-      } catch (error) {
-        console.warn(`⚠️  Failed to initialize price feed for ${symbol}:`, error.message);
+    await this.updatePriceFeeds();
+  }
+
+  /**
+   * Load the backend oracle's mark prices, dropping feeds that went stale
+   * or whose readings are being rejected. Failures are logged when they
+   * start or change, not on every refresh
+   */
+  async updatePriceFeeds() {
+    try {
+      const feeds = await clobApiService.getOraclePrices();
+      this.reportFeedError('*', null);
+
+      for (const feed of feeds) {
+        if (feed.valid) {
+          this.priceFeeds.set(feed.symbol, { mid: feed.price, updatedAt: feed.updatedAt, sources: feed.sources });
+          this.reportFeedError(feed.symbol, null);
+        } else {
+          this.priceFeeds.delete(feed.symbol);
+          this.reportFeedError(feed.symbol, feed.lastError?.message || 'not updated yet');
+        }
       }
+    } catch (error) {
+      this.reportFeedError('*', error.message);
     }
   }
 
-  async fetchPriceData(symbol) {
-    // Mock price data - in production, integrate with actual price oracles
-    const mockPrices = {
-      'APT-USDC': { mid: 8.50, spread: 0.02 },
-      'APT-USDT': { mid: 8.48, spread: 0.03 },
-      'APT-ETH': { mid: 0.00378, spread: 0.00001 },
-      'ETH-USDC': { mid: 2250.00, spread: 0.50 },
-      'SOL-USDC': { mid: 95.00, spread: 0.15 }
-    };
-    
-    return mockPrices[symbol] || { mid: 1.0, spread: 0.01 };
+  /**
+   * Track why a feed (or '*' for the whole feed list) is unusable, logging
+   * only when that changes
+   */
+  reportFeedError(symbol, reason) {
+    const previous = this.feedErrors.get(symbol) ?? null;
+    if (reason === previous) {
+      return;
+    }
+
+    if (reason === null) {
+      this.feedErrors.delete(symbol);
+      console.log(`✅ Oracle price ${symbol === '*' ? 'feeds' : `for ${symbol}`} recovered`);
+    } else {
+      this.feedErrors.set(symbol, reason);
+      console.warn(symbol === '*'
+        ? `⚠️  Failed to load oracle price feeds: ${reason}`
+        : `⚠️  No valid oracle price for ${symbol}: ${reason}`);
+    }
   }
 
   async startAggregation() {
@@ -157,8 +183,8 @@ class CLOBLiquidityAggregator extends EventEmitter {
     const bids = [];
     const asks = [];
     
-    // Generate realistic bid/ask data
-    const basePrice = 8.50; // APT-USDC base price
+    // Generate realistic bid/ask data around the APT-USDC oracle price
+    const basePrice = this.priceFeeds.get('APT-USDC')?.mid || 8.50;
     const spread = 0.02;
     
     // Generate bids (buy orders)
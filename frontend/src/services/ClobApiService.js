@@ -0,0 +1,271 @@
+/**
+ * CLOB API Service
+ * Thin REST client for the CLOB Trading Platform backend
+ */
+export class ClobApiService {
+  constructor(baseUrl = process.env.REACT_APP_API_BASE_URL || '') {
+    this.baseUrl = baseUrl;
+    this.sessionToken = null;
+  }
+
+  /**
+   * Use a wallet session token for private routes
+   */
+  setSessionToken(token) {
+    this.sessionToken = token;
+  }
+
+  /**
+   * Perform a request and parse the JSON response
+   */
+  async request(path, options = {}) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.sessionToken ? { Authorization: `Bearer ${this.sessionToken}` } : {}),
+        ...(options.headers || {})
+      }
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(body.message || body.error || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      error.code = body.code;
+      error.items = body.items;
+      error.risk = body.risk;
+      throw error;
+    }
+
+    return body;
+  }
+
+  /**
+   * Get all markets from the registry
+   */
+  async getMarkets() {
+    const { markets } = await this.request('/api/markets');
+    return markets || [];
+  }
+
+  /**
+   * Get a sequenced order book snapshot
+   */
+  async getOrderBook(symbol, levels = 50) {
+    return this.request(`/api/orderbook/${encodeURIComponent(symbol)}?levels=${levels}`);
+  }
+
+  /**
+   * Get rolling 24h market statistics
+   */
+  async getMarketStats(symbol) {
+    return this.request(`/api/market/stats/${encodeURIComponent(symbol)}`);
+  }
+
+  /**
+   * Get the oracle mark price feeds of all markets
+   */
+  async getOraclePrices() {
+    const { feeds } = await this.request('/api/oracle/prices');
+    return feeds || [];
+  }
+
+  /**
+   * Get a market's oracle mark price and whether it is valid
+   */
+  async getOraclePrice(symbol) {
+    return this.request(`/api/oracle/prices/${encodeURIComponent(symbol)}`);
+  }
+
+  /**
+   * Get OHLCV candles for an interval, oldest first
+   */
+  async getCandles(symbol, interval = '1m', { from, to, limit } = {}) {
+    const params = new URLSearchParams({ interval });
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (limit) params.set('limit', limit);
+
+    const { candles } = await this.request(`/api/candles/${encodeURIComponent(symbol)}?${params}`);
+    return candles || [];
+  }
+
+  /**
+   * Get client analytics events, oldest first
+   * Returns { events, next }; pass next as `after` to read the following page
+   */
+  async getAnalyticsEvents({ type, from, to, after, limit } = {}) {
+    const params = new URLSearchParams();
+    if (type) params.set('type', type);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (after) params.set('after', after);
+    if (limit) params.set('limit', limit);
+
+    return this.request(`/api/analytics/events?${params}`);
+  }
+
+  /**
+   * Get client analytics events counted by time bucket, pair and session
+   */
+  async getAnalyticsSummary({ type, from, to, interval = '1d' } = {}) {
+    const params = new URLSearchParams({ interval });
+    if (type) params.set('type', type);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+
+    return this.request(`/api/analytics/events/summary?${params}`);
+  }
+
+  /**
+   * Request a login challenge for a wallet address
+   */
+  async createAuthChallenge(address) {
+    return this.request('/api/auth/challenge', {
+      method: 'POST',
+      body: JSON.stringify({ address })
+    });
+  }
+
+  /**
+   * Exchange a signed challenge for a session and start using it
+   */
+  async createSession({ address, publicKey, signature, nonce, fullMessage }) {
+    const session = await this.request('/api/auth/session', {
+      method: 'POST',
+      body: JSON.stringify({ address, publicKey, signature, nonce, fullMessage })
+    });
+    this.setSessionToken(session.token);
+    return session;
+  }
+
+  /**
+   * End the current session
+   */
+  async endSession() {
+    try {
+      await this.request('/api/auth/session', { method: 'DELETE' });
+    } finally {
+      this.setSessionToken(null);
+    }
+  }
+
+  /**
+   * Get the signed-in account's available and locked balances,
+   * with availableBase/availableQuote/lockedBase/lockedQuote when a market is given
+   */
+  async getUserBalance(address, symbol) {
+    const query = symbol ? `?symbol=${encodeURIComponent(symbol)}` : '';
+    return this.request(`/api/user/balance/${encodeURIComponent(address)}${query}`);
+  }
+
+  /**
+   * Get the signed-in account's maker/taker rates in basis points, its 30-day volume and fee tier,
+   * with what the next tier needs; a negative maker rate is a rebate
+   */
+  async getUserFees(address, symbol) {
+    const query = symbol ? `?symbol=${encodeURIComponent(symbol)}` : '';
+    return this.request(`/api/fees/${encodeURIComponent(address)}${query}`);
+  }
+
+  /**
+   * Get a page of the signed-in account's orders, newest first
+   * `status` accepts order statuses or `open`; pass `nextCursor` as `before` for the next page
+   */
+  async getUserOrders(address, { status, symbol, before, limit } = {}) {
+    const params = new URLSearchParams();
+    if (status) params.set('status', Array.isArray(status) ? status.join(',') : status);
+    if (symbol) params.set('symbol', symbol);
+    if (before) params.set('before', before);
+    if (limit) params.set('limit', limit);
+
+    return this.request(`/api/user/${encodeURIComponent(address)}/orders?${params}`);
+  }
+
+  /**
+   * Get one of the signed-in account's orders with its fills
+   */
+  async getOrder(id) {
+    const { order } = await this.request(`/api/orders/${encodeURIComponent(id)}`);
+    return order;
+  }
+
+  /**
+   * Place an order for the signed-in account, optionally with its order signature
+   * Trigger orders also take stopPrice (or trailingOffset) and triggerBy ('last' or 'mark');
+   * timeInForce is GTC, IOC, FOK or GTD (with expiresAt in ms), and limit orders may be postOnly
+   */
+  async placeOrder(order) {
+    const {
+      symbol, side, type, price, quantity, stopPrice, trailingOffset, triggerBy, timeInForce, postOnly, expiresAt, signed
+    } = order;
+    return this.request('/api/orders', {
+      method: 'POST',
+      body: JSON.stringify({
+        symbol, side, type, price, quantity, stopPrice, trailingOffset, triggerBy, timeInForce, postOnly, expiresAt, signed
+      })
+    });
+  }
+
+  /**
+   * Cancel one of the signed-in account's open orders
+   */
+  async cancelOrder(id) {
+    const { order } = await this.request(`/api/orders/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    return order;
+  }
+
+  /**
+   * Change the price or total quantity of one of the signed-in account's open orders
+   * Size decreases keep time priority; other changes requeue the order under a new id
+   */
+  async amendOrder(id, { price, quantity }) {
+    return this.request(`/api/orders/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ price, quantity })
+    });
+  }
+
+  /**
+   * Cancel all of the signed-in account's open orders, optionally in one market
+   */
+  async cancelAllOrders(symbol) {
+    const query = symbol ? `?symbol=${encodeURIComponent(symbol)}` : '';
+    return this.request(`/api/orders${query}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Run up to 100 place, cancel and replace items as one batch
+   * Returns per-item results; a batch with an invalid item is rejected whole
+   * with error.items listing what was wrong
+   */
+  async submitOrderBatch(items) {
+    return this.request('/api/orders/batch', {
+      method: 'POST',
+      body: JSON.stringify({ items })
+    });
+  }
+
+  /**
+   * Get the signed-in account's margin positions with collateral ratio,
+   * liquidation price and cooldown
+   */
+  async getUserPositions(address) {
+    const { positions } = await this.request(`/api/positions/${encodeURIComponent(address)}`);
+    return positions || [];
+  }
+
+  /**
+   * Get a single market
+   */
+  async getMarket(symbol) {
+    return this.request(`/api/markets/${encodeURIComponent(symbol)}`);
+  }
+}
+
+// Export singleton instance
+const clobApiService = new ClobApiService();
+
+export default clobApiService;
@@ -3,6 +3,11 @@
  * Optimized for high-performance trading platform deployment
  */
 
+// Events are queued and sent in batches of up to BATCH_SIZE (the backend takes
+// at most 50), or every FLUSH_INTERVAL ms, whichever comes first
+const BATCH_SIZE = 20;
+const FLUSH_INTERVAL = 5000;
+
 class ProductionAnalytics {
     constructor() {
         this.isProduction = process.env.REACT_APP_ENVIRONMENT === 'production';
@@ -14,6 +19,7 @@ class ProductionAnalytics {
         this.pageViews = 0;
         this.interactions = 0;
         this.errors = [];
+        this.eventQueue = [];
         
         if (this.isProduction && this.analyticsEnabled) {
             this.initializeAnalytics();
@@ -97,7 +103,7 @@ class ProductionAnalytics {
         window.addEventListener('unhandledrejection', (event) => {
             this.trackError({
                 type: 'unhandled_promise_rejection',
-                reason: event.reason,
+                reason: String(event.reason),
                 timestamp: Date.now()
             });
         });
@@ -235,8 +241,11 @@ class ProductionAnalytics {
             data: eventData
         };
 
-        // Send to analytics endpoint
-        this.sendAnalytics(event);
+        // Queue for the next batch to the analytics endpoint
+        this.eventQueue.push(event);
+        if (this.eventQueue.length >= BATCH_SIZE) {
+            this.flushEvents();
+        }
         
         // Log in development
         if (!this.isProduction) {
@@ -270,9 +279,18 @@ class ProductionAnalytics {
     }
 
     /**
-     * Send analytics data to backend
+     * Send queued events as one batch
      */
-    async sendAnalytics(data) {
+    flushEvents() {
+        if (this.eventQueue.length === 0) return;
+
+        this.sendAnalytics(this.eventQueue.splice(0, BATCH_SIZE));
+    }
+
+    /**
+     * Send a batch of analytics events to backend
+     */
+    async sendAnalytics(events) {
         try {
             if (this.isProduction) {
                 await fetch('/api/analytics/events', {
@@ -280,7 +298,7 @@ class ProductionAnalytics {
                     headers: {
                         'Content-Type': 'application/json',
                     },
-                    body: JSON.stringify(data)
+                    body: JSON.stringify({ events })
                 });
             }
         } catch (error) {
@@ -311,6 +329,11 @@ class ProductionAnalytics {
      * Start periodic reporting
      */
     startPeriodicReporting() {
+        // Send queued events regularly
+        setInterval(() => {
+            this.flushEvents();
+        }, FLUSH_INTERVAL);
+
         // Send session data every 5 minutes
         setInterval(() => {
             this.sendSessionUpdate();
@@ -351,12 +374,16 @@ class ProductionAnalytics {
             endTime: Date.now()
         };
 
-        // Use sendBeacon for reliable delivery on page unload
+        this.trackEvent('session_summary', sessionSummary);
+
+        // Use sendBeacon for reliable delivery of what is still queued on page unload
         if (navigator.sendBeacon && this.isProduction) {
-            navigator.sendBeacon(
-                '/api/analytics/session-summary',
-                JSON.stringify(sessionSummary)
-            );
+            while (this.eventQueue.length > 0) {
+                navigator.sendBeacon(
+                    '/api/analytics/events',
+                    new Blob([JSON.stringify({ events: this.eventQueue.splice(0, BATCH_SIZE) })], { type: 'application/json' })
+                );
+            }
         }
     }
 
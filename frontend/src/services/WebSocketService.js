@@ -1,12 +1,36 @@
+import clobApiService from './ClobApiService';
+import {
+  PROTOCOL_VERSION,
+  CHANNELS,
+  PRIVATE_CHANNELS,
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  ERROR_CODES,
+  subscriptionKey as toSubscriptionKey,
+  createMessage,
+  encodeMessage,
+  decodeMessage
+} from '@clob/shared/wsProtocol';
+
 /**
  * WebSocket Service for Real-time Market Data
  * Handles real-time subscriptions for order book, trades, and user data
  */
 export class WebSocketService {
-  constructor(url) {
+  constructor(url, options = {}) {
     this.url = url;
+    this.apiService = options.apiService || clobApiService;
     this.ws = null;
     this.subscriptions = new Map();
+    this.channels = new Map(); // subscription key -> { channel, symbol } to (re)subscribe on connect
+    this.pendingRequests = new Map(); // request id -> subscribe/unsubscribe awaiting its ack
+    this.nextRequestId = 1;
+    this.serverProtocolVersion = null;
+
+    // Session used for private channels; they are only subscribed once the socket is authenticated
+    this.authToken = null;
+    this.cancelOnDisconnect = false;
+    this.userAddress = null;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000;
@@ -15,6 +39,14 @@ export class WebSocketService {
     
     // Event handlers
     this.eventHandlers = new Map();
+
+    // Local order books rebuilt from snapshot + sequenced deltas
+    this.orderBooks = new Map();
+    this.orderBookDepth = options.orderBookDepth || 50;
+
+    // Recent trades per symbol: history snapshot + streamed trades, most recent first
+    this.recentTrades = new Map();
+    this.tradeHistoryLimit = options.tradeHistoryLimit || 50;
   }
 
   /**
@@ -29,7 +61,21 @@ export class WebSocketService {
         this.isConnected = true;
         this.reconnectAttempts = 0;
         
-        // Send any queued messages
+        // Restore the session and every public channel on the fresh socket, then send
+        // queued messages; private channels follow once the session is acknowledged
+        this.pendingRequests.clear();
+        this.userAddress = null;
+        if (this.authToken) {
+          this.sendRequest(CLIENT_MESSAGES.AUTH, {
+            token: this.authToken,
+            cancelOnDisconnect: this.cancelOnDisconnect
+          });
+        }
+        this.channels.forEach(({ channel, symbol }) => {
+          if (!PRIVATE_CHANNELS.includes(channel)) {
+            this.sendSubscribe(channel, symbol);
+          }
+        });
         this.flushMessageQueue();
         
         // Emit connected event
@@ -38,8 +84,7 @@ export class WebSocketService {
 
       this.ws.onmessage = (event) => {
         try {
-          const data = JSON.parse(event.data);
-          this.handleMessage(data);
+          this.handleMessage(decodeMessage(event.data));
         } catch (error) {
           console.error('Error parsing WebSocket message:', error);
         }
@@ -75,6 +120,8 @@ export class WebSocketService {
       this.ws.close(1000, 'Client disconnecting');
     }
     this.subscriptions.clear();
+    this.channels.clear();
+    this.pendingRequests.clear();
     this.eventHandlers.clear();
   }
 
@@ -102,7 +149,7 @@ export class WebSocketService {
    */
   send(message) {
     if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(message));
+      this.ws.send(encodeMessage(message));
     } else {
       // Queue message for later
       this.messageQueue.push(message);
@@ -121,40 +168,92 @@ export class WebSocketService {
 
   /**
    * Subscribe to a channel
+   * Active channels are remembered and resubscribed whenever the socket (re)connects
    */
   subscribe(channel, symbol = null, callback = null) {
-    const subscriptionKey = symbol ? `${channel}:${symbol}` : channel;
+    const subscriptionKey = toSubscriptionKey(channel, symbol);
     
     // Store subscription callback
     if (callback) {
       this.subscriptions.set(subscriptionKey, callback);
     }
 
-    // Send subscription message
-    this.send({
-      type: 'subscribe',
-      channel,
-      symbol
-    });
+    // Already active (or being restored on connect): nothing to send
+    if (this.channels.has(subscriptionKey)) {
+      return subscriptionKey;
+    }
+
+    this.channels.set(subscriptionKey, { channel, symbol });
+    if (this.isConnected && (!PRIVATE_CHANNELS.includes(channel) || this.userAddress)) {
+      this.sendSubscribe(channel, symbol);
+    }
 
     return subscriptionKey;
   }
 
+  /**
+   * Authenticate the socket with a wallet session token
+   * The token is kept so the session is restored after reconnecting.
+   * With cancelOnDisconnect the server cancels the account's open orders
+   * once its last such socket closes
+   */
+  authenticate(token, { cancelOnDisconnect = false } = {}) {
+    this.authToken = token;
+    this.cancelOnDisconnect = cancelOnDisconnect;
+    this.userAddress = null;
+
+    if (this.isConnected) {
+      this.sendRequest(CLIENT_MESSAGES.AUTH, { token, cancelOnDisconnect });
+    }
+  }
+
+  /**
+   * Forget the session and drop private channels
+   */
+  logout() {
+    this.authToken = null;
+    this.cancelOnDisconnect = false;
+    this.userAddress = null;
+    PRIVATE_CHANNELS.forEach(channel => this.unsubscribe(channel));
+  }
+
   /**
    * Unsubscribe from a channel
    */
   unsubscribe(channel, symbol = null) {
-    const subscriptionKey = symbol ? `${channel}:${symbol}` : channel;
+    const subscriptionKey = toSubscriptionKey(channel, symbol);
     
     // Remove subscription callback
     this.subscriptions.delete(subscriptionKey);
+    if (channel === CHANNELS.ORDERBOOK) {
+      this.orderBooks.delete(symbol);
+    }
+    if (channel === CHANNELS.TRADES) {
+      this.recentTrades.delete(symbol);
+    }
 
-    // Send unsubscription message
-    this.send({
-      type: 'unsubscribe',
-      channel,
-      symbol
-    });
+    if (!this.channels.delete(subscriptionKey) || !this.isConnected) {
+      return;
+    }
+
+    this.sendRequest(CLIENT_MESSAGES.UNSUBSCRIBE, { channel, symbol });
+  }
+
+  /**
+   * Send a subscribe request for a channel
+   */
+  sendSubscribe(channel, symbol) {
+    this.sendRequest(CLIENT_MESSAGES.SUBSCRIBE, { channel, symbol });
+  }
+
+  /**
+   * Send a request tagged with an id so its ack or error can be matched
+   */
+  sendRequest(type, fields) {
+    const id = this.nextRequestId++;
+    this.pendingRequests.set(id, { type, ...fields });
+    this.send(createMessage(type, { id, ...fields }));
+    return id;
   }
 
   /**
@@ -164,25 +263,69 @@ export class WebSocketService {
     const { type, channel, symbol, data: messageData } = data;
 
     switch (type) {
-      case 'orderbook':
+      case SERVER_MESSAGES.ORDERBOOK:
         this.handleOrderBookUpdate(channel, symbol, messageData);
         break;
       
-      case 'trade':
+      case SERVER_MESSAGES.TRADE:
         this.handleTradeUpdate(channel, symbol, messageData);
         break;
       
-      case 'userOrder':
+      case SERVER_MESSAGES.USER_ORDER:
         this.handleUserOrderUpdate(messageData);
         break;
       
-      case 'marketStats':
-        this.handleMarketStatsUpdate(messageData);
+      case SERVER_MESSAGES.MARKET_STATS:
+        this.handleMarketStatsUpdate(symbol, messageData);
+        break;
+      
+      case SERVER_MESSAGES.CANDLE:
+        this.handleCandleUpdate(symbol, messageData);
+        break;
+      
+      case SERVER_MESSAGES.MARKET_STATUS:
+        this.handleMarketStatusUpdate(symbol, messageData);
+        break;
+      
+      case SERVER_MESSAGES.LIQUIDATION:
+        this.handleLiquidation(messageData);
+        break;
+      
+      case SERVER_MESSAGES.WELCOME:
+        this.serverProtocolVersion = data.protocolVersion;
+        if (data.protocolVersion !== PROTOCOL_VERSION) {
+          console.warn(`Server speaks protocol v${data.protocolVersion}, client v${PROTOCOL_VERSION}`);
+        }
+        this.emit('welcome', data);
+        break;
+      
+      case SERVER_MESSAGES.AUTHENTICATED:
+        this.pendingRequests.delete(data.id);
+        this.userAddress = data.address;
+        this.channels.forEach(({ channel, symbol }) => {
+          if (PRIVATE_CHANNELS.includes(channel)) {
+            this.sendSubscribe(channel, symbol);
+          }
+        });
+        this.emit('authenticated', { address: data.address });
         break;
       
-      case 'error':
-        console.error('WebSocket error:', messageData);
-        this.emit('error', messageData);
+      case SERVER_MESSAGES.SUBSCRIBED:
+        this.pendingRequests.delete(data.id);
+        this.emit('subscribed', { channel, symbol });
+        break;
+      
+      case SERVER_MESSAGES.UNSUBSCRIBED:
+        this.pendingRequests.delete(data.id);
+        this.emit('unsubscribed', { channel, symbol });
+        break;
+      
+      case SERVER_MESSAGES.PONG:
+        this.emit('pong', data);
+        break;
+      
+      case SERVER_MESSAGES.ERROR:
+        this.handleError(data);
         break;
       
       default:
@@ -190,13 +333,206 @@ export class WebSocketService {
     }
   }
 
+  /**
+   * Handle a protocol error; a rejected token or a session the server ended is
+   * forgotten and a rejected subscribe is dropped so neither is retried on reconnect.
+   * Private channels stay registered and resubscribe on the next authenticate
+   */
+  handleError({ id, code, message, channel, symbol }) {
+    const request = this.pendingRequests.get(id);
+    this.pendingRequests.delete(id);
+
+    if (request?.type === CLIENT_MESSAGES.AUTH || code === ERROR_CODES.AUTH_FAILED) {
+      this.authToken = null;
+      this.userAddress = null;
+    }
+
+    if (request?.type === CLIENT_MESSAGES.SUBSCRIBE) {
+      const subscriptionKey = toSubscriptionKey(request.channel, request.symbol);
+      this.channels.delete(subscriptionKey);
+      this.subscriptions.delete(subscriptionKey);
+    }
+
+    console.error('WebSocket error:', code, message);
+    this.emit('error', { id, code, message, channel, symbol });
+  }
+
   /**
    * Handle order book updates
+   * Snapshots replace the local book; deltas are applied in sequence order,
+   * and a missing sequence number triggers a resync from the REST snapshot
    */
   handleOrderBookUpdate(channel, symbol, data) {
-    const subscriptionKey = `${channel}:${symbol}`;
+    if (data?.action === 'delta') {
+      this.applyOrderBookDelta(channel, symbol, data);
+    } else {
+      this.loadOrderBookSnapshot(symbol, data);
+      this.deliverOrderBook(channel, symbol);
+    }
+  }
+
+  /**
+   * Replace the local book for a symbol with a snapshot
+   */
+  loadOrderBookSnapshot(symbol, snapshot) {
+    const existing = this.orderBooks.get(symbol);
+    const toLevels = (levels = []) => new Map(
+      levels.map(level => Array.isArray(level)
+        ? [parseFloat(level[0]), parseFloat(level[1])]
+        : [parseFloat(level.price), parseFloat(level.quantity)])
+    );
+
+    this.orderBooks.set(symbol, {
+      sequence: snapshot?.sequence || 0,
+      bids: toLevels(snapshot?.bids),
+      asks: toLevels(snapshot?.asks),
+      lastUpdate: snapshot?.lastUpdate || Date.now(),
+      resyncing: existing?.resyncing || false,
+      buffer: existing?.buffer || []
+    });
+  }
+
+  /**
+   * Apply a sequenced delta, detecting gaps
+   */
+  applyOrderBookDelta(channel, symbol, delta) {
+    const book = this.orderBooks.get(symbol);
+
+    // No base book yet or a resync in flight: hold the delta for replay
+    if (!book || book.resyncing) {
+      this.bufferOrderBookDelta(symbol, delta);
+      this.resyncOrderBook(channel, symbol);
+      return;
+    }
+
+    // Already covered by the current snapshot
+    if (delta.sequence <= book.sequence) {
+      return;
+    }
+
+    if (delta.sequence !== book.sequence + 1) {
+      console.warn(`Order book gap for ${symbol}: expected ${book.sequence + 1}, got ${delta.sequence}`);
+      this.emit('orderbookGap', { symbol, expected: book.sequence + 1, received: delta.sequence });
+      this.bufferOrderBookDelta(symbol, delta);
+      this.resyncOrderBook(channel, symbol);
+      return;
+    }
+
+    this.applyLevels(book, delta);
+    this.deliverOrderBook(channel, symbol);
+  }
+
+  /**
+   * Write changed price levels into a local book (quantity 0 removes the level)
+   */
+  applyLevels(book, delta) {
+    const apply = (side, levels = []) => {
+      levels.forEach(([price, quantity]) => {
+        if (quantity === 0) {
+          side.delete(price);
+        } else {
+          side.set(price, quantity);
+        }
+      });
+    };
+
+    apply(book.bids, delta.bids);
+    apply(book.asks, delta.asks);
+    book.sequence = delta.sequence;
+    book.lastUpdate = delta.lastUpdate || Date.now();
+  }
+
+  /**
+   * Keep a delta until the next snapshot arrives
+   */
+  bufferOrderBookDelta(symbol, delta) {
+    const book = this.orderBooks.get(symbol) || {
+      sequence: 0,
+      bids: new Map(),
+      asks: new Map(),
+      lastUpdate: 0,
+      resyncing: false,
+      buffer: []
+    };
+
+    book.buffer.push(delta);
+    this.orderBooks.set(symbol, book);
+  }
+
+  /**
+   * Fetch a fresh snapshot over REST and replay buffered deltas on top of it
+   */
+  async resyncOrderBook(channel, symbol) {
+    const book = this.orderBooks.get(symbol);
+    if (book?.resyncing) {
+      return;
+    }
+    if (book) {
+      book.resyncing = true;
+    }
+
+    try {
+      const snapshot = await this.apiService.getOrderBook(symbol, this.orderBookDepth);
+      const pending = this.orderBooks.get(symbol)?.buffer || [];
+
+      this.loadOrderBookSnapshot(symbol, snapshot);
+      const resynced = this.orderBooks.get(symbol);
+      resynced.resyncing = false;
+      resynced.buffer = [];
+
+      // Replay deltas newer than the snapshot; a new gap restarts the resync
+      pending
+        .filter(delta => delta.sequence > resynced.sequence)
+        .sort((a, b) => a.sequence - b.sequence)
+        .forEach(delta => this.applyOrderBookDelta(channel, symbol, delta));
+
+      this.deliverOrderBook(channel, symbol);
+      this.emit('orderbookResync', { symbol, sequence: resynced.sequence });
+    } catch (error) {
+      console.error(`Failed to resync order book for ${symbol}:`, error);
+      const failed = this.orderBooks.get(symbol);
+      if (failed) {
+        failed.resyncing = false;
+      }
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Get the local order book for a symbol as sorted level arrays
+   */
+  getOrderBook(symbol) {
+    const book = this.orderBooks.get(symbol);
+    if (!book) {
+      return null;
+    }
+
+    const toLevels = (side, descending) => Array.from(side.entries())
+      .sort((a, b) => (descending ? b[0] - a[0] : a[0] - b[0]))
+      .slice(0, this.orderBookDepth)
+      .map(([price, quantity]) => ({ price, quantity }));
+
+    return {
+      symbol,
+      sequence: book.sequence,
+      bids: toLevels(book.bids, true),
+      asks: toLevels(book.asks, false),
+      lastUpdate: book.lastUpdate
+    };
+  }
+
+  /**
+   * Pass the current local book to the subscriber and listeners
+   */
+  deliverOrderBook(channel, symbol) {
+    const data = this.getOrderBook(symbol);
+    if (!data || this.orderBooks.get(symbol).resyncing) {
+      return;
+    }
+
+    const subscriptionKey = toSubscriptionKey(channel, symbol);
     const callback = this.subscriptions.get(subscriptionKey);
-    
+
     if (callback) {
       callback(data);
     }
@@ -207,37 +543,65 @@ export class WebSocketService {
 
   /**
    * Handle trade updates
+   * A snapshot replaces the recent trades with stored history; updates are
+   * prepended, skipping trades already seen (e.g. both in history and live)
    */
   handleTradeUpdate(channel, symbol, data) {
-    const subscriptionKey = `${channel}:${symbol}`;
-    const callback = this.subscriptions.get(subscriptionKey);
-    
+    const current = this.recentTrades.get(symbol) || [];
+    const incoming = data?.trades || [];
+    let trades;
+
+    if (data?.action === 'snapshot') {
+      trades = incoming;
+    } else {
+      const seen = new Set(current.map(trade => trade.id));
+      const fresh = incoming.filter(trade => !seen.has(trade.id));
+      if (fresh.length === 0) {
+        return;
+      }
+      trades = [...fresh, ...current];
+
+      // Also emit generic trade event for each new trade
+      fresh.forEach(trade => this.emit('trade', { symbol, data: trade }));
+    }
+
+    this.recentTrades.set(symbol, trades.slice(0, this.tradeHistoryLimit));
+
+    const callback = this.subscriptions.get(toSubscriptionKey(channel, symbol));
     if (callback) {
-      callback(data);
+      callback(this.getRecentTrades(symbol));
     }
+  }
 
-    // Also emit generic trade event
-    this.emit('trade', { symbol, data });
+  /**
+   * Get the recent trades for a symbol, most recent first
+   */
+  getRecentTrades(symbol) {
+    return [...(this.recentTrades.get(symbol) || [])];
   }
 
   /**
-   * Handle user order updates
+   * Handle user order updates; amends arrive with event 'amended' and the
+   * order's previous { id, price, quantity }
    */
   handleUserOrderUpdate(data) {
-    const callback = this.subscriptions.get('userOrders');
+    const callback = this.subscriptions.get(CHANNELS.USER_ORDERS);
     
     if (callback) {
       callback(data);
     }
 
     this.emit('userOrder', data);
+    if (data.event === 'amended') {
+      this.emit('orderAmended', data);
+    }
   }
 
   /**
    * Handle market stats updates
    */
-  handleMarketStatsUpdate(data) {
-    const callback = this.subscriptions.get('marketStats');
+  handleMarketStatsUpdate(symbol, data) {
+    const callback = this.subscriptions.get(toSubscriptionKey(CHANNELS.MARKET_STATS, symbol));
     
     if (callback) {
       callback(data);
@@ -246,6 +610,45 @@ export class WebSocketService {
     this.emit('marketUpdate', data);
   }
 
+  /**
+   * Handle forming candle updates (one candle per interval)
+   */
+  handleCandleUpdate(symbol, data) {
+    const callback = this.subscriptions.get(toSubscriptionKey(CHANNELS.CANDLES, symbol));
+    
+    if (callback) {
+      callback(data?.candles || []);
+    }
+
+    this.emit('candle', { symbol, data });
+  }
+
+  /**
+   * Handle market status changes: halts, cancel-only periods and resumes
+   */
+  handleMarketStatusUpdate(symbol, data) {
+    const callback = this.subscriptions.get(toSubscriptionKey(CHANNELS.MARKET_STATUS, symbol));
+    
+    if (callback) {
+      callback(data);
+    }
+
+    this.emit('marketStatus', data);
+  }
+
+  /**
+   * Handle liquidations of the signed-in account's margin positions
+   */
+  handleLiquidation(data) {
+    const callback = this.subscriptions.get(CHANNELS.POSITIONS);
+    
+    if (callback) {
+      callback(data);
+    }
+
+    this.emit('liquidation', data);
+  }
+
   /**
    * Add event listener
    */
@@ -292,7 +695,7 @@ export class WebSocketService {
       connected: this.isConnected,
       readyState: this.ws ? this.ws.readyState : WebSocket.CLOSED,
       reconnectAttempts: this.reconnectAttempts,
-      subscriptions: Array.from(this.subscriptions.keys())
+      subscriptions: Array.from(this.channels.keys())
     };
   }
 
@@ -301,7 +704,7 @@ export class WebSocketService {
    */
   ping() {
     if (this.isConnected) {
-      this.send({ type: 'ping', timestamp: Date.now() });
+      this.send(createMessage(CLIENT_MESSAGES.PING, { timestamp: Date.now() }));
     }
   }
 
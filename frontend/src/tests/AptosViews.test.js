@@ -0,0 +1,150 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Aptos View Function Test Suite
+ *
+ * Replays recorded ClobCore view responses through AptosService: decoding
+ * the u64 tuples and falling back to the backend when the module is missing.
+ */
+
+import { AptosService, decodeOrderBookDepth, decodeMarketStats, decodeUserBalance } from '../services/AptosService';
+import clobApiService from '../services/ClobApiService';
+import fixtures from './fixtures/clobCoreViews.json';
+
+jest.mock('../services/ClobApiService', () => ({
+  __esModule: true,
+  default: {
+    getOrderBook: jest.fn(),
+    getMarketStats: jest.fn(),
+    getUserBalance: jest.fn()
+  }
+}));
+
+const SYMBOL = 'APT-USDC';
+
+// Node answering view calls from the recorded responses, or failing like a node without the module
+const recordedNode = (failure = null, views = fixtures.views) => ({
+  view: jest.fn(async ({ payload }) => {
+    if (failure) {
+      throw Object.assign(new Error(failure.data.message), failure);
+    }
+    return views[payload.function.split('::').pop()];
+  })
+});
+
+// What a deployed module answers before anything trades on-chain, and for accounts without a resource
+const emptyViews = {
+  get_order_book_depth: [[], [], [], []],
+  get_market_stats: ['0', '0', '0', '0', '0', '0'],
+  get_user_balance: ['0', '0', '0', '0']
+};
+
+describe('ClobCore view decoding', () => {
+  test('decodes order book depth vectors into levels', () => {
+    expect(decodeOrderBookDepth(fixtures.views.get_order_book_depth)).toEqual({
+      bids: [
+        { price: 8.45, quantity: 10, total: 84.5 },
+        { price: 8.44, quantity: 2.5, total: 21.1 }
+      ],
+      asks: [{ price: 8.46, quantity: 0.7, total: 5.922 }]
+    });
+    expect(decodeOrderBookDepth([[], [], [], []])).toEqual({ bids: [], asks: [] });
+  });
+
+  test('decodes market stats and balances from chain units', () => {
+    expect(decodeMarketStats(SYMBOL, fixtures.views.get_market_stats)).toMatchObject({
+      symbol: SYMBOL,
+      lastPrice: 8.455,
+      high24h: 8.6,
+      low24h: 8.3,
+      volume24h: 500,
+      trades24h: null,
+      totalTrades: 42,
+      totalVolume: 123450
+    });
+    expect(decodeUserBalance(fixtures.views.get_user_balance)).toEqual({
+      apt: 15,
+      usdc: 25,
+      lockedApt: 1,
+      lockedUsdc: 0.845
+    });
+  });
+});
+
+describe('AptosService view reads', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    service = new AptosService({ contractAddress: fixtures.module.slice(2).toUpperCase() });
+    service.setAccount({ address: fixtures.user });
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('calls the configured module for the contract pair', async () => {
+    service.aptos = recordedNode();
+
+    expect((await service.getOrderBook(SYMBOL, 20)).bids).toHaveLength(2);
+    expect((await service.getMarketStats(SYMBOL)).totalTrades).toBe(42);
+    expect((await service.getChainBalance()).apt).toBe(15);
+
+    expect(service.aptos.view.mock.calls.map(([{ payload }]) => [payload.function, payload.functionArguments])).toEqual([
+      [`${fixtures.module}::ClobCore::get_order_book_depth`, [20]],
+      [`${fixtures.module}::ClobCore::get_market_stats`, []],
+      [`${fixtures.module}::ClobCore::get_user_balance`, [fixtures.user]]
+    ]);
+    expect((await service.getContractInfo()).moduleStatus).toBe('deployed');
+    expect(clobApiService.getMarketStats).not.toHaveBeenCalled();
+  });
+
+  test('reads from the backend while the module holds nothing, and trades on ledger balances', async () => {
+    service.aptos = recordedNode(null, emptyViews);
+    clobApiService.getOrderBook.mockResolvedValue({ symbol: SYMBOL, sequence: 1, bids: [[8.4, 2]], asks: [] });
+    clobApiService.getMarketStats.mockResolvedValue({ symbol: SYMBOL, lastPrice: 8.5, trades24h: 3 });
+    clobApiService.getUserBalance.mockResolvedValue({ availableBase: 2, availableQuote: 20, lockedBase: 0, lockedQuote: 1 });
+
+    expect((await service.getOrderBook(SYMBOL, 20)).bids).toEqual([{ price: 8.4, quantity: 2, total: 16.8 }]);
+    expect(await service.getMarketStats(SYMBOL)).toEqual({ symbol: SYMBOL, lastPrice: 8.5, trades24h: 3 });
+    expect(await service.getChainBalance()).toBeNull();
+    expect(await service.getUserBalance(SYMBOL)).toEqual({ apt: 2, usdc: 20, lockedApt: 0, lockedUsdc: 1 });
+    expect(service.moduleStatus).toBe('deployed');
+  });
+
+  test.each([
+    ['a module missing at the address', fixtures.errors.missingModule],
+    ['an address with no account', fixtures.errors.accountNotFound]
+  ])('falls back to the backend for %s and stops calling the node', async (name, failure) => {
+    service.aptos = recordedNode(failure);
+    clobApiService.getMarketStats.mockResolvedValue({ symbol: SYMBOL, lastPrice: 8.5, trades24h: 3 });
+    clobApiService.getUserBalance.mockResolvedValue({ availableBase: 2, availableQuote: 20, lockedBase: 0, lockedQuote: 1 });
+
+    expect(await service.getMarketStats(SYMBOL)).toEqual({ symbol: SYMBOL, lastPrice: 8.5, trades24h: 3 });
+    expect(await service.getUserBalance(SYMBOL)).toEqual({ apt: 2, usdc: 20, lockedApt: 0, lockedUsdc: 1 });
+    expect(service.aptos.view).toHaveBeenCalledTimes(1);
+    expect(service.moduleStatus).toBe('missing');
+  });
+
+  test('reads from the backend without a module address or for other pairs', async () => {
+    clobApiService.getOrderBook.mockResolvedValue({ symbol: 'APT-USDT', sequence: 1, bids: [[8.4, 2]], asks: [] });
+    service.aptos = recordedNode();
+
+    expect(await service.getOrderBook('APT-USDT', 20)).toEqual({
+      bids: [{ price: 8.4, quantity: 2, total: 16.8 }],
+      asks: []
+    });
+    expect(clobApiService.getOrderBook).toHaveBeenCalledWith('APT-USDT', 20);
+
+    const unconfigured = new AptosService();
+    unconfigured.aptos = recordedNode();
+    await unconfigured.getMarketStats(SYMBOL);
+    expect(unconfigured.moduleStatus).toBe('unconfigured');
+    expect(service.aptos.view).not.toHaveBeenCalled();
+    expect(unconfigured.aptos.view).not.toHaveBeenCalled();
+  });
+});
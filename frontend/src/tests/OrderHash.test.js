@@ -0,0 +1,78 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Order Hash Test Suite
+ *
+ * Checks the JS order serialization and hash against the shared vectors
+ * (also asserted by OrderVerification.move) and signing in AptosService.
+ */
+
+import { Account, Ed25519PrivateKey, PrivateKey, PrivateKeyVariants, Serializer, AccountAddress } from '@aptos-labs/ts-sdk';
+import { AptosService } from '../services/AptosService';
+import { serializeOrder, toChainOrder, toHex } from '@clob/shared/orderHash';
+import vectors from '@clob/shared/orderHashVectors.json';
+
+describe('order hash', () => {
+  test.each(vectors.hashes.map(vector => [vector.name, vector]))('matches the %s vector', (name, vector) => {
+    const order = toChainOrder(vector.order);
+    const service = new AptosService();
+
+    expect(toHex(serializeOrder(order))).toBe(vector.bcs);
+    expect(service.hashOrder(order)).toBe(vector.hash);
+  });
+
+  test('serializes like the SDK BCS serializer', () => {
+    const [vector] = vectors.hashes;
+    const order = toChainOrder(vector.order);
+    const serializer = new Serializer();
+    AccountAddress.from(order.sender).serialize(serializer);
+    serializer.serializeU8(order.side);
+    [order.price, order.quantity, order.expiry, order.nonce].forEach(value => serializer.serializeU64(value));
+
+    expect(toHex(serializer.toUint8Array())).toBe(vector.bcs);
+  });
+
+  test('rejects amounts finer than the chain units', () => {
+    expect(() => toChainOrder({ ...vectors.hashes[0].order, price: '8.4500001' })).toThrow('more than 6 decimals');
+  });
+});
+
+describe('AptosService order signing', () => {
+  const [vector] = vectors.signatures;
+
+  test('signs the raw order hash with a key signer', async () => {
+    const privateKey = PrivateKey.formatPrivateKey(vector.privateKey, PrivateKeyVariants.Ed25519);
+    const signer = Account.fromPrivateKey({ privateKey: new Ed25519PrivateKey(privateKey) });
+    const service = new AptosService();
+    service.setAccount({ address: signer.accountAddress, publicKey: signer.publicKey });
+
+    const { orderHash, signed } = await service.signOrder(vector.order, signer);
+
+    expect(orderHash).toBe(vector.hash);
+    expect(signed).toEqual({
+      expiry: Number(vector.order.expiry),
+      nonce: Number(vector.order.nonce),
+      publicKey: vector.publicKey,
+      signature: vector.signature
+    });
+  });
+
+  test('asks a wallet to sign the hash in a message envelope', async () => {
+    const wallet = {
+      signMessage: jest.fn(async ({ message, nonce }) => ({
+        signature: 'ab'.repeat(64),
+        fullMessage: `APTOS\nmessage: ${message}\nnonce: ${nonce}`
+      }))
+    };
+    const service = new AptosService();
+    service.setAccount({ address: vector.order.sender, publicKey: vector.publicKey }, wallet);
+
+    const { signed } = await service.signOrder(vector.order);
+
+    expect(wallet.signMessage).toHaveBeenCalledWith({ message: vector.hash, nonce: vector.order.nonce });
+    expect(signed.signature).toBe(`0x${'ab'.repeat(64)}`);
+    expect(signed.fullMessage).toContain(vector.hash);
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * WebSocket Protocol Contract Test Suite
+ *
+ * Runs the frontend WebSocketService against the backend WebSocketGateway
+ * over in-memory sockets, so both ends are held to the shared wsProtocol.
+ */
+
+import { EventEmitter } from 'events';
+import { WebSocketService } from '../services/WebSocketService';
+import { PROTOCOL_VERSION, ERROR_CODES } from '@clob/shared/wsProtocol';
+
+const { WebSocketGateway } = require('../../../backend/src/services/WebSocketGateway');
+
+const SYMBOL = 'APT-USDC';
+
+let gateway;
+let sockets;
+
+// Client-side WebSocket wired straight into the gateway
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.sent = [];
+
+    this.server = new EventEmitter();
+    this.server.readyState = FakeWebSocket.OPEN;
+    this.server.send = (frame) => this.onmessage && this.onmessage({ data: frame });
+
+    sockets.push(this);
+    setTimeout(() => {
+      this.readyState = FakeWebSocket.OPEN;
+      gateway.handleConnection(this.server);
+      this.onopen();
+    }, 0);
+  }
+
+  send(frame) {
+    this.sent.push(JSON.parse(frame));
+    this.server.emit('message', frame);
+  }
+
+  close(code = 1000, reason = '') {
+    this.readyState = FakeWebSocket.CLOSED;
+    this.server.readyState = FakeWebSocket.CLOSED;
+    this.server.emit('close');
+    this.onclose({ code, reason });
+  }
+}
+FakeWebSocket.CONNECTING = 0;
+FakeWebSocket.OPEN = 1;
+FakeWebSocket.CLOSED = 3;
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const collect = (service, event) => {
+  const events = [];
+  service.on(event, data => events.push(data));
+  return events;
+};
+
+describe('WebSocket protocol contract', () => {
+  const originalWebSocket = global.WebSocket;
+  let service;
+
+  beforeEach(() => {
+    global.WebSocket = FakeWebSocket;
+    sockets = [];
+    gateway = new WebSocketGateway();
+    gateway.setAuthenticator(token => (token === 'valid-token' ? '0xabc' : null));
+    gateway.setSnapshotProvider('orderbook', async symbol => ({
+      action: 'snapshot', symbol, sequence: 3, bids: [[8.45, 10]], asks: [[8.46, 7]]
+    }));
+
+    service = new WebSocketService('ws://localhost:3002', { apiService: { getOrderBook: jest.fn() } });
+    service.reconnectDelay = 0;
+  });
+
+  afterEach(() => {
+    global.WebSocket = originalWebSocket;
+  });
+
+  test('acks several channels on one socket and routes their data', async () => {
+    const welcome = collect(service, 'welcome');
+    const acks = collect(service, 'subscribed');
+    const books = [];
+    const trades = [];
+
+    service.subscribe('orderbook', SYMBOL, data => books.push(data));
+    service.subscribe('trades', SYMBOL, data => trades.push(data));
+    service.connect();
+    await flush();
+
+    expect(welcome[0].protocolVersion).toBe(PROTOCOL_VERSION);
+    expect(acks).toEqual([
+      { channel: 'orderbook', symbol: SYMBOL },
+      { channel: 'trades', symbol: SYMBOL }
+    ]);
+    expect(books[0]).toMatchObject({ sequence: 3, bids: [{ price: 8.45, quantity: 10 }] });
+
+    gateway.publish('orderbook', SYMBOL, {
+      action: 'delta', sequence: 4, prevSequence: 3, bids: [[8.45, 0]], asks: []
+    });
+    gateway.publish('trades', SYMBOL, { action: 'update', trades: [{ id: 1, price: 8.46, quantity: 2 }] });
+    gateway.publish('trades', 'APT-USDT', { action: 'update', trades: [{ id: 2, price: 9.1, quantity: 1 }] });
+
+    expect(books[books.length - 1]).toMatchObject({ sequence: 4, bids: [] });
+    expect(trades).toEqual([[{ id: 1, price: 8.46, quantity: 2 }]]);
+    expect(service.getConnectionStatus().subscriptions).toEqual([`orderbook:${SYMBOL}`, `trades:${SYMBOL}`]);
+  });
+
+  test('stops delivery after an acknowledged unsubscribe', async () => {
+    const trades = [];
+    const acks = collect(service, 'unsubscribed');
+
+    service.subscribe('trades', SYMBOL, data => trades.push(data));
+    service.connect();
+    await flush();
+
+    service.unsubscribe('trades', SYMBOL);
+    await flush();
+    gateway.publish('trades', SYMBOL, { action: 'update', trades: [{ id: 1 }] });
+
+    expect(acks).toEqual([{ channel: 'trades', symbol: SYMBOL }]);
+    expect(trades).toEqual([]);
+  });
+
+  test('surfaces coded errors and drops rejected subscriptions', async () => {
+    const errors = collect(service, 'error');
+
+    service.subscribe('liquidations', SYMBOL);
+    service.connect();
+    await flush();
+
+    expect(errors.map(error => error.code)).toEqual([ERROR_CODES.UNKNOWN_CHANNEL]);
+    expect(service.getConnectionStatus().subscriptions).toEqual([]);
+
+    service.send({ v: PROTOCOL_VERSION + 1, type: 'ping' });
+    service.send({ type: 'unsubscribe', channel: 'trades', symbol: SYMBOL });
+    service.send({ type: 'subscribe', channel: 'userOrders' });
+    await flush();
+
+    expect(errors.slice(1).map(error => error.code)).toEqual([
+      ERROR_CODES.UNSUPPORTED_VERSION,
+      ERROR_CODES.NOT_SUBSCRIBED,
+      ERROR_CODES.AUTH_REQUIRED
+    ]);
+  });
+
+  test('resubscribes every channel exactly once after reconnecting', async () => {
+    service.subscribe('orderbook', SYMBOL);
+    service.subscribe('trades', SYMBOL);
+    service.subscribe('trades', SYMBOL);
+    service.connect();
+    await flush();
+
+    sockets[0].close(1006, 'Connection lost');
+    await flush();
+    await flush();
+
+    const subscribes = sockets[1].sent.filter(message => message.type === 'subscribe');
+    expect(subscribes.map(({ channel, symbol }) => `${channel}:${symbol}`)).toEqual([
+      `orderbook:${SYMBOL}`,
+      `trades:${SYMBOL}`
+    ]);
+    expect(sockets[0].sent.filter(message => message.type === 'subscribe')).toHaveLength(2);
+    expect(gateway.clients.size).toBe(1);
+  });
+
+  test('delivers private order updates only to the authenticated account', async () => {
+    const orders = [];
+    const authenticated = collect(service, 'authenticated');
+
+    service.subscribe('userOrders', null, order => orders.push(order));
+    service.connect();
+    await flush();
+
+    // Private channels wait for the session
+    expect(sockets[0].sent.some(message => message.channel === 'userOrders')).toBe(false);
+
+    service.authenticate('valid-token');
+    await flush();
+
+    gateway.publishToUser('userOrders', '0xabc', { id: 1, status: 'filled' });
+    gateway.publishToUser('userOrders', '0xdef', { id: 2, status: 'active' });
+
+    expect(authenticated).toEqual([{ address: '0xabc' }]);
+    expect(orders).toEqual([{ id: 1, status: 'filled' }]);
+  });
+
+  test('raises amended order updates as their own event', async () => {
+    const amended = collect(service, 'orderAmended');
+
+    service.subscribe('userOrders', null, () => {});
+    service.authenticate('valid-token');
+    service.connect();
+    await flush();
+
+    gateway.publishToUser('userOrders', '0xabc', { id: 1, status: 'new', quantity: 3 });
+    gateway.publishToUser('userOrders', '0xabc', {
+      id: 1, status: 'new', quantity: 2, event: 'amended', previous: { id: 1, price: 8.46, quantity: 3 }
+    });
+
+    expect(amended).toEqual([expect.objectContaining({ quantity: 2, previous: { id: 1, price: 8.46, quantity: 3 } })]);
+  });
+
+  test('delivers market status snapshots and changes as market_status messages', async () => {
+    gateway.setSnapshotProvider('marketStatus', async symbol => ({ symbol, status: 'open', reason: null, haltedUntil: null }));
+    const statuses = [];
+    const events = collect(service, 'marketStatus');
+
+    service.subscribe('marketStatus', SYMBOL, data => statuses.push(data));
+    service.connect();
+    await flush();
+
+    gateway.publish('marketStatus', SYMBOL, {
+      symbol: SYMBOL, status: 'closed', reason: 'circuit_breaker', haltedUntil: 1700000300000
+    });
+
+    expect(statuses.map(({ status, reason }) => ({ status, reason }))).toEqual([
+      { status: 'open', reason: null },
+      { status: 'closed', reason: 'circuit_breaker' }
+    ]);
+    expect(events).toHaveLength(2);
+    expect(sockets[0].sent.some(message => message.type === 'subscribe' && message.channel === 'marketStatus')).toBe(true);
+  });
+
+  test('delivers liquidations only to the owner of the position', async () => {
+    const liquidations = [];
+    const events = collect(service, 'liquidation');
+
+    service.subscribe('positions', null, data => liquidations.push(data));
+    service.authenticate('valid-token');
+    service.connect();
+    await flush();
+
+    gateway.publishToUser('positions', '0xabc', { positionId: 1, liquidatedAmount: 25, collateralSeized: 5 });
+    gateway.publishToUser('positions', '0xdef', { positionId: 2, liquidatedAmount: 10, collateralSeized: 2 });
+
+    expect(liquidations).toEqual([{ positionId: 1, liquidatedAmount: 25, collateralSeized: 5 }]);
+    expect(events).toHaveLength(1);
+  });
+
+  test('asks for cancel-on-disconnect and keeps asking after reconnecting', async () => {
+    const pulled = [];
+    gateway.on('cancelOnDisconnect', address => pulled.push(address));
+
+    service.authenticate('valid-token', { cancelOnDisconnect: true });
+    service.connect();
+    await flush();
+
+    sockets[0].close(1006, 'Connection lost');
+    await flush();
+    await flush();
+
+    expect(pulled).toEqual(['0xabc']);
+    expect(sockets[1].sent.find(message => message.type === 'auth')).toMatchObject({
+      token: 'valid-token',
+      cancelOnDisconnect: true
+    });
+
+    // Sockets that did not ask for it leave orders alone
+    service.logout();
+    service.authenticate('valid-token');
+    await flush();
+    sockets[1].close(1006, 'Connection lost');
+    await flush();
+
+    expect(pulled).toEqual(['0xabc']);
+  });
+
+  test('stops private delivery once the session expires or is revoked', async () => {
+    let session = '0xabc';
+    gateway.setAuthenticator(token => (token === 'valid-token' ? session : null));
+    const pulled = [];
+    gateway.on('cancelOnDisconnect', address => pulled.push(address));
+    const orders = [];
+    const errors = collect(service, 'error');
+
+    service.subscribe('userOrders', null, order => orders.push(order));
+    service.authenticate('valid-token', { cancelOnDisconnect: true });
+    service.connect();
+    await flush();
+
+    gateway.publishToUser('userOrders', '0xabc', { id: 1, status: 'new' });
+    session = null;
+    gateway.publishToUser('userOrders', '0xabc', { id: 1, status: 'filled' });
+
+    expect(orders).toEqual([{ id: 1, status: 'new' }]);
+    expect(errors.map(error => error.code)).toEqual([ERROR_CODES.AUTH_FAILED]);
+    expect(service.authToken).toBeNull();
+    expect(pulled).toEqual(['0xabc']);
+
+    // The socket is anonymous again, even for a new session on the same account
+    session = '0xabc';
+    gateway.publishToUser('userOrders', '0xabc', { id: 2, status: 'new' });
+    expect(orders).toHaveLength(1);
+    expect(sockets[0].server.subscriptions.has('userOrders')).toBe(false);
+  });
+
+  test('rejects unknown session tokens', async () => {
+    const errors = collect(service, 'error');
+
+    service.authenticate('stolen-token');
+    service.connect();
+    await flush();
+
+    expect(errors.map(error => error.code)).toEqual([ERROR_CODES.AUTH_FAILED]);
+    expect(service.authToken).toBeNull();
+  });
+});
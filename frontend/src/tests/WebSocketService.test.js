@@ -0,0 +1,135 @@
+/**
+ * WebSocket Service Test Suite
+ *
+ * Covers order book snapshot/delta handling, gap detection
+ * and resynchronisation from the REST snapshot.
+ */
+
+import { WebSocketService } from '../services/WebSocketService';
+
+const SYMBOL = 'APT-USDC';
+
+const delta = (sequence, bids = [], asks = []) => ({
+  action: 'delta',
+  symbol: SYMBOL,
+  sequence,
+  prevSequence: sequence - 1,
+  bids,
+  asks
+});
+
+describe('WebSocketService order book deltas', () => {
+  let apiService;
+  let service;
+  let updates;
+
+  beforeEach(() => {
+    apiService = { getOrderBook: jest.fn() };
+    service = new WebSocketService('ws://localhost:3002', { apiService });
+    service.send = jest.fn();
+    updates = [];
+    service.subscribe('orderbook', SYMBOL, data => updates.push(data));
+  });
+
+  test('applies contiguous deltas on top of a snapshot', () => {
+    service.handleOrderBookUpdate('orderbook', SYMBOL, {
+      action: 'snapshot',
+      sequence: 4,
+      bids: [[8.45, 10], [8.44, 5]],
+      asks: [[8.46, 7]]
+    });
+    service.handleOrderBookUpdate('orderbook', SYMBOL, delta(5, [[8.45, 0], [8.43, 2]], [[8.46, 3]]));
+
+    const book = updates[updates.length - 1];
+    expect(book.sequence).toBe(5);
+    expect(book.bids).toEqual([{ price: 8.44, quantity: 5 }, { price: 8.43, quantity: 2 }]);
+    expect(book.asks).toEqual([{ price: 8.46, quantity: 3 }]);
+    expect(apiService.getOrderBook).not.toHaveBeenCalled();
+  });
+
+  test('ignores deltas already covered by the snapshot', () => {
+    service.handleOrderBookUpdate('orderbook', SYMBOL, {
+      action: 'snapshot', sequence: 4, bids: [[8.45, 10]], asks: []
+    });
+    service.handleOrderBookUpdate('orderbook', SYMBOL, delta(4, [[8.45, 0]]));
+
+    expect(service.getOrderBook(SYMBOL).bids).toEqual([{ price: 8.45, quantity: 10 }]);
+  });
+
+  test('detects a sequence gap and resyncs from REST before replaying', async () => {
+    const gaps = [];
+    service.on('orderbookGap', gap => gaps.push(gap));
+    apiService.getOrderBook.mockResolvedValue({
+      symbol: SYMBOL, sequence: 7, bids: [[8.40, 1]], asks: [[8.50, 1]]
+    });
+
+    service.handleOrderBookUpdate('orderbook', SYMBOL, {
+      action: 'snapshot', sequence: 4, bids: [[8.45, 10]], asks: []
+    });
+    service.handleOrderBookUpdate('orderbook', SYMBOL, delta(8, [[8.41, 2]]));
+    service.handleOrderBookUpdate('orderbook', SYMBOL, delta(9, [[8.42, 3]]));
+
+    expect(gaps).toEqual([{ symbol: SYMBOL, expected: 5, received: 8 }]);
+    expect(apiService.getOrderBook).toHaveBeenCalledTimes(1);
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const book = service.getOrderBook(SYMBOL);
+    expect(book.sequence).toBe(9);
+    expect(book.bids.map(level => level.price)).toEqual([8.42, 8.41, 8.40]);
+    expect(updates[updates.length - 1].sequence).toBe(9);
+  });
+
+  test('bootstraps from REST when a delta arrives before any snapshot', async () => {
+    apiService.getOrderBook.mockResolvedValue({
+      symbol: SYMBOL, sequence: 2, bids: [], asks: [[8.46, 1]]
+    });
+
+    service.handleOrderBookUpdate('orderbook', SYMBOL, delta(3, [], [[8.47, 2]]));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(service.getOrderBook(SYMBOL).asks).toEqual([
+      { price: 8.46, quantity: 1 },
+      { price: 8.47, quantity: 2 }
+    ]);
+  });
+});
+
+describe('WebSocketService trade stream', () => {
+  let service;
+  let updates;
+
+  beforeEach(() => {
+    service = new WebSocketService('ws://localhost:3002', {
+      apiService: { getOrderBook: jest.fn() },
+      tradeHistoryLimit: 3
+    });
+    service.send = jest.fn();
+    updates = [];
+    service.subscribe('trades', SYMBOL, data => updates.push(data));
+  });
+
+  test('prepends live trades to the history snapshot without duplicates', () => {
+    const trades = [];
+    service.on('trade', trade => trades.push(trade));
+
+    service.handleTradeUpdate('trades', SYMBOL, {
+      action: 'snapshot', trades: [{ id: 2, price: 8.46 }, { id: 1, price: 8.45 }]
+    });
+    service.handleTradeUpdate('trades', SYMBOL, {
+      action: 'update', trades: [{ id: 3, price: 8.47 }, { id: 2, price: 8.46 }]
+    });
+
+    expect(updates[updates.length - 1].map(trade => trade.id)).toEqual([3, 2, 1]);
+    expect(trades).toEqual([{ symbol: SYMBOL, data: { id: 3, price: 8.47 } }]);
+  });
+
+  test('keeps only the most recent trades', () => {
+    service.handleTradeUpdate('trades', SYMBOL, {
+      action: 'snapshot', trades: [{ id: 3 }, { id: 2 }, { id: 1 }]
+    });
+    service.handleTradeUpdate('trades', SYMBOL, { action: 'update', trades: [{ id: 4 }] });
+
+    expect(service.getRecentTrades(SYMBOL).map(trade => trade.id)).toEqual([4, 3, 2]);
+  });
+});
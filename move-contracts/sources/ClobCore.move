@@ -403,6 +403,7 @@ module aptos_clob::ClobCore {
     }
 
     /// Get current order book state
+    #[view]
     public fun get_order_book_depth(levels: u8): (vector<u64>, vector<u64>, vector<u64>, vector<u64>) 
     acquires OrderBook {
         let order_book = borrow_global<OrderBook>(@aptos_clob);
@@ -417,6 +418,7 @@ module aptos_clob::ClobCore {
     }
 
     /// Get market statistics
+    #[view]
     public fun get_market_stats(): (u64, u64, u64, u64, u64, u64) acquires MarketStats {
         let stats = borrow_global<MarketStats>(@aptos_clob);
         (
@@ -430,6 +432,7 @@ module aptos_clob::ClobCore {
     }
 
     /// Get user balance
+    #[view]
     public fun get_user_balance(user_addr: address): (u64, u64, u64, u64) acquires UserBalance {
         if (!exists<UserBalance>(user_addr)) {
             return (0, 0, 0, 0)
@@ -251,6 +251,27 @@ module aptos_clob::OrderVerification {
         assert!(vector::length(&hash.hash) == 32, 1); // SHA3-256 produces 32 bytes
     }
 
+    /// Same vectors as shared/orderHashVectors.json (JS order hash)
+    #[test]
+    fun test_order_hash_matches_js_vectors() {
+        let buy = create_order(@0x1, SIDE_BUY, 8450000, 150000000, 1735689600, 1, vector::empty<u8>());
+        assert!(get_order_hash_bytes(&buy) == x"b5da5612c943624347a89a530ff246d6beba1dbe23f191145495936ea08e4e27", 1);
+
+        let sell = create_order(@0xcafe, SIDE_SELL, 12345678, 1, 1700000000, 42, vector::empty<u8>());
+        assert!(get_order_hash_bytes(&sell) == x"eb46b4a5e1d32a416bfc7c9f0dfd1966bdf63565bc448ab274c61fc7415268e5", 2);
+
+        let max = create_order(
+            @0xabababababababababababababababababababababababababababababababab,
+            SIDE_BUY,
+            18446744073709551615,
+            18446744073709551615,
+            18446744073709551615,
+            18446744073709551615,
+            vector::empty<u8>()
+        );
+        assert!(get_order_hash_bytes(&max) == x"bc3a9da81c214503308e1bd75d46308e82f7aef43bcfad74254543c9389c32c9", 3);
+    }
+
     #[test(framework = @aptos_framework)]
     fun test_order_validation(framework: &signer) {
         timestamp::set_time_has_started_for_testing(framework);
@@ -0,0 +1,145 @@
+/**
+ * CLOB Order Hash Encoding
+ * JS twin of OrderVerification::generate_order_hash, shared by the backend
+ * (required as CommonJS) and the frontend AptosService
+ *
+ * Hash input is the concatenated BCS encoding of
+ *   sender: address, side: u8, price: u64, quantity: u64, expiry: u64, nonce: u64
+ * and the order hash is its SHA3-256 digest
+ */
+
+/* global BigInt */
+
+// OrderVerification SIDE_BUY / SIDE_SELL
+const ORDER_SIDES = {
+  buy: 0,
+  sell: 1
+};
+
+// Decimal places of the on-chain integer units (micro-USDC prices, octa quantities)
+const CHAIN_DECIMALS = {
+  price: 6,
+  quantity: 8
+};
+
+const U64_MAX = (1n << 64n) - 1n;
+
+/**
+ * Convert a decimal amount to integer chain units without float rounding
+ */
+function toChainUnits(value, decimals) {
+  const text = typeof value === 'number' ? value.toFixed(decimals) : String(value).trim();
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+  if (!match) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const fraction = (match[2] || '').replace(/0+$/, '');
+  if (fraction.length > decimals) {
+    throw new Error(`Amount ${value} has more than ${decimals} decimals`);
+  }
+
+  return BigInt(match[1] + fraction.padEnd(decimals, '0'));
+}
+
+/**
+ * Convert integer chain units (u64 as number, string or bigint) back to a decimal amount
+ */
+function fromChainUnits(value, decimals) {
+  const digits = BigInt(value).toString().padStart(decimals + 1, '0');
+  return Number(`${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`);
+}
+
+/**
+ * BCS encoding of an address: 32 bytes, left padded
+ */
+function serializeAddress(address) {
+  const hex = String(address || '').replace(/^0x/i, '');
+  if (!/^[0-9a-fA-F]{1,64}$/.test(hex)) {
+    throw new Error(`Invalid address: ${address}`);
+  }
+
+  const padded = hex.padStart(64, '0');
+  const bytes = new Uint8Array(32);
+  for (let i = 0; i < 32; i++) {
+    bytes[i] = parseInt(padded.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * BCS encoding of a u64: 8 bytes, little endian
+ */
+function serializeU64(value) {
+  let remaining = BigInt(value);
+  if (remaining < 0n || remaining > U64_MAX) {
+    throw new Error(`Value out of u64 range: ${value}`);
+  }
+
+  const bytes = new Uint8Array(8);
+  for (let i = 0; i < 8; i++) {
+    bytes[i] = Number(remaining & 0xffn);
+    remaining >>= 8n;
+  }
+  return bytes;
+}
+
+/**
+ * Serialize an order (chain units) exactly as generate_order_hash does
+ */
+function serializeOrder({ sender, side, price, quantity, expiry, nonce }) {
+  const sideByte = typeof side === 'string' ? ORDER_SIDES[side] : side;
+  if (sideByte !== ORDER_SIDES.buy && sideByte !== ORDER_SIDES.sell) {
+    throw new Error(`Invalid order side: ${side}`);
+  }
+
+  const parts = [
+    serializeAddress(sender),
+    Uint8Array.of(sideByte),
+    serializeU64(price),
+    serializeU64(quantity),
+    serializeU64(expiry),
+    serializeU64(nonce)
+  ];
+
+  const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+/**
+ * Build the on-chain order from a UI/API order ({ side, price, quantity } in decimals)
+ */
+function toChainOrder({ sender, side, price, quantity, expiry, nonce }) {
+  return {
+    sender,
+    side: ORDER_SIDES[side],
+    price: toChainUnits(price, CHAIN_DECIMALS.price),
+    quantity: toChainUnits(quantity, CHAIN_DECIMALS.quantity),
+    expiry: BigInt(expiry),
+    nonce: BigInt(nonce)
+  };
+}
+
+/**
+ * Hex encode bytes with a 0x prefix
+ */
+function toHex(bytes) {
+  return `0x${Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+module.exports = {
+  ORDER_SIDES,
+  CHAIN_DECIMALS,
+  toChainUnits,
+  fromChainUnits,
+  serializeAddress,
+  serializeU64,
+  serializeOrder,
+  toChainOrder,
+  toHex
+};
@@ -0,0 +1,165 @@
+/**
+ * CLOB WebSocket Protocol
+ * Single definition of the message envelope, channels and error codes used by
+ * both the backend server (required as CommonJS) and the frontend WebSocketService
+ *
+ * Envelope: { v, type, id?, channel?, symbol?, data?, code?, message? }
+ */
+
+const PROTOCOL_VERSION = 1;
+
+// Subscribable channels
+const CHANNELS = {
+  ORDERBOOK: 'orderbook',
+  TRADES: 'trades',
+  MARKET_STATS: 'marketStats',
+  CANDLES: 'candles',
+  MARKET_STATUS: 'marketStatus',
+  USER_ORDERS: 'userOrders',
+  POSITIONS: 'positions'
+};
+
+// Channels that need an authenticated session
+const PRIVATE_CHANNELS = [CHANNELS.USER_ORDERS, CHANNELS.POSITIONS];
+
+// Messages sent by clients; `auth` carries { token, cancelOnDisconnect? }
+const CLIENT_MESSAGES = {
+  AUTH: 'auth',
+  SUBSCRIBE: 'subscribe',
+  UNSUBSCRIBE: 'unsubscribe',
+  PING: 'ping'
+};
+
+// Messages sent by the server
+const SERVER_MESSAGES = {
+  WELCOME: 'welcome',
+  AUTHENTICATED: 'authenticated',
+  SUBSCRIBED: 'subscribed',
+  UNSUBSCRIBED: 'unsubscribed',
+  PONG: 'pong',
+  ERROR: 'error',
+  ORDERBOOK: 'orderbook',
+  TRADE: 'trade',
+  MARKET_STATS: 'marketStats',
+  CANDLE: 'candle',
+  // { symbol, status: 'open' | 'cancel_only' | 'closed', reason, haltedUntil, updatedAt }
+  MARKET_STATUS: 'market_status',
+  USER_ORDER: 'userOrder',
+  // { liquidator, liquidatedUser, positionId, symbol, liquidatedAmount, collateralSeized, price, timestamp, position }
+  LIQUIDATION: 'liquidation'
+};
+
+// Data message type pushed on each channel
+const CHANNEL_MESSAGE_TYPES = {
+  [CHANNELS.ORDERBOOK]: SERVER_MESSAGES.ORDERBOOK,
+  [CHANNELS.TRADES]: SERVER_MESSAGES.TRADE,
+  [CHANNELS.MARKET_STATS]: SERVER_MESSAGES.MARKET_STATS,
+  [CHANNELS.CANDLES]: SERVER_MESSAGES.CANDLE,
+  [CHANNELS.MARKET_STATUS]: SERVER_MESSAGES.MARKET_STATUS,
+  [CHANNELS.USER_ORDERS]: SERVER_MESSAGES.USER_ORDER,
+  [CHANNELS.POSITIONS]: SERVER_MESSAGES.LIQUIDATION
+};
+
+// Error codes carried in `error` messages
+const ERROR_CODES = {
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  UNKNOWN_CHANNEL: 'UNKNOWN_CHANNEL',
+  SYMBOL_REQUIRED: 'SYMBOL_REQUIRED',
+  NOT_SUBSCRIBED: 'NOT_SUBSCRIBED',
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  AUTH_FAILED: 'AUTH_FAILED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * Create an error carrying a protocol error code
+ */
+function protocolError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check whether a channel needs a symbol
+ */
+function channelRequiresSymbol(channel) {
+  return !PRIVATE_CHANNELS.includes(channel);
+}
+
+/**
+ * Build the key a subscription is tracked under
+ */
+function subscriptionKey(channel, symbol = null) {
+  return symbol ? `${channel}:${symbol}` : channel;
+}
+
+/**
+ * Build a message object stamped with the protocol version
+ */
+function createMessage(type, fields = {}) {
+  return { v: PROTOCOL_VERSION, type, ...fields };
+}
+
+/**
+ * Serialise a message for the wire
+ */
+function encodeMessage(message) {
+  return JSON.stringify({ v: PROTOCOL_VERSION, ...message });
+}
+
+/**
+ * Parse a raw frame, rejecting malformed JSON and other protocol versions
+ * Messages without `v` are treated as the current version
+ */
+function decodeMessage(raw) {
+  let message;
+  try {
+    message = typeof raw === 'string' ? JSON.parse(raw) : JSON.parse(raw.toString());
+  } catch (error) {
+    throw protocolError(ERROR_CODES.INVALID_MESSAGE, 'Message is not valid JSON');
+  }
+
+  if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+    throw protocolError(ERROR_CODES.INVALID_MESSAGE, 'Message type required');
+  }
+  if (message.v !== undefined && message.v !== PROTOCOL_VERSION) {
+    throw protocolError(
+      ERROR_CODES.UNSUPPORTED_VERSION,
+      `Protocol version ${message.v} not supported (server speaks ${PROTOCOL_VERSION})`
+    );
+  }
+
+  return message;
+}
+
+/**
+ * Validate a subscribe/unsubscribe request
+ */
+function validateSubscription({ channel, symbol }) {
+  if (!Object.values(CHANNELS).includes(channel)) {
+    throw protocolError(ERROR_CODES.UNKNOWN_CHANNEL, `Unknown channel: ${channel}`);
+  }
+  if (channelRequiresSymbol(channel) && !symbol) {
+    throw protocolError(ERROR_CODES.SYMBOL_REQUIRED, `Channel ${channel} requires a symbol`);
+  }
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  CHANNELS,
+  PRIVATE_CHANNELS,
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  CHANNEL_MESSAGE_TYPES,
+  ERROR_CODES,
+  protocolError,
+  channelRequiresSymbol,
+  subscriptionKey,
+  createMessage,
+  encodeMessage,
+  decodeMessage,
+  validateSubscription
+};